@@ -0,0 +1,720 @@
+/**
+ * ChakaBNB Auth Service
+ * Registration, sign-in, sign-out and the signed-in session, behind a swappable adapter
+ *
+ * The session lives in `chakabnb_session`. The older isLoggedIn/userEmail/userName/userPhone/
+ * loginTime keys are kept in step with it for page code that still reads them directly.
+ */
+
+// PBKDF2 settings for passwords kept by LocalAuthAdapter
+const PASSWORD_HASH_ITERATIONS = 210000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+
+// How long a session lasts, with and without "Remember me"
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const REMEMBERED_SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Sessions with no activity in any tab for this long are ended, unless kept with "Remember me"
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Activity is written back to the session at most this often
+const SESSION_ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+const USER_ROLES = ['guest', 'host', 'admin'];
+// Roles users can take on themselves; admins (review moderators) are appointed by the platform
+const SELF_SERVICE_ROLES = ['guest', 'host'];
+
+// Single-use links sent by email
+const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const LEGACY_AUTH_KEYS = ['isLoggedIn', 'userEmail', 'userName', 'userPhone', 'loginTime'];
+
+/**
+ * localStorage adapter. Accounts are stored in `chakabnb_users` with a per-user salt and a
+ * PBKDF2-SHA-256 hash of the password; the password itself is never stored.
+ * Reset and verification tokens are kept in `chakabnb_auth_tokens` as SHA-256 hashes and
+ * their links are mailed through the outbox (js/outbox.js).
+ */
+class LocalAuthAdapter {
+    constructor(storageKey = 'chakabnb_users', tokensKey = 'chakabnb_auth_tokens', outbox = null) {
+        this.storageKey = storageKey;
+        this.tokensKey = tokensKey;
+        this.outbox = outbox;
+    }
+
+    readUsers() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    writeUsers(users) {
+        localStorage.setItem(this.storageKey, JSON.stringify(users));
+    }
+
+    findUser(email) {
+        return this.readUsers().find(user => user.email === email) || null;
+    }
+
+    updateUser(email, changes) {
+        const users = this.readUsers();
+        const user = users.find(candidate => candidate.email === email);
+        if (!user) {
+            throw AuthService.createError('We couldn\'t find your account. Please sign in again.', 'unknown_user');
+        }
+
+        Object.assign(user, changes);
+        this.writeUsers(users);
+        return user;
+    }
+
+    readTokens() {
+        try {
+            return JSON.parse(localStorage.getItem(this.tokensKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    writeTokens(tokens) {
+        localStorage.setItem(this.tokensKey, JSON.stringify(tokens));
+    }
+
+    async register({ name, email, phone, password }) {
+        if (this.findUser(email)) {
+            throw AuthService.createError('Email address is already registered', 'email_taken');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+        const hash = await LocalAuthAdapter.hashPassword(password, salt, PASSWORD_HASH_ITERATIONS);
+        const user = {
+            email,
+            name,
+            phone: phone || '',
+            roles: ['guest'],
+            emailVerified: false,
+            password: {
+                algorithm: 'PBKDF2-SHA-256',
+                iterations: PASSWORD_HASH_ITERATIONS,
+                salt: LocalAuthAdapter.toHex(salt),
+                hash: LocalAuthAdapter.toHex(hash)
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        this.writeUsers([...this.readUsers(), user]);
+        await this.requestEmailVerification(email);
+        return LocalAuthAdapter.toPublicUser(user);
+    }
+
+    async authenticate(email, password) {
+        const user = this.findUser(email);
+        if (!user || !user.password) {
+            throw AuthService.createError('Invalid email or password', 'invalid_credentials');
+        }
+
+        const hash = await LocalAuthAdapter.hashPassword(password, LocalAuthAdapter.fromHex(user.password.salt), user.password.iterations);
+        if (!LocalAuthAdapter.constantTimeEqual(hash, LocalAuthAdapter.fromHex(user.password.hash))) {
+            throw AuthService.createError('Invalid email or password', 'invalid_credentials');
+        }
+
+        return LocalAuthAdapter.toPublicUser(user);
+    }
+
+    async grantRole(email, role) {
+        const user = this.findUser(email);
+        const roles = [...new Set([...((user && user.roles) || ['guest']), role])];
+        return LocalAuthAdapter.toPublicUser(this.updateUser(email, { roles }));
+    }
+
+    async requestEmailVerification(email) {
+        const user = this.findUser(email);
+        if (!user || user.emailVerified) return;
+
+        const token = await this.issueToken(email, 'verify-email', EMAIL_VERIFICATION_TOKEN_TTL_MS);
+        await this.sendMail({
+            to: email,
+            subject: 'Confirm your ChakaBNB email address',
+            text: `Hi ${user.name},\n\nConfirm your email address by opening this link within 24 hours:\n` +
+                `${LocalAuthAdapter.pageUrl('verify-email.html', token)}\n\nIf you didn't create a ChakaBNB account, you can ignore this email.`
+        });
+    }
+
+    async verifyEmail(token) {
+        const email = await this.consumeToken(token, 'verify-email');
+        return LocalAuthAdapter.toPublicUser(this.updateUser(email, { emailVerified: true }));
+    }
+
+    async requestPasswordReset(email) {
+        // Unknown addresses get the same answer, so the form can't be used to find accounts
+        const user = this.findUser(email);
+        if (!user) return;
+
+        const token = await this.issueToken(email, 'reset-password', PASSWORD_RESET_TOKEN_TTL_MS);
+        await this.sendMail({
+            to: email,
+            subject: 'Reset your ChakaBNB password',
+            text: `Hi ${user.name},\n\nChoose a new password by opening this link within 1 hour:\n` +
+                `${LocalAuthAdapter.pageUrl('reset-password.html', token)}\n\nIf you didn't ask to reset your password, you can ignore this email.`
+        });
+    }
+
+    async checkPasswordResetToken(token) {
+        const record = await this.findToken(token, 'reset-password');
+        if (!record) throw LocalAuthAdapter.invalidTokenError();
+        return { email: record.email };
+    }
+
+    async resetPassword(token, password) {
+        const email = await this.consumeToken(token, 'reset-password');
+        const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+        const hash = await LocalAuthAdapter.hashPassword(password, salt, PASSWORD_HASH_ITERATIONS);
+        const user = this.updateUser(email, {
+            password: {
+                algorithm: 'PBKDF2-SHA-256',
+                iterations: PASSWORD_HASH_ITERATIONS,
+                salt: LocalAuthAdapter.toHex(salt),
+                hash: LocalAuthAdapter.toHex(hash)
+            },
+            passwordChangedAt: new Date().toISOString()
+        });
+        return LocalAuthAdapter.toPublicUser(user);
+    }
+
+    async logout() {
+        // Nothing is held outside the session on this device
+    }
+
+    /**
+     * Create a single-use token; any earlier token for the same address and purpose stops working
+     * @param {string} email - Account email
+     * @param {string} purpose - 'verify-email' or 'reset-password'
+     * @param {number} ttl - Lifetime in milliseconds
+     * @returns {Promise<string>} - The token to put in the emailed link
+     */
+    async issueToken(email, purpose, ttl) {
+        const token = window.SecurityManager.generateCSRFToken();
+        const now = Date.now();
+        const tokens = this.readTokens().filter(record =>
+            !(record.email === email && record.purpose === purpose) && Date.parse(record.expiresAt) > now
+        );
+
+        tokens.push({
+            hash: await LocalAuthAdapter.hashToken(token),
+            email,
+            purpose,
+            expiresAt: new Date(now + ttl).toISOString()
+        });
+        this.writeTokens(tokens);
+        return token;
+    }
+
+    async findToken(token, purpose) {
+        if (typeof token !== 'string' || !token) return null;
+        const hash = await LocalAuthAdapter.hashToken(token);
+        return this.readTokens().find(record =>
+            record.hash === hash && record.purpose === purpose && Date.parse(record.expiresAt) > Date.now()
+        ) || null;
+    }
+
+    /**
+     * Use up a token
+     * @returns {Promise<string>} - Email address the token was issued for
+     */
+    async consumeToken(token, purpose) {
+        const record = await this.findToken(token, purpose);
+        if (!record) throw LocalAuthAdapter.invalidTokenError();
+
+        this.writeTokens(this.readTokens().filter(candidate => candidate.hash !== record.hash));
+        return record.email;
+    }
+
+    sendMail(message) {
+        const outbox = this.outbox || window.outbox;
+        if (!outbox) {
+            throw new Error('No outbox is configured for account emails');
+        }
+        return outbox.send(message);
+    }
+
+    static async hashToken(token) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return LocalAuthAdapter.toHex(new Uint8Array(digest));
+    }
+
+    /**
+     * @param {string} page - Page the link opens, e.g. 'reset-password.html'
+     * @param {string} token - Token for the link
+     * @returns {string} - Absolute link on this site
+     */
+    static pageUrl(page, token) {
+        const url = new URL(page, window.location.href);
+        url.search = new URLSearchParams({ token }).toString();
+        return url.href;
+    }
+
+    static invalidTokenError() {
+        return AuthService.createError('This link is invalid or has expired. Please request a new one.', 'invalid_token');
+    }
+
+    /**
+     * @param {string} password - Plain-text password
+     * @param {Uint8Array} salt - Salt bytes
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<Uint8Array>} - Derived hash
+     */
+    static async hashPassword(password, salt, iterations) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, key, PASSWORD_HASH_BITS);
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Compare two byte arrays without stopping at the first difference
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {boolean}
+     */
+    static constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a[i] ^ b[i];
+        }
+        return difference === 0;
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static fromHex(hex) {
+        return new Uint8Array((hex.match(/.{2}/g) || []).map(pair => parseInt(pair, 16)));
+    }
+
+    static toPublicUser(user) {
+        return {
+            email: user.email,
+            name: user.name,
+            phone: user.phone || '',
+            roles: user.roles || ['guest'],
+            emailVerified: Boolean(user.emailVerified)
+        };
+    }
+}
+
+/**
+ * REST adapter for when accounts move to a server, which then does the password hashing and
+ * sends the account emails. Expects POST /auth/register, /auth/login, /auth/roles, /auth/logout,
+ * /auth/verify-email(/request) and /auth/password-reset(/request, /check).
+ */
+class RestAuthAdapter {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body || {})
+        });
+
+        if (response.status === 401) {
+            throw AuthService.createError('Invalid email or password', 'invalid_credentials');
+        }
+        if (response.status === 409) {
+            throw AuthService.createError('Email address is already registered', 'email_taken');
+        }
+        if (response.status === 410) {
+            throw LocalAuthAdapter.invalidTokenError();
+        }
+        if (!response.ok) {
+            const error = new Error(`Auth request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    register(details) {
+        return this.request('/auth/register', details);
+    }
+
+    authenticate(email, password) {
+        return this.request('/auth/login', { email, password });
+    }
+
+    grantRole(email, role) {
+        return this.request('/auth/roles', { email, role });
+    }
+
+    async requestEmailVerification(email) {
+        await this.request('/auth/verify-email/request', { email });
+    }
+
+    verifyEmail(token) {
+        return this.request('/auth/verify-email', { token });
+    }
+
+    async requestPasswordReset(email) {
+        await this.request('/auth/password-reset/request', { email });
+    }
+
+    checkPasswordResetToken(token) {
+        return this.request('/auth/password-reset/check', { token });
+    }
+
+    resetPassword(token, password) {
+        return this.request('/auth/password-reset', { token, password });
+    }
+
+    async logout(user) {
+        await this.request('/auth/logout', { email: user && user.email });
+    }
+}
+
+class AuthService {
+    /**
+     * @param {object} adapter - Object implementing register(details), authenticate(email, password),
+     *                           grantRole(email, role), logout(user), requestEmailVerification(email),
+     *                           verifyEmail(token), requestPasswordReset(email),
+     *                           checkPasswordResetToken(token) and resetPassword(token, password),
+     *                           each returning a Promise
+     * @param {string} sessionKey - localStorage key for the signed-in session
+     */
+    constructor(adapter = new LocalAuthAdapter(), sessionKey = 'chakabnb_session') {
+        this.adapter = adapter;
+        this.sessionKey = sessionKey;
+        // 'expired' or 'idle' once a session has been ended for either reason
+        this.expiredReason = null;
+        this.syncLegacyKeys();
+    }
+
+    /**
+     * Swap the account adapter (e.g. to RestAuthAdapter)
+     * @param {object} adapter - Adapter with the methods listed on the constructor
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Create an account and sign in to it
+     * @param {object} details - { name, email, phone, password }
+     * @returns {Promise<object>} - The signed-in user { email, name, phone }
+     */
+    async register({ name, email, phone, password }) {
+        const user = await this.adapter.register({
+            name: (name || '').trim(),
+            email: AuthService.normalizeEmail(email),
+            phone: (phone || '').trim(),
+            password
+        });
+        this.startSession(user);
+        return user;
+    }
+
+    /**
+     * @param {string} email - Account email
+     * @param {string} password - Account password
+     * @param {object} options - { remember } keeps the session for 30 days instead of one, idle or not
+     * @returns {Promise<object>} - The signed-in user { email, name, phone }
+     */
+    async login(email, password, { remember = false } = {}) {
+        const user = await this.adapter.authenticate(AuthService.normalizeEmail(email), password);
+        this.startSession(user, { remember });
+        return user;
+    }
+
+    /**
+     * Give the signed-in user a role (e.g. 'host' once they submit a listing). 'admin' can't be
+     * taken this way; it is granted through the adapter (the API, or LocalAuthAdapter.grantRole).
+     * @param {string} role - One of SELF_SERVICE_ROLES
+     * @returns {Promise<object>} - The updated user
+     */
+    async grantRole(role) {
+        if (!USER_ROLES.includes(role)) {
+            throw new Error(`Unknown user role: ${role}`);
+        }
+        if (!SELF_SERVICE_ROLES.includes(role)) {
+            throw AuthService.createError('Only ChakaBNB staff can give this role.', 'forbidden_role');
+        }
+
+        const session = this.readSession();
+        if (!session || !this.getCurrentUser()) {
+            throw AuthService.createError('Please sign in again.', 'signed_out');
+        }
+        if (this.hasRole(role)) return session.user;
+
+        const user = await this.adapter.grantRole(session.user.email, role);
+        this.writeSession({ ...session, user: { ...session.user, roles: user.roles } });
+        return this.getCurrentUser();
+    }
+
+    /**
+     * @param {string} role - One of USER_ROLES
+     * @returns {boolean} - True if the signed-in user has the role
+     */
+    hasRole(role) {
+        const user = this.getCurrentUser();
+        return Boolean(user) && (user.roles || ['guest']).includes(role);
+    }
+
+    /**
+     * Email a password reset link. Resolves the same way whether or not the account exists.
+     * @param {string} email - Account email
+     * @returns {Promise<void>}
+     */
+    async requestPasswordReset(email) {
+        await this.adapter.requestPasswordReset(AuthService.normalizeEmail(email));
+    }
+
+    /**
+     * Check a reset link before asking for the new password; the token is not used up
+     * @param {string} token - Token from the link
+     * @returns {Promise<object>} - { email } for a valid token; rejects with code 'invalid_token'
+     */
+    checkPasswordResetToken(token) {
+        return this.adapter.checkPasswordResetToken(token);
+    }
+
+    /**
+     * @param {string} token - Token from the reset link; it can only be used once
+     * @param {string} password - New password
+     * @returns {Promise<object>} - The account's user
+     */
+    resetPassword(token, password) {
+        return this.adapter.resetPassword(token, password);
+    }
+
+    /**
+     * Send the signed-in user a new verification link
+     * @returns {Promise<void>}
+     */
+    async requestEmailVerification() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            throw AuthService.createError('Please sign in again.', 'signed_out');
+        }
+        await this.adapter.requestEmailVerification(user.email);
+    }
+
+    /**
+     * @param {string} token - Token from the verification link; it can only be used once
+     * @returns {Promise<object>} - The verified user
+     */
+    async verifyEmail(token) {
+        const user = await this.adapter.verifyEmail(token);
+        const session = this.readSession();
+        if (session && this.getCurrentUser() && session.user.email === user.email) {
+            this.writeSession({ ...session, user: { ...session.user, emailVerified: true } });
+        }
+        return user;
+    }
+
+    /**
+     * End the session on this device, then tell the adapter
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const session = this.readSession();
+        this.clearSession();
+        try {
+            await this.adapter.logout(session && session.user);
+        } catch (error) {
+            // The local session is already gone; a failed server call shouldn't keep anyone signed in
+        }
+    }
+
+    /**
+     * @returns {object|null} - The signed-in user { email, name, phone, roles, emailVerified }, or null
+     *                          when signed out or the session has expired or gone idle
+     */
+    getCurrentUser() {
+        const session = this.readSession();
+        if (!session) return null;
+
+        const reason = AuthService.getExpiryReason(session);
+        if (reason) {
+            this.expiredReason = reason;
+            this.clearSession();
+            return null;
+        }
+
+        return session.user;
+    }
+
+    /**
+     * Record activity so the session doesn't go idle; shared by every open tab. "Remember me"
+     * sessions never go idle, so there is nothing to record for them.
+     */
+    touch() {
+        const session = this.readSession();
+        if (!session || session.remember || !this.getCurrentUser()) return;
+
+        if (Date.now() - Date.parse(session.lastActiveAt) >= SESSION_ACTIVITY_WRITE_INTERVAL_MS) {
+            this.writeSession({ ...session, lastActiveAt: new Date().toISOString() });
+        }
+    }
+
+    isLoggedIn() {
+        return Boolean(this.getCurrentUser());
+    }
+
+    readSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.sessionKey) || 'null');
+            return session && session.user && session.user.email ? session : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    writeSession(session) {
+        localStorage.setItem(this.sessionKey, JSON.stringify(session));
+    }
+
+    /**
+     * @param {object} user - Account signing in
+     * @param {object} options - { remember } for a 30-day session that doesn't end when idle
+     */
+    startSession(user, { remember = false } = {}) {
+        const now = new Date();
+        const maxAge = remember ? REMEMBERED_SESSION_MAX_AGE_MS : SESSION_MAX_AGE_MS;
+        this.writeSession({
+            // Random id that CSRF form tokens are bound to (SecurityManager.getCsrfSessionId)
+            id: window.SecurityManager.generateCSRFToken(),
+            user: {
+                email: user.email,
+                name: user.name || user.email.split('@')[0],
+                phone: user.phone || '',
+                roles: user.roles || ['guest'],
+                emailVerified: Boolean(user.emailVerified)
+            },
+            remember,
+            createdAt: now.toISOString(),
+            lastActiveAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + maxAge).toISOString()
+        });
+        this.expiredReason = null;
+        this.syncLegacyKeys();
+    }
+
+    clearSession() {
+        localStorage.removeItem(this.sessionKey);
+        LEGACY_AUTH_KEYS.forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Mirror the session into the older auth keys, or clear them when nobody is signed in
+     */
+    syncLegacyKeys() {
+        const session = this.readSession();
+        const user = this.getCurrentUser();
+        if (!user) {
+            LEGACY_AUTH_KEYS.forEach(key => localStorage.removeItem(key));
+            return;
+        }
+
+        localStorage.setItem('isLoggedIn', 'true');
+        localStorage.setItem('userEmail', user.email);
+        localStorage.setItem('userName', user.name);
+        localStorage.setItem('userPhone', user.phone);
+        localStorage.setItem('loginTime', session.createdAt);
+    }
+
+    /**
+     * Show the signed-in user and a sign-out link in the desktop and mobile navigation
+     */
+    updateNavigation() {
+        const user = this.getCurrentUser();
+        const userStatus = document.getElementById('user-status');
+        const userNameDisplay = document.getElementById('user-name-display');
+        const loginLink = document.getElementById('login-link');
+        const mobileUserStatus = document.getElementById('mobile-user-status');
+        const mobileUserName = document.getElementById('mobile-user-name');
+        const mobileLoginSection = document.getElementById('mobile-login-section');
+        const mobileLogoutSection = document.getElementById('mobile-logout-section');
+        const mobileLogout = document.getElementById('mobile-logout');
+
+        const signOut = event => {
+            event.preventDefault();
+            this.logout().then(() => window.location.reload());
+        };
+
+        if (user) {
+            if (userStatus) userStatus.classList.remove('hidden');
+            if (userNameDisplay) {
+                userNameDisplay.textContent = `Welcome, ${user.name}`;
+                userNameDisplay.className = 'text-sm text-green-600 font-medium';
+            }
+            if (loginLink) {
+                loginLink.textContent = 'Sign out';
+                loginLink.href = '#';
+                loginLink.onclick = signOut;
+            }
+
+            if (mobileUserStatus) mobileUserStatus.classList.remove('hidden');
+            if (mobileUserName) mobileUserName.textContent = user.name;
+            if (mobileLoginSection) mobileLoginSection.classList.add('hidden');
+            if (mobileLogoutSection) mobileLogoutSection.classList.remove('hidden');
+            if (mobileLogout) mobileLogout.onclick = signOut;
+        } else {
+            if (userStatus) userStatus.classList.add('hidden');
+            if (loginLink) {
+                loginLink.textContent = 'Sign in';
+                loginLink.href = 'login.html';
+                loginLink.onclick = null;
+            }
+
+            if (mobileUserStatus) mobileUserStatus.classList.add('hidden');
+            if (mobileLoginSection) mobileLoginSection.classList.remove('hidden');
+            if (mobileLogoutSection) mobileLogoutSection.classList.add('hidden');
+        }
+    }
+
+    /**
+     * @param {object} session - Stored session
+     * @returns {string|null} - 'expired' past its maximum age, 'idle' after SESSION_IDLE_TIMEOUT_MS
+     *                          without activity (never for "Remember me" sessions), otherwise null
+     */
+    static getExpiryReason(session) {
+        const now = Date.now();
+        if (now >= Date.parse(session.expiresAt)) return 'expired';
+        if (session.remember) return null;
+        if (now - Date.parse(session.lastActiveAt || session.createdAt) >= SESSION_IDLE_TIMEOUT_MS) return 'idle';
+        return null;
+    }
+
+    static normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    /**
+     * @param {string} message - Shown to the user by ErrorHandler.handleAuthError
+     * @param {string} code - 'invalid_credentials', 'email_taken', 'unknown_user', 'signed_out' or 'invalid_token'
+     * @returns {Error}
+     */
+    static createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+// Global auth service instance
+window.authService = new AuthService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthService, LocalAuthAdapter, RestAuthAdapter };
+}
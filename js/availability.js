@@ -0,0 +1,247 @@
+/**
+ * ChakaBNB Availability
+ * Per-property blocked and booked date ranges with overlap checks
+ *
+ * Dates are ISO 'YYYY-MM-DD' strings. Ranges are half-open: a range from
+ * 2024-03-01 to 2024-03-04 covers the nights of the 1st, 2nd and 3rd, so a
+ * new stay may check in on the 4th.
+ */
+
+// Booking statuses that no longer hold their dates
+const RELEASED_BOOKING_STATUSES = ['declined', 'cancelled_by_guest', 'cancelled_by_host'];
+
+class AvailabilityManager {
+    constructor(storageKey = 'chakabnb_availability', bookingsKey = 'chakabnb_bookings') {
+        this.storageKey = storageKey;
+        this.bookingsKey = bookingsKey;
+    }
+
+    /**
+     * Read all host-blocked ranges, keyed by property id. Ranges imported from another
+     * site's calendar also carry the imported calendar's id as `source`, and the event's `uid`.
+     * @returns {object} - { [propertyId]: Array<{ id, start, end, reason, source?, uid? }> }
+     */
+    readBlocks() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeBlocks(blocks) {
+        localStorage.setItem(this.storageKey, JSON.stringify(blocks));
+    }
+
+    readBookings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.bookingsKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Get host-blocked ranges for a property
+     * @param {string|number} propertyId - Listing id
+     * @returns {Array} - Blocked ranges
+     */
+    getBlockedRanges(propertyId) {
+        return (this.readBlocks()[String(propertyId)] || []).map(range => ({ ...range, type: 'blocked' }));
+    }
+
+    /**
+     * Block a date range so it cannot be booked
+     * @param {string|number} propertyId - Listing id
+     * @param {string} start - First blocked night (YYYY-MM-DD)
+     * @param {string} end - Day after the last blocked night (YYYY-MM-DD)
+     * @param {string} reason - Optional note shown to the host
+     * @returns {object} - The stored range
+     */
+    blockDates(propertyId, start, end, reason = '') {
+        if (!AvailabilityManager.isValidRange(start, end)) {
+            throw new Error('End date must be after start date');
+        }
+
+        const blocks = this.readBlocks();
+        const key = String(propertyId);
+        const range = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, start, end, reason };
+
+        blocks[key] = [...(blocks[key] || []), range];
+        this.writeBlocks(blocks);
+        return range;
+    }
+
+    /**
+     * Remove a blocked range
+     * @param {string|number} propertyId - Listing id
+     * @param {string} rangeId - Id returned by blockDates()
+     */
+    unblockDates(propertyId, rangeId) {
+        const blocks = this.readBlocks();
+        const key = String(propertyId);
+        blocks[key] = (blocks[key] || []).filter(range => range.id !== rangeId);
+        this.writeBlocks(blocks);
+    }
+
+    /**
+     * Replace the ranges blocked by one imported calendar (see ical-sync.js)
+     * @param {string|number} propertyId - Listing id
+     * @param {string} source - Imported calendar id
+     * @param {Array} ranges - { start, end, reason, uid }; invalid ranges are skipped
+     * @returns {Array} - The stored ranges
+     */
+    replaceImportedBlocks(propertyId, source, ranges) {
+        const blocks = this.readBlocks();
+        const key = String(propertyId);
+        const imported = ranges
+            .filter(range => AvailabilityManager.isValidRange(range.start, range.end))
+            .map((range, index) => ({
+                id: `${source}-${index}`,
+                start: range.start,
+                end: range.end,
+                reason: range.reason || '',
+                uid: range.uid || null,
+                source
+            }));
+
+        blocks[key] = [...(blocks[key] || []).filter(range => range.source !== source), ...imported];
+        this.writeBlocks(blocks);
+        return imported;
+    }
+
+    /**
+     * Get date ranges held by bookings for a property
+     * @param {string|number} propertyId - Listing id
+     * @param {object} options - { excludeBookingId } to ignore a booking being modified
+     * @returns {Array} - Booked ranges
+     */
+    getBookedRanges(propertyId, options = {}) {
+        return this.readBookings()
+            .filter(booking => String(booking.propertyId) === String(propertyId))
+            .filter(booking => !RELEASED_BOOKING_STATUSES.includes(booking.status))
+            // An unpaid booking whose payment failed doesn't hold the dates; they're checked again on retry
+            .filter(booking => !(booking.payment && booking.payment.status === 'failed'))
+            .filter(booking => options.excludeBookingId == null || String(booking.id) !== String(options.excludeBookingId))
+            .filter(booking => AvailabilityManager.isValidRange(booking.checkIn, booking.checkOut))
+            .map(booking => ({
+                id: booking.id,
+                start: booking.checkIn,
+                end: booking.checkOut,
+                type: 'booked'
+            }));
+    }
+
+    /**
+     * Get every blocked and booked range for a property
+     * @param {string|number} propertyId - Listing id
+     * @param {object} options - Passed to getBookedRanges()
+     * @returns {Array} - Ranges sorted by start date
+     */
+    getUnavailableRanges(propertyId, options = {}) {
+        return [...this.getBlockedRanges(propertyId), ...this.getBookedRanges(propertyId, options)]
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Check whether a stay can be booked
+     * @param {string|number} propertyId - Listing id
+     * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+     * @param {string} checkOut - Check-out date (YYYY-MM-DD)
+     * @param {object} options - { excludeBookingId }
+     * @returns {object} - { available, message, conflicts }
+     */
+    checkAvailability(propertyId, checkIn, checkOut, options = {}) {
+        if (!AvailabilityManager.isValidRange(checkIn, checkOut)) {
+            return { available: false, message: 'Please select valid dates. Check-out must be after check-in.', conflicts: [] };
+        }
+
+        if (checkIn < AvailabilityManager.today()) {
+            return { available: false, message: 'Check-in date cannot be in the past.', conflicts: [] };
+        }
+
+        const conflicts = this.getUnavailableRanges(propertyId, options)
+            .filter(range => AvailabilityManager.rangesOverlap(checkIn, checkOut, range.start, range.end));
+
+        return {
+            available: conflicts.length === 0,
+            message: conflicts.length ? 'Some of the selected nights are not available. Please choose different dates.' : '',
+            conflicts
+        };
+    }
+
+    /**
+     * @returns {boolean} - True if the stay does not overlap any unavailable range
+     */
+    isAvailable(propertyId, checkIn, checkOut, options = {}) {
+        return this.checkAvailability(propertyId, checkIn, checkOut, options).available;
+    }
+
+    /**
+     * List unavailable nights in a window, for rendering calendars
+     * @param {string|number} propertyId - Listing id
+     * @param {string} from - First date to include (YYYY-MM-DD)
+     * @param {string} to - Day after the last date to include (YYYY-MM-DD)
+     * @param {object} options - Passed to getUnavailableRanges()
+     * @returns {Set<string>} - Unavailable nights
+     */
+    getUnavailableNights(propertyId, from, to, options = {}) {
+        const nights = new Set();
+
+        this.getUnavailableRanges(propertyId, options).forEach(range => {
+            let night = range.start > from ? range.start : from;
+            const end = range.end < to ? range.end : to;
+            while (night < end) {
+                nights.add(night);
+                night = AvailabilityManager.addDays(night, 1);
+            }
+        });
+
+        return nights;
+    }
+
+    /**
+     * @returns {boolean} - True if [aStart, aEnd) and [bStart, bEnd) share a night
+     */
+    static rangesOverlap(aStart, aEnd, bStart, bEnd) {
+        return aStart < bEnd && bStart < aEnd;
+    }
+
+    static isValidRange(start, end) {
+        const pattern = /^\d{4}-\d{2}-\d{2}$/;
+        return pattern.test(start || '') && pattern.test(end || '') && start < end;
+    }
+
+    /**
+     * Format a Date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string}
+     */
+    static toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static today() {
+        return AvailabilityManager.toISODate(new Date());
+    }
+
+    /**
+     * @param {string} isoDate - Date (YYYY-MM-DD)
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} - Shifted date (YYYY-MM-DD)
+     */
+    static addDays(isoDate, days) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return AvailabilityManager.toISODate(new Date(year, month - 1, day + days));
+    }
+}
+
+// Global availability manager instance
+window.availabilityManager = new AvailabilityManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvailabilityManager;
+}
@@ -0,0 +1,397 @@
+/**
+ * ChakaBNB Booking Documents
+ * Booking reference codes, receipts (on screen and as PDF) and calendar files for stays
+ *
+ * Prices are quoted in KES with VAT included, so receipts work the VAT back out of the
+ * total. The PDF is written directly (one A4 page in the built-in Helvetica font) and the
+ * calendar file follows RFC 5545, so neither needs a library.
+ */
+
+// Kenyan VAT, included in every quoted price
+const VAT_RATE = 0.16;
+
+// Start of every booking reference code, e.g. CBNB-LZ4K2Q1C
+const BOOKING_REFERENCE_PREFIX = 'CBNB';
+
+// Business details printed on receipts
+const RECEIPT_ISSUER = {
+    name: 'ChakaBNB',
+    address: 'Chaka Town, Nyeri County, Kenya'
+};
+
+// A4 in PDF points, and the left and right margins
+const PDF_PAGE = { width: 595, height: 842, left: 50, right: 545 };
+
+// Helvetica glyph widths (per 1000 units of font size) for right-aligning amounts; other
+// characters use PDF_DEFAULT_GLYPH_WIDTH
+const PDF_GLYPH_WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, '(': 333, ')': 333, '%': 889, K: 667, E: 667, S: 667 };
+const PDF_DEFAULT_GLYPH_WIDTH = 556;
+
+// Calendar status for each booking state
+const CALENDAR_EVENT_STATUSES = {
+    awaiting_payment: 'TENTATIVE',
+    requested: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    checked_in: 'CONFIRMED',
+    completed: 'CONFIRMED'
+};
+
+class BookingDocuments {
+    /**
+     * @param {object} booking - Booking
+     * @returns {string} - Reference code the guest quotes to us and the host
+     */
+    getReference(booking) {
+        const id = Number(booking.id);
+        const code = Number.isFinite(id) ? id.toString(36) : String(booking.id);
+        return `${BOOKING_REFERENCE_PREFIX}-${code.toUpperCase().padStart(8, '0')}`;
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {string} - Relative URL of the booking's confirmation page
+     */
+    getConfirmationUrl(booking) {
+        return `booking-confirmation.html?id=${encodeURIComponent(booking.id)}`;
+    }
+
+    /**
+     * Everything a receipt shows. Amounts are in KES.
+     * @param {object} booking - Booking
+     * @returns {object} - { reference, lines: [{ label, amount }], total, vat, net, paid,
+     *     refunded, balance, payments: [{ date, description, amount }] }
+     */
+    getReceipt(booking) {
+        const total = Number(booking.total) || 0;
+        const vat = BookingDocuments.round(total * VAT_RATE / (1 + VAT_RATE));
+        const records = booking.payments || [];
+
+        const lines = booking.quote && booking.quote.lineItems
+            ? booking.quote.lineItems.map(item => ({
+                label: item.unitAmount != null
+                    ? `${BookingDocuments.formatKes(item.unitAmount)} x ${item.quantity} ${item.label}`
+                    : item.label,
+                amount: item.amount
+            }))
+            : [{ label: `Stay (${booking.nights} night${booking.nights === 1 ? '' : 's'})`, amount: total }];
+
+        const refunded = records
+            .filter(record => record.type === 'refund' && record.status !== 'failed')
+            .reduce((sum, record) => sum + record.amount, 0);
+        const paid = bookingManager.getAmountPaid(booking) + refunded;
+        const released = RELEASED_BOOKING_STATUSES.includes(booking.status);
+
+        return {
+            reference: this.getReference(booking),
+            lines,
+            total,
+            vat,
+            net: BookingDocuments.round(total - vat),
+            paid,
+            refunded,
+            // Nothing more is collected once a booking is cancelled or declined
+            balance: released ? 0 : Math.max(0, total - paid),
+            payments: records
+                .filter(record => record.status !== 'failed')
+                .map(record => ({
+                    date: record.createdAt,
+                    description: BookingDocuments.describePaymentRecord(record),
+                    amount: record.type === 'refund' ? -record.amount : record.amount
+                }))
+        };
+    }
+
+    /**
+     * One-page PDF receipt with the itemized stay, VAT and payments
+     * @param {object} booking - Booking
+     * @param {object|null} property - Listing the booking is for
+     * @returns {Blob} - application/pdf
+     */
+    createReceiptPdf(booking, property) {
+        const receipt = this.getReceipt(booking);
+        const { left, right } = PDF_PAGE;
+        const items = [];
+        const text = (value, x, y, options = {}) => {
+            if (value !== '') items.push({ text: String(value), x, y, size: 10, ...options });
+        };
+        const amount = (value, y, options = {}) => text(BookingDocuments.formatKes(value), right, y, { align: 'right', ...options });
+
+        text(RECEIPT_ISSUER.name, left, 790, { size: 20, bold: true });
+        text(RECEIPT_ISSUER.address, left, 772);
+        text('Receipt', right, 790, { size: 16, bold: true, align: 'right' });
+        text(`Reference ${receipt.reference}`, right, 772, { align: 'right' });
+        text(`Issued ${BookingDocuments.formatDate(new Date().toISOString().slice(0, 10))}`, right, 758, { align: 'right' });
+
+        let y = 715;
+        text('Billed to', left, y, { bold: true, size: 11 });
+        text('Stay', 300, y, { bold: true, size: 11 });
+        [
+            [[booking.firstName, booking.lastName].filter(Boolean).join(' ') || 'Guest', (property ? property.title : booking.propertyTitle) || ''],
+            [booking.email || '', `Check-in: ${BookingDocuments.formatDate(booking.checkIn)}`],
+            [booking.phone || '', `Check-out: ${BookingDocuments.formatDate(booking.checkOut)}`],
+            ['', `${booking.nights} night${booking.nights === 1 ? '' : 's'}, ${booking.guests} guest${booking.guests === 1 ? '' : 's'}`]
+        ].forEach(([guest, stay]) => {
+            y -= 15;
+            text(BookingDocuments.truncate(guest, 42), left, y);
+            text(BookingDocuments.truncate(stay, 45), 300, y);
+        });
+
+        y -= 40;
+        text('Description', left, y, { bold: true });
+        text('Amount', right, y, { bold: true, align: 'right' });
+        items.push({ rule: y - 6 });
+        y -= 8;
+        receipt.lines.forEach(line => {
+            y -= 17;
+            text(BookingDocuments.truncate(line.label, 70), left, y);
+            amount(line.amount, y);
+        });
+        items.push({ rule: y - 8 });
+
+        y -= 8;
+        [
+            ['Total excluding VAT', receipt.net],
+            [`VAT (${Math.round(VAT_RATE * 100)}%)`, receipt.vat]
+        ].forEach(([label, value]) => {
+            y -= 17;
+            text(label, 330, y);
+            amount(value, y);
+        });
+        y -= 20;
+        text('Total', 330, y, { bold: true, size: 12 });
+        amount(receipt.total, y, { bold: true, size: 12 });
+
+        y -= 24;
+        text('Paid', 330, y);
+        amount(receipt.paid, y);
+        if (receipt.refunded) {
+            y -= 17;
+            text('Refunded', 330, y);
+            amount(-receipt.refunded, y);
+        }
+        y -= 17;
+        text('Balance due', 330, y, { bold: true });
+        amount(receipt.balance, y, { bold: true });
+
+        if (receipt.payments.length) {
+            y -= 40;
+            text('Payments', left, y, { bold: true, size: 11 });
+            receipt.payments.forEach(payment => {
+                y -= 15;
+                text(BookingDocuments.formatDate((payment.date || '').slice(0, 10)), left, y);
+                text(BookingDocuments.truncate(payment.description, 55), 150, y);
+                amount(payment.amount, y);
+            });
+        }
+
+        text(`All amounts are in Kenya shillings (KES) and include VAT at ${Math.round(VAT_RATE * 100)}%.`, left, 60, { size: 9 });
+        text(`Keep this receipt for your records. Questions? Quote reference ${receipt.reference}.`, left, 47, { size: 9 });
+
+        return new Blob([BookingDocuments.buildPdf(items)], { type: 'application/pdf' });
+    }
+
+    /**
+     * Calendar file with the stay as one all-day event and a reminder the day before
+     * @param {object} booking - Booking
+     * @param {object|null} property - Listing the booking is for
+     * @returns {string} - text/calendar
+     */
+    createCalendarFile(booking, property) {
+        const reference = this.getReference(booking);
+        const title = (property ? property.title : booking.propertyTitle) || 'ChakaBNB stay';
+        const location = property ? [property.location.address, property.location.area, property.location.city].filter(Boolean).join(', ') : '';
+        const url = new URL(this.getConfirmationUrl(booking), window.location.href).href;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//ChakaBNB//Bookings//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${reference}@chakabnb`,
+            `DTSTAMP:${BookingDocuments.formatIcsTimestamp(new Date())}`,
+            `DTSTART;VALUE=DATE:${BookingDocuments.formatIcsDate(booking.checkIn)}`,
+            // All-day events end the day before DTEND, so this keeps check-out day in the event
+            `DTEND;VALUE=DATE:${BookingDocuments.formatIcsDate(booking.checkOut, 1)}`,
+            `SUMMARY:${BookingDocuments.escapeIcsText(`Stay at ${title}`)}`,
+            location ? `LOCATION:${BookingDocuments.escapeIcsText(location)}` : null,
+            `DESCRIPTION:${BookingDocuments.escapeIcsText([
+                `Booking reference ${reference}`,
+                `Check-in ${BookingDocuments.formatDate(booking.checkIn)}, check-out ${BookingDocuments.formatDate(booking.checkOut)}`,
+                `${booking.guests} guest${booking.guests === 1 ? '' : 's'}`,
+                url
+            ].join('\n'))}`,
+            `URL:${url}`,
+            `STATUS:${CALENDAR_EVENT_STATUSES[booking.status] || 'CANCELLED'}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'TRIGGER:-P1D',
+            `DESCRIPTION:${BookingDocuments.escapeIcsText(`Check-in tomorrow at ${title}`)}`,
+            'END:VALARM',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+
+        return lines.filter(Boolean).map(BookingDocuments.foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Save generated content as a file
+     * @param {Blob|string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type, for string content
+     */
+    download(content, filename, type = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Write a one-page PDF
+     * @param {Array} items - { text, x, y, size, bold, align ('left' or 'right') } to write text,
+     *     or { rule: y } for a line across the page
+     * @returns {string} - PDF file content (ASCII only)
+     */
+    static buildPdf(items) {
+        const content = items.map(item => {
+            if (item.rule != null) {
+                return `0.8 G 0.5 w ${PDF_PAGE.left} ${item.rule} m ${PDF_PAGE.right} ${item.rule} l S`;
+            }
+            const text = BookingDocuments.toPdfText(item.text);
+            const x = item.align === 'right' ? item.x - BookingDocuments.measurePdfText(text, item.size) : item.x;
+            return `BT /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${x.toFixed(2)} ${item.y} Td (${text.replace(/[\\()]/g, '\\$&')}) Tj ET`;
+        }).join('\n');
+
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+        ];
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    /**
+     * Only ASCII is written, which keeps stream lengths equal to string lengths: accents are
+     * dropped, dashes and quotes simplified and anything else replaced
+     * @param {string} text - Any text
+     * @returns {string} - Printable ASCII
+     */
+    static toPdfText(text) {
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\u2013\u2014]/g, '-')
+            .replace(/[\u2018\u2019]/g, '\'')
+            .replace(/[\u201c\u201d]/g, '"')
+            .replace(/[^\x20-\x7e]/g, '?');
+    }
+
+    static measurePdfText(text, size) {
+        return [...text].reduce((width, char) => width + (PDF_GLYPH_WIDTHS[char] || PDF_DEFAULT_GLYPH_WIDTH), 0) * size / 1000;
+    }
+
+    /**
+     * @param {string} isoDate - Date (YYYY-MM-DD)
+     * @param {number} addDays - Days to add
+     * @returns {string} - YYYYMMDD
+     */
+    static formatIcsDate(isoDate, addDays = 0) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + addDays)).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * @param {Date} date - Moment in time
+     * @returns {string} - UTC timestamp, e.g. 20240301T120000Z
+     */
+    static formatIcsTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static escapeIcsText(text) {
+        return String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Lines longer than 75 octets continue on the next line after a space
+     * @param {string} line - Content line
+     * @returns {string}
+     */
+    static foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+
+        for (const char of line) {
+            const limit = parts.length ? 74 : 75;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    static describePaymentRecord(record) {
+        const method = record.method === 'mpesa' ? 'M-Pesa' : record.card ? `${record.card.brand} ending ${record.card.last4}` : 'Card';
+        const kind = record.type === 'refund' ? 'Refund' : record.kind === 'deposit' ? 'Deposit' : record.kind === 'balance' ? 'Balance' : 'Payment';
+        const reference = record.transactionId ? ` (${record.transactionId})` : '';
+        return `${kind}, ${method}${reference}${record.status === 'pending' ? ', pending' : ''}`;
+    }
+
+    /**
+     * @param {number} amount - Amount in KES
+     * @returns {string} - e.g. 'KES 12,500.00'
+     */
+    static formatKes(amount) {
+        const formatted = Math.abs(amount).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${amount < 0 ? '-' : ''}KES ${formatted}`;
+    }
+
+    static formatDate(isoDate) {
+        if (!isoDate) return '-';
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+    }
+
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+// Global booking documents instance
+window.bookingDocuments = new BookingDocuments();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingDocuments;
+}
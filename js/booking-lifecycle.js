@@ -0,0 +1,289 @@
+/**
+ * ChakaBNB Booking Lifecycle
+ * Booking states, the transitions allowed between them and the timers that move bookings on
+ *
+ * Card and M-Pesa bookings start out awaiting payment; once paid they become a request for
+ * the host, or are confirmed straight away on instant-book listings. Bank transfer bookings
+ * skip the payment step. Confirmed stays are checked in by the host on arrival and complete
+ * after check-out. Requests the host hasn't answered in time, and bookings that were never
+ * paid, are declined by runTimers(), which also completes stays whose dates have passed.
+ */
+
+// Hours a host has to answer a request before it is declined
+const REQUEST_EXPIRY_HOURS = 24;
+
+// Minutes a booking can wait for its payment before it is declined
+const PAYMENT_EXPIRY_MINUTES = 30;
+
+// How often open pages run the timers
+const BOOKING_TIMER_INTERVAL_MS = 60 * 1000;
+
+// Badge text for guests and hosts, and badge colours, per state
+const BOOKING_STATES = {
+    awaiting_payment: { guest: 'Awaiting payment', host: 'Awaiting payment', className: 'bg-yellow-100 text-yellow-800' },
+    requested: { guest: 'Awaiting host', host: 'Request', className: 'bg-yellow-100 text-yellow-800' },
+    confirmed: { guest: 'Confirmed', host: 'Accepted', className: 'bg-green-100 text-green-800' },
+    declined: { guest: 'Declined', host: 'Declined', className: 'bg-red-100 text-red-800' },
+    cancelled_by_guest: { guest: 'Cancelled', host: 'Cancelled by guest', className: 'bg-red-100 text-red-800' },
+    cancelled_by_host: { guest: 'Cancelled by host', host: 'Cancelled', className: 'bg-red-100 text-red-800' },
+    checked_in: { guest: 'Checked in', host: 'Checked in', className: 'bg-blue-100 text-blue-800' },
+    completed: { guest: 'Completed', host: 'Completed', className: 'bg-gray-100 text-gray-800' }
+};
+
+// Allowed transitions: state -> next state -> who may make the change
+const BOOKING_TRANSITIONS = {
+    awaiting_payment: { requested: ['system'], confirmed: ['system'], declined: ['system'], cancelled_by_guest: ['guest'] },
+    requested: { confirmed: ['host'], declined: ['host', 'system'], cancelled_by_guest: ['guest'] },
+    confirmed: { checked_in: ['host', 'system'], cancelled_by_guest: ['guest'], cancelled_by_host: ['host'] },
+    checked_in: { completed: ['host', 'system'] }
+};
+
+// Field stamped with the time a booking enters each state
+const BOOKING_STATE_TIMESTAMPS = {
+    requested: 'requestedAt',
+    confirmed: 'confirmedAt',
+    declined: 'declinedAt',
+    cancelled_by_guest: 'cancelledAt',
+    cancelled_by_host: 'cancelledAt',
+    checked_in: 'checkedInAt',
+    completed: 'completedAt'
+};
+
+// Host actions per state, as [label, next state, button classes]
+const HOST_BOOKING_ACTIONS = {
+    requested: [
+        ['Accept', 'confirmed', 'bg-[#4CAF50] text-white hover:bg-[#45a049]'],
+        ['Decline', 'declined', 'border border-red-600 text-red-600 hover:bg-red-600 hover:text-white']
+    ],
+    confirmed: [
+        ['Check in', 'checked_in', 'bg-[#003B95] text-white hover:bg-[#002b70]'],
+        ['Cancel', 'cancelled_by_host', 'border border-red-600 text-red-600 hover:bg-red-600 hover:text-white']
+    ],
+    checked_in: [
+        ['Complete', 'completed', 'bg-[#003B95] text-white hover:bg-[#002b70]']
+    ]
+};
+
+class BookingLifecycle {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * State a new booking starts in
+     * @param {object} details - Booking details; `payment` is set when paying by card or M-Pesa
+     * @returns {string}
+     */
+    getInitialState(details) {
+        if (details.payment && details.payment.status === 'pending') return 'awaiting_payment';
+        return details.instantBook ? 'confirmed' : 'requested';
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @param {string} to - Next state
+     * @param {string} actor - 'guest', 'host' or 'system'
+     * @returns {boolean}
+     */
+    canTransition(booking, to, actor) {
+        const allowed = (BOOKING_TRANSITIONS[booking.status] || {})[to] || [];
+        return allowed.includes(actor);
+    }
+
+    /**
+     * Move a booking to a new state, recording the change in its history
+     * @param {string|number} bookingId - Booking id
+     * @param {string} to - Next state
+     * @param {object} options - { actor ('guest', 'host' or 'system'), reason, changes } where
+     *     changes are saved along with the new state
+     * @returns {object} - { success, message, booking }
+     */
+    transition(bookingId, to, { actor, reason = null, changes = {} } = {}) {
+        if (!BOOKING_STATES[to]) {
+            throw new Error(`Unknown booking state: ${to}`);
+        }
+
+        const booking = bookingManager.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that booking.' };
+        }
+        if (!this.canTransition(booking, to, actor)) {
+            const role = actor === 'host' ? 'host' : 'guest';
+            return {
+                success: false,
+                message: `This booking is ${this.describe(booking, role).label.toLowerCase()} and can't be changed to ${BOOKING_STATES[to][role].toLowerCase()}.`,
+                booking
+            };
+        }
+
+        const now = new Date().toISOString();
+        const updated = bookingManager.saveBooking({
+            ...booking,
+            ...changes,
+            status: to,
+            [BOOKING_STATE_TIMESTAMPS[to]]: now,
+            history: [...(booking.history || []), { from: booking.status, to, actor, reason, at: now }]
+        });
+
+        return { success: true, message: '', booking: updated };
+    }
+
+    /**
+     * Decline or cancel a booking and pay back what the guest is owed. The refund is saved with
+     * the new state before any money moves, so one that can't be sent is retried by runTimers().
+     * @param {string|number} bookingId - Booking id
+     * @param {string} to - 'declined', 'cancelled_by_guest' or 'cancelled_by_host'
+     * @param {object} options - transition() options, plus refund: { percent, amount, policy }
+     *     (null when nothing is owed)
+     * @returns {Promise<object>} - transition() result, with the refund issued on the booking
+     */
+    async release(bookingId, to, { actor, reason = null, refund = null } = {}) {
+        const changes = refund ? { refund: { ...refund, status: 'pending' } } : {};
+        const result = this.transition(bookingId, to, { actor, reason, changes });
+        if (!result.success || !refund) return result;
+
+        return { ...result, booking: await paymentManager.issueRefund(bookingId) };
+    }
+
+    /**
+     * Move a booking on once its payment (or deposit) has arrived
+     * @param {string|number} bookingId - Booking id
+     * @returns {object} - transition() result; unchanged bookings report success: false
+     */
+    paymentReceived(bookingId) {
+        const booking = bookingManager.getBooking(bookingId);
+        if (!booking || booking.status !== 'awaiting_payment') {
+            return { success: false, message: '', booking };
+        }
+        return this.transition(bookingId, booking.instantBook ? 'confirmed' : 'requested', { actor: 'system', reason: 'paid' });
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {number|null} - Time (ms) the booking is declined if nothing happens, or null
+     */
+    getExpiry(booking) {
+        if (booking.status === 'awaiting_payment') {
+            return Date.parse(booking.timestamp) + PAYMENT_EXPIRY_MINUTES * 60 * 1000;
+        }
+        if (booking.status === 'requested') {
+            const answerBy = Date.parse(booking.requestedAt || booking.timestamp) + REQUEST_EXPIRY_HOURS * 60 * 60 * 1000;
+            // A request still open on check-in day has missed the stay
+            const [year, month, day] = (booking.checkIn || '').split('-').map(Number);
+            const checkIn = booking.checkIn ? new Date(year, month - 1, day).getTime() : Infinity;
+            return Math.min(answerBy, checkIn);
+        }
+        return null;
+    }
+
+    /**
+     * Decline expired requests and unpaid bookings (refunding anything paid), check in and
+     * complete stays whose check-out date has passed, and retry refunds that couldn't be sent.
+     * On pages with mpesa.js, M-Pesa payments nobody is waiting for are checked first; a
+     * booking whose prompt still has no answer isn't declined, as the guest may yet pay it.
+     * @returns {Promise<object[]>} - Bookings that changed
+     */
+    async runTimers() {
+        const now = Date.now();
+        const today = AvailabilityManager.today();
+        const changed = [];
+
+        if (window.mpesaService) {
+            const answered = await window.mpesaService.reconcilePending();
+            changed.push(...answered.map(result => result.booking));
+        }
+
+        for (const booking of bookingManager.readBookings()) {
+            const expiry = this.getExpiry(booking);
+            const awaitingMpesa = Boolean(booking.payment && booking.payment.status === 'pending' && booking.payment.checkoutRequestId);
+
+            if (expiry !== null && expiry <= now && !awaitingMpesa) {
+                const reason = booking.status === 'requested' ? 'expired' : 'unpaid';
+                const paid = bookingManager.getAmountCharged(booking);
+                const result = await this.release(booking.id, 'declined', {
+                    actor: 'system',
+                    reason,
+                    refund: paid > 0 ? { percent: 100, amount: paid } : null
+                });
+                if (result.success) changed.push(result.booking);
+            } else if (['confirmed', 'checked_in'].includes(booking.status) && booking.checkOut && booking.checkOut <= today) {
+                if (booking.status === 'confirmed') {
+                    this.transition(booking.id, 'checked_in', { actor: 'system', reason: 'stay_started' });
+                }
+                changed.push(this.transition(booking.id, 'completed', { actor: 'system', reason: 'stay_ended' }).booking);
+            }
+        }
+
+        changed.push(...await paymentManager.retryRefunds(bookingManager.readBookings()));
+        return changed;
+    }
+
+    /**
+     * Run the timers every BOOKING_TIMER_INTERVAL_MS while the page is open. Pages run them
+     * once themselves before their first render.
+     * @param {function} onChange - Called with the changed bookings whenever there are any
+     */
+    startTimers(onChange) {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            this.runTimers()
+                .then(changed => {
+                    if (changed.length && onChange) onChange(changed);
+                })
+                .catch(error => console.error('Booking timers failed:', error));
+        }, BOOKING_TIMER_INTERVAL_MS);
+    }
+
+    /**
+     * Badge for a booking
+     * @param {object} booking - Booking
+     * @param {string} role - 'guest' or 'host'
+     * @returns {object} - { label, className }
+     */
+    describe(booking, role) {
+        const state = BOOKING_STATES[booking.status] || BOOKING_STATES.requested;
+        const lastChange = (booking.history || []).slice(-1)[0];
+
+        if (booking.status === 'awaiting_payment' && booking.payment && booking.payment.status === 'failed') {
+            return { label: 'Payment failed', className: BOOKING_STATES.declined.className };
+        }
+        if (booking.status === 'declined' && lastChange && lastChange.reason === 'expired') {
+            return { label: role === 'host' ? 'Expired' : 'Request expired', className: state.className };
+        }
+        if (booking.status === 'declined' && lastChange && lastChange.reason === 'unpaid') {
+            return { label: 'Not paid', className: state.className };
+        }
+        return { label: state[role], className: state.className };
+    }
+
+    /**
+     * Buttons for the host's reservation list
+     * @param {object} booking - Booking
+     * @returns {Array} - [label, next state, button classes] for the moves open today
+     */
+    getHostActions(booking) {
+        const today = AvailabilityManager.today();
+        return (HOST_BOOKING_ACTIONS[booking.status] || []).filter(([, to]) => {
+            // Guests are checked in from check-in day; before then a confirmed stay can still be cancelled
+            if (to === 'checked_in') return booking.checkIn <= today;
+            if (to === 'cancelled_by_host') return booking.checkIn > today;
+            return true;
+        });
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {boolean} - True if the booking still holds its dates or may yet be stayed
+     */
+    isActive(booking) {
+        return Boolean(BOOKING_TRANSITIONS[booking.status]);
+    }
+}
+
+// Global booking lifecycle instance
+window.bookingLifecycle = new BookingLifecycle();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingLifecycle;
+}
@@ -0,0 +1,443 @@
+/**
+ * ChakaBNB Bookings
+ * Guest trips (cancellation refunds, date changes) and host reservations and earnings
+ *
+ * Bookings live in `chakabnb_bookings`, written by property-detail.html. Refunds follow
+ * the listing's cancellation policy (CANCELLATION_POLICIES in property-store.js) and new
+ * dates are re-checked against the listing's availability before they are saved. Status
+ * changes go through bookingLifecycle (booking-lifecycle.js), which checks they're allowed.
+ */
+
+// Bookings that count towards a host's earnings
+const EARNING_BOOKING_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+// Statuses saved before the booking lifecycle, and the states they map to
+const LEGACY_BOOKING_STATUSES = {
+    pending: 'requested'
+};
+
+class BookingManager {
+    constructor(storageKey = 'chakabnb_bookings') {
+        this.storageKey = storageKey;
+    }
+
+    readBookings() {
+        let bookings;
+        try {
+            bookings = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+
+        // Bookings from before the lifecycle are migrated once. Old requests are stamped as made
+        // now, so the host gets the full answer window instead of them expiring on first load.
+        if (bookings.some(booking => LEGACY_BOOKING_STATUSES[booking.status])) {
+            const migratedAt = new Date().toISOString();
+            bookings = bookings.map(booking => {
+                const status = LEGACY_BOOKING_STATUSES[booking.status];
+                if (!status) return booking;
+                return { ...booking, status, requestedAt: booking.requestedAt || migratedAt, migratedAt };
+            });
+            this.writeBookings(bookings);
+        }
+
+        return bookings;
+    }
+
+    writeBookings(bookings) {
+        localStorage.setItem(this.storageKey, JSON.stringify(bookings));
+    }
+
+    /**
+     * @param {string|number} bookingId - Booking id
+     * @returns {object|null} - Booking, or null if unknown
+     */
+    getBooking(bookingId) {
+        return this.readBookings().find(booking => String(booking.id) === String(bookingId)) || null;
+    }
+
+    saveBooking(booking) {
+        const bookings = this.readBookings();
+        const index = bookings.findIndex(existing => String(existing.id) === String(booking.id));
+        if (index >= 0) {
+            bookings[index] = booking;
+        } else {
+            bookings.push(booking);
+        }
+        this.writeBookings(bookings);
+        return booking;
+    }
+
+    /**
+     * Save a new booking. Card and M-Pesa bookings wait for payment; the others are requests
+     * for the host, or confirmed straight away when the listing is instant book.
+     * @param {object} details - Guest details, stay dates and quote from the booking form, and
+     *     the listing's instantBook flag
+     * @returns {object} - The stored booking
+     */
+    create(details) {
+        const user = authService.getCurrentUser();
+        const status = bookingLifecycle.getInitialState(details);
+        const timestamp = new Date().toISOString();
+
+        return this.saveBooking({
+            ...details,
+            id: Date.now(),
+            userEmail: user ? user.email : null,
+            instantBook: Boolean(details.instantBook),
+            status,
+            timestamp,
+            history: [{ from: null, to: status, actor: 'guest', reason: null, at: timestamp }]
+        });
+    }
+
+    /**
+     * Merge payment details into a booking's payment record
+     * @param {string|number} bookingId - Booking id
+     * @param {object} changes - e.g. { method, status ('pending', 'paid' or 'failed'), receipt }
+     * @returns {object|null} - The updated booking, or null if unknown
+     */
+    updatePayment(bookingId, changes) {
+        const booking = this.getBooking(bookingId);
+        if (!booking) return null;
+
+        return this.saveBooking({
+            ...booking,
+            payment: { ...(booking.payment || {}), ...changes, updatedAt: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * What the guest has paid, less refunds. Bookings without payment details (made before
+     * payments were taken, or by bank transfer) count as paid in full.
+     * @param {object} booking - Booking
+     * @returns {number} - Amount in KES
+     */
+    getAmountPaid(booking) {
+        if (!booking.payments && !booking.payment) return Number(booking.total) || 0;
+        return this.getAmountCharged(booking);
+    }
+
+    /**
+     * What has been charged through the site, less refunds. Unlike getAmountPaid() only payment
+     * records count, so refunds are never issued for money that wasn't taken here.
+     * @param {object} booking - Booking
+     * @returns {number} - Amount in KES
+     */
+    getAmountCharged(booking) {
+        return (booking.payments || []).reduce((sum, record) => {
+            if (record.type === 'charge' && record.status === 'succeeded') return sum + record.amount;
+            if (record.type === 'refund' && record.status !== 'failed') return sum - record.amount;
+            return sum;
+        }, 0);
+    }
+
+    /**
+     * Bookings made by a guest, matched on the signed-in account or the email on the booking
+     * @param {string} email - Guest email
+     * @returns {object[]}
+     */
+    getGuestBookings(email) {
+        if (!email) return [];
+        const guest = email.trim().toLowerCase();
+
+        return this.readBookings().filter(booking =>
+            [booking.userEmail, booking.email].some(value => (value || '').trim().toLowerCase() === guest)
+        );
+    }
+
+    /**
+     * Reservations for a host's listings, soonest check-in first
+     * @param {Array<string|number>} propertyIds - The host's listing ids
+     * @returns {object[]}
+     */
+    getHostBookings(propertyIds) {
+        const ids = new Set(propertyIds.map(String));
+        return this.readBookings()
+            .filter(booking => ids.has(String(booking.propertyId)))
+            .sort((a, b) => (a.checkIn || '').localeCompare(b.checkIn || ''));
+    }
+
+    /**
+     * Accept or decline a reservation request. A declined guest gets back everything they paid.
+     * @param {string|number} bookingId - Booking id
+     * @param {string} decision - 'confirmed' or 'declined'
+     * @returns {Promise<object>} - { success, message, booking }
+     */
+    async respond(bookingId, decision) {
+        if (!['confirmed', 'declined'].includes(decision)) {
+            throw new Error(`Unknown reservation decision: ${decision}`);
+        }
+
+        const booking = this.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that reservation.' };
+        }
+        if (booking.status !== 'requested') {
+            return { success: false, message: 'This reservation isn\'t waiting for an answer.' };
+        }
+
+        // Dates may have been blocked since the request came in
+        if (decision === 'confirmed') {
+            const availability = availabilityManager.checkAvailability(booking.propertyId, booking.checkIn, booking.checkOut, { excludeBookingId: booking.id });
+            if (!availability.available) {
+                return { success: false, message: availability.message };
+            }
+        }
+
+        const paid = this.getAmountCharged(booking);
+        const result = decision === 'confirmed'
+            ? bookingLifecycle.transition(booking.id, decision, { actor: 'host' })
+            : await bookingLifecycle.release(booking.id, decision, { actor: 'host', refund: paid > 0 ? { percent: 100, amount: paid } : null });
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            message: decision === 'confirmed' ? 'Reservation accepted.' : 'Reservation declined. The dates are open again.',
+            booking: result.booking
+        };
+    }
+
+    /**
+     * Cancel a confirmed reservation as the host. The guest gets back everything they paid.
+     * @param {string|number} bookingId - Booking id
+     * @returns {Promise<object>} - { success, message, booking, refund }
+     */
+    async cancelByHost(bookingId) {
+        const booking = this.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that reservation.' };
+        }
+        if (booking.checkIn <= AvailabilityManager.today()) {
+            return { success: false, message: 'Reservations can\'t be cancelled once the stay has started.' };
+        }
+
+        const refund = { percent: 100, amount: this.getAmountCharged(booking), policy: 'host' };
+        const result = await bookingLifecycle.release(booking.id, 'cancelled_by_host', { actor: 'host', refund });
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            message: 'Reservation cancelled. The guest gets a full refund and the dates are open again.',
+            booking: result.booking,
+            refund: result.booking.refund
+        };
+    }
+
+    /**
+     * What the host receives for a booking: the guest total less the service fee
+     * @param {object} booking - Booking
+     * @returns {number} - Amount in KES
+     */
+    getHostPayout(booking) {
+        const serviceFee = booking.quote && booking.quote.serviceFee ? Number(booking.quote.serviceFee.amount) || 0 : 0;
+        return Math.max(0, (Number(booking.total) || 0) - serviceFee);
+    }
+
+    /**
+     * Host earnings from accepted stays, grouped by check-in month
+     * @param {object[]} bookings - Bookings from getHostBookings()
+     * @returns {object[]} - [{ month: 'YYYY-MM', bookings, nights, amount }], newest month first
+     */
+    getMonthlyEarnings(bookings) {
+        const months = {};
+
+        bookings
+            .filter(booking => EARNING_BOOKING_STATUSES.includes(booking.status) && booking.checkIn)
+            .forEach(booking => {
+                const month = booking.checkIn.slice(0, 7);
+                const entry = months[month] || { month, bookings: 0, nights: 0, amount: 0 };
+                entry.bookings += 1;
+                entry.nights += Number(booking.nights) || 0;
+                entry.amount += this.getHostPayout(booking);
+                months[month] = entry;
+            });
+
+        return Object.values(months).sort((a, b) => b.month.localeCompare(a.month));
+    }
+
+    /**
+     * Split bookings into the My Trips tabs
+     * @param {object[]} bookings - Bookings from getGuestBookings()
+     * @returns {object} - { upcoming, past, cancelled }; upcoming soonest first, the others newest first
+     */
+    groupTrips(bookings) {
+        const today = AvailabilityManager.today();
+        const trips = { upcoming: [], past: [], cancelled: [] };
+
+        bookings.forEach(booking => {
+            if (RELEASED_BOOKING_STATUSES.includes(booking.status)) {
+                trips.cancelled.push(booking);
+            } else if (booking.status === 'completed' || (booking.checkOut && booking.checkOut <= today)) {
+                trips.past.push(booking);
+            } else {
+                trips.upcoming.push(booking);
+            }
+        });
+
+        trips.upcoming.sort((a, b) => (a.checkIn || '').localeCompare(b.checkIn || ''));
+        trips.past.sort((a, b) => (b.checkIn || '').localeCompare(a.checkIn || ''));
+        const endedAt = booking => booking.cancelledAt || booking.declinedAt || booking.timestamp || '';
+        trips.cancelled.sort((a, b) => endedAt(b).localeCompare(endedAt(a)));
+        return trips;
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {boolean} - True if the guest can still cancel or change the dates
+     */
+    canChange(booking) {
+        return bookingLifecycle.canTransition(booking, 'cancelled_by_guest', 'guest') &&
+            Boolean(booking.checkIn) && booking.checkIn >= AvailabilityManager.today();
+    }
+
+    /**
+     * Work out what the guest would get back if they cancelled now
+     * @param {object} booking - Booking
+     * @param {object} property - Listing the booking is for
+     * @returns {object} - { percent, amount, policy, message }; amount is in KES
+     */
+    getRefundQuote(booking, property) {
+        const policy = propertyStore.describeCancellationPolicy(property && property.cancellationPolicy);
+        const total = Number(booking.total) || 0;
+        const serviceFee = booking.quote && booking.quote.serviceFee ? Number(booking.quote.serviceFee.amount) || 0 : 0;
+        const daysBefore = BookingManager.daysUntil(booking.checkIn);
+        const hoursSinceBooking = (Date.now() - Date.parse(booking.timestamp || '')) / (60 * 60 * 1000);
+
+        let percent = 0;
+        let message = 'This booking is no longer eligible for a refund.';
+
+        if (policy.freeCancellationHours && hoursSinceBooking <= policy.freeCancellationHours &&
+            daysBefore >= policy.freeCancellationMinDays) {
+            percent = 100;
+            message = `You're within ${policy.freeCancellationHours} hours of booking, so you'll get a full refund.`;
+        } else {
+            const rule = policy.rules.find(candidate => daysBefore >= candidate.daysBefore);
+            if (rule) {
+                percent = rule.refundPercent;
+                message = percent === 100
+                    ? 'You\'ll get a full refund.'
+                    : `You'll get a ${percent}% refund of the stay. The service fee is non-refundable.`;
+            }
+        }
+
+        // The service fee is only returned with a full refund
+        const refundable = percent === 100 ? total : Math.round((total - serviceFee) * percent / 100);
+
+        // The host keeps the same share whatever has been paid so far; an unpaid balance is never charged
+        const paid = this.getAmountCharged(booking);
+        const amount = paid - (total - refundable);
+        if (paid < total) {
+            message += ' The unpaid balance won\'t be charged.';
+        }
+
+        return { percent, amount: Math.max(0, amount), policy, message };
+    }
+
+    /**
+     * Cancel a trip and refund what is due under the listing's policy
+     * @param {string|number} bookingId - Booking id
+     * @param {object} property - Listing the booking is for
+     * @returns {Promise<object>} - { success, message, booking, refund }
+     */
+    async cancel(bookingId, property) {
+        const booking = this.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that booking.' };
+        }
+        if (!this.canChange(booking)) {
+            return { success: false, message: 'This trip can no longer be cancelled.' };
+        }
+
+        const quote = this.getRefundQuote(booking, property);
+        const refund = { percent: quote.percent, amount: quote.amount, policy: quote.policy.key };
+        const result = await bookingLifecycle.release(booking.id, 'cancelled_by_guest', { actor: 'guest', refund });
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            message: quote.amount > 0 ? 'Your trip has been cancelled. Your refund is on its way.' : 'Your trip has been cancelled.',
+            booking: result.booking,
+            refund: result.booking.refund
+        };
+    }
+
+    /**
+     * Move a trip to new dates if the listing is free, re-pricing the stay. Money isn't moved here;
+     * paymentManager.settleDateChange() collects or refunds the difference.
+     * @param {string|number} bookingId - Booking id
+     * @param {object} property - Listing the booking is for
+     * @param {string} checkIn - New check-in date (YYYY-MM-DD)
+     * @param {string} checkOut - New check-out date (YYYY-MM-DD)
+     * @returns {object} - { success, message, booking, priceDifference }; priceDifference is in KES
+     */
+    modifyDates(bookingId, property, checkIn, checkOut) {
+        const booking = this.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that booking.' };
+        }
+        if (!this.canChange(booking)) {
+            return { success: false, message: 'The dates of this trip can no longer be changed.' };
+        }
+        if (checkIn === booking.checkIn && checkOut === booking.checkOut) {
+            return { success: false, message: 'Please choose dates that differ from your current booking.' };
+        }
+
+        // The booking's own nights don't count against the new dates
+        const availability = availabilityManager.checkAvailability(booking.propertyId, checkIn, checkOut, { excludeBookingId: booking.id });
+        if (!availability.available) {
+            return { success: false, message: availability.message };
+        }
+
+        const quote = pricingEngine.quote(property, { checkIn, checkOut, guests: booking.guests });
+        const previousTotal = Number(booking.total) || 0;
+
+        // The deposit, balance and balance due date follow the new total and check-in; a deposit
+        // booking moved to within the balance window becomes pay-in-full
+        const paymentSchedule = booking.paymentSchedule &&
+            PaymentManager.createSchedule(quote.total, checkIn, booking.paymentSchedule.plan);
+
+        const updated = this.saveBooking({
+            ...booking,
+            checkIn,
+            checkOut,
+            nights: quote.nights,
+            total: quote.total,
+            quote,
+            paymentSchedule,
+            changes: [...(booking.changes || []), {
+                checkIn: booking.checkIn,
+                checkOut: booking.checkOut,
+                total: previousTotal,
+                changedAt: new Date().toISOString()
+            }]
+        });
+
+        return {
+            success: true,
+            message: 'Your trip dates have been updated.',
+            booking: updated,
+            priceDifference: quote.total - previousTotal
+        };
+    }
+
+    /**
+     * @param {string} isoDate - Date (YYYY-MM-DD)
+     * @returns {number} - Whole days from today until the date (negative once it has passed)
+     */
+    static daysUntil(isoDate) {
+        const toUTC = date => {
+            const [year, month, day] = date.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(isoDate) - toUTC(AvailabilityManager.today())) / (24 * 60 * 60 * 1000));
+    }
+}
+
+// Global booking manager instance
+window.bookingManager = new BookingManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingManager;
+}
@@ -0,0 +1,274 @@
+/**
+ * ChakaBNB Currency Service
+ * Single rate table and formatting for every price on the site
+ *
+ * All prices are stored in KES. Elements marked with `data-price="<amount in KES>"`
+ * or the `.price` class are rendered in the visitor's selected currency.
+ */
+
+const BASE_CURRENCY = 'KES';
+
+// Fallback rate table: units of each currency per 1 KES
+const DEFAULT_RATE_TABLE = {
+    base: 'KES',
+    updatedAt: '2025-01-15T00:00:00Z',
+    rates: {
+        KES: 1,
+        USD: 0.0077,
+        EUR: 0.0071,
+        GBP: 0.0060
+    }
+};
+
+// Symbols that should differ from what Intl renders for en-KE
+const CURRENCY_SYMBOLS = {
+    KES: 'KSh'
+};
+
+// Re-fetch the rate table when the cached copy is older than this
+const RATE_TABLE_MAX_AGE = 12 * 60 * 60 * 1000;
+
+class CurrencyService {
+    constructor() {
+        this.baseCurrency = BASE_CURRENCY;
+        this.preferenceKey = 'selectedCurrency';
+        this.rateTableKey = 'chakabnb_exchange_rates';
+        this.rateTableUrl = 'data/exchange-rates.json';
+        this.rateTable = this.readCachedRateTable() || DEFAULT_RATE_TABLE;
+        this.formatters = {};
+
+        this.init();
+    }
+
+    init() {
+        const ready = () => {
+            this.bindSelectors();
+            this.updatePrices();
+
+            if (this.isRateTableStale()) {
+                this.loadRates().catch(error => {
+                    console.warn('Exchange rates could not be refreshed:', error.message);
+                });
+            }
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', ready);
+        } else {
+            ready();
+        }
+    }
+
+    /**
+     * @returns {string} - Selected currency code, falling back to KES
+     */
+    getCurrency() {
+        const saved = localStorage.getItem(this.preferenceKey);
+        return saved && this.rateTable.rates[saved] ? saved : this.baseCurrency;
+    }
+
+    /**
+     * Change the display currency on this page and remember it
+     * @param {string} currency - Currency code from the rate table
+     */
+    setCurrency(currency) {
+        if (!this.rateTable.rates[currency]) return;
+
+        localStorage.setItem(this.preferenceKey, currency);
+        this.syncSelectors(currency);
+        this.updatePrices();
+        window.dispatchEvent(new CustomEvent('currencychange', { detail: { currency } }));
+    }
+
+    /**
+     * @returns {string[]} - Currency codes in the rate table
+     */
+    getSupportedCurrencies() {
+        return Object.keys(this.rateTable.rates);
+    }
+
+    /**
+     * Convert a KES amount
+     * @param {number} amount - Amount in KES
+     * @param {string} currency - Target currency (defaults to the selected one)
+     * @returns {number}
+     */
+    convert(amount, currency = this.getCurrency()) {
+        const rate = this.rateTable.rates[currency] || 1;
+        return (Number(amount) || 0) * rate;
+    }
+
+    /**
+     * Convert and format a KES amount
+     * @param {number} amount - Amount in KES
+     * @param {string} currency - Target currency (defaults to the selected one)
+     * @returns {string} - e.g. "KSh 5,500" or "$42.35"
+     */
+    format(amount, currency = this.getCurrency()) {
+        return this.formatAmount(this.convert(amount, currency), currency);
+    }
+
+    /**
+     * Format an amount that is already in the given currency
+     * @param {number} amount - Amount in `currency`
+     * @param {string} currency - Currency code
+     * @returns {string}
+     */
+    formatAmount(amount, currency = this.getCurrency()) {
+        if (!this.formatters[currency]) {
+            const fractionDigits = currency === BASE_CURRENCY ? 0 : 2;
+            this.formatters[currency] = new Intl.NumberFormat('en-KE', {
+                style: 'currency',
+                currency,
+                currencyDisplay: 'narrowSymbol',
+                minimumFractionDigits: fractionDigits,
+                maximumFractionDigits: fractionDigits
+            });
+        }
+
+        return this.formatters[currency].formatToParts(amount)
+            .map(part => part.type === 'currency' && CURRENCY_SYMBOLS[currency] ? CURRENCY_SYMBOLS[currency] : part.value)
+            .join('')
+            .replace(/ /g, ' ');
+    }
+
+    /**
+     * Render every [data-price] and .price element under root in the selected currency.
+     * A .price element without data-price keeps its original KES text as the base amount.
+     * @param {ParentNode} root - Element to search (defaults to the whole document)
+     */
+    updatePrices(root = document) {
+        root.querySelectorAll('[data-price], .price').forEach(element => {
+            if (!element.dataset.price) {
+                const original = element.dataset.basePrice || element.textContent.replace(/[^0-9.-]/g, '');
+                if (!original) return;
+                element.dataset.price = original;
+            }
+
+            const amount = parseFloat(element.dataset.price);
+            if (!isNaN(amount)) {
+                element.textContent = this.format(amount);
+            }
+        });
+    }
+
+    /**
+     * Wire up the header, mobile header and mobile menu currency controls
+     */
+    bindSelectors() {
+        ['currency-selector', 'mobile-currency-selector'].forEach(id => {
+            const selector = document.getElementById(id);
+            if (selector) {
+                selector.addEventListener('change', () => this.setCurrency(selector.value));
+            }
+        });
+
+        document.querySelectorAll('.currency-option').forEach(button => {
+            button.addEventListener('click', () => this.setCurrency(button.dataset.currency));
+        });
+
+        this.syncSelectors(this.getCurrency());
+    }
+
+    syncSelectors(currency) {
+        ['currency-selector', 'mobile-currency-selector'].forEach(id => {
+            const selector = document.getElementById(id);
+            if (selector) selector.value = currency;
+        });
+
+        document.querySelectorAll('.currency-option').forEach(button => {
+            const active = button.dataset.currency === currency;
+            button.classList.toggle('bg-[#003B95]', active);
+            button.classList.toggle('text-white', active);
+            button.classList.toggle('bg-white', !active);
+            button.classList.toggle('text-gray-700', !active);
+        });
+    }
+
+    /**
+     * @returns {object} - { base, updatedAt, rates }
+     */
+    getRateTable() {
+        return { ...this.rateTable, rates: { ...this.rateTable.rates } };
+    }
+
+    /**
+     * Replace the rate table. Tables quoted against another base are rebased to KES.
+     * @param {object} table - { base, updatedAt, rates }
+     */
+    setRateTable(table) {
+        if (!table || typeof table.rates !== 'object') {
+            throw new Error('Rate table must include a rates object');
+        }
+
+        const base = table.base || BASE_CURRENCY;
+        const baseRate = base === BASE_CURRENCY ? 1 : Number(table.rates[BASE_CURRENCY]);
+        if (!(baseRate > 0)) {
+            throw new Error(`Rate table has no ${BASE_CURRENCY} rate`);
+        }
+
+        const rates = {};
+        Object.entries(table.rates).forEach(([currency, rate]) => {
+            if (Number(rate) > 0) {
+                rates[currency] = Number(rate) / baseRate;
+            }
+        });
+        rates[BASE_CURRENCY] = 1;
+
+        this.rateTable = {
+            base: BASE_CURRENCY,
+            updatedAt: table.updatedAt || new Date().toISOString(),
+            fetchedAt: new Date().toISOString(),
+            rates
+        };
+
+        try {
+            localStorage.setItem(this.rateTableKey, JSON.stringify(this.rateTable));
+        } catch (e) {
+            console.error('Failed to cache exchange rates:', e);
+        }
+
+        this.updatePrices();
+    }
+
+    /**
+     * Fetch a rate table
+     * @param {string} url - JSON rate table location
+     * @returns {Promise<object>} - The applied rate table
+     */
+    loadRates(url = this.rateTableUrl) {
+        return fetch(url, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Rate table request failed (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(table => {
+                this.setRateTable(table);
+                return this.getRateTable();
+            });
+    }
+
+    readCachedRateTable() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.rateTableKey) || 'null');
+            return cached && cached.rates ? cached : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isRateTableStale() {
+        const fetchedAt = Date.parse(this.rateTable.fetchedAt || '');
+        return isNaN(fetchedAt) || Date.now() - fetchedAt > RATE_TABLE_MAX_AGE;
+    }
+}
+
+// Global currency service instance
+window.currencyService = new CurrencyService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyService;
+}
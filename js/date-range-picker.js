@@ -0,0 +1,213 @@
+/**
+ * ChakaBNB Date Range Picker
+ * Check-in/check-out calendar that shows unavailable nights as disabled
+ */
+
+class DateRangePicker {
+    /**
+     * @param {object} options
+     * @param {HTMLInputElement} options.checkInInput - Check-in input (value is YYYY-MM-DD)
+     * @param {HTMLInputElement} options.checkOutInput - Check-out input (value is YYYY-MM-DD)
+     * @param {function} options.isNightUnavailable - Called with a YYYY-MM-DD night, returns true if it can't be booked
+     */
+    constructor({ checkInInput, checkOutInput, isNightUnavailable }) {
+        this.checkInInput = checkInInput;
+        this.checkOutInput = checkOutInput;
+        this.isNightUnavailable = isNightUnavailable || (() => false);
+        this.mode = 'checkIn';
+        this.visibleMonth = this.startOfMonth(checkInInput.value || AvailabilityManager.today());
+
+        this.popover = document.createElement('div');
+        this.popover.className = 'date-range-picker absolute left-0 right-0 mt-2 z-40 bg-white border border-gray-200 rounded-lg shadow-lg p-4 hidden';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.setAttribute('aria-label', 'Choose dates');
+
+        // Drop the calendar in directly below the row holding both inputs
+        const inputRow = checkInInput.closest('.grid') || checkInInput.parentNode;
+        inputRow.parentNode.classList.add('relative');
+        inputRow.after(this.popover);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        [this.checkInInput, this.checkOutInput].forEach(input => {
+            input.readOnly = true;
+            input.addEventListener('click', () => this.open(input === this.checkInInput ? 'checkIn' : 'checkOut'));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(input === this.checkInInput ? 'checkIn' : 'checkOut');
+                }
+            });
+        });
+
+        this.popover.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button');
+            if (!button || button.disabled) return;
+
+            if (button.dataset.nav) {
+                this.visibleMonth = this.shiftMonth(this.visibleMonth, Number(button.dataset.nav));
+                this.render();
+            } else if (button.dataset.date) {
+                this.select(button.dataset.date);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (this.isOpen() && !this.popover.contains(e.target)
+                && e.target !== this.checkInInput && e.target !== this.checkOutInput) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the calendar for check-in or check-out selection
+     * @param {string} mode - 'checkIn' or 'checkOut'
+     */
+    open(mode) {
+        this.mode = mode === 'checkOut' && this.checkInInput.value ? 'checkOut' : 'checkIn';
+        const focusDate = this.mode === 'checkOut'
+            ? (this.checkOutInput.value || this.checkInInput.value)
+            : (this.checkInInput.value || AvailabilityManager.today());
+        this.visibleMonth = this.startOfMonth(focusDate);
+        this.render();
+        this.popover.classList.remove('hidden');
+    }
+
+    close() {
+        this.popover.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.popover.classList.contains('hidden');
+    }
+
+    /**
+     * Re-render after availability changes (e.g. a new booking)
+     */
+    refresh() {
+        if (this.isOpen()) this.render();
+    }
+
+    select(date) {
+        if (this.mode === 'checkIn') {
+            this.setValue(this.checkInInput, date);
+
+            // Drop a check-out that is no longer reachable from the new check-in
+            const checkOut = this.checkOutInput.value;
+            if (checkOut && this.isCheckOutDisabled(checkOut)) {
+                this.setValue(this.checkOutInput, '');
+            }
+
+            this.mode = 'checkOut';
+            this.render();
+        } else {
+            this.setValue(this.checkOutInput, date);
+            this.close();
+        }
+    }
+
+    setValue(input, value) {
+        input.value = value;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    isCheckInDisabled(date) {
+        return date < AvailabilityManager.today() || this.isNightUnavailable(date);
+    }
+
+    isCheckOutDisabled(date) {
+        const checkIn = this.checkInInput.value;
+        if (!checkIn || date <= checkIn) return true;
+
+        // Every night from check-in up to (not including) check-out must be free
+        for (let night = checkIn; night < date; night = AvailabilityManager.addDays(night, 1)) {
+            if (this.isNightUnavailable(night)) return true;
+        }
+        return false;
+    }
+
+    render() {
+        const [year, month] = this.visibleMonth.split('-').map(Number);
+        const firstWeekday = new Date(year, month - 1, 1).getDay();
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const monthLabel = new Date(year, month - 1, 1).toLocaleDateString('en-KE', { month: 'long', year: 'numeric' });
+        const canGoBack = this.visibleMonth > this.startOfMonth(AvailabilityManager.today());
+        const checkIn = this.checkInInput.value;
+        const checkOut = this.checkOutInput.value;
+
+        let cells = '';
+        for (let i = 0; i < firstWeekday; i++) {
+            cells += '<span></span>';
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = `${this.visibleMonth.slice(0, 8)}${String(day).padStart(2, '0')}`;
+            const unavailable = date >= AvailabilityManager.today() && this.isNightUnavailable(date);
+            const disabled = this.mode === 'checkIn' ? this.isCheckInDisabled(date) : this.isCheckOutDisabled(date);
+            const selected = date === checkIn || date === checkOut;
+            const inRange = checkIn && checkOut && date > checkIn && date < checkOut;
+
+            let classes = 'h-9 w-9 mx-auto rounded-full text-sm ';
+            if (selected) {
+                classes += 'bg-[#003B95] text-white font-medium';
+            } else if (inRange) {
+                classes += 'bg-blue-50 text-[#003B95]';
+            } else if (disabled) {
+                classes += `text-gray-300 cursor-not-allowed${unavailable ? ' line-through' : ''}`;
+            } else {
+                classes += 'text-gray-900 hover:bg-gray-100';
+            }
+
+            cells += `<button type="button" data-date="${date}" class="${classes}" ${disabled ? 'disabled' : ''}
+                aria-label="${date}${unavailable ? ' (unavailable)' : ''}">${day}</button>`;
+        }
+
+        this.popover.innerHTML = `
+            <div class="flex items-center justify-between mb-3">
+                <button type="button" data-nav="-1" class="p-1 rounded-md hover:bg-gray-100 disabled:opacity-30" ${canGoBack ? '' : 'disabled'} aria-label="Previous month">
+                    <i data-feather="chevron-left" class="h-4 w-4"></i>
+                </button>
+                <span class="text-sm font-semibold text-gray-900">${monthLabel}</span>
+                <button type="button" data-nav="1" class="p-1 rounded-md hover:bg-gray-100" aria-label="Next month">
+                    <i data-feather="chevron-right" class="h-4 w-4"></i>
+                </button>
+            </div>
+            <p class="text-xs text-gray-500 mb-2">${this.mode === 'checkIn' ? 'Select check-in date' : 'Select check-out date'}</p>
+            <div class="grid grid-cols-7 gap-1 text-center text-xs text-gray-500 mb-1">
+                <span>Su</span><span>Mo</span><span>Tu</span><span>We</span><span>Th</span><span>Fr</span><span>Sa</span>
+            </div>
+            <div class="grid grid-cols-7 gap-1 text-center">${cells}</div>
+            <div class="mt-3 flex items-center text-xs text-gray-500">
+                <span class="line-through text-gray-300 mr-2">12</span> Unavailable
+            </div>
+        `;
+
+        if (typeof feather !== 'undefined') {
+            feather.replace();
+        }
+    }
+
+    startOfMonth(isoDate) {
+        return `${isoDate.slice(0, 7)}-01`;
+    }
+
+    shiftMonth(monthStart, offset) {
+        const [year, month] = monthStart.split('-').map(Number);
+        return AvailabilityManager.toISODate(new Date(year, month - 1 + offset, 1));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateRangePicker;
+}
@@ -13,6 +13,9 @@ class ErrorHandler {
             NOT_FOUND: 'not_found',
             SERVER: 'server',
             CLIENT: 'client',
+            SECURITY: 'security',
+            PAYMENT: 'payment',
+            CALENDAR: 'calendar',
             UNKNOWN: 'unknown'
         };
         
@@ -52,6 +55,21 @@ class ErrorHandler {
                 message: 'Something went wrong. Please try again.',
                 action: 'Retry'
             },
+            [this.errorTypes.SECURITY]: {
+                title: 'Security Check',
+                message: 'Part of this page was blocked to keep you safe.',
+                action: 'Retry'
+            },
+            [this.errorTypes.PAYMENT]: {
+                title: 'Payment Not Completed',
+                message: 'Your payment didn\'t go through. Please try again.',
+                action: 'Try Again'
+            },
+            [this.errorTypes.CALENDAR]: {
+                title: 'Calendar Conflict',
+                message: 'Dates imported from another calendar overlap a ChakaBNB booking.',
+                action: 'Review'
+            },
             [this.errorTypes.UNKNOWN]: {
                 title: 'Unexpected Error',
                 message: 'An unexpected error occurred. Please try again.',
@@ -59,6 +77,9 @@ class ErrorHandler {
             }
         };
         
+        // Content Security Policy violations already logged on this page
+        this.reportedViolations = new Set();
+        
         this.init();
     }
 
@@ -66,6 +87,7 @@ class ErrorHandler {
         // Global error handlers
         window.addEventListener('error', this.handleGlobalError.bind(this));
         window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this));
+        document.addEventListener('securitypolicyviolation', this.handleCspViolation.bind(this));
         
         // Network status monitoring
         window.addEventListener('online', this.handleOnline.bind(this));
@@ -121,6 +143,25 @@ class ErrorHandler {
         this.showError(error);
     }
 
+    /**
+     * Collect Content Security Policy violations. They are logged, not shown: the visitor can't
+     * do anything about them.
+     * @param {SecurityPolicyViolationEvent} event - Violation event
+     */
+    handleCspViolation(event) {
+        const blocked = event.blockedURI || 'inline code';
+        const source = event.sourceFile ? `${event.sourceFile}:${event.lineNumber}:${event.columnNumber}` : '';
+        const key = `${event.effectiveDirective} ${blocked} ${source}`;
+        if (this.reportedViolations.has(key)) return;
+        this.reportedViolations.add(key);
+        
+        this.logError({
+            type: this.errorTypes.SECURITY,
+            message: `Content Security Policy blocked ${blocked} (${event.effectiveDirective}${event.disposition === 'report' ? ', report only' : ''})`,
+            stack: source || undefined
+        });
+    }
+
     /**
      * Handle network online event
      */
@@ -145,64 +186,49 @@ class ErrorHandler {
      */
     showError(error, onRetry = null) {
         const errorInfo = this.errorMessages[error.type] || this.errorMessages[this.errorTypes.UNKNOWN];
+        const { html } = window.safeDom;
+        const buttonClass = 'bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1 rounded text-xs font-medium transition-colors';
         
-        const errorElement = document.createElement('div');
-        errorElement.className = 'error-notification bg-red-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0';
-        
-        errorElement.innerHTML = `
-            <div class="flex items-start space-x-3">
-                <div class="flex-shrink-0">
-                    <i data-feather="alert-circle" class="h-5 w-5"></i>
+        // error.message can carry URLs or user input, so everything is interpolated through html``
+        const errorElement = window.safeDom.createElement(html`
+            <div class="error-notification bg-red-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0">
+                <div class="flex items-start space-x-3">
+                    <div class="flex-shrink-0">
+                        <i data-feather="alert-circle" class="h-5 w-5"></i>
+                    </div>
+                    <div class="flex-1 min-w-0">
+                        <h4 class="font-medium text-sm">${errorInfo.title}</h4>
+                        <p class="text-sm opacity-90 mt-1">${error.message || errorInfo.message}</p>
+                        ${onRetry ? html`
+                            <div class="mt-3 flex space-x-2">
+                                <button type="button" data-dismiss class="${buttonClass}">Dismiss</button>
+                                <button type="button" data-retry class="bg-white text-red-500 hover:bg-gray-100 px-3 py-1 rounded text-xs font-medium transition-colors">
+                                    ${errorInfo.action}
+                                </button>
+                            </div>
+                        ` : html`
+                            <button type="button" data-dismiss class="mt-2 ${buttonClass}">Dismiss</button>
+                        `}
+                    </div>
+                    <button type="button" data-dismiss aria-label="Close" class="flex-shrink-0 text-white hover:text-gray-200 transition-colors">
+                        <i data-feather="x" class="h-4 w-4"></i>
+                    </button>
                 </div>
-                <div class="flex-1 min-w-0">
-                    <h4 class="font-medium text-sm">${errorInfo.title}</h4>
-                    <p class="text-sm opacity-90 mt-1">${error.message || errorInfo.message}</p>
-                    ${onRetry ? `
-                        <div class="mt-3 flex space-x-2">
-                            <button onclick="this.closest('.error-notification').remove()" 
-                                    class="bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1 rounded text-xs font-medium transition-colors">
-                                Dismiss
-                            </button>
-                            <button onclick="window.errorHandler.retryAction(this)" 
-                                    class="bg-white text-red-500 hover:bg-gray-100 px-3 py-1 rounded text-xs font-medium transition-colors">
-                                ${errorInfo.action}
-                            </button>
-                        </div>
-                    ` : `
-                        <button onclick="this.closest('.error-notification').remove()" 
-                                class="mt-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1 rounded text-xs font-medium transition-colors">
-                            Dismiss
-                        </button>
-                    `}
-                </div>
-                <button onclick="this.closest('.error-notification').remove()" 
-                        class="flex-shrink-0 text-white hover:text-gray-200 transition-colors">
-                    <i data-feather="x" class="h-4 w-4"></i>
-                </button>
             </div>
-        `;
+        `);
+        
+        errorElement.querySelectorAll('[data-dismiss]').forEach(button => {
+            button.addEventListener('click', () => errorElement.remove());
+        });
         
         // Store retry callback
         if (onRetry) {
             errorElement.dataset.retryCallback = 'true';
             window.currentRetryCallback = onRetry;
+            errorElement.querySelector('[data-retry]').addEventListener('click', event => this.retryAction(event.currentTarget));
         }
         
-        const container = document.getElementById('error-container');
-        container.appendChild(errorElement);
-        
-        // Trigger animation
-        setTimeout(() => {
-            errorElement.classList.remove('translate-x-full', 'opacity-0');
-        }, 10);
-        
-        // Auto-remove after 8 seconds
-        setTimeout(() => {
-            this.removeError(errorElement);
-        }, 8000);
-        
-        // Refresh feather icons
-        feather.replace();
+        this.showNotification(errorElement, 8000);
     }
 
     /**
@@ -211,40 +237,27 @@ class ErrorHandler {
      * @param {string} message - Success message
      */
     showSuccess(title, message) {
-        const successElement = document.createElement('div');
-        successElement.className = 'success-notification bg-green-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0';
-        
-        successElement.innerHTML = `
-            <div class="flex items-start space-x-3">
-                <div class="flex-shrink-0">
-                    <i data-feather="check-circle" class="h-5 w-5"></i>
+        const { html } = window.safeDom;
+        const successElement = window.safeDom.createElement(html`
+            <div class="success-notification bg-green-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0">
+                <div class="flex items-start space-x-3">
+                    <div class="flex-shrink-0">
+                        <i data-feather="check-circle" class="h-5 w-5"></i>
+                    </div>
+                    <div class="flex-1 min-w-0">
+                        <h4 class="font-medium text-sm">${title}</h4>
+                        <p class="text-sm opacity-90 mt-1">${message}</p>
+                    </div>
+                    <button type="button" data-dismiss aria-label="Close" class="flex-shrink-0 text-white hover:text-gray-200 transition-colors">
+                        <i data-feather="x" class="h-4 w-4"></i>
+                    </button>
                 </div>
-                <div class="flex-1 min-w-0">
-                    <h4 class="font-medium text-sm">${title}</h4>
-                    <p class="text-sm opacity-90 mt-1">${message}</p>
-                </div>
-                <button onclick="this.closest('.success-notification').remove()" 
-                        class="flex-shrink-0 text-white hover:text-gray-200 transition-colors">
-                    <i data-feather="x" class="h-4 w-4"></i>
-                </button>
             </div>
-        `;
-        
-        const container = document.getElementById('error-container');
-        container.appendChild(successElement);
-        
-        // Trigger animation
-        setTimeout(() => {
-            successElement.classList.remove('translate-x-full', 'opacity-0');
-        }, 10);
+        `);
         
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            this.removeError(successElement);
-        }, 5000);
+        successElement.querySelector('[data-dismiss]').addEventListener('click', () => successElement.remove());
         
-        // Refresh feather icons
-        feather.replace();
+        this.showNotification(successElement, 5000);
     }
 
     /**
@@ -253,29 +266,46 @@ class ErrorHandler {
      * @returns {HTMLElement} - Loading element
      */
     showLoading(message = 'Loading...') {
-        const loadingElement = document.createElement('div');
-        loadingElement.className = 'loading-notification bg-blue-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0';
-        
-        loadingElement.innerHTML = `
-            <div class="flex items-center space-x-3">
-                <div class="flex-shrink-0">
-                    <div class="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                </div>
-                <div class="flex-1">
-                    <p class="text-sm font-medium">${message}</p>
+        const { html } = window.safeDom;
+        const loadingElement = window.safeDom.createElement(html`
+            <div class="loading-notification bg-blue-500 text-white p-4 rounded-lg shadow-lg transform transition-all duration-300 translate-x-full opacity-0">
+                <div class="flex items-center space-x-3">
+                    <div class="flex-shrink-0">
+                        <div class="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                    </div>
+                    <div class="flex-1">
+                        <p class="text-sm font-medium">${message}</p>
+                    </div>
                 </div>
             </div>
-        `;
+        `);
         
-        const container = document.getElementById('error-container');
-        container.appendChild(loadingElement);
+        this.showNotification(loadingElement);
+        return loadingElement;
+    }
+
+    /**
+     * Slide a notification into the container
+     * @param {HTMLElement} element - Notification element
+     * @param {number} duration - Milliseconds before it is removed; omit to keep it until removeError()
+     */
+    showNotification(element, duration = 0) {
+        this.createErrorContainer();
+        document.getElementById('error-container').appendChild(element);
         
         // Trigger animation
         setTimeout(() => {
-            loadingElement.classList.remove('translate-x-full', 'opacity-0');
+            element.classList.remove('translate-x-full', 'opacity-0');
         }, 10);
         
-        return loadingElement;
+        if (duration) {
+            setTimeout(() => {
+                this.removeError(element);
+            }, duration);
+        }
+        
+        // Refresh feather icons
+        feather.replace();
     }
 
     /**
@@ -402,7 +432,45 @@ class ErrorHandler {
         
         this.logError(authError);
         this.showError(authError, () => {
-            window.location.href = 'login.html';
+            // Keep the page's ?redirect= destination, but only if it is safe to send the user there
+            const redirect = new URLSearchParams(window.location.search).get('redirect');
+            const target = redirect ? window.SecurityManager.getSafeRedirect(redirect, null) : null;
+            window.location.href = target ? `login.html?redirect=${encodeURIComponent(target)}` : 'login.html';
+        });
+    }
+
+    /**
+     * Handle a form submission whose CSRF token didn't check out
+     * @param {object} result - SecurityManager.verifyForm() result
+     * @param {HTMLFormElement} form - The form, which gets a new token
+     */
+    handleCsrfError(result, form) {
+        const csrfError = {
+            type: this.errorTypes.SECURITY,
+            message: result.reason === 'expired' || result.reason === 'session'
+                ? 'This form expired or your sign-in changed. Please check the details and submit again.'
+                : 'We couldn\'t verify this form. Please submit it again.'
+        };
+        
+        this.logError({ ...csrfError, message: `CSRF check failed for #${form.id} (${result.reason})` });
+        window.SecurityManager.protectForm(form);
+        this.showError(csrfError);
+    }
+
+    /**
+     * Handle missing resources (e.g. an unknown listing id)
+     * @param {Error} error - Not found error
+     * @param {string} fallbackUrl - Page to send the user to from the notification
+     */
+    handleNotFoundError(error, fallbackUrl = 'index.html') {
+        const notFoundError = {
+            type: this.errorTypes.NOT_FOUND,
+            message: error.message || 'The requested resource could not be found.'
+        };
+        
+        this.logError(notFoundError);
+        this.showError(notFoundError, () => {
+            window.location.href = fallbackUrl;
         });
     }
 }
@@ -0,0 +1,558 @@
+/**
+ * ChakaBNB Calendar Sync
+ * iCal export feeds for listings, and other sites' calendars imported as blocked dates
+ *
+ * Each listing's feed lists its booked and host-blocked nights as all-day events, so other
+ * sites the host lists on can block them too. Calendars imported from those sites (by link
+ * or as a file) become blocked ranges in the availability data, tagged with the calendar
+ * they came from; linked calendars are fetched again every ICAL_REFRESH_INTERVAL_MS. An
+ * imported event that overlaps a ChakaBNB booking is still blocked, and reported as a
+ * conflict for the host to sort out.
+ *
+ * Other sites' feeds can't be read from the browser, and a feed link needs a server to answer
+ * it, so both go through the backend. LocalCalendarBackend (default) has no server: hosts
+ * download their calendar as a file and import other sites' files. RestCalendarBackend asks
+ * the server, which fetches linked calendars and issues and serves the listing feed links.
+ */
+
+// How old a linked calendar's last sync can get before it is fetched again
+const ICAL_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often open pages look for linked calendars that are due
+const ICAL_REFRESH_CHECK_MS = 5 * 60 * 1000;
+
+// Largest calendar file accepted
+const ICAL_MAX_FILE_BYTES = 1024 * 1024;
+
+// Event titles in exported feeds; guest details are left out
+const ICAL_FEED_SUMMARIES = {
+    booked: 'Reserved (ChakaBNB)',
+    blocked: 'Not available (ChakaBNB)'
+};
+
+/**
+ * Backend for running without a server: there is no feed link to give out and linked
+ * calendars can't be fetched, so only files are exchanged
+ */
+class LocalCalendarBackend {
+    constructor() {
+        this.supportsLinks = false;
+    }
+
+    async fetchCalendar() {
+        const error = new Error('Importing by link needs the ChakaBNB API. Download the calendar from the other site and import the file instead.');
+        error.code = 'needs_api';
+        throw error;
+    }
+
+    async getFeedUrl() {
+        return null;
+    }
+}
+
+/**
+ * REST backend. Expects GET /calendars/fetch?url= to answer with the calendar found at url.
+ * GET /listings/:id/calendar-feed answers { url } with the listing's feed link (POST issues a
+ * new one); the server keeps the link's token and serves the same events as
+ * ICalSync.createFeed() there.
+ */
+class RestCalendarBackend {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.supportsLinks = true;
+    }
+
+    async fetchCalendar(url) {
+        const response = await fetch(`${this.baseUrl}/calendars/fetch?url=${encodeURIComponent(url)}`, {
+            headers: { 'Accept': 'text/calendar' }
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Calendar request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.text();
+    }
+
+    async getFeedUrl(propertyId, reset = false) {
+        const response = await fetch(`${this.baseUrl}/listings/${encodeURIComponent(propertyId)}/calendar-feed`, {
+            method: reset ? 'POST' : 'GET',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.url) {
+            const error = new Error(data.message || `Calendar link request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return new URL(data.url, window.location.href).href;
+    }
+}
+
+class ICalSync {
+    /**
+     * @param {object} backend - Calendar backend (fetchCalendar/getFeedUrl)
+     * @param {string} storageKey - localStorage key for imported calendars
+     */
+    constructor(backend = new LocalCalendarBackend(), storageKey = 'chakabnb_calendar_sync') {
+        this.backend = backend;
+        this.storageKey = storageKey;
+        this.timer = null;
+    }
+
+    /**
+     * Swap the backend, e.g. icalSync.setBackend(new RestCalendarBackend('https://api.example.com'))
+     * @param {object} backend - Calendar backend
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Read sync settings, keyed by property id
+     * @returns {object} - { [propertyId]: { calendars: Array<object> } }
+     */
+    readState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeState(state) {
+        localStorage.setItem(this.storageKey, JSON.stringify(state));
+    }
+
+    getListingState(propertyId) {
+        const state = this.readState()[String(propertyId)] || {};
+        return { calendars: state.calendars || [] };
+    }
+
+    saveListingState(propertyId, changes) {
+        const state = this.readState();
+        const key = String(propertyId);
+        state[key] = { ...this.getListingState(propertyId), ...changes };
+        this.writeState(state);
+        return state[key];
+    }
+
+    /**
+     * @returns {boolean} - True if the backend can give out feed links and fetch linked calendars
+     */
+    supportsLinks() {
+        return Boolean(this.backend.supportsLinks);
+    }
+
+    /**
+     * Link other sites can subscribe to. The server issues it and keeps the token that makes
+     * it unguessable.
+     * @param {string|number} propertyId - Listing id
+     * @returns {Promise<string|null>} - null without a server to answer the link
+     */
+    async getFeedUrl(propertyId) {
+        return this.supportsLinks() ? this.backend.getFeedUrl(propertyId) : null;
+    }
+
+    /**
+     * Give a listing a new feed link; sites using the old one stop getting updates
+     * @param {string|number} propertyId - Listing id
+     * @returns {Promise<string|null>} - The new link
+     */
+    async resetFeedUrl(propertyId) {
+        return this.supportsLinks() ? this.backend.getFeedUrl(propertyId, true) : null;
+    }
+
+    /**
+     * The listing's booked and host-blocked nights as an iCal feed. Dates imported from other
+     * calendars are left out, so sites don't get their own bookings back.
+     * @param {string|number} propertyId - Listing id
+     * @param {string} title - Listing title, used as the calendar name
+     * @returns {string} - text/calendar
+     */
+    createFeed(propertyId, title = '') {
+        const today = AvailabilityManager.today();
+        const stamp = BookingDocuments.formatIcsTimestamp(new Date());
+        const ranges = availabilityManager.getUnavailableRanges(propertyId)
+            .filter(range => !range.source && range.end > today);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//ChakaBNB//Listing Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${BookingDocuments.escapeIcsText(title ? `${title} (ChakaBNB)` : 'ChakaBNB')}`
+        ];
+        ranges.forEach(range => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${range.type}-${range.id}@chakabnb`,
+                `DTSTAMP:${stamp}`,
+                // Ranges and all-day events both end on the morning after the last night
+                `DTSTART;VALUE=DATE:${BookingDocuments.formatIcsDate(range.start)}`,
+                `DTEND;VALUE=DATE:${BookingDocuments.formatIcsDate(range.end)}`,
+                `SUMMARY:${ICAL_FEED_SUMMARIES[range.type]}`,
+                'TRANSP:OPAQUE',
+                'END:VEVENT'
+            );
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(BookingDocuments.foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {string|number} propertyId - Listing id
+     * @returns {Array} - Imported calendars: { id, name, url, fileName, addedAt, lastSyncedAt,
+     *     lastError, eventCount }
+     */
+    getCalendars(propertyId) {
+        return this.getListingState(propertyId).calendars;
+    }
+
+    /**
+     * Import another site's calendar by link and keep it in sync
+     * @param {string|number} propertyId - Listing id
+     * @param {string} url - Calendar link (https:// or webcal://)
+     * @param {string} name - Name shown to the host, e.g. 'Airbnb'
+     * @returns {Promise<object>} - { success, message, calendar, conflicts }
+     */
+    async addCalendarUrl(propertyId, url, name = '') {
+        if (!this.supportsLinks()) {
+            return { success: false, message: 'Importing by link needs the ChakaBNB API. Download the calendar from the other site and import the file instead.' };
+        }
+
+        const normalized = ICalSync.normalizeUrl(url);
+        if (!normalized) {
+            return { success: false, message: 'Please enter a calendar link starting with https:// or webcal://.' };
+        }
+        if (this.getCalendars(propertyId).some(calendar => calendar.url === normalized)) {
+            return { success: false, message: 'This calendar is already imported for this listing.' };
+        }
+
+        let text;
+        try {
+            text = await this.backend.fetchCalendar(normalized);
+        } catch (error) {
+            return { success: false, message: `We couldn't fetch that calendar. ${error.message}` };
+        }
+
+        const calendar = {
+            id: `ical-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name.trim() || new URL(normalized).hostname,
+            url: normalized,
+            fileName: null,
+            addedAt: new Date().toISOString()
+        };
+        return this.applyCalendar(propertyId, calendar, text);
+    }
+
+    /**
+     * Import a calendar file exported from another site. Importing a file again under the same
+     * name replaces the dates it blocked before.
+     * @param {string|number} propertyId - Listing id
+     * @param {File} file - .ics file
+     * @param {string} name - Name shown to the host; defaults to the file name
+     * @returns {Promise<object>} - { success, message, calendar, conflicts }
+     */
+    async importFile(propertyId, file, name = '') {
+        if (!file) {
+            return { success: false, message: 'Please choose a calendar file (.ics).' };
+        }
+        if (file.size > ICAL_MAX_FILE_BYTES) {
+            return { success: false, message: 'That file is too large to be a calendar export.' };
+        }
+
+        const calendarName = name.trim() || file.name.replace(/\.(ics|ical|ifb|icalendar)$/i, '');
+        const existing = this.getCalendars(propertyId).find(calendar => !calendar.url && calendar.name === calendarName);
+        const calendar = existing || {
+            id: `ical-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: calendarName,
+            url: null,
+            addedAt: new Date().toISOString()
+        };
+        return this.applyCalendar(propertyId, { ...calendar, fileName: file.name }, await file.text());
+    }
+
+    /**
+     * Fetch a linked calendar again. A failed fetch keeps the dates from the last sync.
+     * @param {string|number} propertyId - Listing id
+     * @param {string} calendarId - Imported calendar id
+     * @returns {Promise<object>} - { success, message, calendar, conflicts }
+     */
+    async refreshCalendar(propertyId, calendarId) {
+        const calendar = this.getCalendars(propertyId).find(candidate => candidate.id === calendarId);
+        if (!calendar || !calendar.url) {
+            return { success: false, message: 'Only calendars imported by link can be refreshed.' };
+        }
+
+        try {
+            return this.applyCalendar(propertyId, calendar, await this.backend.fetchCalendar(calendar.url));
+        } catch (error) {
+            const failed = this.saveCalendar(propertyId, { ...calendar, lastError: error.message });
+            return {
+                success: false,
+                message: `We couldn't refresh ${calendar.name}. ${error.message}`,
+                calendar: failed,
+                conflicts: this.getConflicts(propertyId, calendarId)
+            };
+        }
+    }
+
+    /**
+     * Refresh every linked calendar whose last sync is older than ICAL_REFRESH_INTERVAL_MS
+     * @returns {Promise<object[]>} - refreshCalendar() results, with propertyId added
+     */
+    async refreshDue() {
+        const now = Date.now();
+        const results = [];
+        if (!this.supportsLinks()) return results;
+
+        for (const [propertyId, state] of Object.entries(this.readState())) {
+            for (const calendar of state.calendars || []) {
+                const lastTry = Date.parse(calendar.lastAttemptAt || calendar.lastSyncedAt || 0) || 0;
+                if (!calendar.url || now - lastTry < ICAL_REFRESH_INTERVAL_MS) continue;
+                results.push({ propertyId, ...await this.refreshCalendar(propertyId, calendar.id) });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Look for due calendars every ICAL_REFRESH_CHECK_MS while the page is open. Pages call
+     * refreshDue() once themselves on load.
+     * @param {function} onChange - Called with the refreshDue() results whenever there are any
+     */
+    startRefresh(onChange) {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            this.refreshDue()
+                .then(results => {
+                    if (results.length && onChange) onChange(results);
+                })
+                .catch(error => console.error('Calendar refresh failed:', error));
+        }, ICAL_REFRESH_CHECK_MS);
+    }
+
+    /**
+     * Stop importing a calendar and release the dates it blocked
+     * @param {string|number} propertyId - Listing id
+     * @param {string} calendarId - Imported calendar id
+     */
+    removeCalendar(propertyId, calendarId) {
+        availabilityManager.replaceImportedBlocks(propertyId, calendarId, []);
+        this.saveListingState(propertyId, {
+            calendars: this.getCalendars(propertyId).filter(calendar => calendar.id !== calendarId)
+        });
+    }
+
+    /**
+     * Imported events that overlap a ChakaBNB booking
+     * @param {string|number} propertyId - Listing id
+     * @param {string} calendarId - Optional; only this calendar's events
+     * @returns {Array} - { calendarId, calendarName, summary, start, end, booking }
+     */
+    getConflicts(propertyId, calendarId = null) {
+        const calendars = this.getCalendars(propertyId);
+        const booked = availabilityManager.getBookedRanges(propertyId);
+        const conflicts = [];
+
+        availabilityManager.getBlockedRanges(propertyId)
+            .filter(range => range.source && (!calendarId || range.source === calendarId))
+            .forEach(range => {
+                const calendar = calendars.find(candidate => candidate.id === range.source);
+                booked
+                    .filter(stay => AvailabilityManager.rangesOverlap(range.start, range.end, stay.start, stay.end))
+                    .forEach(stay => conflicts.push({
+                        calendarId: range.source,
+                        calendarName: calendar ? calendar.name : 'Imported calendar',
+                        summary: range.reason,
+                        start: range.start,
+                        end: range.end,
+                        booking: bookingManager.getBooking(stay.id)
+                    }));
+            });
+
+        return conflicts.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Block the calendar's events and save it
+     * @returns {object} - { success, message, calendar, conflicts }
+     */
+    applyCalendar(propertyId, calendar, text) {
+        let events;
+        try {
+            events = ICalSync.parseCalendar(text);
+        } catch (error) {
+            const failed = calendar.lastSyncedAt ? this.saveCalendar(propertyId, { ...calendar, lastError: error.message }) : calendar;
+            return { success: false, message: error.message, calendar: failed, conflicts: [] };
+        }
+
+        // Past stays don't block anything
+        const today = AvailabilityManager.today();
+        const upcoming = events.filter(event => event.end > today);
+        availabilityManager.replaceImportedBlocks(propertyId, calendar.id, upcoming.map(event => ({
+            start: event.start,
+            end: event.end,
+            reason: event.summary || `Blocked on ${calendar.name}`,
+            uid: event.uid
+        })));
+
+        const saved = this.saveCalendar(propertyId, {
+            ...calendar,
+            lastSyncedAt: new Date().toISOString(),
+            lastError: null,
+            eventCount: upcoming.length
+        });
+        const conflicts = this.getConflicts(propertyId, calendar.id);
+
+        return {
+            success: true,
+            message: conflicts.length
+                ? `${saved.name} overlaps ${conflicts.length === 1 ? 'a ChakaBNB booking' : `${conflicts.length} ChakaBNB bookings`}. Those dates are blocked, so check both calendars.`
+                : `${upcoming.length} upcoming ${upcoming.length === 1 ? 'stay' : 'stays'} from ${saved.name} ${upcoming.length === 1 ? 'is' : 'are'} now blocked.`,
+            calendar: saved,
+            conflicts
+        };
+    }
+
+    saveCalendar(propertyId, calendar) {
+        const saved = { ...calendar, lastAttemptAt: new Date().toISOString() };
+        const calendars = this.getCalendars(propertyId).filter(candidate => candidate.id !== calendar.id);
+        this.saveListingState(propertyId, { calendars: [...calendars, saved] });
+        return saved;
+    }
+
+    /**
+     * Read the events of an iCal file as night ranges. Cancelled and free (transparent)
+     * events are skipped.
+     * @param {string} text - text/calendar
+     * @returns {Array} - { uid, summary, start, end } with half-open YYYY-MM-DD ranges
+     */
+    static parseCalendar(text) {
+        const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+            throw new Error('That doesn\'t look like an iCal calendar (.ics).');
+        }
+
+        const events = [];
+        const components = [];
+        let event = null;
+
+        lines.forEach(line => {
+            const property = ICalSync.parseContentLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                components.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') event = {};
+                return;
+            }
+            if (property.name === 'END') {
+                if (components.pop() === 'VEVENT' && event) {
+                    events.push(event);
+                    event = null;
+                }
+                return;
+            }
+            // Properties of alarms inside an event aren't the event's
+            if (event && components[components.length - 1] === 'VEVENT') {
+                event[property.name] = property;
+            }
+        });
+
+        return events
+            .filter(entry => entry.DTSTART)
+            .filter(entry => !entry.STATUS || entry.STATUS.value.toUpperCase() !== 'CANCELLED')
+            .filter(entry => !entry.TRANSP || entry.TRANSP.value.toUpperCase() !== 'TRANSPARENT')
+            .map(entry => {
+                const start = ICalSync.parseIcsDate(entry.DTSTART.value);
+                let end = entry.DTEND ? ICalSync.parseIcsDate(entry.DTEND.value) : null;
+                if (!end && start && entry.DURATION) {
+                    const days = ICalSync.parseDurationDays(entry.DURATION.value);
+                    end = AvailabilityManager.addDays(start, days);
+                }
+                // An event that starts and ends on the same day still takes that night
+                if (start && (!end || end <= start)) end = AvailabilityManager.addDays(start, 1);
+
+                return {
+                    uid: entry.UID ? entry.UID.value : null,
+                    summary: entry.SUMMARY ? ICalSync.unescapeIcsText(entry.SUMMARY.value) : '',
+                    start,
+                    end
+                };
+            })
+            .filter(entry => AvailabilityManager.isValidRange(entry.start, entry.end));
+    }
+
+    /**
+     * @param {string} line - Unfolded content line, e.g. DTSTART;VALUE=DATE:20240301
+     * @returns {object|null} - { name, value }
+     */
+    static parseContentLine(line) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;"]*))*):(.*)$/);
+        return match ? { name: match[1].toUpperCase(), value: match[3].trim() } : null;
+    }
+
+    /**
+     * @param {string} value - DATE (20240301) or DATE-TIME (20240301T140000, with Z for UTC)
+     * @returns {string|null} - The local date (YYYY-MM-DD); floating and TZID times keep their
+     *     own date
+     */
+    static parseIcsDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        if (utc) {
+            return AvailabilityManager.toISODate(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)));
+        }
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * @param {string} value - Duration, e.g. P3D, P1W or P2DT12H
+     * @returns {number} - Whole days, rounded up (at least 1)
+     */
+    static parseDurationDays(value) {
+        const match = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return 1;
+
+        const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+        const total = weeks * 7 + days + (hours * 3600 + minutes * 60 + seconds) / 86400;
+        return Math.max(1, Math.ceil(total));
+    }
+
+    static unescapeIcsText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * @param {string} url - Link as pasted
+     * @returns {string|null} - https:// or http:// URL (webcal:// is read as https://), or null
+     */
+    static normalizeUrl(url) {
+        const trimmed = String(url || '').trim().replace(/^webcals?:\/\//i, 'https://');
+        try {
+            const parsed = new URL(trimmed);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Global calendar sync instance
+window.icalSync = new ICalSync();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ICalSync, LocalCalendarBackend, RestCalendarBackend };
+}
@@ -0,0 +1,489 @@
+/**
+ * ChakaBNB M-Pesa
+ * STK push payments: prompt the guest's phone, then wait for the result by callback or polling
+ *
+ * Gateways implement initiateStkPush(request) and queryStatus(checkoutRequestId); a gateway
+ * that can hear Daraja's result callback also implements onCallback(listener). The default
+ * LocalMpesaGateway is a mock of Daraja that answers on this device, so no credentials or
+ * network are needed. RestMpesaGateway talks to a server (or a local mock server) that holds
+ * the Daraja credentials and receives the callback itself.
+ */
+
+// How often the payment status is checked while the guest answers the prompt
+const MPESA_POLL_INTERVAL_MS = 3000;
+
+// Daraja drops an unanswered prompt after about a minute; stop waiting a little later
+const MPESA_PAYMENT_TIMEOUT_MS = 90 * 1000;
+
+// Extra tries for starting a push after a network or server error, and the wait before each
+const MPESA_INITIATE_RETRIES = 2;
+const MPESA_RETRY_DELAY_MS = 2000;
+
+// Prompts a guest can ask for on one booking
+const MPESA_MAX_PROMPTS = 3;
+
+// Messages for Daraja result codes the guest can act on
+const MPESA_RESULT_MESSAGES = {
+    1: 'Your M-Pesa balance is too low for this payment.',
+    1032: 'The M-Pesa prompt was cancelled on your phone.',
+    1037: 'We couldn\'t reach your phone. Check that it is on and has signal, then try again.',
+    2001: 'The M-Pesa PIN was incorrect.'
+};
+
+// LocalMpesaGateway: how long the mock "customer" takes to answer
+const MOCK_MPESA_DELAY_MS = 4000;
+
+// LocalMpesaGateway: test numbers that fail the way Daraja does, or answer after the page has
+// stopped waiting (late)
+const MOCK_MPESA_OUTCOMES = {
+    '254700000001': { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+    '254700000002': { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' },
+    '254700000003': { resultCode: 0, resultDesc: 'The service request is processed successfully.', late: true }
+};
+
+// LocalMpesaGateway: how long late numbers take to answer
+const MOCK_MPESA_LATE_DELAY_MS = 2 * MPESA_PAYMENT_TIMEOUT_MS;
+
+/**
+ * Mock of Daraja's STK push API. Every number pays after MOCK_MPESA_DELAY_MS except the ones
+ * in MOCK_MPESA_OUTCOMES, and the result is delivered as a Daraja-style callback.
+ */
+class LocalMpesaGateway {
+    constructor() {
+        this.requests = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * @param {object} request - { phone (2547XXXXXXXX), amount (whole KES), accountReference, description }
+     * @returns {Promise<object>} - { checkoutRequestId, customerMessage }
+     */
+    async initiateStkPush(request) {
+        const checkoutRequestId = `ws_CO_${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        this.requests.set(checkoutRequestId, { ...request, state: 'pending' });
+
+        const outcome = Object.prototype.hasOwnProperty.call(MOCK_MPESA_OUTCOMES, request.phone)
+            ? MOCK_MPESA_OUTCOMES[request.phone]
+            : { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+        setTimeout(() => this.settle(checkoutRequestId, outcome), outcome.late ? MOCK_MPESA_LATE_DELAY_MS : MOCK_MPESA_DELAY_MS);
+
+        return { checkoutRequestId, customerMessage: 'Success. Request accepted for processing' };
+    }
+
+    /**
+     * @param {string} checkoutRequestId - From initiateStkPush()
+     * @returns {Promise<object>} - { state ('pending', 'paid' or 'failed'), resultCode, resultDesc, receipt }
+     */
+    async queryStatus(checkoutRequestId) {
+        const request = this.requests.get(checkoutRequestId);
+        if (!request) {
+            const error = new Error('Unknown M-Pesa request');
+            error.status = 404;
+            throw error;
+        }
+
+        const { state, resultCode = null, resultDesc = '', receipt = null } = request;
+        return { state, resultCode, resultDesc, receipt };
+    }
+
+    /**
+     * @param {function} listener - Called with each Daraja callback body
+     */
+    onCallback(listener) {
+        this.listeners.push(listener);
+    }
+
+    settle(checkoutRequestId, { resultCode, resultDesc }) {
+        const request = this.requests.get(checkoutRequestId);
+        const receipt = resultCode === 0 ? LocalMpesaGateway.createReceipt() : null;
+        this.requests.set(checkoutRequestId, { ...request, state: resultCode === 0 ? 'paid' : 'failed', resultCode, resultDesc, receipt });
+
+        const callback = {
+            Body: {
+                stkCallback: {
+                    CheckoutRequestID: checkoutRequestId,
+                    ResultCode: resultCode,
+                    ResultDesc: resultDesc,
+                    CallbackMetadata: receipt ? {
+                        Item: [
+                            { Name: 'Amount', Value: request.amount },
+                            { Name: 'MpesaReceiptNumber', Value: receipt },
+                            { Name: 'PhoneNumber', Value: Number(request.phone) }
+                        ]
+                    } : undefined
+                }
+            }
+        };
+        this.listeners.forEach(listener => listener(callback));
+    }
+
+    static createReceipt() {
+        const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        return Array.from({ length: 10 }, () => characters[Math.floor(Math.random() * characters.length)]).join('');
+    }
+}
+
+/**
+ * REST gateway. Expects POST /mpesa/stk-push and GET /mpesa/stk-push/:checkoutRequestId,
+ * answering in the same shape as LocalMpesaGateway.
+ */
+class RestMpesaGateway {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(options.headers || {})
+            }
+        });
+
+        if (!response.ok) {
+            const error = new Error(`M-Pesa request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    initiateStkPush(request) {
+        return this.request('/mpesa/stk-push', { method: 'POST', body: JSON.stringify(request) });
+    }
+
+    queryStatus(checkoutRequestId) {
+        return this.request(`/mpesa/stk-push/${encodeURIComponent(checkoutRequestId)}`);
+    }
+}
+
+class MpesaService {
+    /**
+     * @param {object} gateway - M-Pesa gateway (see the file comment)
+     */
+    constructor(gateway = new LocalMpesaGateway()) {
+        // Payments waiting for a result, keyed by checkoutRequestId
+        this.waiting = new Map();
+        this.setGateway(gateway);
+    }
+
+    /**
+     * Swap the gateway, e.g. mpesaService.setGateway(new RestMpesaGateway())
+     * @param {object} gateway - M-Pesa gateway
+     */
+    setGateway(gateway) {
+        this.gateway = gateway;
+        if (typeof gateway.onCallback === 'function') {
+            gateway.onCallback(callback => this.handleCallback(callback));
+        }
+    }
+
+    /**
+     * @param {string} phone - Number as typed
+     * @returns {string|null} - 2547XXXXXXXX / 2541XXXXXXXX, or null if it can't take M-Pesa
+     */
+    normalizePhone(phone) {
+        if (!window.SecurityManager.validatePhone(phone).isValid) return null;
+
+        const digits = phone.replace(/\D/g, '');
+        const normalized = digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+        return /^254[17]\d{8}$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * Send an STK push for a booking and wait for the guest to answer it. The booking's payment
+     * moves from 'pending' to 'paid' or 'failed', or back to 'deposit_paid' when a balance prompt fails.
+     * If M-Pesa hasn't answered by MPESA_PAYMENT_TIMEOUT_MS it stays 'pending' for reconcilePending().
+     * @param {string|number} bookingId - Booking to pay for
+     * @param {string} phone - M-Pesa number as typed
+     * @param {function} onPrompt - Optional; called once the prompt has been sent to the phone
+     * @returns {Promise<object>} - { success, message, booking }
+     */
+    async payBooking(bookingId, phone, onPrompt = null) {
+        const booking = bookingManager.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that booking.' };
+        }
+        if (RELEASED_BOOKING_STATUSES.includes(booking.status)) {
+            return { success: false, message: 'This booking is no longer active, so there\'s nothing to pay.', booking };
+        }
+        if (booking.payment && booking.payment.status === 'paid') {
+            return { success: true, message: 'This booking is already paid.', booking };
+        }
+
+        // A failed payment released the dates, so they may have been taken since
+        if (booking.payment && booking.payment.status === 'failed') {
+            const availability = availabilityManager.checkAvailability(booking.propertyId, booking.checkIn, booking.checkOut, { excludeBookingId: booking.id });
+            if (!availability.available) {
+                return { success: false, message: availability.message };
+            }
+        }
+
+        const msisdn = this.normalizePhone(phone);
+        if (!msisdn) {
+            return { success: false, message: 'Please enter a Safaricom number that uses M-Pesa, e.g. 0712345678.' };
+        }
+
+        const prompts = booking.payment ? booking.payment.prompts || 0 : 0;
+        if (prompts >= MPESA_MAX_PROMPTS) {
+            return { success: false, message: 'This booking has had too many payment attempts. Please contact us to complete it.' };
+        }
+
+        // M-Pesa takes whole shillings
+        const due = paymentManager.getAmountDue(booking);
+        const amount = Math.ceil(due.amount);
+        let push;
+        try {
+            push = await MpesaService.withRetries(() => this.gateway.initiateStkPush({
+                phone: msisdn,
+                amount,
+                accountReference: `CHAKA${String(booking.id).slice(-7)}`,
+                description: 'ChakaBNB booking'
+            }));
+        } catch (error) {
+            console.error('M-Pesa prompt could not be sent:', error);
+            return { success: false, message: 'We couldn\'t send the M-Pesa prompt. Please try again.' };
+        }
+
+        bookingManager.updatePayment(booking.id, {
+            method: 'mpesa',
+            status: 'pending',
+            phone: msisdn,
+            amount,
+            kind: due.kind,
+            checkoutRequestId: push.checkoutRequestId,
+            prompts: prompts + 1,
+            failureReason: null
+        });
+        if (onPrompt) onPrompt(push);
+
+        const result = await this.waitForResult(push.checkoutRequestId);
+        return this.recordResult(booking.id, result);
+    }
+
+    /**
+     * Resolves with the result from the callback or from polling, whichever comes first, or
+     * with a timeout once MPESA_PAYMENT_TIMEOUT_MS has passed
+     * @param {string} checkoutRequestId - From initiateStkPush()
+     * @returns {Promise<object>} - { state, resultCode, resultDesc, receipt }
+     */
+    waitForResult(checkoutRequestId) {
+        return new Promise(resolve => {
+            const startedAt = Date.now();
+            let pollTimer = null;
+
+            const finish = result => {
+                clearTimeout(pollTimer);
+                this.waiting.delete(checkoutRequestId);
+                resolve(result);
+            };
+            this.waiting.set(checkoutRequestId, finish);
+
+            const poll = () => {
+                this.gateway.queryStatus(checkoutRequestId)
+                    .then(status => {
+                        if (!this.waiting.has(checkoutRequestId)) return;
+                        if (status.state !== 'pending') {
+                            finish(status);
+                        } else if (Date.now() - startedAt >= MPESA_PAYMENT_TIMEOUT_MS) {
+                            finish({ state: 'timeout', resultCode: null, resultDesc: 'No answer from M-Pesa', receipt: null });
+                        } else {
+                            pollTimer = setTimeout(poll, MPESA_POLL_INTERVAL_MS);
+                        }
+                    })
+                    .catch(error => {
+                        // A failed status check doesn't mean the payment failed; keep asking until the timeout
+                        console.warn('M-Pesa status check failed:', error);
+                        if (!this.waiting.has(checkoutRequestId)) return;
+                        if (Date.now() - startedAt >= MPESA_PAYMENT_TIMEOUT_MS) {
+                            finish({ state: 'timeout', resultCode: null, resultDesc: 'No answer from M-Pesa', receipt: null });
+                        } else {
+                            pollTimer = setTimeout(poll, MPESA_POLL_INTERVAL_MS);
+                        }
+                    });
+            };
+            pollTimer = setTimeout(poll, MPESA_POLL_INTERVAL_MS);
+        });
+    }
+
+    /**
+     * Apply a Daraja STK callback body ({ Body: { stkCallback } }) to the payment waiting for it
+     * @param {object} callback - Callback body
+     */
+    handleCallback(callback) {
+        const result = MpesaService.parseCallback(callback);
+        if (!result) return;
+
+        const finish = this.waiting.get(result.checkoutRequestId);
+        if (finish) {
+            finish(result);
+            return;
+        }
+
+        // The page stopped waiting (e.g. after a timeout), but the booking should still learn the outcome
+        const booking = bookingManager.readBookings().find(candidate =>
+            candidate.payment && candidate.payment.checkoutRequestId === result.checkoutRequestId);
+        if (booking) {
+            this.recordResult(booking.id, result)
+                .catch(error => console.error('M-Pesa result could not be recorded:', error));
+        }
+    }
+
+    /**
+     * Ask the gateway about payments still waiting on M-Pesa that no open prompt is watching,
+     * e.g. after a timeout or a reload, and record the ones that have been answered
+     * @returns {Promise<object[]>} - recordResult() results for the payments that were answered
+     */
+    async reconcilePending() {
+        const pending = bookingManager.readBookings().filter(booking =>
+            booking.payment && booking.payment.method === 'mpesa' && booking.payment.status === 'pending' &&
+            booking.payment.checkoutRequestId && !this.waiting.has(booking.payment.checkoutRequestId));
+        const results = [];
+
+        for (const booking of pending) {
+            let status;
+            try {
+                status = await this.gateway.queryStatus(booking.payment.checkoutRequestId);
+            } catch (error) {
+                // A gateway that doesn't know the prompt never took the money; anything else is asked again next time
+                if (error.status !== 404) {
+                    console.warn('M-Pesa status check failed:', error);
+                    continue;
+                }
+                status = { state: 'failed', resultCode: null, resultDesc: 'Unknown M-Pesa request', receipt: null };
+            }
+
+            if (status.state !== 'pending') {
+                results.push(await this.recordResult(booking.id, status));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * @param {string|number} bookingId - Booking paid for
+     * @param {object} result - { state, resultCode, resultDesc, receipt }
+     * @returns {Promise<object>} - { success, message, booking }
+     */
+    async recordResult(bookingId, result) {
+        // M-Pesa may still answer, so the payment stays pending and keeps the dates until it does
+        if (result.state === 'timeout') {
+            return {
+                success: false,
+                message: 'We haven\'t heard back from M-Pesa yet. If you paid, your booking will update once we do.',
+                booking: bookingManager.getBooking(bookingId)
+            };
+        }
+
+        if (result.state === 'paid') {
+            const current = bookingManager.getBooking(bookingId);
+            const recorded = (current.payments || []).some(record => record.transactionId === result.receipt);
+            if (!recorded) {
+                paymentManager.recordCharge(bookingId, {
+                    method: 'mpesa',
+                    amount: current.payment.amount,
+                    kind: current.payment.kind || 'full',
+                    transactionId: result.receipt
+                });
+            }
+
+            // Money that arrives after the booking was cancelled or declined goes straight back
+            if (!recorded && RELEASED_BOOKING_STATUSES.includes(current.status)) {
+                const refund = current.refund || { percent: 100, amount: 0 };
+                bookingManager.saveBooking({
+                    ...bookingManager.getBooking(bookingId),
+                    refund: { ...refund, amount: refund.amount + current.payment.amount, status: 'pending' }
+                });
+                const booking = await paymentManager.issueRefund(bookingId);
+                return { success: false, message: `This booking is no longer active, so your M-Pesa payment (receipt ${result.receipt}) will be refunded.`, booking };
+            }
+
+            const booking = bookingManager.updatePayment(bookingId, {
+                receipt: result.receipt,
+                paidAt: new Date().toISOString(),
+                failureReason: null
+            });
+            return { success: true, message: `Payment received. M-Pesa receipt ${result.receipt}.`, booking };
+        }
+
+        const message = MPESA_RESULT_MESSAGES[result.resultCode] || 'The M-Pesa payment didn\'t go through.';
+        const current = bookingManager.getBooking(bookingId);
+        paymentManager.addRecord(bookingId, {
+            type: 'charge',
+            status: 'failed',
+            method: 'mpesa',
+            amount: current.payment.amount,
+            kind: current.payment.kind || 'full',
+            failureReason: result.resultDesc
+        });
+        // A failed balance prompt leaves the deposit, and the dates it holds, in place
+        const booking = bookingManager.updatePayment(bookingId, {
+            status: bookingManager.getAmountPaid(current) > 0 ? 'deposit_paid' : 'failed',
+            resultCode: result.resultCode,
+            failureReason: result.resultDesc
+        });
+        return { success: false, message, booking };
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {boolean} - True if another prompt may be sent for it
+     */
+    canRetry(booking) {
+        if (!booking || !booking.payment) return false;
+        const failed = booking.payment.status === 'failed' ||
+            (booking.payment.status === 'deposit_paid' && Boolean(booking.payment.failureReason));
+        return failed && (booking.payment.prompts || 0) < MPESA_MAX_PROMPTS;
+    }
+
+    /**
+     * @param {object} callback - Daraja callback body
+     * @returns {object|null} - { checkoutRequestId, state, resultCode, resultDesc, receipt }
+     */
+    static parseCallback(callback) {
+        const stk = callback && callback.Body && callback.Body.stkCallback;
+        if (!stk || !stk.CheckoutRequestID) return null;
+
+        const items = (stk.CallbackMetadata && stk.CallbackMetadata.Item) || [];
+        const receiptItem = items.find(item => item.Name === 'MpesaReceiptNumber');
+        const resultCode = Number(stk.ResultCode);
+
+        return {
+            checkoutRequestId: stk.CheckoutRequestID,
+            state: resultCode === 0 ? 'paid' : 'failed',
+            resultCode,
+            resultDesc: stk.ResultDesc || '',
+            receipt: receiptItem ? String(receiptItem.Value) : null
+        };
+    }
+
+    /**
+     * Run a gateway call, trying again after network and server errors
+     * @param {function} operation - Returns a promise
+     * @returns {Promise<*>}
+     */
+    static async withRetries(operation) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                const retryable = !error.status || error.status >= 500;
+                if (!retryable || attempt >= MPESA_INITIATE_RETRIES) throw error;
+                await new Promise(resolve => setTimeout(resolve, MPESA_RETRY_DELAY_MS * (attempt + 1)));
+            }
+        }
+    }
+}
+
+// Global M-Pesa service instance
+window.mpesaService = new MpesaService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MpesaService, LocalMpesaGateway, RestMpesaGateway };
+}
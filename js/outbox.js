@@ -0,0 +1,82 @@
+/**
+ * ChakaBNB Outbox
+ * Outgoing email (password resets, email verification) behind a swappable transport
+ *
+ * LocalOutbox keeps messages in `chakabnb_outbox` and logs them to the console instead of
+ * delivering them, so the links can be followed during local development.
+ */
+
+// Messages kept by LocalOutbox; older ones are dropped
+const LOCAL_OUTBOX_LIMIT = 50;
+
+/**
+ * Local stub that records messages on this device instead of sending them
+ */
+class LocalOutbox {
+    constructor(storageKey = 'chakabnb_outbox') {
+        this.storageKey = storageKey;
+    }
+
+    readMessages() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {object} message - { to, subject, text }
+     * @returns {Promise<object>} - The stored message with id and sentAt
+     */
+    async send({ to, subject, text }) {
+        const message = { id: `mail-${Date.now()}`, to, subject, text, sentAt: new Date().toISOString() };
+        localStorage.setItem(this.storageKey, JSON.stringify([...this.readMessages(), message].slice(-LOCAL_OUTBOX_LIMIT)));
+        console.info(`[outbox] To: ${to}\nSubject: ${subject}\n\n${text}`);
+        return message;
+    }
+
+    /**
+     * @param {string} email - Recipient
+     * @returns {object|null} - Newest message sent to the address
+     */
+    latestFor(email) {
+        return this.readMessages().filter(message => message.to === email).pop() || null;
+    }
+}
+
+/**
+ * REST transport for when mail is sent by a server. Expects POST /mail.
+ */
+class RestOutbox {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async send(message) {
+        const response = await fetch(`${this.baseUrl}/mail`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(message)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Mail request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+}
+
+// Global outbox instance
+window.outbox = new LocalOutbox();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalOutbox, RestOutbox };
+}
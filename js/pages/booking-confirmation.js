@@ -0,0 +1,234 @@
+/**
+ * ChakaBNB Booking Confirmation Page
+ * Reference code, itemized totals, PDF receipt and calendar file for booking-confirmation.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Booking shown on the page (from ?id=) and its listing
+let confirmedBooking = null;
+let confirmedProperty = null;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    authService.updateNavigation();
+    initDocumentButtons();
+    loadConfirmation();
+});
+
+function loadConfirmation() {
+    // route-guard.js has already sent signed-out visitors to the login page
+    const user = authService.getCurrentUser();
+    if (!user) return;
+    const bookingId = new URLSearchParams(window.location.search).get('id');
+
+    // Only the guest who made the booking can see it; timers run first so the state is current
+    bookingLifecycle.runTimers()
+        .then(() => {
+            confirmedBooking = bookingManager.getGuestBookings(user.email).find(booking => String(booking.id) === String(bookingId)) || null;
+            return confirmedBooking ? propertyStore.getById(confirmedBooking.propertyId) : null;
+        })
+        .then(property => {
+            confirmedProperty = property;
+            document.getElementById('confirmation-missing').classList.toggle('hidden', Boolean(confirmedBooking));
+            document.getElementById('confirmation-content').classList.toggle('hidden', !confirmedBooking);
+            if (confirmedBooking) renderConfirmation(confirmedBooking, confirmedProperty);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadConfirmation);
+        });
+}
+
+function renderConfirmation(booking, property) {
+    const receipt = bookingDocuments.getReceipt(booking);
+    const summary = describeConfirmation(booking);
+    const status = bookingLifecycle.describe(booking, 'guest');
+
+    document.title = `Booking ${receipt.reference} - ChakaBNB`;
+    const icon = document.getElementById('confirmation-icon');
+    icon.className = `mx-auto w-14 h-14 rounded-full flex items-center justify-center ${summary.className}`;
+    icon.innerHTML = `<i data-feather="${summary.icon}" class="h-7 w-7"></i>`;
+    document.getElementById('confirmation-heading').textContent = summary.heading;
+    document.getElementById('confirmation-message').textContent = summary.message;
+
+    document.getElementById('confirmation-reference').textContent = receipt.reference;
+    const badge = document.getElementById('confirmation-status');
+    badge.textContent = status.label;
+    badge.className = `self-start sm:self-center px-2 py-1 rounded-full text-xs font-medium ${status.className}`;
+
+    const image = document.getElementById('confirmation-property-image');
+    image.src = property ? property.image : 'http://static.photos/indoor/640x360/1';
+    image.alt = booking.propertyTitle || '';
+    const link = document.getElementById('confirmation-property-link');
+    link.textContent = property ? property.title : booking.propertyTitle;
+    link.href = `property-detail.html?id=${encodeURIComponent(booking.propertyId)}`;
+    document.getElementById('confirmation-property-location').textContent = property
+        ? [property.location.area, property.location.city].filter(Boolean).join(', ')
+        : '';
+
+    document.getElementById('confirmation-check-in').textContent = formatConfirmationDate(booking.checkIn);
+    document.getElementById('confirmation-check-out').textContent = formatConfirmationDate(booking.checkOut);
+    document.getElementById('confirmation-guests').textContent = pluralize(booking.guests, 'guest');
+    document.getElementById('confirmation-guest-name').textContent = [booking.firstName, booking.lastName].filter(Boolean).join(' ') || booking.email;
+
+    // Itemized quote saved with the booking, then the VAT it includes and what has been paid
+    const lines = document.getElementById('confirmation-price-lines');
+    if (booking.quote && booking.quote.lineItems) {
+        renderQuoteLines(lines, booking.quote);
+    } else {
+        lines.innerHTML = '';
+    }
+    setPrice(document.getElementById('confirmation-net'), receipt.net);
+    document.getElementById('confirmation-vat-label').textContent = `VAT (${Math.round(VAT_RATE * 100)}%)`;
+    setPrice(document.getElementById('confirmation-vat'), receipt.vat);
+    setPrice(document.getElementById('confirmation-total'), receipt.total);
+    setPrice(document.getElementById('confirmation-paid'), receipt.paid);
+    document.getElementById('confirmation-refunded-row').classList.toggle('hidden', !receipt.refunded);
+    setPrice(document.getElementById('confirmation-refunded'), -receipt.refunded);
+    setPrice(document.getElementById('confirmation-balance'), receipt.balance);
+
+    feather.replace();
+}
+
+/**
+ * Heading, message and icon for the booking's state
+ * @returns {object} - { heading, message, icon, className }
+ */
+function describeConfirmation(booking) {
+    if (['confirmed', 'checked_in', 'completed'].includes(booking.status)) {
+        return {
+            heading: 'Your booking is confirmed',
+            message: 'Keep your booking reference handy; the host will ask for it when you arrive.',
+            icon: 'check',
+            className: 'bg-green-100 text-green-700'
+        };
+    }
+    if (booking.status === 'requested') {
+        const answerBy = new Date(bookingLifecycle.getExpiry(booking));
+        return {
+            heading: 'Request sent',
+            message: `The host has until ${answerBy.toLocaleString('en-KE', { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })} to accept. If they decline, you'll get a full refund.`,
+            icon: 'clock',
+            className: 'bg-yellow-100 text-yellow-700'
+        };
+    }
+    if (booking.status === 'awaiting_payment') {
+        const failed = booking.payment && booking.payment.status === 'failed';
+        return {
+            heading: failed ? 'Payment not completed' : 'Waiting for your payment',
+            message: failed
+                ? 'Your payment didn\'t go through, so these dates aren\'t held.'
+                : 'Your dates are held while we wait for your payment to come through.',
+            icon: failed ? 'alert-circle' : 'clock',
+            className: failed ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-700'
+        };
+    }
+    return {
+        heading: 'This booking is no longer active',
+        message: booking.refund && booking.refund.amount > 0
+            ? `Your refund of ${currencyService.format(booking.refund.amount)} ${booking.refund.status === 'refunded' ? 'has been sent' : 'is on its way'}.`
+            : 'These dates have been released.',
+        icon: 'x',
+        className: 'bg-red-100 text-red-700'
+    };
+}
+
+function initDocumentButtons() {
+    document.getElementById('download-receipt').addEventListener('click', function() {
+        if (!confirmedBooking) return;
+        const reference = bookingDocuments.getReference(confirmedBooking);
+        bookingDocuments.download(bookingDocuments.createReceiptPdf(confirmedBooking, confirmedProperty), `ChakaBNB-receipt-${reference}.pdf`);
+    });
+
+    document.getElementById('download-calendar').addEventListener('click', function() {
+        if (!confirmedBooking) return;
+        const reference = bookingDocuments.getReference(confirmedBooking);
+        bookingDocuments.download(bookingDocuments.createCalendarFile(confirmedBooking, confirmedProperty), `ChakaBNB-${reference}.ics`, 'text/calendar');
+    });
+
+    document.getElementById('print-confirmation').addEventListener('click', function() {
+        window.print();
+    });
+}
+
+/**
+ * Render a booking quote's line items, as on the property detail page
+ */
+function renderQuoteLines(container, quote) {
+    container.innerHTML = '';
+
+    quote.lineItems.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between';
+        row.innerHTML = '<span class="text-gray-700"></span><span class="text-gray-900"></span>';
+
+        const [label, amount] = row.children;
+        if (item.unitAmount != null) {
+            const unitPrice = document.createElement('span');
+            setPrice(unitPrice, item.unitAmount);
+            label.append(unitPrice, ` x ${item.quantity} ${item.label}`);
+        } else {
+            label.textContent = item.label;
+        }
+        setPrice(amount, item.amount);
+        if (item.amount < 0) amount.classList.replace('text-gray-900', 'text-green-600');
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show a KES amount in the selected currency; the currency service
+ * re-renders it when the visitor switches currency
+ */
+function setPrice(element, amount) {
+    element.dataset.price = amount;
+    element.textContent = currencyService.format(amount);
+}
+
+function formatConfirmationDate(isoDate) {
+    if (!isoDate) return '-';
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-KE', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * ChakaBNB Forgot Password Page
+ * Password reset request form for forgot-password.html
+ */
+
+feather.replace();
+
+// Request a reset link; the answer is the same whether or not the account exists
+document.getElementById('forgot-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const emailInput = document.getElementById('email');
+    const emailError = document.getElementById('email-error');
+    const submitBtn = document.getElementById('forgot-submit');
+    const submitText = document.getElementById('forgot-submit-text');
+    const email = emailInput.value.trim();
+
+    emailError.classList.add('hidden');
+    emailInput.classList.remove('border-red-500');
+
+    const emailValidation = window.SecurityManager.validateEmail(email);
+    if (!emailValidation.isValid) {
+        emailError.textContent = emailValidation.message;
+        emailError.classList.remove('hidden');
+        emailInput.classList.add('border-red-500');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitText.textContent = 'Sending...';
+
+    // Every reset email counts towards the limit (see RATE_LIMITS.passwordReset)
+    rateLimiter.check('passwordReset', email)
+        .then(status => {
+            if (!status.allowed) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.AUTHENTICATION,
+                    message: status.message
+                });
+                return;
+            }
+
+            return authService.requestPasswordReset(email)
+                .then(() => rateLimiter.recordFailure('passwordReset', email))
+                .then(() => {
+                    document.getElementById('sent-email').textContent = email;
+                    document.getElementById('forgot-request').classList.add('hidden');
+                    document.getElementById('forgot-sent').classList.remove('hidden');
+                });
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(() => {
+            submitBtn.disabled = false;
+            submitText.textContent = 'Send reset link';
+        });
+});
+
+document.getElementById('email').addEventListener('input', function() {
+    document.getElementById('email-error').classList.add('hidden');
+    this.classList.remove('border-red-500');
+});
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    initializeSecurity();
+});
+
+// Initialize security features
+function initializeSecurity() {
+    // CSRF token for this form, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(document.getElementById('forgot-form'));
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
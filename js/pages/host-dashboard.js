@@ -0,0 +1,617 @@
+/**
+ * ChakaBNB Host Dashboard Page
+ * Listings, calendar sync, reservation requests and earnings for host-dashboard.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// The signed-in host's listings (every status) and the bookings made for them
+let hostListings = [];
+let hostBookings = [];
+
+// Listing shown in the calendar sync section
+let calendarListingId = null;
+
+// The new-listing form's autosaved draft (see list-property.html)
+const NEW_LISTING_DRAFT_KEY = 'listPropertyDraft_v1';
+
+const LISTING_STATUS_STYLES = {
+    draft: 'bg-gray-100 text-gray-800',
+    pending: 'bg-yellow-100 text-yellow-800',
+    live: 'bg-green-100 text-green-800',
+    paused: 'bg-blue-100 text-blue-800'
+};
+
+// Success titles for the host's reservation actions
+const RESERVATION_ACTION_TITLES = {
+    checked_in: 'Guest checked in',
+    completed: 'Stay completed'
+};
+
+// Host actions per listing status, as [label, new status]
+const LISTING_ACTIONS = {
+    draft: [['Submit for review', 'pending']],
+    pending: [['Withdraw', 'draft']],
+    live: [['Pause', 'paused']],
+    paused: [['Resume', 'live']]
+};
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    authService.updateNavigation();
+    document.getElementById('reservation-filter').addEventListener('change', renderReservations);
+    initCalendarSync();
+    showSaveConfirmation();
+    loadDashboard();
+    bookingLifecycle.startTimers(loadDashboard);
+    icalSync.startRefresh(results => {
+        reportCalendarConflicts(results);
+        loadDashboard();
+    });
+});
+
+function loadDashboard() {
+    // route-guard.js has already sent signed-out visitors to the login page
+    const user = authService.getCurrentUser();
+    if (!user) return;
+    const email = user.email;
+    document.getElementById('dashboard-content').classList.remove('hidden');
+
+    // Requests left unanswered too long are declined, and linked calendars that are due
+    // fetched again, before anything is listed
+    bookingLifecycle.runTimers()
+        .then(() => icalSync.refreshDue())
+        .then(results => {
+            reportCalendarConflicts(results);
+            return propertyStore.query({ status: null, ownerEmail: email });
+        })
+        .then(listings => {
+            hostListings = listings;
+            hostBookings = bookingManager.getHostBookings(listings.map(listing => listing.id));
+            renderListings();
+            renderCalendarSync();
+            renderReservations();
+            renderEarnings();
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadDashboard);
+        });
+}
+
+// list-property.html redirects here with ?submitted= or ?updated= after saving
+function showSaveConfirmation() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('submitted')) {
+        errorHandler.showSuccess('Listing submitted', 'Your property will go live once our team has reviewed it.');
+    } else if (params.has('updated')) {
+        errorHandler.showSuccess('Listing updated', 'Your changes have been saved.');
+    }
+}
+
+function renderListings() {
+    const container = document.getElementById('host-listings');
+    container.innerHTML = '';
+
+    const draft = readNewListingDraft();
+    if (draft) container.appendChild(createDraftCard(draft));
+    hostListings.forEach(listing => container.appendChild(createListingCard(listing)));
+
+    document.getElementById('host-listings-empty').classList.toggle('hidden', Boolean(draft || hostListings.length));
+    document.getElementById('summary-live').textContent = hostListings.filter(listing => listing.status === 'live').length;
+    feather.replace();
+}
+
+function createListingCard(listing) {
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-xl shadow-sm p-4 flex gap-4';
+    card.innerHTML = `
+        <img src="" alt="" class="w-32 h-24 rounded-lg object-cover flex-shrink-0">
+        <div class="flex-1 min-w-0">
+            <div class="flex items-start justify-between gap-2">
+                <h3 class="font-semibold text-gray-900 truncate"></h3>
+                <span class="px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap"></span>
+            </div>
+            <p class="text-sm text-gray-600" data-listing-location></p>
+            <p class="mt-1 text-sm text-gray-900"><span data-listing-price></span> <span class="text-gray-600">night</span></p>
+            <div class="mt-3 flex flex-wrap gap-2" data-listing-actions>
+                <a href="" class="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50" data-listing-edit>Edit</a>
+            </div>
+        </div>
+    `;
+
+    const image = card.querySelector('img');
+    image.src = listing.image;
+    image.alt = listing.title || '';
+    card.querySelector('h3').textContent = listing.title || 'Untitled listing';
+    const badge = card.querySelector('h3 + span');
+    badge.textContent = propertyStore.describeStatus(listing.status);
+    badge.className += ` ${LISTING_STATUS_STYLES[listing.status] || LISTING_STATUS_STYLES.draft}`;
+    card.querySelector('[data-listing-location]').textContent = [listing.location.area, listing.location.city].filter(Boolean).join(', ');
+    setPrice(card.querySelector('[data-listing-price]'), listing.price);
+    card.querySelector('[data-listing-edit]').href = `list-property.html?edit=${encodeURIComponent(listing.id)}`;
+
+    const actions = card.querySelector('[data-listing-actions]');
+    if (listing.status === 'live') {
+        const view = document.createElement('a');
+        view.href = `property-detail.html?id=${encodeURIComponent(listing.id)}`;
+        view.className = 'px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50';
+        view.textContent = 'View';
+        actions.appendChild(view);
+    }
+    (LISTING_ACTIONS[listing.status] || []).forEach(([label, status]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'px-3 py-1 border border-[#003B95] text-[#003B95] rounded-md text-xs font-medium hover:bg-[#003B95] hover:text-white';
+        button.textContent = label;
+        button.addEventListener('click', () => changeListingStatus(listing.id, status));
+        actions.appendChild(button);
+    });
+
+    return card;
+}
+
+function createDraftCard(draft) {
+    const basicInfo = draft.basicInfo || {};
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-xl shadow-sm p-4 border border-dashed border-gray-300';
+    card.innerHTML = `
+        <div class="flex items-start justify-between gap-2">
+            <h3 class="font-semibold text-gray-900 truncate"></h3>
+            <span class="px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${LISTING_STATUS_STYLES.draft}"></span>
+        </div>
+        <p class="text-sm text-gray-600" data-draft-progress></p>
+        <a href="list-property.html" data-requires="auth" class="mt-3 inline-block px-3 py-1 border border-[#003B95] text-[#003B95] rounded-md text-xs font-medium hover:bg-[#003B95] hover:text-white">Continue editing</a>
+    `;
+    card.querySelector('h3').textContent = basicInfo.title || 'Untitled listing';
+    card.querySelector('h3 + span').textContent = propertyStore.describeStatus('draft');
+    card.querySelector('[data-draft-progress]').textContent = `Not submitted yet · step ${draft.currentStep || 1} of 4`;
+    return card;
+}
+
+function readNewListingDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(NEW_LISTING_DRAFT_KEY) || 'null');
+        return draft && draft.basicInfo && draft.basicInfo.title ? draft : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function changeListingStatus(listingId, status) {
+    propertyStore.setStatus(listingId, status)
+        .then(() => loadDashboard())
+        .catch(error => {
+            errorHandler.showError({
+                type: errorHandler.errorTypes.VALIDATION,
+                message: error.message
+            });
+        });
+}
+
+function initCalendarSync() {
+    const form = document.getElementById('calendar-import-form');
+    window.SecurityManager.protectForm(form);
+
+    document.getElementById('calendar-listing').addEventListener('change', function() {
+        calendarListingId = this.value;
+        renderCalendarSync();
+    });
+
+    document.getElementById('copy-feed-url').addEventListener('click', function() {
+        const input = document.getElementById('calendar-feed-url');
+        navigator.clipboard.writeText(input.value)
+            .then(() => errorHandler.showSuccess('Link copied', 'Paste it into the other site\'s calendar import.'))
+            .catch(() => input.select());
+    });
+
+    document.getElementById('download-feed').addEventListener('click', function() {
+        const listing = getCalendarListing();
+        if (!listing) return;
+        bookingDocuments.download(icalSync.createFeed(listing.id, listing.title), `ChakaBNB-listing-${listing.id}.ics`, 'text/calendar');
+    });
+
+    document.getElementById('reset-feed-url').addEventListener('click', function() {
+        if (!calendarListingId) return;
+        showFeedUrl(icalSync.resetFeedUrl(calendarListingId))
+            .then(url => {
+                if (url) errorHandler.showSuccess('New calendar link', 'Sites using the old link will stop getting updates. Give them the new one.');
+            });
+    });
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        const csrf = window.SecurityManager.verifyForm(form);
+        if (!csrf.valid) {
+            errorHandler.handleCsrfError(csrf, form);
+            return;
+        }
+
+        const submit = document.getElementById('calendar-import-submit');
+        submit.disabled = true;
+        icalSync.addCalendarUrl(calendarListingId, document.getElementById('calendar-url').value, document.getElementById('calendar-name').value)
+            .then(result => {
+                reportCalendarImport(result, 'Calendar imported');
+                if (result.success) form.reset();
+            })
+            .catch(error => {
+                errorHandler.handleNetworkError(error);
+            })
+            .finally(() => {
+                submit.disabled = false;
+                window.SecurityManager.protectForm(form);
+                renderCalendarSync();
+            });
+    });
+
+    document.getElementById('calendar-file').addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+        icalSync.importFile(calendarListingId, file, document.getElementById('calendar-name').value)
+            .then(result => {
+                reportCalendarImport(result, 'Calendar imported');
+                if (result.success) form.reset();
+            })
+            .catch(error => {
+                errorHandler.handleNetworkError(error);
+            })
+            .finally(() => {
+                this.value = '';
+                window.SecurityManager.protectForm(form);
+                renderCalendarSync();
+            });
+    });
+}
+
+/**
+ * Show the feed link once the server has given it out
+ * @returns {Promise<string|null>} - The link, or null if it couldn't be loaded
+ */
+function showFeedUrl(request) {
+    const listingId = calendarListingId;
+    const input = document.getElementById('calendar-feed-url');
+    input.value = '';
+
+    return request
+        .then(url => {
+            if (listingId === calendarListingId) input.value = url || '';
+            return url;
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+            return null;
+        });
+}
+
+function getCalendarListing() {
+    return hostListings.find(listing => String(listing.id) === String(calendarListingId)) || null;
+}
+
+function renderCalendarSync() {
+    document.getElementById('calendar-sync').classList.toggle('hidden', !hostListings.length);
+    if (!hostListings.length) return;
+
+    const select = document.getElementById('calendar-listing');
+    select.innerHTML = '';
+    hostListings.forEach(listing => select.add(new Option(listing.title || 'Untitled listing', listing.id)));
+    if (!getCalendarListing()) calendarListingId = String(hostListings[0].id);
+    select.value = calendarListingId;
+
+    // Feed links and linked calendars need the API; without it calendars are swapped as files
+    const supportsLinks = icalSync.supportsLinks();
+    document.getElementById('calendar-feed-link').classList.toggle('hidden', !supportsLinks);
+    document.getElementById('calendar-url-note').classList.toggle('hidden', supportsLinks);
+    document.getElementById('calendar-url-refresh').classList.toggle('hidden', !supportsLinks);
+    ['calendar-url', 'calendar-import-submit'].forEach(id => {
+        document.getElementById(id).disabled = !supportsLinks;
+    });
+    if (supportsLinks) showFeedUrl(icalSync.getFeedUrl(calendarListingId));
+
+    const list = document.getElementById('calendar-imports');
+    list.innerHTML = '';
+    icalSync.getCalendars(calendarListingId).forEach(calendar => list.appendChild(createCalendarItem(calendar)));
+
+    const conflicts = icalSync.getConflicts(calendarListingId);
+    document.getElementById('calendar-conflicts').classList.toggle('hidden', !conflicts.length);
+    document.getElementById('calendar-conflicts-title').textContent = conflicts.length === 1
+        ? 'An imported stay overlaps a ChakaBNB booking'
+        : `${conflicts.length} imported stays overlap ChakaBNB bookings`;
+    const conflictList = document.getElementById('calendar-conflict-list');
+    conflictList.innerHTML = '';
+    conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        const booking = conflict.booking;
+        const guest = [booking.firstName, booking.lastName].filter(Boolean).join(' ') || booking.email || 'Guest';
+        item.textContent = `${conflict.calendarName}: ${conflict.summary} (${formatStayDate(conflict.start)} – ${formatStayDate(conflict.end)}) overlaps ${guest}'s booking ${bookingDocuments.getReference(booking)} (${formatStayDate(booking.checkIn)} – ${formatStayDate(booking.checkOut)})`;
+        conflictList.appendChild(item);
+    });
+
+    feather.replace();
+}
+
+function createCalendarItem(calendar) {
+    const item = document.createElement('li');
+    item.className = 'py-3 flex items-start justify-between gap-3';
+    item.innerHTML = `
+        <div class="min-w-0">
+            <p class="text-sm font-medium text-gray-900" data-calendar-name></p>
+            <p class="text-xs text-gray-500 truncate" data-calendar-source></p>
+            <p class="text-xs" data-calendar-status></p>
+        </div>
+        <div class="flex-shrink-0 flex gap-2" data-calendar-actions></div>
+    `;
+
+    item.querySelector('[data-calendar-name]').textContent = calendar.name;
+    item.querySelector('[data-calendar-source]').textContent = calendar.url ? new URL(calendar.url).hostname : `File: ${calendar.fileName}`;
+    const status = item.querySelector('[data-calendar-status]');
+    if (calendar.lastError) {
+        status.textContent = `Couldn't refresh: ${calendar.lastError}`;
+        status.classList.add('text-red-600');
+    } else {
+        status.textContent = `${pluralize(calendar.eventCount || 0, 'upcoming stay')} blocked · ${calendar.url ? 'synced' : 'imported'} ${formatSyncTime(calendar.lastSyncedAt)}`;
+        status.classList.add('text-gray-600');
+    }
+
+    const actions = item.querySelector('[data-calendar-actions]');
+    if (calendar.url) {
+        actions.appendChild(createCalendarButton('Refresh', () => {
+            icalSync.refreshCalendar(calendarListingId, calendar.id)
+                .then(result => reportCalendarImport(result, 'Calendar refreshed'))
+                .catch(error => {
+                    errorHandler.handleNetworkError(error);
+                })
+                .finally(renderCalendarSync);
+        }));
+    }
+    actions.appendChild(createCalendarButton('Remove', () => {
+        icalSync.removeCalendar(calendarListingId, calendar.id);
+        errorHandler.showSuccess('Calendar removed', `Nights blocked by ${calendar.name} are open again.`);
+        renderCalendarSync();
+    }));
+
+    return item;
+}
+
+function createCalendarButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function reportCalendarImport(result, title) {
+    if (!result.success) {
+        errorHandler.showError({
+            type: errorHandler.errorTypes.VALIDATION,
+            message: result.message
+        });
+    } else if (result.conflicts.length) {
+        errorHandler.showError({
+            type: errorHandler.errorTypes.CALENDAR,
+            message: result.message
+        });
+    } else {
+        errorHandler.showSuccess(title, result.message);
+    }
+}
+
+// Background refreshes only speak up when they find a clash with a ChakaBNB booking
+function reportCalendarConflicts(results) {
+    results
+        .filter(result => result.success && result.conflicts.length)
+        .forEach(result => {
+            errorHandler.showError({
+                type: errorHandler.errorTypes.CALENDAR,
+                message: result.message
+            });
+        });
+}
+
+function renderReservations() {
+    const filter = document.getElementById('reservation-filter').value;
+    const today = AvailabilityManager.today();
+    const rows = document.getElementById('reservation-rows');
+    rows.innerHTML = '';
+
+    const reservations = hostBookings.filter(booking => {
+        if (filter === 'requested') return booking.status === 'requested';
+        if (filter === 'upcoming') return ['confirmed', 'checked_in'].includes(booking.status) && booking.checkOut > today;
+        return true;
+    });
+
+    reservations.forEach(booking => rows.appendChild(createReservationRow(booking)));
+    document.getElementById('reservations-empty').classList.toggle('hidden', reservations.length > 0);
+    document.getElementById('summary-requests').textContent = hostBookings.filter(booking => booking.status === 'requested').length;
+}
+
+function createReservationRow(booking) {
+    const listing = hostListings.find(candidate => String(candidate.id) === String(booking.propertyId));
+    const status = bookingLifecycle.describe(booking, 'host');
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td class="px-4 py-3">
+            <p class="font-medium text-gray-900" data-guest-name></p>
+            <p class="text-gray-500" data-guest-count></p>
+        </td>
+        <td class="px-4 py-3 text-gray-700" data-listing-title></td>
+        <td class="px-4 py-3 text-gray-700 whitespace-nowrap" data-stay-dates></td>
+        <td class="px-4 py-3 text-gray-900" data-payout></td>
+        <td class="px-4 py-3"><span class="px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap"></span></td>
+        <td class="px-4 py-3 text-right whitespace-nowrap" data-reservation-actions></td>
+    `;
+
+    row.querySelector('[data-guest-name]').textContent = [booking.firstName, booking.lastName].filter(Boolean).join(' ') || booking.email || 'Guest';
+    row.querySelector('[data-guest-count]').textContent = pluralize(booking.guests, 'guest');
+    row.querySelector('[data-listing-title]').textContent = listing ? listing.title : booking.propertyTitle;
+    row.querySelector('[data-stay-dates]').textContent = `${formatStayDate(booking.checkIn)} – ${formatStayDate(booking.checkOut)}`;
+    setPrice(row.querySelector('[data-payout]'), bookingManager.getHostPayout(booking));
+    const badge = row.querySelector('span');
+    badge.textContent = status.label;
+    badge.className += ` ${status.className}`;
+
+    const actions = row.querySelector('[data-reservation-actions]');
+    bookingLifecycle.getHostActions(booking).forEach(([label, to, classes]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `ml-2 px-3 py-1 rounded-md text-xs font-medium ${classes}`;
+        button.textContent = label;
+        button.addEventListener('click', () => updateReservation(booking.id, to));
+        actions.appendChild(button);
+    });
+
+    return row;
+}
+
+function updateReservation(bookingId, to) {
+    if (to === 'confirmed' || to === 'declined') {
+        respondToReservation(bookingId, to);
+        return;
+    }
+    if (to === 'cancelled_by_host') {
+        cancelReservation(bookingId);
+        return;
+    }
+
+    const result = bookingLifecycle.transition(bookingId, to, { actor: 'host' });
+    if (!result.success) {
+        errorHandler.showError({
+            type: errorHandler.errorTypes.VALIDATION,
+            message: result.message
+        });
+        return;
+    }
+
+    errorHandler.showSuccess(RESERVATION_ACTION_TITLES[to], `${[result.booking.firstName, result.booking.lastName].filter(Boolean).join(' ') || 'Your guest'} · ${result.booking.propertyTitle}`);
+    loadDashboard();
+}
+
+function respondToReservation(bookingId, decision) {
+    // A declined guest gets back everything they paid
+    bookingManager.respond(bookingId, decision)
+        .then(result => {
+            if (!result.success) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.VALIDATION,
+                    message: result.message
+                });
+                return;
+            }
+
+            errorHandler.showSuccess(decision === 'confirmed' ? 'Reservation accepted' : 'Reservation declined', result.message);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(loadDashboard);
+}
+
+function cancelReservation(bookingId) {
+    bookingManager.cancelByHost(bookingId)
+        .then(result => {
+            if (!result.success) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.VALIDATION,
+                    message: result.message
+                });
+                return;
+            }
+
+            errorHandler.showSuccess('Reservation cancelled', result.message);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(loadDashboard);
+}
+
+function renderEarnings() {
+    const months = bookingManager.getMonthlyEarnings(hostBookings);
+    const rows = document.getElementById('earnings-rows');
+    rows.innerHTML = '';
+
+    months.forEach(entry => {
+        const [year, month] = entry.month.split('-').map(Number);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="px-4 py-3 text-gray-900"></td>
+            <td class="px-4 py-3 text-gray-700">${entry.bookings}</td>
+            <td class="px-4 py-3 text-gray-700">${entry.nights}</td>
+            <td class="px-4 py-3 text-right text-gray-900"></td>
+        `;
+        row.firstElementChild.textContent = new Date(year, month - 1, 1).toLocaleDateString('en-KE', { month: 'long', year: 'numeric' });
+        setPrice(row.lastElementChild, entry.amount);
+        rows.appendChild(row);
+    });
+
+    if (!months.length) {
+        rows.innerHTML = '<tr><td class="px-4 py-3 text-gray-600" colspan="4">Earnings appear here once you accept a reservation.</td></tr>';
+    }
+
+    setPrice(document.getElementById('earnings-total'), months.reduce((sum, entry) => sum + entry.amount, 0));
+    const thisMonth = months.find(entry => entry.month === AvailabilityManager.today().slice(0, 7));
+    setPrice(document.getElementById('summary-earnings'), thisMonth ? thisMonth.amount : 0);
+}
+
+/**
+ * Show a KES amount in the selected currency; the currency service
+ * re-renders it when the visitor switches currency
+ */
+function setPrice(element, amount) {
+    element.dataset.price = amount;
+    element.textContent = currencyService.format(amount);
+}
+
+function formatStayDate(isoDate) {
+    if (!isoDate) return '-';
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatSyncTime(isoTime) {
+    if (!isoTime) return 'never';
+    return new Date(isoTime).toLocaleString('en-KE', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
@@ -0,0 +1,703 @@
+/**
+ * ChakaBNB Home Page
+ * Search form, featured listings and mobile navigation for index.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
+
+// Initialize page on load
+document.addEventListener('DOMContentLoaded', function() {
+    // Check if user is logged in and update navigation
+    authService.updateNavigation();
+
+
+    // Initialize mobile navigation
+    initMobileNavigation();
+
+    // Render featured properties
+    renderFeaturedProperties();
+
+    // Initialize horizontal scroll
+    initHorizontalScroll();
+
+    // Initialize touch gestures
+    initTouchGestures();
+
+    // Initialize mobile performance optimizations
+    initMobilePerformance();
+
+    // Initialize search functionality
+    initSearchFunctionality();
+});
+
+// Notification functions
+function showNotification(message) {
+    const notification = document.getElementById('notification');
+    const messageElement = document.getElementById('notification-message');
+
+    messageElement.textContent = message;
+    notification.classList.remove('hidden');
+
+    // Trigger animation
+    setTimeout(() => {
+        notification.classList.add('show');
+    }, 10);
+
+    // Auto-hide after 8 seconds
+    setTimeout(() => {
+        closeNotification();
+    }, 8000);
+}
+
+function closeNotification() {
+    const notification = document.getElementById('notification');
+    notification.classList.remove('show');
+
+    // Hide after animation completes
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 300);
+}
+
+// Buttons marked data-action="..."; inline onclick handlers are blocked by the page's CSP
+safeDom.bindActions({ 'close-notification': closeNotification });
+
+
+// Featured properties (rendered from the shared property store)
+function renderFeaturedProperties() {
+    const mobileContainer = document.getElementById('mobile-properties-container');
+    const desktopContainer = document.getElementById('properties-container');
+
+    propertyStore.query({ featured: true })
+        .then(results => reviewManager.withRatings(results))
+        .then(featured => {
+            const { html } = safeDom;
+
+            if (mobileContainer) {
+                safeDom.render(mobileContainer, featured.map((property, index) => html`
+                    <div class="bg-white rounded-xl overflow-hidden shadow-md flex-shrink-0 w-72 scroll-snap-align-start mobile-property-card" data-aos="fade-up" data-aos-delay="${index * 100}">
+                        <div class="relative">
+                            <img src="${safeDom.url(property.image, '')}" alt="${property.title}" class="w-full h-48 object-cover">
+                            ${property.badge ? html`<div class="absolute top-3 right-3 bg-[#FFB700] text-white text-xs font-bold px-2 py-1 rounded-full">${property.badge}</div>` : ''}
+                        </div>
+                        <div class="p-4">
+                            <div class="flex justify-between items-start mb-2">
+                                <h3 class="text-base font-bold text-gray-900 leading-tight flex-1 pr-2">${property.title}</h3>
+                                <div class="flex items-center">
+                                    <i data-feather="star" class="text-yellow-400 fill-current h-4 w-4"></i>
+                                    <span class="ml-1 text-gray-900 text-sm">${property.reviews ? property.rating.toFixed(1) : 'New'}</span>
+                                </div>
+                            </div>
+                            <p class="text-gray-600 text-sm mb-3">${getPropertySummary(property)}</p>
+                            <div class="flex flex-wrap gap-1 mb-3">
+                                ${property.amenities.slice(0, 2).map(amenity => html`
+                                    <span class="inline-flex items-center text-xs bg-gray-100 rounded-full px-2 py-1">
+                                        <i data-feather="${propertyStore.describeAmenity(amenity).icon}" class="h-3 w-3 mr-1"></i> ${propertyStore.describeAmenity(amenity).label}
+                                    </span>
+                                `)}
+                            </div>
+                            <div class="flex justify-between items-center">
+                                <div>
+                                    <p class="text-xs text-gray-500">From</p>
+                                    <p class="text-lg font-bold text-[#003B95]"><span data-price="${property.price}">KSh ${property.price.toLocaleString()}</span> <span class="text-sm font-normal text-gray-500">/ night</span></p>
+                                </div>
+                                <a href="property-detail.html?id=${encodeURIComponent(property.id)}" class="text-sm font-medium text-[#003B95] hover:text-[#002b70] touch-target">
+                                    View details
+                                </a>
+                            </div>
+                        </div>
+                    </div>
+                `));
+            }
+
+            if (desktopContainer) {
+                safeDom.render(desktopContainer, featured.map((property, index) => html`
+                    <div class="bg-white rounded-xl overflow-hidden shadow-md property-card transition-all duration-300 flex-shrink-0 w-80 scroll-snap-align-start" data-aos="fade-up" data-aos-delay="${index * 100}">
+                        <div class="relative">
+                            <img src="${safeDom.url(property.image, '')}" alt="${property.title}" class="w-full h-64 object-cover">
+                            ${property.badge ? html`<div class="absolute top-3 right-3 bg-[#FFB700] text-white text-xs font-bold px-2 py-1 rounded-full deal-badge">${property.badge}</div>` : ''}
+                        </div>
+                        <div class="p-5">
+                            <div class="flex justify-between items-start">
+                                <h3 class="text-xl font-bold text-gray-900">${property.title}</h3>
+                                <div class="flex items-center">
+                                    <i data-feather="star" class="text-yellow-400 fill-current"></i>
+                                    <span class="ml-1 text-gray-900">${property.reviews ? property.rating.toFixed(1) : 'New'}</span>
+                                </div>
+                            </div>
+                            <p class="mt-1 text-gray-600">${getPropertySummary(property)}</p>
+                            <div class="mt-3 flex flex-wrap gap-2">
+                                ${property.amenities.slice(0, 3).map(amenity => html`
+                                    <span class="inline-flex items-center text-xs bg-gray-100 rounded-full px-2 py-1">
+                                        <i data-feather="${propertyStore.describeAmenity(amenity).icon}" class="amenity-icon"></i> ${propertyStore.describeAmenity(amenity).label}
+                                    </span>
+                                `)}
+                            </div>
+                            <div class="mt-4 flex justify-between items-center">
+                                <div>
+                                    <p class="text-sm text-gray-500">From</p>
+                                    <p class="text-xl font-bold text-[#003B95]"><span data-price="${property.price}">KSh ${property.price.toLocaleString()}</span> <span class="text-sm font-normal text-gray-500">/ night</span></p>
+                                </div>
+                                <a href="property-detail.html?id=${encodeURIComponent(property.id)}" class="text-sm font-medium text-[#003B95] hover:text-[#002b70]">
+                                    View details
+                                </a>
+                            </div>
+                        </div>
+                    </div>
+                `));
+
+                // Refresh the scroll buttons now that the cards have width
+                desktopContainer.dispatchEvent(new Event('scroll'));
+            }
+
+            currencyService.updatePrices();
+            seoOptimizer.addPropertyListingsStructuredData(featured);
+            feather.replace();
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, renderFeaturedProperties);
+        });
+}
+
+function getPropertySummary(property) {
+    return `Entire ${property.type} · ${property.bedrooms} bed${property.bedrooms > 1 ? 's' : ''} · ${property.bathrooms} bath${property.bathrooms > 1 ? 's' : ''}`;
+}
+
+// Horizontal scroll functionality
+function initHorizontalScroll() {
+    const container = document.getElementById('properties-container');
+    const scrollLeftBtn = document.getElementById('scroll-left');
+    const scrollRightBtn = document.getElementById('scroll-right');
+
+    if (!container || !scrollLeftBtn || !scrollRightBtn) return;
+
+    // Calculate scroll amount based on container width and card count
+    function getScrollAmount() {
+        const cardWidth = 320; // w-80 = 320px
+        const gap = 24; // space-x-6 = 24px
+        const visibleCards = Math.floor(container.clientWidth / (cardWidth + gap));
+        return Math.max(1, visibleCards - 1) * (cardWidth + gap);
+    }
+
+    // Update button visibility based on scroll position
+    function updateScrollButtons() {
+        const tolerance = 10;
+        const isAtStart = container.scrollLeft <= tolerance;
+        const isAtEnd = container.scrollLeft >= (container.scrollWidth - container.clientWidth - tolerance);
+
+        scrollLeftBtn.style.opacity = isAtStart ? '0' : '1';
+        scrollLeftBtn.style.pointerEvents = isAtStart ? 'none' : 'auto';
+
+        scrollRightBtn.style.opacity = isAtEnd ? '0' : '1';
+        scrollRightBtn.style.pointerEvents = isAtEnd ? 'none' : 'auto';
+    }
+
+    // Smooth scroll left
+    scrollLeftBtn.addEventListener('click', () => {
+        const scrollAmount = getScrollAmount();
+        container.scrollBy({
+            left: -scrollAmount,
+            behavior: 'smooth'
+        });
+    });
+
+    // Smooth scroll right
+    scrollRightBtn.addEventListener('click', () => {
+        const scrollAmount = getScrollAmount();
+        container.scrollBy({
+            left: scrollAmount,
+            behavior: 'smooth'
+        });
+    });
+
+    // Update buttons on scroll with throttling
+    let scrollTimeout;
+    container.addEventListener('scroll', () => {
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(updateScrollButtons, 16); // ~60fps
+    });
+
+    // Update buttons on resize
+    let resizeTimeout;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(updateScrollButtons, 100);
+    });
+
+    // Initial button state
+    updateScrollButtons();
+}
+
+// Touch Gesture Functions
+function initTouchGestures() {
+    // Add touch feedback to interactive elements
+    document.querySelectorAll('.touch-target, button, a').forEach(element => {
+        element.classList.add('touch-feedback');
+
+        element.addEventListener('touchstart', function() {
+            this.classList.add('haptic-light');
+        });
+
+        element.addEventListener('touchend', function() {
+            setTimeout(() => {
+                this.classList.remove('haptic-light');
+            }, 100);
+        });
+    });
+
+    // Pull-to-refresh functionality
+    let startY = 0;
+    let currentY = 0;
+    let isPulling = false;
+    const pullRefresh = document.createElement('div');
+    pullRefresh.className = 'pull-refresh';
+    pullRefresh.innerHTML = '<i data-feather="refresh-cw" class="h-4 w-4 inline mr-2"></i>Pull to refresh';
+    document.body.appendChild(pullRefresh);
+
+    document.addEventListener('touchstart', function(e) {
+        if (window.scrollY === 0) {
+            startY = e.touches[0].clientY;
+            isPulling = true;
+        }
+    });
+
+    document.addEventListener('touchmove', function(e) {
+        if (!isPulling) return;
+
+        currentY = e.touches[0].clientY;
+        const pullDistance = currentY - startY;
+
+        if (pullDistance > 0 && window.scrollY === 0) {
+            e.preventDefault();
+            const progress = Math.min(pullDistance / 100, 1);
+            pullRefresh.style.transform = `translateX(-50%) translateY(${progress * 60 - 60}px)`;
+
+            if (pullDistance > 100) {
+                pullRefresh.classList.add('show');
+            }
+        }
+    });
+
+    document.addEventListener('touchend', function() {
+        if (isPulling && currentY - startY > 100) {
+            // Trigger refresh
+            pullRefresh.innerHTML = '<i data-feather="loader" class="h-4 w-4 inline mr-2 animate-spin"></i>Refreshing...';
+            setTimeout(() => {
+                window.location.reload();
+            }, 1000);
+        } else {
+            pullRefresh.classList.remove('show');
+            pullRefresh.style.transform = 'translateX(-50%) translateY(-60px)';
+        }
+        isPulling = false;
+    });
+
+    // Swipe gestures for property cards
+    const propertyCards = document.querySelectorAll('.property-card');
+    propertyCards.forEach(card => {
+        let startX = 0;
+        let startY = 0;
+        let isSwipe = false;
+
+        card.addEventListener('touchstart', function(e) {
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            isSwipe = false;
+        });
+
+        card.addEventListener('touchmove', function(e) {
+            if (!isSwipe) {
+                const deltaX = Math.abs(e.touches[0].clientX - startX);
+                const deltaY = Math.abs(e.touches[0].clientY - startY);
+                isSwipe = deltaX > deltaY && deltaX > 10;
+            }
+        });
+
+        card.addEventListener('touchend', function(e) {
+            if (isSwipe) {
+                const deltaX = e.changedTouches[0].clientX - startX;
+                if (Math.abs(deltaX) > 50) {
+                    this.classList.add('haptic-medium');
+                    setTimeout(() => {
+                        this.classList.remove('haptic-medium');
+                    }, 150);
+                }
+            }
+        });
+    });
+}
+
+// Mobile Performance Optimizations
+function initMobilePerformance() {
+    // Lazy loading for images
+    const images = document.querySelectorAll('img[data-src]');
+    if (images.length > 0) {
+        const imageObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    img.src = img.dataset.src;
+                    img.classList.remove('loading-skeleton');
+                    observer.unobserve(img);
+                }
+            });
+        });
+
+        images.forEach(img => {
+            img.classList.add('loading-skeleton');
+            imageObserver.observe(img);
+        });
+    }
+
+    // Optimize scroll performance
+    let ticking = false;
+    function updateScrollElements() {
+        // Update scroll-dependent elements
+        ticking = false;
+    }
+
+    document.addEventListener('scroll', function() {
+        if (!ticking) {
+            requestAnimationFrame(updateScrollElements);
+            ticking = true;
+        }
+    });
+
+    // Preload critical resources
+    const criticalImages = [
+        'http://static.photos/indoor/1200x630/5',
+        'http://static.photos/workspace/640x360/6'
+    ];
+
+    criticalImages.forEach(src => {
+        const img = new Image();
+        img.src = src;
+    });
+}
+
+// Global search functions
+const RECENT_SEARCHES_KEY = 'chakabnb_recent_searches';
+const MAX_RECENT_SEARCHES = 5;
+
+function getRecentSearches() {
+    try {
+        const stored = localStorage.getItem(RECENT_SEARCHES_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveRecentSearches(searches) {
+    try {
+        localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(searches));
+    } catch (e) {
+        console.warn('Could not save recent searches:', e);
+    }
+}
+
+function addRecentSearch(searchData) {
+    const recentSearches = getRecentSearches();
+
+    // Remove duplicate if exists (check for exact match)
+    const filtered = recentSearches.filter(search => {
+        const isDuplicate = search.location === searchData.location &&
+                          search.checkin === searchData.checkin &&
+                          search.checkout === searchData.checkout &&
+                          search.guests === searchData.guests &&
+                          search.tripType === searchData.tripType;
+        return !isDuplicate;
+    });
+
+    // Add new search to beginning
+    const newSearch = {
+        ...searchData,
+        timestamp: Date.now()
+    };
+    filtered.unshift(newSearch);
+
+    // Keep only max number of searches
+    const limited = filtered.slice(0, MAX_RECENT_SEARCHES);
+    saveRecentSearches(limited);
+
+    return limited;
+}
+
+function getFormData() {
+    const isMobile = window.innerWidth < 768;
+    return {
+        location: isMobile ?
+            document.getElementById('mobile-location').value :
+            document.getElementById('location').value,
+        checkIn: isMobile ?
+            document.getElementById('mobile-check-in').value :
+            document.getElementById('check-in').value,
+        checkOut: isMobile ?
+            document.getElementById('mobile-check-out').value :
+            document.getElementById('check-out').value,
+        guests: isMobile ?
+            document.getElementById('mobile-guests').value :
+            document.getElementById('guests').value,
+        tripType: isMobile ?
+            document.getElementById('mobile-trip-type').value :
+            document.getElementById('trip-type').value,
+        priceRange: document.getElementById('price-range').value
+    };
+}
+
+function buildSearchParams(searchData) {
+    const params = new URLSearchParams();
+    if (searchData.location) params.set('location', searchData.location);
+    if (searchData.checkIn) params.set('checkin', searchData.checkIn);
+    if (searchData.checkOut) params.set('checkout', searchData.checkOut);
+    if (searchData.guests) params.set('guests', searchData.guests);
+    if (searchData.tripType) params.set('triptype', searchData.tripType);
+    if (searchData.priceRange) params.set('pricerange', searchData.priceRange);
+    if (searchData.amenities) params.set('amenities', searchData.amenities);
+    return params;
+}
+
+function performSearchWithData(searchData) {
+    // Add to recent searches if it's a meaningful search
+    if (searchData.location || searchData.checkIn || searchData.checkOut) {
+        addRecentSearch(searchData);
+    }
+
+    // Build search URL
+    const params = buildSearchParams(searchData);
+
+    // Redirect to search results
+    window.location.href = `search-results.html?${params.toString()}`;
+}
+
+function renderRecentSearches() {
+    const recentSearches = getRecentSearches();
+    const container = document.getElementById('recent-search-chips');
+    const section = document.getElementById('recent-searches');
+
+    if (!container || !section) return;
+
+    if (recentSearches.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+    container.innerHTML = '';
+
+    recentSearches.forEach((search, index) => {
+        const chip = document.createElement('button');
+        chip.className = 'px-3 py-1.5 bg-blue-50 hover:bg-[#003B95] hover:text-white text-blue-600 rounded-full text-xs font-medium transition-all duration-200 touch-target flex items-center gap-1';
+
+        const location = search.location || 'Anywhere';
+        const dates = search.checkin && search.checkout ?
+            `${new Date(search.checkin).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${new Date(search.checkout).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` :
+            'Any dates';
+
+        chip.innerHTML = `
+            <span>${location}</span>
+            <span class="text-gray-400">•</span>
+            <span>${dates}</span>
+        `;
+
+        chip.addEventListener('click', () => {
+            performSearchWithData(search);
+        });
+
+        container.appendChild(chip);
+    });
+}
+
+function clearRecentSearches() {
+    saveRecentSearches([]);
+    renderRecentSearches();
+}
+
+// Search functionality
+function initSearchFunctionality() {
+    const mobileSearchBtn = document.getElementById('mobile-search-btn');
+    const desktopSearchBtn = document.getElementById('desktop-search-btn');
+
+    function performSearch() {
+        const searchData = getFormData();
+        performSearchWithData(searchData);
+    }
+
+    // Quick filter functionality
+    function initQuickFilters() {
+        const quickFilterBtns = document.querySelectorAll('.quick-filter-btn');
+
+        quickFilterBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const filter = btn.getAttribute('data-filter');
+                const searchData = getFormData();
+
+                // Add the selected amenity to search data
+                if (!searchData.amenities) {
+                    searchData.amenities = filter;
+                } else {
+                    const amenities = searchData.amenities.split(',');
+                    if (!amenities.includes(filter)) {
+                        amenities.push(filter);
+                        searchData.amenities = amenities.join(',');
+                    }
+                }
+
+                // Perform search with the filter
+                performSearchWithData(searchData);
+            });
+        });
+    }
+
+    // Initialize search functionality
+    if (mobileSearchBtn) {
+        mobileSearchBtn.addEventListener('click', performSearch);
+    }
+
+    if (desktopSearchBtn) {
+        desktopSearchBtn.addEventListener('click', performSearch);
+    }
+
+    // Handle Enter key on search inputs
+    const searchInputs = document.querySelectorAll('#location, #mobile-location, #check-in, #mobile-check-in, #check-out, #mobile-check-out');
+    searchInputs.forEach(input => {
+        input.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                performSearch();
+            }
+        });
+    });
+
+    // Initialize quick filters
+    initQuickFilters();
+
+    // Handle URL parameters to populate form fields
+    function populateFormFromURL() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const isMobile = window.innerWidth < 768;
+
+        // Populate form fields if URL parameters exist
+        const location = urlParams.get('location');
+        const checkin = urlParams.get('checkin');
+        const checkout = urlParams.get('checkout');
+        const guests = urlParams.get('guests');
+        const triptype = urlParams.get('triptype');
+        const pricerange = urlParams.get('pricerange');
+
+        if (location) {
+            const locationField = isMobile ?
+                document.getElementById('mobile-location') :
+                document.getElementById('location');
+            if (locationField) locationField.value = location;
+        }
+
+        if (checkin) {
+            const checkinField = isMobile ?
+                document.getElementById('mobile-check-in') :
+                document.getElementById('check-in');
+            if (checkinField) checkinField.value = checkin;
+        }
+
+        if (checkout) {
+            const checkoutField = isMobile ?
+                document.getElementById('mobile-check-out') :
+                document.getElementById('check-out');
+            if (checkoutField) checkoutField.value = checkout;
+        }
+
+        if (guests) {
+            const guestsField = isMobile ?
+                document.getElementById('mobile-guests') :
+                document.getElementById('guests');
+            if (guestsField) guestsField.value = guests;
+        }
+
+        if (triptype) {
+            const triptypeField = isMobile ?
+                document.getElementById('mobile-trip-type') :
+                document.getElementById('trip-type');
+            if (triptypeField) triptypeField.value = triptype;
+        }
+
+        if (pricerange) {
+            const pricerangeField = document.getElementById('price-range');
+            if (pricerangeField) pricerangeField.value = pricerange;
+        }
+    }
+
+    // Initialize form population from URL
+    populateFormFromURL();
+}
+
+// Test function to add sample searches (for debugging)
+function addTestSearches() {
+    console.log('Adding test searches...');
+    const testSearches = [
+        { location: 'Nairobi', checkIn: '2024-12-15', checkOut: '2024-12-20', guests: '2', tripType: 'business' },
+        { location: 'Mombasa', checkIn: '2024-12-22', checkOut: '2024-12-27', guests: '4', tripType: 'leisure' },
+        { location: 'Nakuru', checkIn: '2025-01-05', checkOut: '2025-01-10', guests: '2', tripType: 'business' }
+    ];
+
+    testSearches.forEach((search, index) => {
+        setTimeout(() => {
+            console.log(`Adding test search ${index + 1}:`, search);
+            addRecentSearch(search);
+            renderRecentSearches();
+        }, index * 100);
+    });
+}
+
+// Initialize everything when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize recent searches display
+    renderRecentSearches();
+
+    // Clear recent searches button
+    const clearBtn = document.getElementById('clear-recent-searches');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearRecentSearches);
+    }
+
+    // Initialize search functionality
+    initSearchFunctionality();
+
+    // Add test function to window for manual testing
+    window.addTestSearches = addTestSearches;
+});
@@ -0,0 +1,738 @@
+/**
+ * ChakaBNB List Property Page
+ * Multi-step listing form and location map for list-property.html
+ */
+
+feather.replace();
+
+// Notification functions
+function showNotification(message) {
+    const notification = document.getElementById('notification');
+    const messageElement = document.getElementById('notification-message');
+
+    messageElement.textContent = message;
+    notification.classList.remove('hidden');
+
+    // Trigger animation
+    setTimeout(() => {
+        notification.classList.add('show');
+    }, 10);
+
+    // Auto-hide after 8 seconds
+    setTimeout(() => {
+        closeNotification();
+    }, 8000);
+}
+
+function closeNotification() {
+    const notification = document.getElementById('notification');
+    notification.classList.remove('show');
+
+    // Hide after animation completes
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 300);
+}
+
+// Buttons marked data-action="..."; inline onclick handlers are blocked by the page's CSP
+safeDom.bindActions({ 'close-notification': closeNotification });
+
+let currentStep = 1;
+const totalSteps = 4;
+let map;
+let marker;
+let selectedLocation = null;
+
+// ?edit=<id> reopens one of the host's listings; its draft is kept separately
+const editingId = new URLSearchParams(window.location.search).get('edit');
+let editingListing = null;
+const DRAFT_KEY = editingId ? `listPropertyDraft_v1_${editingId}` : 'listPropertyDraft_v1';
+
+// Property type selection
+document.querySelectorAll('input[name="property-type"]').forEach(radio => {
+    radio.addEventListener('change', function() {
+        // Remove active class from all options
+        document.querySelectorAll('input[name="property-type"]').forEach(r => {
+            r.parentElement.querySelector('div').classList.remove('border-[#003B95]', 'bg-blue-50');
+            r.parentElement.querySelector('div').classList.add('border-gray-200');
+        });
+
+        // Add active class to selected option
+        if (this.checked) {
+            this.parentElement.querySelector('div').classList.add('border-[#003B95]', 'bg-blue-50');
+            this.parentElement.querySelector('div').classList.remove('border-gray-200');
+        }
+    });
+});
+
+// Step navigation functions
+function updateProgressSteps() {
+    const steps = document.querySelectorAll('.step-active, .step-completed');
+    steps.forEach((step, index) => {
+        const stepNumber = index + 1;
+        if (stepNumber < currentStep) {
+            step.className = 'step-completed w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium';
+        } else if (stepNumber === currentStep) {
+            step.className = 'step-active w-8 h-8 rounded-full flex items-center justify-center text-sm font-medium';
+        } else {
+            step.className = 'w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-sm font-medium text-gray-500';
+        }
+    });
+}
+
+function showStep(stepNumber) {
+    // Hide all steps
+    document.querySelectorAll('[id^="step-"]').forEach(step => {
+        step.classList.add('hidden');
+    });
+
+    // Show current step
+    document.getElementById(`step-${stepNumber}`).classList.remove('hidden');
+
+    // Update progress
+    updateProgressSteps();
+    updateMobileProgressSteps();
+    // Persist current step
+    saveDraft();
+
+    // Scroll to top of the form
+    const formContainer = document.querySelector('.bg-white.rounded-lg.shadow-sm.p-8');
+    if (formContainer) {
+        formContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// Validation functions for each step
+function validateStep1() {
+    let isValid = true;
+
+    // Clear previous errors
+    clearErrors();
+
+    // Check property type
+    if (!document.querySelector('input[name="property-type"]:checked')) {
+        showPropertyTypeError('Please select a property type');
+        isValid = false;
+    }
+
+    // Check required fields
+    const requiredFields = [
+        { id: 'property-title', name: 'Property Title' },
+        { id: 'description', name: 'Description' },
+        { id: 'host-name', name: 'Host Name' },
+        { id: 'host-phone', name: 'Host Phone' },
+        { id: 'price-per-night', name: 'Price per Night' }
+    ];
+
+    requiredFields.forEach(field => {
+        const element = document.getElementById(field.id);
+        if (!element.value.trim()) {
+            showError(field.id, `${field.name} is required`);
+            isValid = false;
+        }
+    });
+
+    // Check price is a valid number
+    const price = document.getElementById('price-per-night').value;
+    if (price && (isNaN(price) || parseFloat(price) <= 0)) {
+        showError('price-per-night', 'Price per night must be a valid positive number');
+        isValid = false;
+    }
+
+    // Optional pricing fields must be non-negative; discounts are percentages
+    ['cleaning-fee', 'weekend-price', 'extra-guest-fee', 'included-guests'].forEach(id => {
+        const value = document.getElementById(id).value;
+        if (value && (isNaN(value) || parseFloat(value) < 0)) {
+            showError(id, 'Please enter a valid amount');
+            isValid = false;
+        }
+    });
+    ['weekly-discount', 'monthly-discount'].forEach(id => {
+        const value = document.getElementById(id).value;
+        if (value && (isNaN(value) || parseFloat(value) < 0 || parseFloat(value) > 100)) {
+            showError(id, 'Discount must be between 0 and 100');
+            isValid = false;
+        }
+    });
+
+    // Descriptions may use bold, italics, lists and links; point out anything else once
+    // before it is left off the listing page
+    const description = document.getElementById('description');
+    const { stripped } = window.SecurityManager.sanitize(description.value, { mode: 'markup' });
+    if (stripped.length && description.dataset.strippedReviewed !== description.value) {
+        description.dataset.strippedReviewed = description.value;
+        showError('description', `This won't appear on your listing: ${window.SecurityManager.describeStripped(stripped)}. Click Next again to keep the rest.`);
+        isValid = false;
+    }
+
+    return isValid;
+}
+
+
+function validateStep3() {
+    // Amenities step - no required fields, user can skip amenities
+    return true;
+}
+
+function validateStep4() {
+    let isValid = true;
+
+    // Clear previous errors
+    clearErrors();
+
+    // Check at least one highlight is provided
+    const highlights = [
+        document.getElementById('highlight-1').value,
+        document.getElementById('highlight-2').value,
+        document.getElementById('highlight-3').value,
+        document.getElementById('highlight-4').value
+    ];
+
+    const filledHighlights = highlights.filter(h => h.trim() !== '');
+
+    if (filledHighlights.length === 0) {
+        showError('highlight-1', 'Please provide at least one property highlight');
+        isValid = false;
+    }
+
+    return isValid;
+}
+
+// Helper functions for error handling
+function showError(fieldId, message) {
+    const element = document.getElementById(fieldId);
+    if (element) {
+        // Add error styling to input
+        element.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+        element.classList.remove('border-gray-300', 'focus:border-[#003B95]', 'focus:ring-[#003B95]');
+
+        // Create or update error message
+        let errorElement = element.parentNode.querySelector('.error-message');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'error-message text-red-500 text-sm mt-1';
+            element.parentNode.appendChild(errorElement);
+        }
+        errorElement.textContent = message;
+    }
+}
+
+function showPropertyTypeError(message) {
+    // Find the property type container by ID
+    const propertyTypeContainer = document.getElementById('property-type-section');
+
+    if (propertyTypeContainer) {
+        // Create or update error message
+        let errorElement = propertyTypeContainer.querySelector('.property-type-error');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'property-type-error text-red-500 text-sm mt-2';
+            propertyTypeContainer.appendChild(errorElement);
+        }
+        errorElement.textContent = message;
+    }
+}
+
+function clearErrors() {
+    // Remove error styling from all inputs
+    document.querySelectorAll('input, textarea, select').forEach(element => {
+        element.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+        element.classList.add('border-gray-300', 'focus:border-[#003B95]', 'focus:ring-[#003B95]');
+    });
+
+    // Remove all error messages
+    document.querySelectorAll('.error-message, .property-type-error').forEach(errorElement => {
+        errorElement.remove();
+    });
+}
+
+// Function to collect all form data
+function collectFormData() {
+    const data = {
+        currentStep,
+        basicInfo: {
+            propertyType: document.querySelector('input[name="property-type"]:checked')?.value,
+            title: document.getElementById('property-title').value,
+            description: document.getElementById('description').value,
+            guests: document.getElementById('guests').value,
+            bedrooms: document.getElementById('bedrooms').value,
+            bathrooms: document.getElementById('bathrooms').value,
+            pricePerNight: document.getElementById('price-per-night').value,
+            cleaningFee: document.getElementById('cleaning-fee').value,
+            weekendPrice: document.getElementById('weekend-price').value,
+            extraGuestFee: document.getElementById('extra-guest-fee').value,
+            includedGuests: document.getElementById('included-guests').value,
+            weeklyDiscount: document.getElementById('weekly-discount').value,
+            monthlyDiscount: document.getElementById('monthly-discount').value,
+            cancellationPolicy: document.getElementById('cancellation-policy').value,
+            instantBook: document.getElementById('instant-book').checked,
+            hostName: document.getElementById('host-name').value,
+            hostPhone: document.getElementById('host-phone').value
+        },
+        location: {
+            address: document.getElementById('address').value,
+            city: document.getElementById('city').value,
+            area: document.getElementById('area').value,
+            county: document.getElementById('county').value,
+            country: document.getElementById('country').value,
+            postalCode: document.getElementById('postal-code').value,
+            latitude: document.getElementById('latitude').value,
+            longitude: document.getElementById('longitude').value,
+            nearbyAttractions: Array.from(document.querySelectorAll('input[name="nearby-attractions"]:checked')).map(cb => cb.value)
+        },
+        amenities: Array.from(document.querySelectorAll('input[name="amenities"]:checked')).map(cb => cb.value),
+        highlights: {
+            highlight1: document.getElementById('highlight-1').value,
+            highlight2: document.getElementById('highlight-2').value,
+            highlight3: document.getElementById('highlight-3').value,
+            highlight4: document.getElementById('highlight-4').value
+        }
+    };
+
+    return data;
+}
+
+// Draft persistence
+function saveDraft() {
+    const data = collectFormData();
+    try { localStorage.setItem(DRAFT_KEY, JSON.stringify(data)); } catch {}
+}
+
+function loadDraft() {
+    try {
+        const raw = localStorage.getItem(DRAFT_KEY);
+        if (!raw) return false;
+        fillForm(JSON.parse(raw));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Populate every step from collectFormData()-shaped data
+function fillForm(data) {
+    if (data.basicInfo) {
+        if (data.basicInfo.propertyType) {
+            const input = document.querySelector(`input[name="property-type"][value="${data.basicInfo.propertyType}"]`);
+            if (input) {
+                input.checked = true;
+                input.dispatchEvent(new Event('change'));
+            }
+        }
+        document.getElementById('property-title').value = data.basicInfo.title || '';
+        document.getElementById('description').value = data.basicInfo.description || '';
+        if (data.basicInfo.guests) document.getElementById('guests').value = data.basicInfo.guests;
+        if (data.basicInfo.bedrooms) document.getElementById('bedrooms').value = data.basicInfo.bedrooms;
+        if (data.basicInfo.bathrooms) document.getElementById('bathrooms').value = data.basicInfo.bathrooms;
+        document.getElementById('price-per-night').value = data.basicInfo.pricePerNight || '';
+        document.getElementById('cleaning-fee').value = data.basicInfo.cleaningFee || '';
+        document.getElementById('weekend-price').value = data.basicInfo.weekendPrice || '';
+        document.getElementById('extra-guest-fee').value = data.basicInfo.extraGuestFee || '';
+        document.getElementById('included-guests').value = data.basicInfo.includedGuests || '';
+        document.getElementById('weekly-discount').value = data.basicInfo.weeklyDiscount || '';
+        document.getElementById('monthly-discount').value = data.basicInfo.monthlyDiscount || '';
+        if (data.basicInfo.cancellationPolicy) document.getElementById('cancellation-policy').value = data.basicInfo.cancellationPolicy;
+        document.getElementById('instant-book').checked = Boolean(data.basicInfo.instantBook);
+        document.getElementById('host-name').value = data.basicInfo.hostName || '';
+        document.getElementById('host-phone').value = data.basicInfo.hostPhone || '';
+    }
+    if (data.location) {
+        document.getElementById('address').value = data.location.address || '';
+        document.getElementById('city').value = data.location.city || '';
+        document.getElementById('area').value = data.location.area || '';
+        document.getElementById('county').value = data.location.county || '';
+        document.getElementById('country').value = data.location.country || '';
+        document.getElementById('postal-code').value = data.location.postalCode || '';
+        document.getElementById('latitude').value = data.location.latitude || '';
+        document.getElementById('longitude').value = data.location.longitude || '';
+        // nearby attractions
+        (data.location.nearbyAttractions || []).forEach(val => {
+            const cb = document.querySelector(`input[name="nearby-attractions"][value="${val}"]`);
+            if (cb) cb.checked = true;
+        });
+        if (data.location.latitude && data.location.longitude && typeof L !== 'undefined' && map) {
+            const lat = parseFloat(data.location.latitude);
+            const lng = parseFloat(data.location.longitude);
+            if (!isNaN(lat) && !isNaN(lng)) {
+                selectedLocation = { lat, lng };
+                if (marker) map.removeLayer(marker);
+                marker = L.marker([lat, lng]).addTo(map).bindPopup('Property Location');
+                map.setView([lat, lng], 13);
+            }
+        }
+    }
+    if (Array.isArray(data.amenities)) {
+        data.amenities.forEach(val => {
+            const cb = document.querySelector(`input[name="amenities"][value="${val}"]`);
+            if (cb) cb.checked = true;
+        });
+    }
+    if (data.highlights) {
+        document.getElementById('highlight-1').value = data.highlights.highlight1 || '';
+        document.getElementById('highlight-2').value = data.highlights.highlight2 || '';
+        document.getElementById('highlight-3').value = data.highlights.highlight3 || '';
+        document.getElementById('highlight-4').value = data.highlights.highlight4 || '';
+    }
+    if (data.currentStep && data.currentStep >= 1 && data.currentStep <= totalSteps) {
+        currentStep = data.currentStep;
+        showStep(currentStep);
+    }
+}
+
+// Load the listing named by ?edit= into the form, unless there are unsaved edits to it
+function loadListingForEdit() {
+    document.getElementById('listing-heading').textContent = 'Edit your listing';
+    document.getElementById('listing-subheading').textContent = 'Changes are saved to your listing when you submit the last step';
+    document.getElementById('submit-listing-btn').textContent = 'Save Changes';
+
+    propertyStore.getById(editingId)
+        .then(listing => {
+            if (!listing || listing.ownerEmail !== authService.getCurrentUser().email) {
+                errorHandler.handleNotFoundError({ message: 'This listing can\'t be edited from your account.' }, 'host-dashboard.html');
+                document.getElementById('submit-listing-btn').disabled = true;
+                return;
+            }
+            editingListing = listing;
+            if (!loadDraft()) {
+                fillForm(PropertyStore.toListingForm(listing));
+            }
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadListingForEdit);
+        });
+}
+
+function clearDraft() {
+    try { localStorage.removeItem(DRAFT_KEY); } catch {}
+}
+
+// Add real-time validation
+document.addEventListener('input', function(e) {
+    if (e.target.matches('input, textarea, select')) {
+        // Clear error styling when user starts typing
+        e.target.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-500');
+        e.target.classList.add('border-gray-300', 'focus:border-[#003B95]', 'focus:ring-[#003B95]');
+
+        // Remove error message
+        const errorElement = e.target.parentNode.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.remove();
+        }
+    }
+});
+
+// Clear property type error when selection is made
+document.querySelectorAll('input[name="property-type"]').forEach(radio => {
+    radio.addEventListener('change', function() {
+        const errorElement = document.querySelector('.property-type-error');
+        if (errorElement) {
+            errorElement.remove();
+        }
+    });
+});
+
+// Event listeners for navigation buttons
+document.getElementById('next-location-btn').addEventListener('click', function() {
+    if (validateStep1()) {
+        currentStep = 2;
+        showStep(currentStep);
+        saveDraft();
+    }
+});
+
+document.getElementById('back-basic-btn').addEventListener('click', function() {
+    currentStep = 1;
+    showStep(currentStep);
+    saveDraft();
+});
+
+document.getElementById('next-amenities-btn').addEventListener('click', function() {
+    if (validateStep2()) {
+        currentStep = 3;
+        showStep(currentStep);
+        saveDraft();
+    }
+});
+
+document.getElementById('back-location-btn').addEventListener('click', function() {
+    currentStep = 2;
+    showStep(currentStep);
+    saveDraft();
+});
+
+document.getElementById('next-photos-btn').addEventListener('click', function() {
+    if (validateStep3()) {
+        currentStep = 4;
+        showStep(currentStep);
+        saveDraft();
+    }
+});
+
+document.getElementById('back-amenities-btn').addEventListener('click', function() {
+    currentStep = 3;
+    showStep(currentStep);
+    saveDraft();
+});
+
+document.getElementById('submit-listing-btn').addEventListener('click', function() {
+    if (validateStep4()) {
+        const submitBtn = this;
+
+        // The session may have gone idle while the form was open; the draft is kept
+        const user = authService.getCurrentUser();
+        if (!user) {
+            window.location.href = RouteGuard.loginUrl('list-property.html' + window.location.search, authService.expiredReason);
+            return;
+        }
+
+        const form = document.getElementById('listing-form');
+        const csrf = window.SecurityManager.verifyForm(form);
+        if (!csrf.valid) {
+            errorHandler.handleCsrfError(csrf, form);
+            return;
+        }
+
+        // Collect all form data
+        const formData = collectFormData();
+        const fields = PropertyStore.fromListingForm(formData);
+
+        // New listings wait for review; edits keep the listing's photos, badge and
+        // status, except that a withdrawn draft goes back into review
+        const listing = editingListing
+            ? {
+                ...fields,
+                id: editingListing.id,
+                image: editingListing.image,
+                badge: editingListing.badge,
+                host: { ...editingListing.host, ...fields.host },
+                status: editingListing.status === 'draft' ? 'pending' : editingListing.status
+            }
+            : {
+                ...fields,
+                status: 'pending',
+                ownerEmail: user.email
+            };
+
+        submitBtn.disabled = true;
+
+        // Save to the shared property store; it goes live in search results once approved
+        propertyStore.upsert(listing)
+            // Listing a property makes the user a host, which the dashboard requires
+            .then(saved => authService.grantRole('host').then(() => saved))
+            .then(saved => {
+                // Clear draft (and stop the unload handler from re-saving it)
+                window.removeEventListener('beforeunload', saveDraft);
+                clearDraft();
+
+                // The dashboard confirms the save
+                window.location.href = `host-dashboard.html?${editingListing ? 'updated' : 'submitted'}=${encodeURIComponent(saved.id)}`;
+            })
+            .catch(error => {
+                submitBtn.disabled = false;
+                errorHandler.handleNetworkError(error);
+            });
+    }
+});
+
+// Autosave on input changes (debounced)
+let saveTimeout;
+document.addEventListener('input', function(e){
+    if (!e.target.matches('input, textarea, select')) return;
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(saveDraft, 200);
+});
+document.addEventListener('change', function(e){
+    if (!e.target.matches('input, textarea, select')) return;
+    saveDraft();
+});
+
+// Initialize interactive map using Leaflet
+function initMap() {
+    // Default location (Chaka Town, Kenya)
+    const defaultLocation = [-0.3031, 36.0800];
+
+    // Initialize the map
+    map = L.map('map').setView(defaultLocation, 13);
+
+    // Add OpenStreetMap tiles
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+
+    // Try to get user's current location
+    if (navigator.geolocation) {
+        navigator.geolocation.getCurrentPosition(
+            function(position) {
+                const userLocation = [position.coords.latitude, position.coords.longitude];
+                map.setView(userLocation, 13);
+
+                // Add a marker for current location
+                L.marker(userLocation, {
+                    icon: L.divIcon({
+                        className: 'current-location-marker',
+                        html: '<div style="background-color: #3B82F6; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>',
+                        iconSize: [16, 16],
+                        iconAnchor: [8, 8]
+                    })
+                }).addTo(map).bindPopup('Your Current Location');
+            },
+            function() {
+                // If geolocation fails, use default location
+                console.log('Geolocation failed, using default location');
+            }
+        );
+    }
+
+    // Add click listener to map
+    map.on('click', function(e) {
+        const lat = e.latlng.lat;
+        const lng = e.latlng.lng;
+
+        // Remove existing marker
+        if (marker) {
+            map.removeLayer(marker);
+        }
+
+        // Add new marker
+        marker = L.marker([lat, lng], {
+            icon: L.divIcon({
+                className: 'property-location-marker',
+                html: '<div style="background-color: #EF4444; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>',
+                iconSize: [20, 20],
+                iconAnchor: [10, 10]
+            })
+        }).addTo(map).bindPopup('Property Location');
+
+        // Store coordinates
+        selectedLocation = { lat: lat, lng: lng };
+        document.getElementById('latitude').value = lat;
+        document.getElementById('longitude').value = lng;
+
+        // Simple reverse geocoding using OpenStreetMap Nominatim
+        fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}`)
+            .then(response => response.json())
+            .then(data => {
+                if (data.display_name) {
+                    const addressField = document.getElementById('address');
+                    if (!addressField.value) {
+                        addressField.value = data.display_name;
+                    }
+                }
+            })
+            .catch(error => {
+                console.log('Reverse geocoding failed:', error);
+            });
+    });
+}
+
+// Update validation to include map location
+function validateStep2() {
+    let isValid = true;
+
+    // Clear previous errors
+    clearErrors();
+
+    // Check required fields
+    const requiredFields = [
+        { id: 'address', name: 'Street Address' },
+        { id: 'area', name: 'Area/Neighborhood' },
+        { id: 'postal-code', name: 'Postal Code' }
+    ];
+
+    requiredFields.forEach(field => {
+        const element = document.getElementById(field.id);
+        if (!element.value.trim()) {
+            showError(field.id, `${field.name} is required`);
+            isValid = false;
+        }
+    });
+
+    // Check if location is selected on map
+    if (!selectedLocation) {
+        const mapContainer = document.getElementById('map').parentElement;
+        let errorElement = mapContainer.querySelector('.map-error');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'map-error text-red-500 text-sm mt-2';
+            mapContainer.appendChild(errorElement);
+        }
+        errorElement.textContent = 'Please click on the map to select your property location';
+        isValid = false;
+    }
+
+    return isValid;
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
+
+// Mobile progress steps update
+function updateMobileProgressSteps() {
+    const steps = document.querySelectorAll('.mobile-step-number');
+    steps.forEach((step, index) => {
+        const stepNumber = index + 1;
+        if (stepNumber < currentStep) {
+            step.className = 'mobile-step-number step-completed';
+        } else if (stepNumber === currentStep) {
+            step.className = 'mobile-step-number step-active';
+        } else {
+            step.className = 'mobile-step-number bg-gray-200 text-gray-500';
+        }
+    });
+}
+
+// Initialize
+updateProgressSteps();
+updateMobileProgressSteps();
+
+// Initialize map when page loads
+initMap();
+
+// Initialize page on load
+document.addEventListener('DOMContentLoaded', function() {
+    // Check if user is logged in and update navigation
+    authService.updateNavigation();
+
+    // Initialize mobile navigation
+    initMobileNavigation();
+
+    // Load draft if exists, or the listing being edited
+    if (editingId) {
+        loadListingForEdit();
+    } else {
+        loadDraft();
+    }
+    window.addEventListener('beforeunload', saveDraft);
+
+    // CSRF token for the final submit, tied to the signed-in session
+    window.SecurityManager.protectForm(document.getElementById('listing-form'));
+});
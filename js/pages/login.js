@@ -0,0 +1,263 @@
+/**
+ * ChakaBNB Login Page
+ * Sign-in form for login.html
+ */
+
+feather.replace();
+
+// Notification functions
+function showNotification(message) {
+    const notification = document.getElementById('notification');
+    const messageElement = document.getElementById('notification-message');
+
+    messageElement.textContent = message;
+    notification.classList.remove('hidden');
+
+    // Trigger animation
+    setTimeout(() => {
+        notification.classList.add('show');
+    }, 10);
+
+    // Auto-hide after 8 seconds
+    setTimeout(() => {
+        closeNotification();
+    }, 8000);
+}
+
+function closeNotification() {
+    const notification = document.getElementById('notification');
+    notification.classList.remove('show');
+
+    // Hide after animation completes
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 300);
+}
+
+// Buttons marked data-action="..."; inline onclick handlers are blocked by the page's CSP
+safeDom.bindActions({ 'close-notification': closeNotification });
+
+
+// Enhanced login validation with security features
+document.getElementById('login-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const emailInput = document.getElementById('email');
+    const passwordInput = document.getElementById('password');
+    const emailError = document.getElementById('email-error');
+    const passwordError = document.getElementById('password-error');
+    const submitBtn = document.getElementById('login-submit');
+    const submitText = document.getElementById('login-submit-text');
+
+    // Validated as typed; the password is never escaped or trimmed
+    const email = emailInput.value.trim();
+    const password = passwordInput.value;
+
+    // Reset errors
+    emailError.classList.add('hidden');
+    passwordError.classList.add('hidden');
+    emailInput.classList.remove('border-red-500');
+    passwordInput.classList.remove('border-red-500');
+
+    // Validate email
+    const emailValidation = window.SecurityManager.validateEmail(email);
+    if (!emailValidation.isValid) {
+        emailError.textContent = emailValidation.message;
+        emailError.classList.remove('hidden');
+        emailInput.classList.add('border-red-500');
+        errorHandler.showError({
+            type: 'validation',
+            message: emailValidation.message
+        });
+        return;
+    }
+
+    // Validate password
+    if (!password || password.length < 6) {
+        passwordError.textContent = 'Password must be at least 6 characters.';
+        passwordError.classList.remove('hidden');
+        passwordInput.classList.add('border-red-500');
+        errorHandler.showError({
+            type: 'validation',
+            message: 'Password must be at least 6 characters.'
+        });
+        return;
+    }
+
+    const remember = document.getElementById('remember-me').checked;
+    let loadingElement = null;
+
+    // Failed sign-ins for this email back off and then lock; successful ones don't count
+    rateLimiter.check('login', email)
+        .then(status => {
+            if (!status.allowed) {
+                showRateLimit(status);
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.AUTHENTICATION,
+                    message: status.message
+                });
+                return;
+            }
+
+            // Show loading state
+            loadingElement = errorHandler.showLoading('Signing in...');
+            submitBtn.disabled = true;
+            submitText.textContent = 'Signing in...';
+
+            return authService.login(email, password, { remember })
+                .then(() => rateLimiter.reset('login', email))
+                .then(() => {
+                    errorHandler.removeError(loadingElement);
+                    errorHandler.showSuccess('Login Successful', 'Welcome back!');
+
+                    const redirectTo = window.SecurityManager.getSafeRedirect(new URLSearchParams(window.location.search).get('redirect'));
+                    setTimeout(() => {
+                        window.location.href = redirectTo;
+                    }, 1000);
+                });
+        })
+        .catch(error => {
+            errorHandler.removeError(loadingElement);
+            errorHandler.handleAuthError(error);
+
+            // Reset form state
+            submitBtn.disabled = false;
+            submitText.textContent = 'Sign in';
+
+            if (error.code === 'invalid_credentials') {
+                rateLimiter.recordFailure('login', email).then(status => {
+                    if (!status.allowed) showRateLimit(status);
+                });
+            }
+        });
+});
+
+// Count down a backoff or lockout in #rate-limit-info, with sign-in disabled until it ends
+let rateLimitTimer = null;
+function showRateLimit(status) {
+    const rateLimitInfo = document.getElementById('rate-limit-info');
+    const submitBtn = document.getElementById('login-submit');
+
+    clearInterval(rateLimitTimer);
+    const update = () => {
+        const timeLeft = status.retryAt - Date.now();
+        if (timeLeft <= 0) {
+            clearInterval(rateLimitTimer);
+            rateLimitInfo.classList.add('hidden');
+            submitBtn.disabled = false;
+            return;
+        }
+
+        const remaining = status.reason === 'backoff' && status.remaining <= 2
+            ? ` ${status.remaining} attempt${status.remaining === 1 ? '' : 's'} left before sign-in is locked.`
+            : '';
+        rateLimitInfo.textContent = RateLimiter.describeWait(status.reason, timeLeft) + remaining;
+    };
+
+    submitBtn.disabled = true;
+    rateLimitInfo.classList.remove('hidden');
+    update();
+    rateLimitTimer = setInterval(update, 1000);
+}
+
+// Initialize security features
+function initializeSecurity() {
+    // CSRF token for this form, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(document.getElementById('login-form'));
+}
+
+// Enhanced real-time validation
+document.getElementById('email').addEventListener('input', function(){
+    const emailError = document.getElementById('email-error');
+    emailError.classList.add('hidden');
+    this.classList.remove('border-red-500');
+
+    // Real-time email validation
+    const email = this.value.trim();
+    if (email && !window.SecurityManager.validateEmail(email).isValid) {
+        emailError.textContent = 'Please enter a valid email address';
+        emailError.classList.remove('hidden');
+        this.classList.add('border-red-500');
+    }
+});
+
+document.getElementById('password').addEventListener('input', function(){
+    const passwordError = document.getElementById('password-error');
+    passwordError.classList.add('hidden');
+    this.classList.remove('border-red-500');
+
+    // Real-time password validation
+    const password = this.value;
+    if (password && password.length < 6) {
+        passwordError.textContent = 'Password must be at least 6 characters';
+        passwordError.classList.remove('hidden');
+        this.classList.add('border-red-500');
+    }
+});
+
+// route-guard.js adds ?reason= when it sends someone here because their session ended
+const SESSION_NOTICES = {
+    expired: 'Your session has expired. Please sign in again.',
+    idle: 'You were signed out after 30 minutes without activity. Please sign in again.',
+    'signed-out': 'You signed out in another tab. Sign in to continue.'
+};
+
+function showSessionNotice() {
+    const reason = new URLSearchParams(window.location.search).get('reason');
+    if (SESSION_NOTICES[reason]) {
+        showNotification(SESSION_NOTICES[reason]);
+    } else if (reason === 'password-reset') {
+        // Sent here by reset-password.html
+        errorHandler.showSuccess('Password changed', 'Sign in with your new password.');
+    }
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSecurity();
+    showSessionNotice();
+    feather.replace();
+});
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+});
@@ -0,0 +1,126 @@
+/**
+ * ChakaBNB Review Moderation Page
+ * Held and reported reviews for admins on moderation.html. Reviews of listings the admin
+ * hosts themselves are left for another moderator.
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Every listing (any status), for titles, and the ids of the ones the signed-in admin hosts
+let allListings = [];
+let ownListingIds = [];
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    authService.updateNavigation();
+    loadQueue();
+});
+
+function loadQueue() {
+    // route-guard.js has already sent visitors without the admin role away
+    const user = authService.getCurrentUser();
+    if (!user) return;
+
+    propertyStore.query({ status: null })
+        .then(listings => {
+            allListings = listings;
+            ownListingIds = listings.filter(listing => listing.ownerEmail === user.email).map(listing => listing.id);
+            document.getElementById('moderation-content').classList.remove('hidden');
+            renderReviewQueue();
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadQueue);
+        });
+}
+
+// Held and reported reviews, oldest first, each published or rejected by the admin
+function renderReviewQueue() {
+    const reviews = reviewManager.getModerationQueue(ownListingIds);
+    const queue = document.getElementById('review-queue');
+    queue.innerHTML = '';
+    document.getElementById('review-queue-empty').classList.toggle('hidden', reviews.length > 0);
+
+    reviews.forEach(review => {
+        const listing = allListings.find(candidate => String(candidate.id) === String(review.propertyId));
+        const card = document.createElement('div');
+        card.className = 'bg-white rounded-xl shadow-sm p-4';
+        card.innerHTML = `
+            <div class="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                <div class="min-w-0">
+                    <p class="font-medium text-gray-900" data-review-author></p>
+                    <p class="text-sm text-gray-500" data-review-listing></p>
+                </div>
+                <span class="self-start px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap bg-yellow-100 text-yellow-800" data-review-reason></span>
+            </div>
+            <p class="mt-3 text-sm text-gray-700 whitespace-pre-line" data-review-text></p>
+            <div class="mt-3 flex gap-2">
+                <button type="button" class="px-3 py-1 rounded-md text-xs font-medium bg-[#4CAF50] text-white hover:bg-[#45a049]" data-review-decision="published">Publish</button>
+                <button type="button" class="px-3 py-1 rounded-md text-xs font-medium border border-red-600 text-red-600 hover:bg-red-600 hover:text-white" data-review-decision="rejected">Reject</button>
+            </div>
+        `;
+
+        card.querySelector('[data-review-author]').textContent = `${review.authorName} · ${ReviewManager.overallRating(review.ratings).toFixed(1)} stars`;
+        card.querySelector('[data-review-listing]').textContent = `${listing ? listing.title : 'Listing'} · ${new Date(review.createdAt).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        card.querySelector('[data-review-reason]').textContent = review.openFlags.length
+            ? `Reported ${review.openFlags.length === 1 ? 'once' : `${review.openFlags.length} times`}`
+            : 'Held: links or contact details';
+        card.querySelector('[data-review-text]').textContent = review.text;
+        card.querySelectorAll('[data-review-decision]').forEach(button => {
+            button.addEventListener('click', () => moderateReview(review, button.dataset.reviewDecision));
+        });
+        queue.appendChild(card);
+    });
+}
+
+function moderateReview(review, decision) {
+    if (!reviewManager.moderateReview(review.id, decision, ownListingIds)) {
+        errorHandler.showError({
+            type: errorHandler.errorTypes.VALIDATION,
+            message: 'This review can no longer be moderated from here.'
+        });
+    } else {
+        errorHandler.showSuccess(
+            decision === 'published' ? 'Review published' : 'Review rejected',
+            decision === 'published' ? `${review.authorName}'s review is shown on the listing.` : `${review.authorName}'s review won't be shown or counted.`
+        );
+    }
+    renderReviewQueue();
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
@@ -0,0 +1,1169 @@
+/**
+ * ChakaBNB Property Detail Page
+ * Listing details, gallery, reviews and booking for property-detail.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Toggle accordion items
+document.querySelectorAll('.border-b.border-gray-200 > div').forEach(item => {
+    item.addEventListener('click', function() {
+        const content = this.nextElementSibling;
+        const icon = this.querySelector('i');
+
+        if (content.classList.contains('hidden')) {
+            content.classList.remove('hidden');
+            icon.setAttribute('data-feather', 'chevron-up');
+        } else {
+            content.classList.add('hidden');
+            icon.setAttribute('data-feather', 'chevron-down');
+        }
+        feather.replace();
+    });
+});
+
+// Initialize page on load
+document.addEventListener('DOMContentLoaded', function() {
+    // Check if user is logged in and update navigation
+    authService.updateNavigation();
+
+    // M-Pesa payments an earlier visit stopped waiting for may have been answered since
+    mpesaService.reconcilePending()
+        .then(results => {
+            if (results.length) refreshAvailability();
+        })
+        .catch(error => console.error('M-Pesa payments could not be checked:', error));
+
+    // Load the listing named by ?id=
+    loadProperty();
+});
+
+// Listing shown on this page, loaded from the property store
+let currentProperty = null;
+
+function loadProperty() {
+    const propertyId = new URLSearchParams(window.location.search).get('id');
+
+    propertyStore.getById(propertyId)
+        .then(property => {
+            if (!property) {
+                showPropertyNotFound(propertyId);
+                return;
+            }
+
+            // Rating and review count come from published reviews
+            currentProperty = reviewManager.withRatings([property])[0];
+            renderProperty(currentProperty);
+            initReviews();
+            initBookingCalculations(currentProperty);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadProperty);
+        });
+}
+
+function showPropertyNotFound(propertyId) {
+    document.querySelectorAll('[data-property-section]').forEach(section => {
+        section.classList.add('hidden');
+    });
+    document.getElementById('property-not-found').classList.remove('hidden');
+    document.title = 'Property not found | ChakaBNB';
+
+    errorHandler.handleNotFoundError({
+        message: propertyId
+            ? 'This property is no longer available.'
+            : 'No property was selected.'
+    }, 'search-results.html');
+}
+
+function renderProperty(property) {
+    const { location, host } = property;
+
+    document.title = `${property.title} | ChakaBNB`;
+    document.getElementById('property-title').textContent = property.title;
+    document.getElementById('property-location').textContent = [location.area, location.city].filter(Boolean).join(', ');
+    renderRatingSummary(property);
+
+    // Summary and highlights
+    document.getElementById('property-host-heading').textContent = `Entire ${property.type} hosted by ${host.name}`;
+    document.getElementById('property-summary').textContent = [
+        pluralize(property.guests, 'guest'),
+        pluralize(property.bedrooms, 'bedroom'),
+        pluralize(property.bathrooms, 'bath')
+    ].join(' · ');
+
+    const highlightIcons = ['home', 'star', 'map-pin', 'clock'];
+    const highlights = property.highlights.map((text, index) => ({
+        icon: highlightIcons[index % highlightIcons.length],
+        text
+    }));
+    if (property.instantBook) {
+        highlights.unshift({ icon: 'zap', text: 'Instant Book' });
+    }
+    renderIconList('property-highlights', highlights, 'text-[#4CAF50]', 'ml-2 text-gray-700');
+
+    // Description
+    const description = document.getElementById('property-description');
+    description.innerHTML = '';
+    property.description.split(/\n\s*\n/).filter(text => text.trim()).forEach(text => {
+        // Hosts may use <b>, <i>, lists and links; everything else is escaped or dropped
+        const paragraph = document.createElement('div');
+        paragraph.className = 'mt-4 text-gray-700 [&_ul]:list-disc [&_ul]:pl-5 [&_a]:text-[#003B95] [&_a]:underline';
+        safeDom.render(paragraph, safeDom.raw(window.SecurityManager.sanitize(text.trim(), { mode: 'markup' }).value));
+        description.appendChild(paragraph);
+    });
+
+    // Amenities
+    renderIconList('property-amenities', property.amenities.map(amenity => {
+        const details = propertyStore.describeAmenity(amenity);
+        return { icon: details.icon, text: details.label };
+    }), 'text-[#003B95] amenity-icon', 'text-gray-700');
+
+    // Sleeping arrangements
+    const sleeping = document.getElementById('sleeping-arrangements');
+    sleeping.innerHTML = '';
+    property.sleepingArrangements.forEach((beds, index) => {
+        const room = document.createElement('div');
+        room.innerHTML = `
+            <i data-feather="home" class="text-[#8B4513] w-8 h-8"></i>
+            <h4 class="mt-2 font-medium text-gray-900">Bedroom ${index + 1}</h4>
+            <p class="mt-1 text-gray-600"></p>
+        `;
+        room.querySelector('p').textContent = beds;
+        sleeping.appendChild(room);
+    });
+    document.getElementById('sleeping-arrangements-section').classList.toggle('hidden', !property.sleepingArrangements.length);
+
+    // Location
+    document.getElementById('property-address').textContent = [
+        location.address, location.area, location.city, `${location.county} County`, location.country
+    ].filter(Boolean).join(', ');
+    renderIconList('nearby-attractions', location.nearbyAttractions.map(attraction => ({
+        icon: 'map-pin',
+        text: propertyStore.describeAttraction(attraction)
+    })), 'text-[#4CAF50] w-4 h-4', 'ml-2 text-gray-700');
+    document.getElementById('nearby-attractions-section').classList.toggle('hidden', !location.nearbyAttractions.length);
+    initPropertyMap(property);
+
+    // Host
+    document.querySelectorAll('[data-host-avatar]').forEach(img => {
+        img.src = host.avatar;
+        img.alt = host.name;
+    });
+    document.getElementById('host-name').textContent = `Hosted by ${host.name}`;
+    document.getElementById('host-joined').textContent = host.joined ? `Joined in ${host.joined}` : 'New host';
+    document.getElementById('host-bio').textContent = host.bio || '';
+
+    // Cancellation policy
+    const policy = propertyStore.describeCancellationPolicy(property.cancellationPolicy);
+    const policyContainer = document.getElementById('cancellation-policy');
+    policyContainer.innerHTML = '';
+    [`${policy.label} policy`, ...policy.summary].forEach((text, index) => {
+        const line = document.createElement('p');
+        line.className = index === 0 ? 'font-medium text-gray-900' : 'mt-2 text-gray-700';
+        line.textContent = text;
+        policyContainer.appendChild(line);
+    });
+
+    // Price and guest options
+    setPrice(document.getElementById('mobile-price-per-night'), property.price);
+    ['guests-detail', 'mobile-guests'].forEach(id => {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        for (let count = 1; count <= property.guests; count++) {
+            select.add(new Option(pluralize(count, 'guest')));
+        }
+    });
+
+    renderGallery(property);
+    feather.replace();
+}
+
+function renderIconList(containerId, items, iconClass, textClass) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center';
+        row.innerHTML = `<i data-feather="${item.icon}" class="${iconClass}"></i><span class="${textClass}"></span>`;
+        row.querySelector('span').textContent = item.text;
+        container.appendChild(row);
+    });
+}
+
+function renderGallery(property) {
+    const images = property.images;
+    const altText = property.title;
+
+    document.getElementById('mobile-main-image').src = images[0];
+    document.getElementById('mobile-main-image').alt = altText;
+
+    const thumbs = document.getElementById('mobile-gallery-thumbs');
+    thumbs.innerHTML = '';
+    images.slice(0, 4).forEach((src, index) => {
+        const thumb = document.createElement('img');
+        thumb.src = src;
+        thumb.alt = altText;
+        thumb.className = `w-full h-full object-cover cursor-pointer border-2 ${index === 0 ? 'border-[#003B95]' : 'border-transparent hover:border-gray-300'}`;
+        thumb.dataset.action = 'change-mobile-image';
+        thumbs.appendChild(thumb);
+    });
+
+    const desktopGallery = document.getElementById('desktop-gallery');
+    desktopGallery.innerHTML = '';
+    images.slice(0, 5).forEach((src, index) => {
+        const tile = document.createElement('div');
+        tile.className = index === 0 ? 'md:col-span-2 row-span-2 rounded-xl overflow-hidden' : 'rounded-xl overflow-hidden';
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = altText;
+        img.className = 'w-full h-full object-cover gallery-image';
+        tile.appendChild(img);
+        desktopGallery.appendChild(tile);
+    });
+
+    const modalGrid = document.getElementById('gallery-modal-grid');
+    modalGrid.innerHTML = '';
+    images.forEach(src => {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = altText;
+        img.className = 'w-full h-64 object-cover rounded-lg';
+        modalGrid.appendChild(img);
+    });
+}
+
+function initPropertyMap(property) {
+    if (typeof L === 'undefined') return;
+
+    const position = [property.location.latitude, property.location.longitude];
+    const map = L.map('property-map', { scrollWheelZoom: false }).setView(position, 14);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+    L.marker(position).addTo(map);
+}
+
+function renderRatingSummary(property) {
+    const reviewsText = property.reviews
+        ? `${property.reviews} review${property.reviews === 1 ? '' : 's'}`
+        : 'No reviews yet';
+    const ratingText = property.reviews ? property.rating.toFixed(1) : 'New';
+
+    document.querySelectorAll('[data-property-rating]').forEach(el => { el.textContent = ratingText; });
+    document.querySelectorAll('[data-property-reviews]').forEach(el => { el.textContent = reviewsText; });
+    document.querySelectorAll('[data-property-rating-summary]').forEach(el => {
+        el.textContent = property.reviews ? `${ratingText} · ${reviewsText}` : reviewsText;
+    });
+
+    seoOptimizer.addPropertyListingsStructuredData([property]);
+}
+
+// Reviews shown before "See all reviews"
+const REVIEWS_PREVIEW_COUNT = 4;
+let showAllReviews = false;
+
+function initReviews() {
+    document.getElementById('toggle-all-reviews').addEventListener('click', function() {
+        showAllReviews = !showAllReviews;
+        renderReviews();
+    });
+
+    document.getElementById('review-list').addEventListener('click', function(e) {
+        const reportButton = e.target.closest('[data-report-review]');
+        if (!reportButton) return;
+
+        const user = authService.getCurrentUser();
+        reviewManager.flagReview(reportButton.dataset.reportReview, 'Reported from the listing page', user ? user.email : null);
+        reportButton.disabled = true;
+        reportButton.textContent = 'Reported';
+        showNotification('Thanks for letting us know. A moderator will check this review.', 'success', false);
+    });
+
+    document.getElementById('review-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+
+        const csrf = window.SecurityManager.verifyForm(this);
+        if (!csrf.valid) {
+            errorHandler.handleCsrfError(csrf, this);
+            return;
+        }
+        submitReview();
+    });
+
+    renderReviews();
+    prepareReviewForm();
+}
+
+// Re-read reviews after one is added
+function refreshReviews() {
+    currentProperty = reviewManager.withRatings([currentProperty])[0];
+    renderRatingSummary(currentProperty);
+    renderReviews();
+    prepareReviewForm();
+}
+
+function renderReviews() {
+    const summary = reviewManager.getSummary(currentProperty.id);
+    const reviews = reviewManager.getReviews(currentProperty.id);
+
+    // Category averages
+    const categories = document.getElementById('review-categories');
+    categories.innerHTML = '';
+    categories.classList.toggle('hidden', !summary.count);
+    Object.entries(REVIEW_CATEGORIES).forEach(([category, label]) => {
+        const average = summary.categories[category] || 0;
+        const row = document.createElement('div');
+        row.innerHTML = `
+            <div class="flex justify-between text-sm">
+                <span class="text-gray-700"></span>
+                <span class="font-medium text-gray-900">${average.toFixed(1)}</span>
+            </div>
+            <div class="mt-1 h-1 bg-gray-200 rounded-full">
+                <div class="h-1 bg-[#003B95] rounded-full" style="width: ${average / 5 * 100}%"></div>
+            </div>
+        `;
+        row.querySelector('span').textContent = label;
+        categories.appendChild(row);
+    });
+
+    // Review cards
+    const list = document.getElementById('review-list');
+    const visible = showAllReviews ? reviews : reviews.slice(0, REVIEWS_PREVIEW_COUNT);
+    list.innerHTML = '';
+    if (!reviews.length) {
+        list.innerHTML = '<p class="text-gray-600">No reviews yet. Guests can review this property after their stay.</p>';
+    }
+    visible.forEach(review => {
+        const card = document.createElement('div');
+        card.innerHTML = `
+            <div class="flex items-center">
+                <div class="w-12 h-12 rounded-full bg-blue-100 text-[#003B95] flex items-center justify-center font-semibold" aria-hidden="true"></div>
+                <div class="ml-4 flex-1">
+                    <h4 class="font-medium text-gray-900"></h4>
+                    <p class="text-sm text-gray-500"></p>
+                </div>
+                <span class="flex items-center text-sm text-gray-900">
+                    <i data-feather="star" class="h-4 w-4 text-yellow-400 fill-current mr-1"></i>
+                    ${ReviewManager.overallRating(review.ratings).toFixed(1)}
+                </span>
+            </div>
+            <p class="mt-4 text-gray-700"></p>
+            <button type="button" class="mt-2 text-xs text-gray-500 hover:underline">Report</button>
+        `;
+        // Names and text are stored as the guest typed them
+        card.querySelector('h4').textContent = review.authorName;
+        card.querySelector('[aria-hidden]').textContent = review.authorName.charAt(0).toUpperCase();
+        card.querySelector('.text-sm.text-gray-500').textContent = new Date(review.createdAt).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        card.querySelector('p.mt-4').textContent = review.text;
+        card.querySelector('button').dataset.reportReview = review.id;
+        list.appendChild(card);
+    });
+
+    const toggle = document.getElementById('toggle-all-reviews');
+    toggle.classList.toggle('hidden', reviews.length <= REVIEWS_PREVIEW_COUNT);
+    toggle.textContent = showAllReviews ? 'Show fewer reviews' : `See all ${reviews.length} reviews`;
+    feather.replace();
+}
+
+// The review form is only offered to signed-in guests with a completed, unreviewed stay
+function prepareReviewForm() {
+    const form = document.getElementById('review-form');
+    const user = authService.getCurrentUser();
+    const bookings = reviewManager.getReviewableBookings(user ? user.email : null, currentProperty.id);
+
+    form.classList.toggle('hidden', bookings.length === 0);
+    if (!bookings.length) return;
+
+    // CSRF token for this form, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(form);
+
+    const bookingSelect = document.getElementById('review-booking');
+    bookingSelect.innerHTML = '';
+    bookings.forEach(booking => bookingSelect.add(new Option(`${booking.checkIn} to ${booking.checkOut}`, booking.id)));
+    document.getElementById('review-booking-field').classList.toggle('hidden', bookings.length < 2);
+
+    const ratingInputs = document.getElementById('review-rating-inputs');
+    ratingInputs.innerHTML = '';
+    Object.entries(REVIEW_CATEGORIES).forEach(([category, label]) => {
+        ratingInputs.appendChild(createStarInput(category, label));
+    });
+    feather.replace();
+}
+
+function createStarInput(category, label) {
+    const group = document.createElement('div');
+    group.dataset.ratingCategory = category;
+    group.innerHTML = '<p class="text-sm font-medium text-gray-700 mb-1"></p><div class="flex" role="radiogroup"></div>';
+    group.querySelector('p').textContent = label;
+
+    const stars = group.querySelector('[role="radiogroup"]');
+    stars.setAttribute('aria-label', `${label} rating`);
+    for (let value = 1; value <= 5; value++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'p-1 text-gray-300 hover:text-yellow-400';
+        star.dataset.value = value;
+        star.setAttribute('role', 'radio');
+        star.setAttribute('aria-checked', 'false');
+        star.setAttribute('aria-label', pluralize(value, 'star'));
+        star.innerHTML = '<i data-feather="star" class="h-5 w-5 fill-current"></i>';
+        star.addEventListener('click', () => setStarRating(group, value));
+        stars.appendChild(star);
+    }
+    return group;
+}
+
+function setStarRating(group, value) {
+    group.dataset.rating = value;
+    group.querySelectorAll('[data-value]').forEach(star => {
+        const selected = Number(star.dataset.value) <= value;
+        star.classList.toggle('text-yellow-400', selected);
+        star.classList.toggle('text-gray-300', !selected);
+        star.setAttribute('aria-checked', Number(star.dataset.value) === value);
+    });
+}
+
+function submitReview() {
+    const errorElement = document.getElementById('review-error');
+    const ratings = {};
+    document.querySelectorAll('[data-rating-category]').forEach(group => {
+        ratings[group.dataset.ratingCategory] = group.dataset.rating;
+    });
+
+    const user = authService.getCurrentUser();
+    const result = reviewManager.submitReview(user ? user.email : null, {
+        propertyId: currentProperty.id,
+        bookingId: document.getElementById('review-booking').value,
+        authorName: user ? user.name : null,
+        ratings,
+        text: document.getElementById('review-text').value
+    });
+
+    errorElement.textContent = result.success ? '' : result.message;
+    errorElement.classList.toggle('hidden', result.success);
+    if (!result.success) return;
+
+    document.getElementById('review-form').reset();
+    showNotification(result.message, 'success', false);
+    refreshReviews();
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Notification functions
+function showNotification(message, type = 'error', showActions = true) {
+    const notification = document.getElementById('notification');
+    const messageElement = document.getElementById('notification-message');
+    const iconElement = document.getElementById('notification-icon');
+    const contentElement = document.getElementById('notification-content');
+    const actionsElement = document.getElementById('notification-actions');
+
+    messageElement.textContent = message;
+
+    // Set notification type styling
+    if (type === 'success') {
+        contentElement.className = 'bg-green-500 text-white px-6 py-4 rounded-lg shadow-lg max-w-sm';
+        iconElement.setAttribute('data-feather', 'check-circle');
+        if (actionsElement) {
+            actionsElement.innerHTML = `
+                <button data-action="proceed-to-booking" class="bg-white text-green-500 px-3 py-1 rounded text-xs font-medium hover:bg-gray-100 transition-colors">
+                    Proceed to Booking
+                </button>
+                <button data-action="close-notification" class="text-white hover:text-gray-200 text-xs">
+                    Dismiss
+                </button>
+            `;
+        }
+    } else {
+        contentElement.className = 'bg-red-500 text-white px-6 py-4 rounded-lg shadow-lg max-w-sm';
+        iconElement.setAttribute('data-feather', 'alert-circle');
+        if (actionsElement && showActions) {
+            actionsElement.innerHTML = `
+                <a href="login.html" class="bg-white text-red-500 px-3 py-1 rounded text-xs font-medium hover:bg-gray-100 transition-colors">
+                    Login Now
+                </a>
+                <button data-action="close-notification" class="text-white hover:text-gray-200 text-xs">
+                    Dismiss
+                </button>
+            `;
+        } else if (actionsElement) {
+            actionsElement.innerHTML = `
+                <button data-action="close-notification" class="text-white hover:text-gray-200 text-xs">
+                    Dismiss
+                </button>
+            `;
+        }
+    }
+
+    // Refresh feather icons
+    feather.replace();
+
+    notification.classList.remove('hidden');
+
+    // Trigger animation
+    setTimeout(() => {
+        notification.classList.add('show');
+    }, 10);
+
+    // Auto-hide after 8 seconds
+    setTimeout(() => {
+        closeNotification();
+    }, 8000);
+}
+
+function closeNotification() {
+    const notification = document.getElementById('notification');
+    notification.classList.remove('show');
+
+    // Hide after animation completes
+    setTimeout(() => {
+        notification.classList.add('hidden');
+    }, 300);
+}
+
+// Buttons marked data-action="..."; inline onclick handlers are blocked by the page's CSP
+safeDom.bindActions({
+    'close-notification': closeNotification,
+    'proceed-to-booking': proceedToBooking,
+    'close-booking-modal': closeBookingModal,
+    'submit-booking': submitBooking,
+    'change-mobile-image': element => changeMobileImage(element.src)
+});
+
+function proceedToBooking() {
+    // Close the notification first
+    closeNotification();
+
+    // Populate modal with current booking data
+    populateBookingModal();
+
+    // Show the booking modal
+    openBookingModal();
+}
+
+function openBookingModal() {
+    const modal = document.getElementById('booking-modal');
+    window.SecurityManager.protectForm(document.getElementById('booking-form'));
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+
+    // Refresh feather icons
+    feather.replace();
+}
+
+function closeBookingModal() {
+    const modal = document.getElementById('booking-modal');
+    modal.classList.add('hidden');
+    document.body.style.overflow = 'auto'; // Restore scrolling
+
+    // Clear form errors
+    clearBookingFormErrors();
+
+    // Don't leave card details in the page once the modal is closed
+    ['card-number', 'card-expiry', 'card-cvc', 'card-name'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    cardRetryBookingId = null;
+}
+
+function populateBookingModal() {
+    // Use the same quote the booking panel is showing
+    const quote = currentQuote;
+
+    document.getElementById('modal-property').textContent = currentProperty ? currentProperty.title : '-';
+    document.getElementById('modal-checkin').textContent = quote ? quote.checkIn : '-';
+    document.getElementById('modal-checkout').textContent = quote ? quote.checkOut : '-';
+    document.getElementById('modal-guests').textContent = quote ? pluralize(quote.guests, 'guest') : '-';
+    document.getElementById('modal-nights').textContent = quote ? quote.nights : '-';
+    const modalTotal = document.getElementById('modal-total');
+    if (quote) {
+        setPrice(modalTotal, quote.total);
+    } else {
+        delete modalTotal.dataset.price;
+        modalTotal.textContent = '-';
+    }
+
+    const breakdown = document.getElementById('modal-price-breakdown');
+    breakdown.classList.toggle('hidden', !quote);
+    if (quote) renderQuoteLines(breakdown, quote);
+
+    // Instant-book listings confirm on payment; the others wait for the host
+    const instantBook = Boolean(currentProperty && currentProperty.instantBook);
+    document.getElementById('modal-booking-note').textContent = instantBook
+        ? 'Instant Book: your stay is confirmed as soon as you pay.'
+        : `The host has ${REQUEST_EXPIRY_HOURS} hours to accept your request. If they decline, you'll get a full refund.`;
+    document.querySelector('[data-action="submit-booking"]').textContent = instantBook ? 'Complete Booking' : 'Request to Book';
+
+    // A deposit is only offered when check-in is far enough away to charge the balance first
+    const canPayDeposit = Boolean(quote) && PaymentManager.canPayDeposit(quote.checkIn);
+    document.getElementById('payment-plan').classList.toggle('hidden', !canPayDeposit);
+    document.querySelector('input[name="paymentPlan"][value="full"]').checked = true;
+    if (canPayDeposit) {
+        const schedule = PaymentManager.createSchedule(quote.total, quote.checkIn, 'deposit');
+        setPrice(document.getElementById('plan-full-amount'), quote.total);
+        setPrice(document.getElementById('plan-deposit-amount'), schedule.deposit);
+        setPrice(document.getElementById('plan-balance-amount'), schedule.balance);
+        document.getElementById('plan-balance-date').textContent = PaymentManager.formatDate(schedule.balanceDueDate);
+    }
+}
+
+function clearBookingFormErrors() {
+    const errorElements = [
+        'first-name-error', 'last-name-error', 'email-error',
+        'phone-error', 'payment-error', 'mpesa-phone-error', 'card-error', 'terms-error'
+    ];
+
+    errorElements.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.classList.add('hidden');
+            element.textContent = '';
+        }
+    });
+}
+
+function showBookingFormError(fieldId, message) {
+    const errorElement = document.getElementById(fieldId);
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.classList.remove('hidden');
+    }
+}
+
+function validateBookingForm() {
+    let isValid = true;
+    clearBookingFormErrors();
+
+    // Validate first name
+    const firstName = document.getElementById('guest-first-name').value.trim();
+    if (!firstName) {
+        showBookingFormError('first-name-error', 'First name is required');
+        isValid = false;
+    }
+
+    // Validate last name
+    const lastName = document.getElementById('guest-last-name').value.trim();
+    if (!lastName) {
+        showBookingFormError('last-name-error', 'Last name is required');
+        isValid = false;
+    }
+
+    // Validate email
+    const email = document.getElementById('guest-email').value.trim();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email) {
+        showBookingFormError('email-error', 'Email address is required');
+        isValid = false;
+    } else if (!emailRegex.test(email)) {
+        showBookingFormError('email-error', 'Please enter a valid email address');
+        isValid = false;
+    }
+
+    // Validate phone
+    const phoneValidation = window.SecurityManager.validatePhone(document.getElementById('guest-phone').value);
+    if (!phoneValidation.isValid) {
+        showBookingFormError('phone-error', phoneValidation.message);
+        isValid = false;
+    }
+
+    // Validate payment method
+    const paymentMethod = document.querySelector('input[name="paymentMethod"]:checked');
+    if (!paymentMethod) {
+        showBookingFormError('payment-error', 'Please select a payment method');
+        isValid = false;
+    } else if (paymentMethod.value === 'mpesa' && !mpesaService.normalizePhone(document.getElementById('mpesa-phone').value)) {
+        showBookingFormError('mpesa-phone-error', 'Please enter a Safaricom number that uses M-Pesa, e.g. 0712345678');
+        isValid = false;
+    } else if (paymentMethod.value === 'card') {
+        const cardValidation = PaymentManager.validateCard(readCardDetails());
+        if (!cardValidation.isValid) {
+            showBookingFormError('card-error', cardValidation.message);
+            isValid = false;
+        }
+    }
+
+    // Validate terms agreement
+    const termsAgreement = document.getElementById('terms-agreement').checked;
+    if (!termsAgreement) {
+        showBookingFormError('terms-error', 'Please accept the terms and conditions');
+        isValid = false;
+    }
+
+    return isValid;
+}
+
+function submitBooking() {
+    const form = document.getElementById('booking-form');
+    const csrf = window.SecurityManager.verifyForm(form);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, form);
+        return;
+    }
+
+    if (!validateBookingForm()) {
+        return;
+    }
+
+    // Get form data
+    const formData = {
+        firstName: document.getElementById('guest-first-name').value.trim(),
+        lastName: document.getElementById('guest-last-name').value.trim(),
+        email: document.getElementById('guest-email').value.trim(),
+        phone: document.getElementById('guest-phone').value.trim(),
+        specialRequests: document.getElementById('special-requests').value.trim(),
+        paymentMethod: document.querySelector('input[name="paymentMethod"]:checked').value,
+        propertyId: currentProperty ? currentProperty.id : null,
+        propertyTitle: currentProperty ? currentProperty.title : '',
+        checkIn: currentQuote ? currentQuote.checkIn : '',
+        checkOut: currentQuote ? currentQuote.checkOut : '',
+        guests: currentQuote ? currentQuote.guests : '',
+        nights: currentQuote ? currentQuote.nights : '',
+        total: currentQuote ? currentQuote.total : '',
+        quote: currentQuote,
+        instantBook: Boolean(currentProperty && currentProperty.instantBook)
+    };
+
+    // Card and M-Pesa bookings wait for their payment; the card details themselves stay out of the booking
+    if (formData.paymentMethod !== 'bank') {
+        const plan = formData.paymentMethod === 'card' ? document.querySelector('input[name="paymentPlan"]:checked').value : 'full';
+        formData.paymentSchedule = PaymentManager.createSchedule(formData.total, formData.checkIn, plan);
+        formData.payment = { method: formData.paymentMethod, status: 'pending' };
+    }
+
+    // Repeated attempts at unavailable dates are limited per email address
+    rateLimiter.check('booking', formData.email)
+        .then(status => {
+            if (!status.allowed) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.VALIDATION,
+                    message: status.message
+                });
+                return;
+            }
+
+            // Refuse stays that overlap an existing booking or host-blocked dates
+            const availability = availabilityManager.checkAvailability(formData.propertyId, formData.checkIn, formData.checkOut);
+            if (!availability.available) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.VALIDATION,
+                    message: availability.message
+                });
+                rateLimiter.recordFailure('booking', formData.email);
+                return;
+            }
+
+            completeBooking(formData);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        });
+}
+
+function completeBooking(formData) {
+    if (formData.paymentMethod === 'card' && cardRetryBookingId) {
+        payWithCard(cardRetryBookingId);
+        return;
+    }
+
+    // Save booking to localStorage for demo purposes; it shows up under My Trips
+    const booking = bookingManager.create(formData);
+
+    rateLimiter.reset('booking', formData.email);
+
+    // The booked nights are no longer available
+    refreshAvailability();
+
+    // Cards are charged with the modal still open, so a declined card can be swapped for another
+    if (formData.paymentMethod === 'card') {
+        payWithCard(booking.id);
+        return;
+    }
+
+    // Close modal
+    closeBookingModal();
+
+    if (formData.paymentMethod === 'mpesa') {
+        payWithMpesa(booking.id, document.getElementById('mpesa-phone').value);
+        return;
+    }
+
+    showBookingConfirmation(booking);
+}
+
+// The confirmation page shows the booking reference, receipt and calendar file
+function showBookingConfirmation(booking) {
+    window.location.href = bookingDocuments.getConfirmationUrl(booking);
+}
+
+function readCardDetails() {
+    return {
+        number: document.getElementById('card-number').value,
+        expiry: document.getElementById('card-expiry').value,
+        cvc: document.getElementById('card-cvc').value,
+        name: document.getElementById('card-name').value
+    };
+}
+
+function payWithCard(bookingId) {
+    const submitButton = document.querySelector('[data-action="submit-booking"]');
+    const loadingElement = errorHandler.showLoading('Processing your card payment...');
+    submitButton.disabled = true;
+
+    paymentManager.payByCard(bookingId, readCardDetails())
+        .then(result => {
+            errorHandler.removeError(loadingElement);
+            refreshAvailability();
+
+            if (!result.success) {
+                cardRetryBookingId = bookingId;
+                showBookingFormError('card-error', result.message);
+                return;
+            }
+
+            cardRetryBookingId = null;
+            closeBookingModal();
+            showBookingConfirmation(result.booking);
+        })
+        .catch(error => {
+            errorHandler.removeError(loadingElement);
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(() => {
+            submitButton.disabled = false;
+        });
+}
+
+/**
+ * Send the M-Pesa prompt for a booking and report the outcome; failed payments can be retried
+ * from the notification while mpesaService allows more prompts
+ */
+function payWithMpesa(bookingId, phone) {
+    let loadingElement = errorHandler.showLoading('Sending the M-Pesa prompt to your phone...');
+
+    mpesaService.payBooking(bookingId, phone, () => {
+        errorHandler.removeError(loadingElement);
+        loadingElement = errorHandler.showLoading('Check your phone and enter your M-Pesa PIN to pay.');
+    })
+        .then(result => {
+            errorHandler.removeError(loadingElement);
+            refreshAvailability();
+
+            if (result.success) {
+                showBookingConfirmation(result.booking);
+                return;
+            }
+
+            errorHandler.showError({
+                type: errorHandler.errorTypes.PAYMENT,
+                message: result.message
+            }, mpesaService.canRetry(result.booking) ? () => payWithMpesa(bookingId, phone) : null);
+        })
+        .catch(error => {
+            errorHandler.removeError(loadingElement);
+            errorHandler.handleNetworkError(error);
+        });
+}
+
+// Add event listeners for booking modal
+function initBookingModal() {
+    const modal = document.getElementById('booking-modal');
+    const bookNowNav = document.getElementById('book-now-nav');
+
+    // Book now button in navigation
+    if (bookNowNav) {
+        // Signed-out visitors are sent to sign in by route-guard.js (data-requires="auth")
+        bookNowNav.addEventListener('click', function() {
+            // Populate modal with current booking data
+            populateBookingModal();
+
+            // Show the booking modal
+            openBookingModal();
+        });
+    }
+
+    // M-Pesa asks for the number to prompt, starting from the guest's phone; card asks for the card
+    document.querySelectorAll('input[name="paymentMethod"]').forEach(radio => {
+        radio.addEventListener('change', function() {
+            const mpesaPhone = document.getElementById('mpesa-phone');
+            document.getElementById('mpesa-details').classList.toggle('hidden', this.value !== 'mpesa');
+            document.getElementById('card-details').classList.toggle('hidden', this.value !== 'card');
+            if (this.value === 'mpesa' && !mpesaPhone.value) {
+                mpesaPhone.value = document.getElementById('guest-phone').value.trim();
+            }
+        });
+    });
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            closeBookingModal();
+        }
+    });
+
+    // Close modal with Escape key
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeBookingModal();
+        }
+    });
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
+
+// Mobile Gallery Functions
+function changeMobileImage(src) {
+    const mainImage = document.getElementById('mobile-main-image');
+    if (mainImage) {
+        mainImage.src = src;
+    }
+
+    // Update active thumbnail
+    document.querySelectorAll('.mobile-gallery-thumbs img').forEach(img => {
+        img.classList.remove('border-[#003B95]');
+        img.classList.add('border-transparent');
+    });
+    event.target.classList.add('border-[#003B95]');
+    event.target.classList.remove('border-transparent');
+}
+
+// Mobile Booking Panel Functions
+function initMobileBooking() {
+    const bookingTrigger = document.getElementById('mobile-booking-trigger');
+    const bookingPanel = document.getElementById('mobile-booking-panel');
+    const bookingClose = document.getElementById('mobile-booking-close');
+
+    function openBookingPanel() {
+        bookingPanel.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeBookingPanel() {
+        bookingPanel.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (bookingTrigger) {
+        bookingTrigger.addEventListener('click', openBookingPanel);
+    }
+
+    if (bookingClose) {
+        bookingClose.addEventListener('click', closeBookingPanel);
+    }
+}
+
+// Initialize mobile functionality
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    initMobileBooking();
+    initGalleryModal();
+    initBookingModal();
+});
+
+// Booking calculations and validation
+// Quote the guest is about to book; set from whichever panel they last used
+let currentQuote = null;
+
+// Booking whose card was declined; submitting again charges it instead of booking twice
+let cardRetryBookingId = null;
+
+function initBookingCalculations(property) {
+    const pricePerNightEl = document.getElementById('price-per-night');
+    const checkAvailDesktop = document.getElementById('check-availability-desktop');
+    const checkAvailMobile = document.getElementById('check-availability-mobile');
+
+    const panels = {
+        desktop: {
+            checkIn: document.getElementById('check-in-detail'),
+            checkOut: document.getElementById('check-out-detail'),
+            guests: document.getElementById('guests-detail'),
+            dateError: document.getElementById('date-error'),
+            breakdown: document.getElementById('price-breakdown'),
+            total: document.getElementById('grand-total')
+        },
+        mobile: {
+            checkIn: document.getElementById('mobile-check-in'),
+            checkOut: document.getElementById('mobile-check-out'),
+            guests: document.getElementById('mobile-guests'),
+            dateError: document.getElementById('mobile-date-error'),
+            breakdown: document.getElementById('m-price-breakdown'),
+            total: document.getElementById('m-grand-total')
+        }
+    };
+
+    if (pricePerNightEl) setPrice(pricePerNightEl, property.price);
+
+    function updateTotals(panel) {
+        const quote = pricingEngine.quote(property, {
+            checkIn: panel.checkIn.value,
+            checkOut: panel.checkOut.value,
+            guests: parseInt(panel.guests.value, 10) || 1
+        });
+        if (panel.dateError) panel.dateError.classList.toggle('hidden', quote.valid);
+        renderQuoteLines(panel.breakdown, quote);
+        if (panel.total) setPrice(panel.total, quote.total);
+        if (quote.valid) currentQuote = quote;
+        return quote;
+    }
+
+    Object.values(panels).forEach(panel => {
+        [panel.checkIn, panel.checkOut, panel.guests].forEach(el => {
+            if (el) el.addEventListener('change', () => updateTotals(panel));
+        });
+    });
+
+    if (checkAvailDesktop) {
+        checkAvailDesktop.addEventListener('click', function() {
+            const quote = updateTotals(panels.desktop);
+            if (!quote.valid) return;
+            notifyAvailability(property, quote);
+        });
+    }
+    if (checkAvailMobile) {
+        checkAvailMobile.addEventListener('click', function() {
+            const quote = updateTotals(panels.mobile);
+            if (!quote.valid) return;
+            notifyAvailability(property, quote);
+        });
+    }
+
+    initDatePickers(property);
+
+    updateTotals(panels.mobile);
+    updateTotals(panels.desktop);
+}
+
+/**
+ * Render a pricing quote's line items; shared by the desktop panel,
+ * mobile panel and booking modal so they always agree
+ */
+function renderQuoteLines(container, quote) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    quote.lineItems.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between';
+        row.innerHTML = '<span class="text-gray-700"></span><span class="text-gray-900"></span>';
+
+        const [label, amount] = row.children;
+        if (item.unitAmount != null) {
+            const unitPrice = document.createElement('span');
+            setPrice(unitPrice, item.unitAmount);
+            label.append(unitPrice, ` x ${item.quantity} ${item.label}`);
+        } else {
+            label.textContent = item.label;
+        }
+        setPrice(amount, item.amount);
+        if (item.amount < 0) amount.classList.replace('text-gray-900', 'text-green-600');
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show a KES amount in the selected currency; the currency service
+ * re-renders it when the visitor switches currency
+ */
+function setPrice(element, amount) {
+    element.dataset.price = amount;
+    element.textContent = currencyService.format(amount);
+}
+
+// Unavailable nights for the current listing, shared by both date pickers
+let unavailableNights = new Set();
+let datePickers = [];
+
+function initDatePickers(property) {
+    refreshAvailability();
+    datePickers = [
+        ['check-in-detail', 'check-out-detail'],
+        ['mobile-check-in', 'mobile-check-out']
+    ].map(([checkInId, checkOutId]) => new DateRangePicker({
+        checkInInput: document.getElementById(checkInId),
+        checkOutInput: document.getElementById(checkOutId),
+        isNightUnavailable: night => unavailableNights.has(night)
+    }));
+}
+
+function refreshAvailability() {
+    if (!currentProperty) return;
+    const today = AvailabilityManager.today();
+    unavailableNights = availabilityManager.getUnavailableNights(
+        currentProperty.id, today, AvailabilityManager.addDays(today, 730)
+    );
+    datePickers.forEach(picker => picker.refresh());
+}
+
+function notifyAvailability(property, quote) {
+    const result = availabilityManager.checkAvailability(property.id, quote.checkIn, quote.checkOut);
+    if (!result.available) {
+        showNotification(result.message, 'error', false);
+        return;
+    }
+    currentQuote = quote;
+    showNotification('Dates available! Proceed to booking.', 'success');
+}
+
+// Gallery modal
+function initGalleryModal() {
+    const openDesktop = document.getElementById('open-gallery-desktop');
+    const openMobile = document.getElementById('open-gallery-mobile');
+    const modal = document.getElementById('gallery-modal');
+    const closeBtn = document.getElementById('close-gallery');
+    function open() {
+        if (!modal) return;
+        modal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+    function close() {
+        if (!modal) return;
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+    if (openDesktop) openDesktop.addEventListener('click', open);
+    if (openMobile) openMobile.addEventListener('click', open);
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+    }
+}
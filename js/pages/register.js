@@ -0,0 +1,268 @@
+/**
+ * ChakaBNB Register Page
+ * Account creation form for register.html
+ */
+
+feather.replace();
+
+// Enhanced registration validation with security features
+document.getElementById('registration-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const nameInput = document.getElementById('full-name');
+    const emailInput = document.getElementById('email');
+    const phoneInput = document.getElementById('phone');
+    const passwordInput = document.getElementById('password');
+    const confirmInput = document.getElementById('confirm-password');
+    const termsInput = document.getElementById('terms');
+
+    const nameError = document.getElementById('name-error');
+    const emailError = document.getElementById('email-error');
+    const phoneError = document.getElementById('phone-error');
+    const passwordError = document.getElementById('password-error');
+    const confirmError = document.getElementById('confirm-error');
+    const termsError = document.getElementById('terms-error');
+    const submitBtn = document.getElementById('register-submit');
+    const submitText = document.getElementById('register-submit-text');
+
+    // Validated as typed; the password is never escaped or trimmed
+    const name = nameInput.value.trim();
+    const email = emailInput.value.trim();
+    const phone = phoneInput.value.trim();
+    const password = passwordInput.value;
+    const confirmPassword = confirmInput.value;
+
+    // Reset errors
+    [nameError, emailError, phoneError, passwordError, confirmError, termsError].forEach(el => el.classList.add('hidden'));
+    [nameInput, emailInput, phoneInput, passwordInput, confirmInput].forEach(el => el.classList.remove('border-red-500'));
+
+    let valid = true;
+    const errors = [];
+
+    // Validate name
+    const nameValidation = window.SecurityManager.validateName(name);
+    if (!nameValidation.isValid) {
+        nameError.textContent = nameValidation.message;
+        nameError.classList.remove('hidden');
+        nameInput.classList.add('border-red-500');
+        errors.push(nameValidation.message);
+        valid = false;
+    }
+
+    // Validate email
+    const emailValidation = window.SecurityManager.validateEmail(email);
+    if (!emailValidation.isValid) {
+        emailError.textContent = emailValidation.message;
+        emailError.classList.remove('hidden');
+        emailInput.classList.add('border-red-500');
+        errors.push(emailValidation.message);
+        valid = false;
+    }
+
+    // Validate phone
+    const phoneValidation = window.SecurityManager.validatePhone(phone);
+    if (!phoneValidation.isValid) {
+        phoneError.textContent = phoneValidation.message;
+        phoneError.classList.remove('hidden');
+        phoneInput.classList.add('border-red-500');
+        errors.push(phoneValidation.message);
+        valid = false;
+    }
+
+    // Validate password
+    const passwordValidation = window.SecurityManager.validatePassword(password);
+    if (!passwordValidation.isValid) {
+        passwordError.textContent = passwordValidation.message;
+        passwordError.classList.remove('hidden');
+        passwordInput.classList.add('border-red-500');
+        errors.push(passwordValidation.message);
+        valid = false;
+    }
+
+    // Validate password confirmation
+    if (password !== confirmPassword) {
+        confirmError.textContent = 'Passwords do not match';
+        confirmError.classList.remove('hidden');
+        confirmInput.classList.add('border-red-500');
+        errors.push('Passwords do not match');
+        valid = false;
+    }
+
+    // Validate terms
+    if (!termsInput.checked) {
+        termsError.classList.remove('hidden');
+        errors.push('You must accept the terms and conditions');
+        valid = false;
+    }
+
+    if (!valid) {
+        errorHandler.handleValidationErrors(errors.map(msg => ({ message: msg })));
+        return;
+    }
+
+    let loadingElement = null;
+
+    // Failed registrations (e.g. an address that already has an account) are limited per
+    // browser, so the form can't be used to test many addresses
+    rateLimiter.check('register')
+        .then(status => {
+            if (!status.allowed) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.AUTHENTICATION,
+                    message: status.message
+                });
+                return;
+            }
+
+            // Show loading state
+            loadingElement = errorHandler.showLoading('Creating your account...');
+            submitBtn.disabled = true;
+            submitText.textContent = 'Creating account...';
+
+            return authService.register({ name, email, phone, password })
+                .then(() => {
+                    errorHandler.removeError(loadingElement);
+                    errorHandler.showSuccess('Account Created!', 'Welcome to ChakaBNB!');
+
+                    // Confirm the email address first, then carry on to ?redirect=
+                    const redirectTo = window.SecurityManager.getSafeRedirect(new URLSearchParams(window.location.search).get('redirect'));
+                    setTimeout(() => {
+                        window.location.href = `verify-email.html?redirect=${encodeURIComponent(redirectTo)}`;
+                    }, 1500);
+                });
+        })
+        .catch(error => {
+            errorHandler.removeError(loadingElement);
+            errorHandler.handleAuthError(error);
+
+            // Reset form state
+            submitBtn.disabled = false;
+            submitText.textContent = 'Create Account';
+
+            if (error.code === 'email_taken') {
+                rateLimiter.recordFailure('register');
+            }
+        });
+});
+
+// Initialize security features
+function initializeSecurity() {
+    // CSRF token for this form, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(document.getElementById('registration-form'));
+}
+
+// Password strength indicator
+function updatePasswordStrength(password) {
+    const strengthDiv = document.getElementById('password-strength');
+    const strengthBars = strengthDiv.querySelectorAll('.w-8.h-1');
+    const strengthText = document.getElementById('strength-text');
+    const requirements = {
+        length: document.getElementById('req-length'),
+        uppercase: document.getElementById('req-uppercase'),
+        lowercase: document.getElementById('req-lowercase'),
+        number: document.getElementById('req-number'),
+        special: document.getElementById('req-special')
+    };
+
+    if (!password) {
+        strengthDiv.classList.add('hidden');
+        return;
+    }
+
+    strengthDiv.classList.remove('hidden');
+
+    const validation = window.SecurityManager.validatePassword(password);
+    const score = validation.score;
+    const strength = validation.strength;
+
+    // Update strength bars
+    strengthBars.forEach((bar, index) => {
+        bar.className = 'w-8 h-1 rounded';
+        if (index < score) {
+            if (strength === 'weak') {
+                bar.classList.add('bg-red-500');
+            } else if (strength === 'medium') {
+                bar.classList.add('bg-yellow-500');
+            } else {
+                bar.classList.add('bg-green-500');
+            }
+        } else {
+            bar.classList.add('bg-gray-200');
+        }
+    });
+
+    // Update strength text
+    strengthText.textContent = strength.charAt(0).toUpperCase() + strength.slice(1);
+    strengthText.className = 'text-xs font-medium';
+    if (strength === 'weak') {
+        strengthText.classList.add('text-red-600');
+    } else if (strength === 'medium') {
+        strengthText.classList.add('text-yellow-600');
+    } else {
+        strengthText.classList.add('text-green-600');
+    }
+
+    // Update requirements
+    Object.keys(validation.requirements).forEach((req, index) => {
+        const element = requirements[req];
+        const icon = element.querySelector('i');
+        const span = element.querySelector('span');
+
+        if (validation.requirements[req]) {
+            icon.setAttribute('data-feather', 'check');
+            icon.className = 'h-3 w-3 text-green-500';
+            span.className = 'text-green-600';
+        } else {
+            icon.setAttribute('data-feather', 'x');
+            icon.className = 'h-3 w-3 text-gray-400';
+            span.className = 'text-gray-600';
+        }
+    });
+
+    feather.replace();
+}
+
+// Enhanced real-time validation
+document.getElementById('password').addEventListener('input', function() {
+    const passwordError = document.getElementById('password-error');
+    passwordError.classList.add('hidden');
+    this.classList.remove('border-red-500');
+
+    updatePasswordStrength(this.value);
+});
+
+document.getElementById('confirm-password').addEventListener('input', function() {
+    const confirmError = document.getElementById('confirm-error');
+    confirmError.classList.add('hidden');
+    this.classList.remove('border-red-500');
+
+    const password = document.getElementById('password').value;
+    if (this.value && this.value !== password) {
+        confirmError.textContent = 'Passwords do not match';
+        confirmError.classList.remove('hidden');
+        this.classList.add('border-red-500');
+    }
+});
+
+// Real-time clearing of errors for other fields
+['full-name','email','phone'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('input', function(){
+        this.classList.remove('border-red-500');
+        const map = { 'full-name':'name-error', 'email':'email-error', 'phone':'phone-error' };
+        const err = document.getElementById(map[id]);
+        if (err) err.classList.add('hidden');
+    });
+});
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSecurity();
+    feather.replace();
+});
@@ -0,0 +1,174 @@
+/**
+ * ChakaBNB Reset Password Page
+ * Reset code and new password steps for reset-password.html
+ */
+
+feather.replace();
+
+// Token from the emailed link or the code form; kept in memory only
+let resetToken = null;
+
+function showResetStep(step) {
+    ['code-step', 'password-step', 'invalid-step'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== step);
+    });
+}
+
+// Check the token without using it up, then ask for the new password
+function openResetToken(token) {
+    return authService.checkPasswordResetToken(token)
+        .then(result => {
+            resetToken = token;
+            document.getElementById('reset-email').textContent = result.email;
+            showResetStep('password-step');
+            document.getElementById('password').focus();
+        });
+}
+
+document.getElementById('code-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const codeInput = document.getElementById('reset-code');
+    const codeError = document.getElementById('code-error');
+    const code = codeInput.value.trim();
+    codeError.classList.add('hidden');
+
+    if (!code) {
+        codeError.textContent = 'Please enter the code from your email.';
+        codeError.classList.remove('hidden');
+        return;
+    }
+
+    // Wrong codes count against this browser, so codes can't be guessed one after another
+    rateLimiter.check('passwordReset')
+        .then(status => {
+            if (!status.allowed) {
+                codeError.textContent = status.message;
+                codeError.classList.remove('hidden');
+                return;
+            }
+
+            return openResetToken(code).catch(error => {
+                codeError.textContent = error.message;
+                codeError.classList.remove('hidden');
+                if (error.code === 'invalid_token') {
+                    rateLimiter.recordFailure('passwordReset');
+                }
+            });
+        });
+});
+
+document.getElementById('password-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const passwordInput = document.getElementById('password');
+    const confirmInput = document.getElementById('confirm-password');
+    const passwordError = document.getElementById('password-error');
+    const confirmError = document.getElementById('confirm-error');
+    const submitBtn = document.getElementById('password-submit');
+    const submitText = document.getElementById('password-submit-text');
+    const password = passwordInput.value;
+
+    passwordError.classList.add('hidden');
+    confirmError.classList.add('hidden');
+    passwordInput.classList.remove('border-red-500');
+    confirmInput.classList.remove('border-red-500');
+
+    const passwordValidation = window.SecurityManager.validatePassword(password);
+    if (!passwordValidation.isValid) {
+        passwordError.textContent = passwordValidation.message;
+        passwordError.classList.remove('hidden');
+        passwordInput.classList.add('border-red-500');
+        return;
+    }
+    if (password !== confirmInput.value) {
+        confirmError.classList.remove('hidden');
+        confirmInput.classList.add('border-red-500');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitText.textContent = 'Saving...';
+
+    authService.resetPassword(resetToken, password)
+        .then(() => {
+            resetToken = null;
+            window.location.href = 'login.html?reason=password-reset';
+        })
+        .catch(error => {
+            submitBtn.disabled = false;
+            submitText.textContent = 'Save new password';
+            if (error.code === 'invalid_token') {
+                showResetStep('invalid-step');
+            } else {
+                errorHandler.handleNetworkError(error);
+            }
+        });
+});
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    initializeSecurity();
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        showResetStep('code-step');
+        return;
+    }
+
+    // Keep the token out of the address bar, history and Referer headers
+    history.replaceState(null, '', 'reset-password.html');
+    openResetToken(token).catch(() => showResetStep('invalid-step'));
+});
+
+// Initialize security features
+function initializeSecurity() {
+    // CSRF tokens for both steps, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(document.getElementById('code-form'));
+    window.SecurityManager.protectForm(document.getElementById('password-form'));
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
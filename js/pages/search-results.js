@@ -0,0 +1,847 @@
+/**
+ * ChakaBNB Search Results Page
+ * Filters, sorting, pagination and the results map for search-results.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Listings come from the shared property store (js/property-store.js)
+let properties = [];
+
+let filteredProperties = [...properties];
+let currentPage = 1;
+let itemsPerPage = 6;
+let totalPages = 1;
+let currentSort = 'relevance';
+let currentView = 'list';
+let resultsMap = null;
+
+// Search criteria from the URL (see buildSearchParams() in index.html),
+// kept in step with the filter sidebar
+let searchCriteria = {};
+
+// Defaults left out of the query string
+const DEFAULT_SORT = 'relevance';
+const DEFAULT_ITEMS_PER_PAGE = 6;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', function() {
+    loadSearchParams();
+    loadProperties();
+    initMobileNavigation();
+    initFilters();
+    initPagination();
+    initSorting();
+    initMapView();
+    authService.updateNavigation();
+});
+
+// Back/forward restores the search state saved in the query string
+window.addEventListener('popstate', function() {
+    loadSearchParams();
+    filterProperties();
+});
+
+// Load search parameters from URL
+function loadSearchParams() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const listParam = name => (urlParams.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+    const numberParam = name => {
+        const value = parseInt(urlParams.get(name), 10);
+        return isNaN(value) ? null : value;
+    };
+    // The homepage sends a price range label; saved searches use minprice/maxprice
+    const priceRange = urlParams.has('minprice') || urlParams.has('maxprice')
+        ? { min: numberParam('minprice'), max: numberParam('maxprice') }
+        : parsePriceRange(urlParams.get('pricerange'));
+
+    searchCriteria = {
+        location: (urlParams.get('location') || '').trim(),
+        checkIn: urlParams.get('checkin') || '',
+        checkOut: urlParams.get('checkout') || '',
+        guests: parseInt(urlParams.get('guests'), 10) || null,
+        tripType: urlParams.get('triptype') || '',
+        minPrice: priceRange.min,
+        maxPrice: priceRange.max,
+        types: listParam('types'),
+        amenities: listParam('amenities'),
+        bedrooms: listParam('bedrooms').map(value => parseInt(value, 10)).filter(value => !isNaN(value)),
+        instantBook: urlParams.get('instantbook') === '1',
+        bounds: parseBounds(urlParams.get('bounds'))
+    };
+
+    // Sort and page size must be one of the selector options
+    const sortOptions = Array.from(document.getElementById('sort-select').options).map(option => option.value);
+    const perPageOptions = Array.from(document.getElementById('results-per-page').options).map(option => parseInt(option.value, 10));
+    currentSort = sortOptions.includes(urlParams.get('sort')) ? urlParams.get('sort') : DEFAULT_SORT;
+    itemsPerPage = perPageOptions.includes(numberParam('perpage')) ? numberParam('perpage') : DEFAULT_ITEMS_PER_PAGE;
+    currentPage = Math.max(1, numberParam('page') || 1);
+
+    ['sort-select', 'mobile-sort-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = currentSort;
+    });
+    document.getElementById('results-per-page').value = itemsPerPage;
+
+    prefillFilters();
+    updateSearchSummary();
+    setResultsView(urlParams.get('view'));
+}
+
+/**
+ * @param {string} value - "south,west,north,east"
+ * @returns {object|null} - { south, west, north, east }
+ */
+function parseBounds(value) {
+    const edges = (value || '').split(',').map(Number);
+    if (edges.length !== 4 || !edges.every(Number.isFinite)) return null;
+    const [south, west, north, east] = edges;
+    return { south, west, north, east };
+}
+
+/**
+ * Query string for the current search state: criteria, sort, page and page size
+ * @returns {URLSearchParams}
+ */
+function buildSearchParams() {
+    const params = new URLSearchParams();
+    const criteria = searchCriteria;
+
+    if (criteria.location) params.set('location', criteria.location);
+    if (criteria.checkIn) params.set('checkin', criteria.checkIn);
+    if (criteria.checkOut) params.set('checkout', criteria.checkOut);
+    if (criteria.guests) params.set('guests', criteria.guests);
+    if (criteria.tripType) params.set('triptype', criteria.tripType);
+    if (criteria.minPrice != null) params.set('minprice', criteria.minPrice);
+    if (criteria.maxPrice != null) params.set('maxprice', criteria.maxPrice);
+    if (criteria.types.length) params.set('types', criteria.types.join(','));
+    if (criteria.amenities.length) params.set('amenities', criteria.amenities.join(','));
+    if (criteria.bedrooms.length) params.set('bedrooms', criteria.bedrooms.join(','));
+    if (criteria.instantBook) params.set('instantbook', '1');
+    if (criteria.bounds) {
+        const { south, west, north, east } = criteria.bounds;
+        params.set('bounds', [south, west, north, east].map(edge => edge.toFixed(5)).join(','));
+    }
+    if (currentView !== 'list') params.set('view', currentView);
+    if (currentSort !== DEFAULT_SORT) params.set('sort', currentSort);
+    if (currentPage > 1) params.set('page', currentPage);
+    if (itemsPerPage !== DEFAULT_ITEMS_PER_PAGE) params.set('perpage', itemsPerPage);
+    return params;
+}
+
+// Record the search state as a new history entry so reloads, shared links
+// and the back button all see it
+function saveSearchState() {
+    const query = buildSearchParams().toString();
+    if (`?${query}` === window.location.search || (!query && !window.location.search)) return;
+
+    history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Read a price range from the homepage's select text, e.g. "Under KSh 5,000",
+ * "KSh 5,000 - KSh 10,000" or "KSh 50,000+"
+ * @param {string} text - Price range label
+ * @returns {object} - { min, max }; null for an open end
+ */
+function parsePriceRange(text) {
+    const amounts = (text || '').match(/\d[\d,]*/g) || [];
+    const [first, second] = amounts.map(amount => parseInt(amount.replace(/,/g, ''), 10));
+
+    if (first == null) return { min: null, max: null };
+    if (/under/i.test(text)) return { min: null, max: first };
+    if (second == null) return { min: first, max: null };
+    return { min: first, max: second };
+}
+
+// Start the filter sidebar from the current search criteria
+function prefillFilters() {
+    const fields = {
+        'filter-location': searchCriteria.location,
+        'filter-check-in': searchCriteria.checkIn,
+        'filter-check-out': searchCriteria.checkOut,
+        'filter-guests': searchCriteria.guests,
+        'min-price': searchCriteria.minPrice,
+        'max-price': searchCriteria.maxPrice
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const field = document.getElementById(id);
+        if (field) field.value = value != null ? value : '';
+    });
+
+    const priceSlider = document.getElementById('price-range-slider');
+    if (priceSlider && searchCriteria.maxPrice != null) {
+        priceSlider.value = Math.min(searchCriteria.maxPrice, parseInt(priceSlider.max, 10));
+    }
+
+    searchCriteria.amenities.forEach(ensureAmenityOption);
+    const checkedValues = {
+        'property-type': searchCriteria.types.map(String),
+        'amenities': searchCriteria.amenities,
+        'bedrooms': searchCriteria.bedrooms.map(String)
+    };
+    Object.entries(checkedValues).forEach(([name, values]) => {
+        document.querySelectorAll(`input[name="${name}"]`).forEach(cb => {
+            cb.checked = values.includes(cb.value);
+        });
+    });
+
+    const instantBook = document.getElementById('instant-book');
+    if (instantBook) instantBook.checked = searchCriteria.instantBook;
+}
+
+// Amenities from the URL that the sidebar doesn't list get their own checkbox
+function ensureAmenityOption(amenity) {
+    const container = document.getElementById('amenity-options');
+    if (!container || Array.from(container.querySelectorAll('input[name="amenities"]')).some(cb => cb.value === amenity)) return;
+
+    const option = document.createElement('label');
+    option.className = 'flex items-center';
+    option.innerHTML = '<input type="checkbox" name="amenities" class="h-4 w-4 text-[#003B95] focus:ring-[#003B95] border-gray-300 rounded"><span class="ml-2 text-sm text-gray-700"></span>';
+    option.querySelector('input').value = amenity;
+    option.querySelector('span').textContent = propertyStore.describeAmenity(amenity).label;
+    container.appendChild(option);
+}
+
+// Location, dates and guests shown above the results
+function updateSearchSummary() {
+    const { location, checkIn, checkOut, guests } = searchCriteria;
+    const locationEl = document.getElementById('search-location');
+    locationEl.innerHTML = '<i data-feather="map-pin" class="search-location-icon h-4 w-4 mr-2"></i>';
+    locationEl.append(location || (searchCriteria.bounds ? 'Map area' : 'Chaka Town, Nyeri'));
+
+    const dates = AvailabilityManager.isValidRange(checkIn, checkOut) ? `${checkIn} - ${checkOut}` : 'Any dates';
+    document.getElementById('search-dates').textContent = guests
+        ? `${dates} · ${guests} guest${guests > 1 ? 's' : ''}`
+        : dates;
+    feather.replace();
+}
+
+/**
+ * Whether a listing fits the search criteria
+ * @param {object} property - Listing from the property store
+ * @returns {boolean}
+ */
+function matchesSearch(property) {
+    const criteria = searchCriteria;
+
+    if (criteria.location && !propertyStore.matchesLocation(property, criteria.location.toLowerCase())) return false;
+    if (criteria.guests && property.guests < criteria.guests) return false;
+    if (criteria.minPrice != null && property.price < criteria.minPrice) return false;
+    if (criteria.maxPrice != null && property.price > criteria.maxPrice) return false;
+    if (criteria.types.length && !criteria.types.includes(property.type)) return false;
+    if (criteria.amenities.length && !criteria.amenities.every(amenity => property.amenities.includes(amenity))) return false;
+    if (criteria.bedrooms.length && !criteria.bedrooms.some(count => count >= 3 ? property.bedrooms >= 3 : property.bedrooms === count)) return false;
+    if (criteria.instantBook && !property.instantBook) return false;
+    if (criteria.bounds && !isWithinBounds(property, criteria.bounds)) return false;
+    if (AvailabilityManager.isValidRange(criteria.checkIn, criteria.checkOut) &&
+        !availabilityManager.isAvailable(property.id, criteria.checkIn, criteria.checkOut)) return false;
+    return true;
+}
+
+function isWithinBounds(property, bounds) {
+    const { latitude, longitude } = property.location;
+    return latitude >= bounds.south && latitude <= bounds.north &&
+        longitude >= bounds.west && longitude <= bounds.east;
+}
+
+// Re-run the search over the loaded listings and show the current page
+function filterProperties() {
+    filteredProperties = properties.filter(matchesSearch);
+    applySorting();
+    calculateTotalPages();
+    renderProperties();
+    updateResultsMap();
+}
+
+// List/map toggle, "search this area" and marker/card hover linking
+function initMapView() {
+    document.querySelectorAll('[data-results-view]').forEach(button => {
+        button.addEventListener('click', function() {
+            setResultsView(this.dataset.resultsView);
+            saveSearchState();
+        });
+    });
+
+    document.getElementById('search-this-area').addEventListener('click', searchThisArea);
+
+    const grid = document.getElementById('results-grid');
+    grid.addEventListener('mouseover', e => handleCardHover(e, true));
+    grid.addEventListener('mouseout', e => handleCardHover(e, false));
+}
+
+function setResultsView(view) {
+    currentView = view === 'map' ? 'map' : 'list';
+
+    document.querySelectorAll('[data-results-view]').forEach(button => {
+        const active = button.dataset.resultsView === currentView;
+        button.setAttribute('aria-pressed', active);
+        button.classList.toggle('bg-white', active);
+        button.classList.toggle('text-[#003B95]', active);
+        button.classList.toggle('shadow-sm', active);
+        button.classList.toggle('text-gray-600', !active);
+    });
+    document.getElementById('results-map-panel').classList.toggle('hidden', currentView !== 'map');
+
+    if (currentView !== 'map' || typeof L === 'undefined') return;
+
+    // Leaflet needs a visible container, so the map is created on first use
+    if (!resultsMap) {
+        resultsMap = new ResultsMap({
+            container: document.getElementById('results-map'),
+            onMarkerHover: highlightCards,
+            onViewportChange: () => document.getElementById('search-this-area').classList.remove('hidden')
+        });
+    } else {
+        resultsMap.refreshSize();
+    }
+    updateResultsMap();
+}
+
+// Markers for every matching listing, not just the current page
+function updateResultsMap() {
+    if (!resultsMap || currentView !== 'map') return;
+
+    resultsMap.setProperties(filteredProperties);
+    if (searchCriteria.bounds) {
+        resultsMap.showBounds(searchCriteria.bounds);
+    } else {
+        resultsMap.fitToProperties();
+    }
+    document.getElementById('search-this-area').classList.add('hidden');
+}
+
+// Limit results to the visible map area; this replaces any location search
+function searchThisArea() {
+    if (!resultsMap) return;
+
+    searchCriteria = { ...searchCriteria, location: '', bounds: resultsMap.getBounds() };
+    document.getElementById('filter-location').value = '';
+    currentPage = 1;
+    updateSearchSummary();
+    filterProperties();
+    saveSearchState();
+}
+
+function handleCardHover(e, isHovering) {
+    const card = e.target.closest('[data-property-id]');
+    if (!card || card.contains(e.relatedTarget) || !resultsMap) return;
+    resultsMap.highlight(card.dataset.propertyId, isHovering);
+}
+
+function highlightCards(propertyIds, isHovering) {
+    document.querySelectorAll('#results-grid [data-property-id]').forEach(card => {
+        if (propertyIds.includes(card.dataset.propertyId)) {
+            card.classList.toggle('is-highlighted', isHovering);
+        }
+    });
+}
+
+// Load listings from the property store and render the first page
+function loadProperties() {
+    propertyStore.query()
+        .then(results => {
+            // Rating and review count come from published reviews
+            properties = reviewManager.withRatings(results);
+            filterProperties();
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadProperties);
+        });
+}
+
+// Render properties
+function renderProperties() {
+    const grid = document.getElementById('results-grid');
+    const startIndex = (currentPage - 1) * itemsPerPage;
+    const endIndex = startIndex + itemsPerPage;
+    const pageProperties = filteredProperties.slice(startIndex, endIndex);
+    const { html } = safeDom;
+
+    // Update pagination info
+    updatePaginationInfo();
+
+    safeDom.render(grid, pageProperties.map(property => html`
+        <div class="bg-white rounded-xl overflow-hidden shadow-md property-card transition-all duration-300" data-aos="fade-up" data-property-id="${property.id}">
+            <div class="relative">
+                <img src="${safeDom.url(property.image, '')}" alt="${property.title}" class="w-full h-48 object-cover">
+                ${property.badge ? html`<div class="absolute top-3 right-3 bg-[#FFB700] text-white text-xs font-bold px-2 py-1 rounded-full">${property.badge}</div>` : ''}
+            </div>
+            <div class="p-4">
+                <div class="flex justify-between items-start mb-2">
+                    <h3 class="text-lg font-bold text-gray-900 leading-tight flex-1 pr-2">${property.title}</h3>
+                    <div class="flex items-center">
+                        <i data-feather="star" class="text-yellow-400 fill-current h-4 w-4"></i>
+                        <span class="ml-1 text-gray-900 text-sm">${property.reviews ? property.rating.toFixed(1) : 'New'}</span>
+                    </div>
+                </div>
+                <p class="text-gray-600 text-sm mb-3">${property.bedrooms} bed${property.bedrooms > 1 ? 's' : ''} · ${property.bathrooms} bath${property.bathrooms > 1 ? 's' : ''} · ${property.guests} guest${property.guests > 1 ? 's' : ''}</p>
+                <div class="flex flex-wrap gap-1 mb-3">
+                    ${property.amenities.slice(0, 2).map(amenity => html`
+                        <span class="inline-flex items-center text-xs bg-gray-100 rounded-full px-2 py-1">
+                            <i data-feather="${getAmenityIcon(amenity)}" class="h-3 w-3 mr-1"></i> ${getAmenityName(amenity)}
+                        </span>
+                    `)}
+                </div>
+                <div class="flex justify-between items-center">
+                    <div>
+                        <p class="text-xs text-gray-500">From</p>
+                        <p class="text-lg font-bold text-[#003B95]"><span data-price="${property.price}">KSh ${property.price.toLocaleString()}</span> <span class="text-sm font-normal text-gray-500">/ night</span></p>
+                    </div>
+                    <a href="property-detail.html?id=${encodeURIComponent(property.id)}" class="text-sm font-medium text-[#003B95] hover:text-[#002b70]">
+                        View details
+                    </a>
+                </div>
+            </div>
+        </div>
+    `));
+
+    if (filteredProperties.length === 0) {
+        grid.innerHTML = `
+            <div class="col-span-full text-center py-12">
+                <i data-feather="search" class="h-10 w-10 text-gray-400 mx-auto mb-3"></i>
+                <p class="text-gray-900 font-medium">No properties match your search</p>
+                <p class="text-sm text-gray-500">Try different dates, fewer guests or fewer filters.</p>
+            </div>
+        `;
+    }
+
+    currencyService.updatePrices(grid);
+    seoOptimizer.addPropertyListingsStructuredData(pageProperties);
+    feather.replace();
+    updateResultsCount();
+    renderPagination();
+}
+
+// Helper functions
+function getAmenityIcon(amenity) {
+    const icons = {
+        wifi: 'wifi',
+        parking: 'car',
+        kitchen: 'home',
+        tv: 'tv',
+        ac: 'wind',
+        pool: 'droplet'
+    };
+    return icons[amenity] || 'check';
+}
+
+function getAmenityName(amenity) {
+    const names = {
+        wifi: 'WiFi',
+        parking: 'Parking',
+        kitchen: 'Kitchen',
+        tv: 'TV',
+        ac: 'AC',
+        pool: 'Pool'
+    };
+    return names[amenity] || amenity;
+}
+
+function updateResultsCount() {
+    const sortText = getSortDisplayText();
+    document.getElementById('results-count').textContent = `${filteredProperties.length} properties found${sortText}`;
+}
+
+function getSortDisplayText() {
+    switch (currentSort) {
+        case 'price-low':
+            return ' (sorted by price: low to high)';
+        case 'price-high':
+            return ' (sorted by price: high to low)';
+        case 'rating':
+            return ' (sorted by highest rated)';
+        case 'newest':
+            return ' (sorted by newest)';
+        default:
+            return '';
+    }
+}
+
+// Pagination functions
+function initPagination() {
+    const resultsPerPageSelect = document.getElementById('results-per-page');
+    if (resultsPerPageSelect) {
+        resultsPerPageSelect.addEventListener('change', function() {
+            itemsPerPage = parseInt(this.value);
+            currentPage = 1;
+            calculateTotalPages();
+            renderProperties();
+            saveSearchState();
+        });
+    }
+}
+
+function calculateTotalPages() {
+    totalPages = Math.ceil(filteredProperties.length / itemsPerPage);
+    if (currentPage > totalPages) {
+        currentPage = Math.max(1, totalPages);
+    }
+}
+
+function updatePaginationInfo() {
+    const startIndex = (currentPage - 1) * itemsPerPage + 1;
+    const endIndex = Math.min(currentPage * itemsPerPage, filteredProperties.length);
+
+    document.getElementById('showing-start').textContent = startIndex;
+    document.getElementById('showing-end').textContent = endIndex;
+    document.getElementById('total-results').textContent = filteredProperties.length;
+}
+
+function renderPagination() {
+    const paginationNav = document.getElementById('pagination-nav');
+    if (!paginationNav) return;
+
+    calculateTotalPages();
+
+    if (totalPages <= 1) {
+        paginationNav.innerHTML = '';
+        return;
+    }
+
+    let paginationHTML = '';
+
+    // Previous button
+    paginationHTML += `
+        <button id="prev-page" class="px-3 py-2 text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md border border-gray-300"
+                ${currentPage === 1 ? 'disabled' : ''}>
+            <i data-feather="chevron-left" class="h-4 w-4 inline mr-1"></i>
+            Previous
+        </button>
+    `;
+
+    // Page numbers
+    const maxVisiblePages = 5;
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+
+    if (endPage - startPage + 1 < maxVisiblePages) {
+        startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+
+    // First page + ellipsis
+    if (startPage > 1) {
+        paginationHTML += `
+            <button class="page-btn px-3 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 rounded-md border border-gray-300" data-page="1">1</button>
+        `;
+        if (startPage > 2) {
+            paginationHTML += `<span class="px-3 py-2 text-sm text-gray-500">...</span>`;
+        }
+    }
+
+    // Page numbers
+    for (let i = startPage; i <= endPage; i++) {
+        const isActive = i === currentPage;
+        paginationHTML += `
+            <button class="page-btn px-3 py-2 text-sm font-medium rounded-md border ${
+                isActive
+                    ? 'bg-[#003B95] text-white border-[#003B95]'
+                    : 'text-gray-700 hover:text-gray-900 border-gray-300'
+            }" data-page="${i}">${i}</button>
+        `;
+    }
+
+    // Ellipsis + last page
+    if (endPage < totalPages) {
+        if (endPage < totalPages - 1) {
+            paginationHTML += `<span class="px-3 py-2 text-sm text-gray-500">...</span>`;
+        }
+        paginationHTML += `
+            <button class="page-btn px-3 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 rounded-md border border-gray-300" data-page="${totalPages}">${totalPages}</button>
+        `;
+    }
+
+    // Next button
+    paginationHTML += `
+        <button id="next-page" class="px-3 py-2 text-sm font-medium text-gray-500 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md border border-gray-300"
+                ${currentPage === totalPages ? 'disabled' : ''}>
+            Next
+            <i data-feather="chevron-right" class="h-4 w-4 inline ml-1"></i>
+        </button>
+    `;
+
+    paginationNav.innerHTML = paginationHTML;
+    feather.replace();
+
+    // Add event listeners
+    document.getElementById('prev-page').addEventListener('click', () => goToPage(currentPage - 1));
+    document.getElementById('next-page').addEventListener('click', () => goToPage(currentPage + 1));
+
+    document.querySelectorAll('.page-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const page = parseInt(btn.dataset.page);
+            goToPage(page);
+        });
+    });
+}
+
+function goToPage(page) {
+    if (page < 1 || page > totalPages || page === currentPage) return;
+
+    currentPage = page;
+    renderProperties();
+    saveSearchState();
+
+    // Scroll to top of results
+    document.getElementById('results-grid').scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+    });
+}
+
+// Sorting functionality
+function initSorting() {
+    const sortSelect = document.getElementById('sort-select');
+    const mobileSortSelect = document.getElementById('mobile-sort-select');
+
+    function handleSortChange() {
+        currentSort = this.value;
+        currentPage = 1;
+        // Re-filter so "Relevance" gets the store's original order back
+        filterProperties();
+        saveSearchState();
+
+        // Sync both selectors
+        if (sortSelect && mobileSortSelect) {
+            sortSelect.value = this.value;
+            mobileSortSelect.value = this.value;
+        }
+    }
+
+    if (sortSelect) {
+        sortSelect.addEventListener('change', handleSortChange);
+    }
+
+    if (mobileSortSelect) {
+        mobileSortSelect.addEventListener('change', handleSortChange);
+    }
+}
+
+function applySorting() {
+    switch (currentSort) {
+        case 'relevance':
+            // Default order - keep original order
+            break;
+        case 'price-low':
+            filteredProperties.sort((a, b) => a.price - b.price);
+            break;
+        case 'price-high':
+            filteredProperties.sort((a, b) => b.price - a.price);
+            break;
+        case 'rating':
+            filteredProperties.sort((a, b) => {
+                // Sort by rating (descending), then by number of reviews (descending)
+                if (b.rating !== a.rating) {
+                    return b.rating - a.rating;
+                }
+                return b.reviews - a.reviews;
+            });
+            break;
+        case 'newest':
+            filteredProperties.sort((a, b) => {
+                // Sort by dateAdded (descending - newest first)
+                const dateA = new Date(a.dateAdded || '2023-01-01');
+                const dateB = new Date(b.dateAdded || '2023-01-01');
+                return dateB - dateA;
+            });
+            break;
+        default:
+            break;
+    }
+}
+
+// Filter functionality
+function initFilters() {
+    const applyBtn = document.getElementById('apply-filters');
+    const filterToggle = document.getElementById('filter-toggle');
+    const mobileFilterToggle = document.getElementById('mobile-filter-toggle');
+    const closeFilters = document.getElementById('close-filters');
+    const filterSidebar = document.getElementById('filter-sidebar');
+    const filterOverlay = document.getElementById('filter-overlay');
+
+    // Filter count elements
+    const mobileFilterCount = document.getElementById('filter-count');
+
+    // Function to update filter count badges
+    function updateFilterCount() {
+        let activeFilters = 0;
+
+        // Check price range
+        const minPrice = document.getElementById('min-price');
+        const maxPrice = document.getElementById('max-price');
+        if ((minPrice && minPrice.value) || (maxPrice && maxPrice.value)) activeFilters++;
+
+        // Check property type
+        const propertyType = document.getElementById('property-type');
+        if (propertyType && propertyType.value !== 'any') activeFilters++;
+
+        // Check amenities
+        const amenityCheckboxes = document.querySelectorAll('input[name="amenities"]:checked');
+        activeFilters += amenityCheckboxes.length;
+
+        // Check instant book
+        const instantBook = document.getElementById('instant-book');
+        if (instantBook && instantBook.checked) activeFilters++;
+
+        // Update badge
+        if (activeFilters > 0) {
+            if (mobileFilterCount) {
+                mobileFilterCount.textContent = activeFilters;
+                mobileFilterCount.classList.remove('hidden');
+            }
+        } else {
+            if (mobileFilterCount) mobileFilterCount.classList.add('hidden');
+        }
+    }
+
+    // Update filter count on any filter change
+    document.addEventListener('change', function(e) {
+        if (e.target.matches('input[name="amenities"], #min-price, #max-price, #price-range-slider, #property-type, #instant-book')) {
+            updateFilterCount();
+        }
+    });
+    updateFilterCount();
+
+    function openMobileFilters() {
+        filterSidebar.classList.add('open');
+        filterOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileFilters() {
+        filterSidebar.classList.remove('open');
+        filterOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (applyBtn) {
+        applyBtn.addEventListener('click', applyFilters);
+    }
+
+    if (filterToggle) {
+        filterToggle.addEventListener('click', openMobileFilters);
+    }
+
+    if (mobileFilterToggle) {
+        mobileFilterToggle.addEventListener('click', openMobileFilters);
+    }
+
+    if (closeFilters) {
+        closeFilters.addEventListener('click', closeMobileFilters);
+    }
+
+    if (filterOverlay) {
+        filterOverlay.addEventListener('click', closeMobileFilters);
+    }
+
+    // Price range slider
+    const priceSlider = document.getElementById('price-range-slider');
+    const minPrice = document.getElementById('min-price');
+    const maxPrice = document.getElementById('max-price');
+
+    if (priceSlider && maxPrice) {
+        priceSlider.addEventListener('input', function() {
+            const value = this.value;
+            maxPrice.value = value;
+        });
+    }
+
+    // Handle window resize
+    window.addEventListener('resize', function() {
+        if (window.innerWidth >= 1024) {
+            // Desktop view - ensure filters are visible and not in mobile mode
+            filterSidebar.classList.remove('open');
+            filterOverlay.classList.remove('open');
+            document.body.style.overflow = '';
+        }
+    });
+}
+
+function applyFilters() {
+    const checkedValues = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(cb => cb.value);
+    const numberValue = id => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return isNaN(value) ? null : value;
+    };
+    const checkIn = document.getElementById('filter-check-in').value;
+    const checkOut = document.getElementById('filter-check-out').value;
+
+    if ((checkIn || checkOut) && !AvailabilityManager.isValidRange(checkIn, checkOut)) {
+        errorHandler.showError({
+            type: errorHandler.errorTypes.VALIDATION,
+            message: 'Choose a check-out date after your check-in date.'
+        });
+        return;
+    }
+
+    const location = document.getElementById('filter-location').value.trim();
+
+    searchCriteria = {
+        ...searchCriteria,
+        location,
+        // A typed location replaces a "search this area" map bounds
+        bounds: location ? null : searchCriteria.bounds,
+        checkIn,
+        checkOut,
+        guests: numberValue('filter-guests'),
+        minPrice: numberValue('min-price'),
+        maxPrice: numberValue('max-price'),
+        types: checkedValues('property-type'),
+        amenities: checkedValues('amenities'),
+        bedrooms: checkedValues('bedrooms').map(value => parseInt(value, 10)),
+        instantBook: document.getElementById('instant-book').checked
+    };
+
+    currentPage = 1;
+    updateSearchSummary();
+    filterProperties();
+    saveSearchState();
+
+    // Close mobile filters
+    const filterSidebar = document.getElementById('filter-sidebar');
+    const filterOverlay = document.getElementById('filter-overlay');
+    if (filterSidebar) {
+        filterSidebar.classList.remove('open');
+    }
+    if (filterOverlay) {
+        filterOverlay.classList.remove('open');
+    }
+    document.body.style.overflow = '';
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
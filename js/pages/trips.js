@@ -0,0 +1,557 @@
+/**
+ * ChakaBNB My Trips Page
+ * Guest bookings, cancellations and reviews for trips.html
+ */
+
+AOS.init({
+    duration: 800,
+    easing: 'ease-in-out',
+    once: true
+});
+feather.replace();
+
+// Signed-in guest's bookings, split by tab (see BookingManager.groupTrips)
+let trips = { upcoming: [], past: [], cancelled: [] };
+let currentTab = 'upcoming';
+
+// Listings for the bookings on this page, keyed by property id
+let tripProperties = {};
+
+// Booking shown in the detail modal
+let activeBooking = null;
+let changeDatesPicker = null;
+let unavailableNights = new Set();
+
+const TRIP_TAB_EMPTY_MESSAGES = {
+    upcoming: 'You have no upcoming trips. Time to plan your next getaway!',
+    past: 'Trips you have completed will appear here.',
+    cancelled: 'You have no cancelled trips.'
+};
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    authService.updateNavigation();
+    initTripTabs();
+    initTripModal();
+    loadTrips();
+    // Requests that expire or stays that end while the page is open move tabs
+    bookingLifecycle.startTimers(loadTrips);
+});
+
+function loadTrips() {
+    // route-guard.js has already sent signed-out visitors to the login page
+    const user = authService.getCurrentUser();
+    if (!user) return;
+    const email = user.email;
+    document.getElementById('trips-content').classList.remove('hidden');
+
+    let bookings = [];
+
+    // Stale requests are declined and finished stays completed before anything is shown, then
+    // balances that have fallen due are charged to the card saved with the deposit
+    bookingLifecycle.runTimers()
+        .then(() => paymentManager.collectDueBalances(bookingManager.getGuestBookings(email)))
+        .then(charges => {
+            charges.filter(charge => !charge.success).forEach(charge => {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.PAYMENT,
+                    message: `We couldn't charge the balance for ${charge.booking.propertyTitle}: ${charge.message}`
+                });
+            });
+
+            bookings = bookingManager.getGuestBookings(email);
+            const propertyIds = [...new Set(bookings.map(booking => String(booking.propertyId)))];
+            return Promise.all(propertyIds.map(id => propertyStore.getById(id)));
+        })
+        .then(properties => {
+            tripProperties = {};
+            properties.filter(Boolean).forEach(property => {
+                tripProperties[String(property.id)] = property;
+            });
+            trips = bookingManager.groupTrips(bookings);
+            renderTrips();
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error, loadTrips);
+        });
+}
+
+function initTripTabs() {
+    document.querySelectorAll('[data-trip-tab]').forEach(tab => {
+        tab.addEventListener('click', function() {
+            currentTab = this.dataset.tripTab;
+            renderTrips();
+        });
+    });
+}
+
+function renderTrips() {
+    document.querySelectorAll('[data-trip-tab]').forEach(tab => {
+        const active = tab.dataset.tripTab === currentTab;
+        tab.classList.toggle('is-active', active);
+        tab.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+    document.querySelectorAll('[data-trip-count]').forEach(count => {
+        count.textContent = trips[count.dataset.tripCount].length;
+    });
+
+    const list = document.getElementById('trip-list');
+    list.innerHTML = '';
+    trips[currentTab].forEach(booking => list.appendChild(createTripCard(booking)));
+
+    const empty = !trips[currentTab].length;
+    document.getElementById('trips-empty').classList.toggle('hidden', !empty);
+    document.getElementById('trips-empty-message').textContent = TRIP_TAB_EMPTY_MESSAGES[currentTab];
+
+    feather.replace();
+}
+
+function createTripCard(booking) {
+    const property = tripProperties[String(booking.propertyId)];
+    const status = bookingLifecycle.describe(booking, 'guest');
+
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow p-4 flex flex-col sm:flex-row sm:items-center gap-4';
+    card.innerHTML = `
+        <img src="" alt="" class="w-full sm:w-40 h-28 rounded-lg object-cover flex-shrink-0">
+        <div class="flex-1 min-w-0">
+            <div class="flex items-center justify-between gap-2">
+                <h3 class="font-semibold text-gray-900 truncate"></h3>
+                <span class="px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap"></span>
+            </div>
+            <p class="mt-1 text-sm text-gray-600" data-trip-dates></p>
+            <p class="text-sm text-gray-600" data-trip-guests></p>
+            <p class="mt-2 font-medium text-gray-900"><span data-trip-total></span> <span class="text-sm font-normal text-gray-600">total</span></p>
+        </div>
+        <button type="button" class="self-start sm:self-center px-4 py-2 border border-[#003B95] text-[#003B95] rounded-md text-sm font-medium hover:bg-[#003B95] hover:text-white">View details</button>
+    `;
+
+    const image = card.querySelector('img');
+    image.src = property ? property.image : 'http://static.photos/indoor/640x360/1';
+    image.alt = booking.propertyTitle || '';
+    card.querySelector('h3').textContent = property ? property.title : booking.propertyTitle;
+    const badge = card.querySelector('h3 + span');
+    badge.textContent = status.label;
+    badge.className += ` ${status.className}`;
+    card.querySelector('[data-trip-dates]').textContent = `${formatTripDate(booking.checkIn)} – ${formatTripDate(booking.checkOut)} · ${pluralize(booking.nights, 'night')}`;
+    card.querySelector('[data-trip-guests]').textContent = pluralize(booking.guests, 'guest');
+    setPrice(card.querySelector('[data-trip-total]'), booking.total);
+    card.querySelector('button').addEventListener('click', () => openTrip(booking.id));
+
+    return card;
+}
+
+// Trip detail modal
+function initTripModal() {
+    const modal = document.getElementById('trip-modal');
+
+    document.getElementById('close-trip-modal').addEventListener('click', closeTripModal);
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal || e.target === modal.firstElementChild) {
+            closeTripModal();
+        }
+    });
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeTripModal();
+        }
+    });
+
+    document.getElementById('cancel-trip-button').addEventListener('click', showCancelTrip);
+    document.getElementById('keep-trip').addEventListener('click', hideTripPanels);
+    document.getElementById('cancel-trip-panel').addEventListener('submit', function(e) {
+        e.preventDefault();
+        if (checkCsrf(this)) confirmCancelTrip();
+    });
+
+    document.getElementById('change-dates-button').addEventListener('click', showChangeDates);
+    document.getElementById('dismiss-change-dates').addEventListener('click', hideTripPanels);
+    document.getElementById('change-dates-panel').addEventListener('submit', function(e) {
+        e.preventDefault();
+        if (checkCsrf(this)) confirmChangeDates();
+    });
+    ['new-check-in', 'new-check-out'].forEach(id => {
+        document.getElementById(id).addEventListener('change', previewChangeDates);
+    });
+}
+
+// Cancelling and moving a trip are checked against this tab's CSRF token
+function checkCsrf(form) {
+    const csrf = window.SecurityManager.verifyForm(form);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, form);
+        return false;
+    }
+    return true;
+}
+
+function openTrip(bookingId) {
+    activeBooking = bookingManager.getBooking(bookingId);
+    if (!activeBooking) return;
+
+    renderTripDetail(activeBooking);
+    hideTripPanels();
+
+    document.getElementById('trip-modal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeTripModal() {
+    document.getElementById('trip-modal').classList.add('hidden');
+    document.body.style.overflow = '';
+    if (changeDatesPicker) changeDatesPicker.close();
+    activeBooking = null;
+}
+
+function renderTripDetail(booking) {
+    const property = tripProperties[String(booking.propertyId)];
+    const status = bookingLifecycle.describe(booking, 'guest');
+
+    const image = document.getElementById('trip-property-image');
+    image.src = property ? property.image : 'http://static.photos/indoor/640x360/1';
+    image.alt = booking.propertyTitle || '';
+    const link = document.getElementById('trip-property-link');
+    link.textContent = property ? property.title : booking.propertyTitle;
+    link.href = `property-detail.html?id=${encodeURIComponent(booking.propertyId)}`;
+    document.getElementById('trip-property-location').textContent = property
+        ? [property.location.area, property.location.city].filter(Boolean).join(', ')
+        : '';
+    const badge = document.getElementById('trip-status');
+    badge.textContent = status.label;
+    badge.className = `mt-2 inline-block px-2 py-1 rounded-full text-xs font-medium ${status.className}`;
+
+    document.getElementById('trip-check-in').textContent = formatTripDate(booking.checkIn);
+    document.getElementById('trip-check-out').textContent = formatTripDate(booking.checkOut);
+    document.getElementById('trip-guests').textContent = pluralize(booking.guests, 'guest');
+    document.getElementById('trip-reference').textContent = bookingDocuments.getReference(booking);
+
+    // Itemized quote saved with the booking
+    const lines = document.getElementById('trip-price-lines');
+    if (booking.quote && booking.quote.lineItems) {
+        renderQuoteLines(lines, booking.quote);
+    } else {
+        lines.innerHTML = '';
+    }
+    setPrice(document.getElementById('trip-total'), booking.total);
+    document.getElementById('trip-confirmation-link').href = bookingDocuments.getConfirmationUrl(booking);
+
+    const payment = document.getElementById('trip-payment');
+    const paymentText = describeTripPayment(booking);
+    payment.classList.toggle('hidden', !paymentText);
+    payment.textContent = paymentText;
+
+    const refund = document.getElementById('trip-refund');
+    refund.classList.toggle('hidden', !booking.refund);
+    if (booking.refund) {
+        const refunded = booking.refund.status === 'refunded';
+        refund.textContent = booking.refund.amount > 0
+            ? `Refund of ${currencyService.format(booking.refund.amount)} (${booking.refund.percent}%) ${refunded ? 'sent' : 'on its way'}`
+            : 'This cancellation was not eligible for a refund';
+    }
+
+    const policy = propertyStore.describeCancellationPolicy(property && property.cancellationPolicy);
+    const policyContainer = document.getElementById('trip-policy');
+    policyContainer.innerHTML = '';
+    [`${policy.label} policy`, ...policy.summary].forEach((text, index) => {
+        const line = document.createElement('p');
+        if (index === 0) line.className = 'font-medium text-gray-900';
+        line.textContent = text;
+        policyContainer.appendChild(line);
+    });
+
+    // Only trips that haven't started can be changed, and only with the listing loaded
+    const changeable = Boolean(property) && bookingManager.canChange(booking);
+    document.getElementById('trip-actions').classList.toggle('hidden', !changeable);
+
+    feather.replace();
+}
+
+/**
+ * One line on how the trip has been paid, or '' for bookings without payment details
+ */
+function describeTripPayment(booking) {
+    if (!booking.payment || RELEASED_BOOKING_STATUSES.includes(booking.status)) return '';
+
+    const { status, card } = booking.payment;
+    const paidWith = card ? ` with your ${card.brand} ending ${card.last4}` : booking.payment.receipt ? ` by M-Pesa (receipt ${booking.payment.receipt})` : '';
+
+    if (status === 'paid') {
+        return `Paid in full${paidWith}.`;
+    }
+    if (status === 'deposit_paid') {
+        const due = paymentManager.getAmountDue(booking);
+        const paid = currencyService.format(bookingManager.getAmountPaid(booking));
+        if (booking.payment.failureReason) {
+            return `Deposit of ${paid} paid. The ${currencyService.format(due.amount)} balance couldn't be ${booking.payment.method === 'mpesa' ? 'paid by M-Pesa' : 'charged to your card'}; please contact us to pay it.`;
+        }
+        // Left by a date change that raised the price of a trip paid in full
+        if (!due.dueDate) {
+            return `${paid} paid. The remaining ${currencyService.format(due.amount)} is due now.`;
+        }
+        return `Deposit of ${paid} paid. The ${currencyService.format(due.amount)} balance will be charged${paidWith} on ${formatTripDate(due.dueDate)}.`;
+    }
+    if (status === 'failed') {
+        return 'Your payment didn\'t go through, so these dates aren\'t held.';
+    }
+    if (booking.payment.method === 'mpesa' && booking.payment.checkoutRequestId) {
+        return 'Waiting to hear back from M-Pesa. Your dates are held until it answers.';
+    }
+    return 'Waiting for your payment.';
+}
+
+function hideTripPanels() {
+    document.getElementById('cancel-trip-panel').classList.add('hidden');
+    document.getElementById('change-dates-panel').classList.add('hidden');
+    document.getElementById('change-dates-error').classList.add('hidden');
+    document.getElementById('change-dates-quote').classList.add('hidden');
+    if (changeDatesPicker) changeDatesPicker.close();
+}
+
+function showCancelTrip() {
+    if (!activeBooking) return;
+    hideTripPanels();
+
+    const refund = bookingManager.getRefundQuote(activeBooking, tripProperties[String(activeBooking.propertyId)]);
+    document.getElementById('refund-preview').textContent = refund.message;
+    setPrice(document.getElementById('refund-amount'), refund.amount);
+
+    const panel = document.getElementById('cancel-trip-panel');
+    window.SecurityManager.protectForm(panel);
+    panel.classList.remove('hidden');
+}
+
+function confirmCancelTrip() {
+    if (!activeBooking) return;
+
+    // Card refunds go back straight away; M-Pesa refunds are sent from the business account
+    bookingManager.cancel(activeBooking.id, tripProperties[String(activeBooking.propertyId)])
+        .then(result => {
+            if (!result.success) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.VALIDATION,
+                    message: result.message
+                });
+                return;
+            }
+
+            closeTripModal();
+            errorHandler.showSuccess('Trip cancelled', result.message);
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(loadTrips);
+}
+
+function showChangeDates() {
+    if (!activeBooking) return;
+    hideTripPanels();
+
+    // The trip's own nights stay selectable while it is being moved
+    const today = AvailabilityManager.today();
+    unavailableNights = availabilityManager.getUnavailableNights(
+        activeBooking.propertyId, today, AvailabilityManager.addDays(today, 730),
+        { excludeBookingId: activeBooking.id }
+    );
+
+    const checkInInput = document.getElementById('new-check-in');
+    const checkOutInput = document.getElementById('new-check-out');
+    checkInInput.value = activeBooking.checkIn;
+    checkOutInput.value = activeBooking.checkOut;
+
+    if (!changeDatesPicker) {
+        changeDatesPicker = new DateRangePicker({
+            checkInInput,
+            checkOutInput,
+            isNightUnavailable: night => unavailableNights.has(night)
+        });
+    } else {
+        changeDatesPicker.refresh();
+    }
+
+    const panel = document.getElementById('change-dates-panel');
+    window.SecurityManager.protectForm(panel);
+    panel.classList.remove('hidden');
+}
+
+function previewChangeDates() {
+    if (!activeBooking) return;
+    const checkIn = document.getElementById('new-check-in').value;
+    const checkOut = document.getElementById('new-check-out').value;
+    const quoteElement = document.getElementById('change-dates-quote');
+    document.getElementById('change-dates-error').classList.add('hidden');
+
+    if (!AvailabilityManager.isValidRange(checkIn, checkOut)) {
+        quoteElement.classList.add('hidden');
+        return;
+    }
+
+    const property = tripProperties[String(activeBooking.propertyId)];
+    const quote = pricingEngine.quote(property, { checkIn, checkOut, guests: activeBooking.guests });
+    const difference = quote.total - (Number(activeBooking.total) || 0);
+
+    quoteElement.textContent = `New total for ${pluralize(quote.nights, 'night')}: ${currencyService.format(quote.total)}` +
+        (difference > 0 ? ` (${currencyService.format(difference)} more)` : difference < 0 ? ` (${currencyService.format(-difference)} less)` : '');
+    quoteElement.classList.remove('hidden');
+}
+
+function confirmChangeDates() {
+    if (!activeBooking) return;
+    const errorElement = document.getElementById('change-dates-error');
+
+    const result = bookingManager.modifyDates(
+        activeBooking.id,
+        tripProperties[String(activeBooking.propertyId)],
+        document.getElementById('new-check-in').value,
+        document.getElementById('new-check-out').value
+    );
+    if (!result.success) {
+        errorElement.textContent = result.message;
+        errorElement.classList.remove('hidden');
+        return;
+    }
+
+    closeTripModal();
+
+    // Extra money goes on the card on file or is asked for by M-Pesa; overpayments are refunded
+    paymentManager.settleDateChange(result.booking.id)
+        .then(settlement => {
+            // The dates have moved either way; a payment problem is the one thing to report
+            if (!settlement.success) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.PAYMENT,
+                    message: `${result.message} ${settlement.message}`
+                });
+                return;
+            }
+
+            let message = result.message;
+            if (settlement.charged > 0) {
+                message += ` ${currencyService.format(settlement.charged)} more has been charged to your card.`;
+            } else if (settlement.refunded > 0) {
+                message += ` ${currencyService.format(settlement.refunded)} will be refunded to you.`;
+            } else if (result.priceDifference > 0) {
+                message += ` The new dates cost ${currencyService.format(result.priceDifference)} more.`;
+            } else if (result.priceDifference < 0) {
+                message += ` The new dates cost ${currencyService.format(-result.priceDifference)} less.`;
+            }
+            errorHandler.showSuccess('Dates updated', message);
+
+            const { booking } = settlement;
+            if (settlement.due > 0 && booking.payment.method === 'mpesa') {
+                payTripWithMpesa(booking.id, booking.payment.phone);
+            }
+        })
+        .catch(error => {
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(loadTrips);
+}
+
+/**
+ * Prompt the M-Pesa number on the booking for what a date change added; failed payments can be
+ * retried from the notification while mpesaService allows more prompts
+ */
+function payTripWithMpesa(bookingId, phone) {
+    let loadingElement = errorHandler.showLoading('Sending the M-Pesa prompt for the difference to your phone...');
+
+    mpesaService.payBooking(bookingId, phone, () => {
+        errorHandler.removeError(loadingElement);
+        loadingElement = errorHandler.showLoading('Check your phone and enter your M-Pesa PIN to pay.');
+    })
+        .then(result => {
+            errorHandler.removeError(loadingElement);
+
+            if (result.success) {
+                errorHandler.showSuccess('Payment received', result.message);
+                return;
+            }
+
+            errorHandler.showError({
+                type: errorHandler.errorTypes.PAYMENT,
+                message: result.message
+            }, mpesaService.canRetry(result.booking) ? () => payTripWithMpesa(bookingId, phone) : null);
+        })
+        .catch(error => {
+            errorHandler.removeError(loadingElement);
+            errorHandler.handleNetworkError(error);
+        })
+        .finally(loadTrips);
+}
+
+/**
+ * Render a booking quote's line items, as on the property detail page
+ */
+function renderQuoteLines(container, quote) {
+    container.innerHTML = '';
+
+    quote.lineItems.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between';
+        row.innerHTML = '<span class="text-gray-700"></span><span class="text-gray-900"></span>';
+
+        const [label, amount] = row.children;
+        if (item.unitAmount != null) {
+            const unitPrice = document.createElement('span');
+            setPrice(unitPrice, item.unitAmount);
+            label.append(unitPrice, ` x ${item.quantity} ${item.label}`);
+        } else {
+            label.textContent = item.label;
+        }
+        setPrice(amount, item.amount);
+        if (item.amount < 0) amount.classList.replace('text-gray-900', 'text-green-600');
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show a KES amount in the selected currency; the currency service
+ * re-renders it when the visitor switches currency
+ */
+function setPrice(element, amount) {
+    element.dataset.price = amount;
+    element.textContent = currencyService.format(amount);
+}
+
+function formatTripDate(isoDate) {
+    if (!isoDate) return '-';
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-KE', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
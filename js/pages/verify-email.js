@@ -0,0 +1,139 @@
+/**
+ * ChakaBNB Verify Email Page
+ * Email verification and resending for verify-email.html
+ */
+
+feather.replace();
+
+function showVerifyStep(step) {
+    ['verify-pending', 'verify-done', 'verify-invalid'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== step);
+    });
+}
+
+// register.html passes its ?redirect= on so the visitor can carry on afterwards
+function initContinueLinks() {
+    const redirectTo = window.SecurityManager.getSafeRedirect(new URLSearchParams(window.location.search).get('redirect'));
+    document.querySelectorAll('[data-verify-continue]').forEach(link => {
+        link.href = redirectTo;
+    });
+}
+
+function verifyToken(token) {
+    // Keep the token out of the address bar, history and Referer headers
+    history.replaceState(null, '', 'verify-email.html');
+
+    authService.verifyEmail(token)
+        .then(() => showVerifyStep('verify-done'))
+        .catch(error => {
+            if (error.code !== 'invalid_token') {
+                errorHandler.handleNetworkError(error);
+            }
+            showVerifyStep('verify-invalid');
+        });
+}
+
+function showPendingVerification() {
+    const user = authService.getCurrentUser();
+    if (!user) {
+        showVerifyStep('verify-invalid');
+        return;
+    }
+    if (user.emailVerified) {
+        showVerifyStep('verify-done');
+        return;
+    }
+
+    document.getElementById('verify-email-address').textContent = user.email;
+    showVerifyStep('verify-pending');
+}
+
+document.getElementById('resend-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const csrf = window.SecurityManager.verifyForm(this);
+    if (!csrf.valid) {
+        errorHandler.handleCsrfError(csrf, this);
+        return;
+    }
+
+    const button = document.getElementById('resend-verification');
+    const user = authService.getCurrentUser();
+    const key = user ? user.email : undefined;
+
+    button.disabled = true;
+    rateLimiter.check('emailVerification', key)
+        .then(status => {
+            if (!status.allowed) {
+                errorHandler.showError({
+                    type: errorHandler.errorTypes.AUTHENTICATION,
+                    message: status.message
+                });
+                return;
+            }
+
+            return authService.requestEmailVerification()
+                .then(() => rateLimiter.recordFailure('emailVerification', key))
+                .then(() => {
+                    errorHandler.showSuccess('Link sent', 'Check your inbox for a new confirmation link.');
+                });
+        })
+        .catch(error => {
+            errorHandler.handleAuthError(error);
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+});
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    initMobileNavigation();
+    initContinueLinks();
+    initializeSecurity();
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) {
+        verifyToken(token);
+    } else {
+        showPendingVerification();
+    }
+});
+
+// Initialize security features
+function initializeSecurity() {
+    // CSRF token for the resend form, tied to this tab's session and checked on submit
+    window.SecurityManager.protectForm(document.getElementById('resend-form'));
+}
+
+// Mobile Navigation Functions
+function initMobileNavigation() {
+    const mobileMenuButton = document.getElementById('mobile-menu-button');
+    const mobileMenuClose = document.getElementById('mobile-menu-close');
+    const mobileMenu = document.getElementById('mobile-menu');
+    const mobileOverlay = document.getElementById('mobile-overlay');
+
+    function openMobileMenu() {
+        mobileMenu.classList.add('open');
+        mobileOverlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function closeMobileMenu() {
+        mobileMenu.classList.remove('open');
+        mobileOverlay.classList.remove('open');
+        document.body.style.overflow = '';
+    }
+
+    if (mobileMenuButton) {
+        mobileMenuButton.addEventListener('click', openMobileMenu);
+    }
+
+    if (mobileMenuClose) {
+        mobileMenuClose.addEventListener('click', closeMobileMenu);
+    }
+
+    if (mobileOverlay) {
+        mobileOverlay.addEventListener('click', closeMobileMenu);
+    }
+}
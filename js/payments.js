@@ -0,0 +1,546 @@
+/**
+ * ChakaBNB Payments
+ * Card payments, pay-in-full and deposit schedules, payment records and refunds
+ *
+ * Every charge and refund is kept on the booking in `payments`, with a summary in `payment`
+ * ({ method, status }, shared with mpesa.js). Cards go through a swappable provider:
+ * LocalCardProvider (default) is a mock that approves or declines on this device and
+ * RestCardProvider calls a payment server. Card numbers stay with the provider; bookings
+ * keep only a token, the brand and the last four digits.
+ */
+
+// Share of the total paid when booking under the deposit plan
+const DEPOSIT_PERCENT = 30;
+
+// The balance is charged this many days before check-in; stays that start sooner are paid in full
+const BALANCE_DUE_DAYS = 14;
+
+// Card brands by number prefix
+const CARD_BRANDS = [
+    { brand: 'Visa', pattern: /^4/ },
+    { brand: 'Mastercard', pattern: /^(5[1-5]|2[2-7])/ },
+    { brand: 'American Express', pattern: /^3[47]/ }
+];
+
+// LocalCardProvider: test cards that are declined; any other valid card is approved
+const MOCK_CARD_OUTCOMES = {
+    '4000000000000002': { code: 'card_declined', message: 'Your card was declined.' },
+    '4000000000009995': { code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+    '4000000000000119': { code: 'processing_error', message: 'Your card couldn\'t be charged. Please try again.' }
+};
+
+/**
+ * Mock card processor. Tokens are kept in `chakabnb_card_tokens` with the test outcome of the
+ * card, never the number, so a saved card can be charged the balance later.
+ */
+class LocalCardProvider {
+    constructor(storageKey = 'chakabnb_card_tokens') {
+        this.storageKey = storageKey;
+    }
+
+    readTokens() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeTokens(tokens) {
+        localStorage.setItem(this.storageKey, JSON.stringify(tokens));
+    }
+
+    /**
+     * Swap card details for a token
+     * @param {object} card - { number, expiry ('MM/YY'), cvc, name }
+     * @returns {Promise<object>} - { token, brand, last4 }; rejects with code 'invalid_card'
+     */
+    async tokenize(card) {
+        const validation = PaymentManager.validateCard(card);
+        if (!validation.isValid) {
+            throw PaymentManager.createError(validation.message, 'invalid_card');
+        }
+
+        const number = PaymentManager.cardDigits(card.number);
+        const token = `tok_${window.SecurityManager.generateCSRFToken().slice(0, 24)}`;
+        const details = { brand: PaymentManager.getCardBrand(number), last4: number.slice(-4) };
+
+        this.writeTokens({ ...this.readTokens(), [token]: { ...details, outcome: MOCK_CARD_OUTCOMES[number] || null } });
+        return { token, ...details };
+    }
+
+    /**
+     * @param {object} charge - { token, amount (KES), reference }
+     * @returns {Promise<object>} - { transactionId }; rejects with the decline code
+     */
+    async charge({ token, amount }) {
+        const card = this.readTokens()[token];
+        if (!card) {
+            throw PaymentManager.createError('This card is no longer on file. Please enter it again.', 'invalid_card');
+        }
+        if (card.outcome) {
+            throw PaymentManager.createError(card.outcome.message, card.outcome.code);
+        }
+
+        return { transactionId: `ch_${Date.now()}`, amount };
+    }
+
+    /**
+     * @param {object} refund - { transactionId, amount (KES) }
+     * @returns {Promise<object>} - { refundId }
+     */
+    async refund({ amount }) {
+        return { refundId: `re_${Date.now()}`, amount };
+    }
+}
+
+/**
+ * REST provider. Expects POST /payments/card-tokens, /payments/charges and /payments/refunds;
+ * with a hosted-fields processor, its script would create the token instead.
+ */
+class RestCardProvider {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = PaymentManager.createError(data.message || `Payment request failed (${response.status})`, data.code || 'processing_error');
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    tokenize(card) {
+        return this.request('/payments/card-tokens', card);
+    }
+
+    charge(charge) {
+        return this.request('/payments/charges', charge);
+    }
+
+    refund(refund) {
+        return this.request('/payments/refunds', refund);
+    }
+}
+
+class PaymentManager {
+    /**
+     * @param {object} cardProvider - Card provider (tokenize/charge/refund)
+     */
+    constructor(cardProvider = new LocalCardProvider()) {
+        this.cardProvider = cardProvider;
+    }
+
+    /**
+     * Swap the card provider, e.g. paymentManager.setCardProvider(new RestCardProvider())
+     * @param {object} provider - Card provider
+     */
+    setCardProvider(provider) {
+        this.cardProvider = provider;
+    }
+
+    /**
+     * What the guest owes next under the booking's schedule
+     * @param {object} booking - Booking
+     * @returns {object} - { amount (KES), kind ('full', 'deposit', 'balance' or null), dueDate }
+     */
+    getAmountDue(booking) {
+        const schedule = booking.paymentSchedule || PaymentManager.createSchedule(Number(booking.total) || 0, booking.checkIn);
+        const paid = bookingManager.getAmountPaid(booking);
+
+        if (paid >= schedule.total) {
+            return { amount: 0, kind: null, dueDate: null };
+        }
+        if (schedule.plan === 'deposit' && paid < schedule.deposit) {
+            return { amount: schedule.deposit - paid, kind: 'deposit', dueDate: null };
+        }
+        if (schedule.plan === 'deposit') {
+            return { amount: schedule.total - paid, kind: 'balance', dueDate: schedule.balanceDueDate };
+        }
+        return { amount: schedule.total - paid, kind: 'full', dueDate: null };
+    }
+
+    /**
+     * Store a charge with the booking and update its payment summary
+     * @param {string|number} bookingId - Booking id
+     * @param {object} charge - { method, amount, kind, transactionId, card }
+     * @returns {object} - The updated booking
+     */
+    recordCharge(bookingId, charge) {
+        const booking = this.addRecord(bookingId, { type: 'charge', status: 'succeeded', ...charge });
+        const due = this.getAmountDue(booking);
+
+        bookingManager.updatePayment(bookingId, {
+            method: charge.method,
+            status: due.amount > 0 ? 'deposit_paid' : 'paid',
+            failureReason: null
+        });
+
+        // A paid booking goes to the host, or is confirmed on instant-book listings
+        bookingLifecycle.paymentReceived(bookingId);
+        return bookingManager.getBooking(bookingId);
+    }
+
+    /**
+     * Charge what is due now to a card
+     * @param {string|number} bookingId - Booking id
+     * @param {object} card - Card details for tokenize(), or { token } for the card on file
+     * @returns {Promise<object>} - { success, message, booking }
+     */
+    async payByCard(bookingId, card) {
+        const booking = bookingManager.getBooking(bookingId);
+        if (!booking) {
+            return { success: false, message: 'We couldn\'t find that booking.' };
+        }
+        if (RELEASED_BOOKING_STATUSES.includes(booking.status)) {
+            return { success: false, message: 'This booking is no longer active, so there\'s nothing to pay.', booking };
+        }
+
+        const due = this.getAmountDue(booking);
+        if (!due.amount) {
+            return { success: true, message: 'This booking is already paid.', booking };
+        }
+
+        let tokenized;
+        try {
+            tokenized = card.token ? { ...(booking.payment && booking.payment.card), token: card.token } : await this.cardProvider.tokenize(card);
+        } catch (error) {
+            return { success: false, message: error.message, booking };
+        }
+
+        const cardDetails = { token: tokenized.token, brand: tokenized.brand, last4: tokenized.last4 };
+        try {
+            const result = await this.cardProvider.charge({ token: tokenized.token, amount: due.amount, reference: String(booking.id) });
+            this.recordCharge(booking.id, { method: 'card', amount: due.amount, kind: due.kind, transactionId: result.transactionId, card: cardDetails });
+            const updated = bookingManager.updatePayment(booking.id, { card: cardDetails });
+
+            return {
+                success: true,
+                message: due.kind === 'deposit'
+                    ? `Deposit of ${currencyService.format(due.amount)} paid. The balance will be charged to your ${cardDetails.brand} ending ${cardDetails.last4} on ${PaymentManager.formatDate(updated.paymentSchedule.balanceDueDate)}.`
+                    : `${currencyService.format(due.amount)} paid with your ${cardDetails.brand} ending ${cardDetails.last4}.`,
+                booking: updated
+            };
+        } catch (error) {
+            this.addRecord(booking.id, { type: 'charge', status: 'failed', method: 'card', amount: due.amount, kind: due.kind, card: cardDetails, failureReason: error.code || error.message });
+
+            // A declined balance leaves the deposit in place
+            const updated = bookingManager.updatePayment(booking.id, {
+                method: 'card',
+                status: bookingManager.getAmountPaid(booking) > 0 ? 'deposit_paid' : 'failed',
+                failureReason: error.code || error.message
+            });
+            return { success: false, message: error.message, booking: updated };
+        }
+    }
+
+    /**
+     * Charge balances that have fallen due to the card saved with the deposit
+     * @param {object[]} bookings - Bookings to look through
+     * @returns {Promise<object[]>} - payByCard() results for the bookings that were charged
+     */
+    async collectDueBalances(bookings) {
+        const today = AvailabilityManager.today();
+        const results = [];
+
+        for (const booking of bookings) {
+            const due = this.getAmountDue(booking);
+            const card = booking.payment && booking.payment.card;
+            if (RELEASED_BOOKING_STATUSES.includes(booking.status) || due.kind !== 'balance' || due.dueDate > today || !card) continue;
+            // Declined balances wait for the guest rather than being retried on every visit
+            if (booking.payment.failureReason) continue;
+
+            results.push(await this.payByCard(booking.id, { token: card.token }));
+        }
+
+        return results;
+    }
+
+    /**
+     * Pay back the refund saved on a cancelled or declined booking (`refund`), newest charges
+     * first, each through the method it was paid with. M-Pesa refunds are recorded as pending;
+     * they're sent from the business account. A card refund that fails leaves the booking's
+     * refund pending for retryRefunds().
+     * @param {string|number} bookingId - Booking id
+     * @returns {Promise<object>} - The updated booking
+     */
+    async issueRefund(bookingId) {
+        let booking = bookingManager.getBooking(bookingId);
+        if (!booking || !booking.refund) return booking;
+
+        const outstanding = this.getRefundOutstanding(booking);
+        if (outstanding > 0) {
+            booking = await this.refundCharges(bookingId, outstanding, 'cancellation');
+        }
+
+        const sent = this.getRefundOutstanding(booking) <= 0 &&
+            PaymentManager.getCancellationRefunds(booking).every(record => record.status === 'succeeded');
+        return bookingManager.saveBooking({
+            ...booking,
+            refund: { ...booking.refund, status: sent ? 'refunded' : 'pending' }
+        });
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {number} - KES of the booking's refund that hasn't been sent or started yet
+     */
+    getRefundOutstanding(booking) {
+        if (!booking.refund) return 0;
+        const issued = PaymentManager.getCancellationRefunds(booking).reduce((sum, record) => sum + record.amount, 0);
+        return Math.max(0, (Number(booking.refund.amount) || 0) - issued);
+    }
+
+    /**
+     * Try refunds that couldn't be sent (e.g. a failed card refund) again
+     * @param {object[]} bookings - Bookings to look through
+     * @returns {Promise<object[]>} - The bookings that were retried
+     */
+    async retryRefunds(bookings) {
+        const retried = [];
+
+        for (const booking of bookings) {
+            if (!booking.refund || booking.refund.status !== 'pending') continue;
+            if (this.getRefundOutstanding(booking) <= 0 || bookingManager.getAmountCharged(booking) <= 0) continue;
+
+            retried.push(await this.issueRefund(booking.id));
+        }
+
+        return retried;
+    }
+
+    /**
+     * Collect or return the difference once a trip's dates have changed. The booking's schedule
+     * already has the new total: money paid beyond it is refunded, and anything now due is charged
+     * to the card saved with the booking. M-Pesa bookings are left owing it for a new prompt.
+     * @param {string|number} bookingId - Booking id
+     * @returns {Promise<object>} - { success, message, booking, refunded, charged, due }; amounts in KES
+     */
+    async settleDateChange(bookingId) {
+        let booking = bookingManager.getBooking(bookingId);
+        const schedule = booking.paymentSchedule || PaymentManager.createSchedule(Number(booking.total) || 0, booking.checkIn);
+        const paid = bookingManager.getAmountCharged(booking);
+        const settlement = { success: true, message: '', refunded: 0, charged: 0, due: 0 };
+
+        // Nothing charged here yet, or paid outside the site: there is nothing to top up or return
+        if (paid <= 0) {
+            return { ...settlement, booking };
+        }
+
+        if (paid > schedule.total) {
+            booking = await this.refundCharges(bookingId, paid - schedule.total, 'date_change');
+            settlement.refunded = paid - bookingManager.getAmountCharged(booking);
+            if (settlement.refunded < paid - schedule.total) {
+                settlement.success = false;
+                settlement.message = `We couldn't refund ${currencyService.format(paid - schedule.total - settlement.refunded)} to your card. Please contact us.`;
+            }
+        }
+
+        const due = this.getAmountDue(booking);
+        booking = bookingManager.updatePayment(bookingId, {
+            status: due.amount > 0 ? 'deposit_paid' : 'paid',
+            failureReason: null
+        });
+
+        // A balance that isn't due yet is charged with the others by collectDueBalances()
+        const dueNow = due.amount > 0 && (due.kind !== 'balance' || due.dueDate <= AvailabilityManager.today());
+        const card = booking.payment && booking.payment.card;
+        if (dueNow && card) {
+            const result = await this.payByCard(bookingId, { token: card.token });
+            return {
+                ...settlement,
+                success: result.success,
+                message: result.message,
+                booking: result.booking,
+                charged: result.success ? due.amount : 0,
+                due: result.success ? 0 : due.amount
+            };
+        }
+
+        return { ...settlement, booking, due: dueNow ? due.amount : 0 };
+    }
+
+    /**
+     * Refund up to an amount, newest charges first, each through the method it was paid with
+     * @param {string|number} bookingId - Booking id
+     * @param {number} amount - KES to return; capped at what is left of the payments
+     * @param {string} reason - 'cancellation' or 'date_change', saved on the refund records
+     * @returns {Promise<object>} - The updated booking
+     */
+    async refundCharges(bookingId, amount, reason) {
+        const booking = bookingManager.getBooking(bookingId);
+        const records = booking.payments || [];
+        let remaining = Math.min(Number(amount) || 0, bookingManager.getAmountCharged(booking));
+
+        const charges = records.filter(record => record.type === 'charge' && record.status === 'succeeded').reverse();
+        for (const charge of charges) {
+            if (remaining <= 0) break;
+
+            const alreadyRefunded = records
+                .filter(record => record.type === 'refund' && record.chargeId === charge.id && record.status !== 'failed')
+                .reduce((sum, record) => sum + record.amount, 0);
+            const part = Math.min(remaining, charge.amount - alreadyRefunded);
+            if (part <= 0) continue;
+
+            const refund = { type: 'refund', reason, chargeId: charge.id, method: charge.method, amount: part, status: 'pending' };
+            if (charge.method === 'card') {
+                try {
+                    const result = await this.cardProvider.refund({ transactionId: charge.transactionId, amount: part });
+                    refund.status = 'succeeded';
+                    refund.transactionId = result.refundId;
+                } catch (error) {
+                    refund.status = 'failed';
+                    refund.failureReason = error.code || error.message;
+                }
+            }
+
+            const saved = this.addRecord(bookingId, refund);
+            records.push(saved.payments[saved.payments.length - 1]);
+            remaining -= part;
+        }
+
+        return bookingManager.getBooking(bookingId);
+    }
+
+    addRecord(bookingId, record) {
+        const booking = bookingManager.getBooking(bookingId);
+        return bookingManager.saveBooking({
+            ...booking,
+            payments: [...(booking.payments || []), {
+                id: `pay-${Date.now()}-${(booking.payments || []).length}`,
+                ...record,
+                createdAt: new Date().toISOString()
+            }]
+        });
+    }
+
+    /**
+     * @param {object} booking - Booking
+     * @returns {object[]} - Refund records issued for its cancellation, leaving out failed ones
+     */
+    static getCancellationRefunds(booking) {
+        return (booking.payments || []).filter(record =>
+            record.type === 'refund' && record.reason === 'cancellation' && record.status !== 'failed');
+    }
+
+    /**
+     * @param {number} total - Booking total in KES
+     * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+     * @param {string} plan - 'full' or 'deposit'
+     * @returns {object} - { plan, total, deposit, balance, balanceDueDate }; falls back to
+     *     'full' when check-in is too close for a deposit
+     */
+    static createSchedule(total, checkIn, plan = 'full') {
+        if (plan === 'deposit' && PaymentManager.canPayDeposit(checkIn)) {
+            const deposit = Math.round(total * DEPOSIT_PERCENT / 100);
+            return {
+                plan: 'deposit',
+                total,
+                deposit,
+                balance: total - deposit,
+                balanceDueDate: AvailabilityManager.addDays(checkIn, -BALANCE_DUE_DAYS)
+            };
+        }
+        return { plan: 'full', total, deposit: total, balance: 0, balanceDueDate: null };
+    }
+
+    /**
+     * @param {string} checkIn - Check-in date (YYYY-MM-DD)
+     * @returns {boolean} - True if check-in is far enough away to pay a deposit now
+     */
+    static canPayDeposit(checkIn) {
+        return Boolean(checkIn) && BookingManager.daysUntil(checkIn) > BALANCE_DUE_DAYS;
+    }
+
+    /**
+     * @param {object} card - { number, expiry ('MM/YY'), cvc, name }
+     * @returns {object} - { isValid, field, message }; field is the first one at fault
+     */
+    static validateCard(card) {
+        const number = PaymentManager.cardDigits(card.number);
+        if (!/^\d{13,19}$/.test(number) || !PaymentManager.passesLuhn(number)) {
+            return { isValid: false, field: 'number', message: 'Please enter a valid card number' };
+        }
+
+        const expiry = /^(\d{2})\s*\/\s*(\d{2})$/.exec((card.expiry || '').trim());
+        const month = expiry ? Number(expiry[1]) : 0;
+        if (!expiry || month < 1 || month > 12) {
+            return { isValid: false, field: 'expiry', message: 'Please enter the expiry date as MM/YY' };
+        }
+        // Cards work until the end of their expiry month
+        const today = AvailabilityManager.today();
+        if (`20${expiry[2]}-${expiry[1]}` < today.slice(0, 7)) {
+            return { isValid: false, field: 'expiry', message: 'This card has expired' };
+        }
+
+        const cvcLength = PaymentManager.getCardBrand(number) === 'American Express' ? 4 : 3;
+        if (!new RegExp(`^\\d{${cvcLength}}$`).test((card.cvc || '').trim())) {
+            return { isValid: false, field: 'cvc', message: `Please enter the ${cvcLength}-digit security code` };
+        }
+
+        if (!(card.name || '').trim()) {
+            return { isValid: false, field: 'name', message: 'Please enter the name on the card' };
+        }
+
+        return { isValid: true, field: null, message: '' };
+    }
+
+    static cardDigits(number) {
+        return String(number || '').replace(/[\s-]/g, '');
+    }
+
+    static passesLuhn(number) {
+        let sum = 0;
+        [...number].reverse().forEach((digit, index) => {
+            let value = Number(digit);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        return sum % 10 === 0;
+    }
+
+    static getCardBrand(number) {
+        const match = CARD_BRANDS.find(entry => entry.pattern.test(number));
+        return match ? match.brand : 'Card';
+    }
+
+    static formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * @param {string} message - Message for the guest
+     * @param {string} code - 'invalid_card', 'card_declined', 'insufficient_funds' or 'processing_error'
+     * @returns {Error}
+     */
+    static createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+// Global payment manager instance
+window.paymentManager = new PaymentManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PaymentManager, LocalCardProvider, RestCardProvider };
+}
@@ -0,0 +1,190 @@
+/**
+ * ChakaBNB Pricing Engine
+ * Builds an itemized quote for a stay from a listing's pricing rules
+ *
+ * Listing pricing rules (all optional) live on `property.pricing`:
+ *   weekendPrice     - nightly rate for weekend nights
+ *   weekendNights    - weekday numbers priced as weekend (default Friday and Saturday nights)
+ *   seasonalRates    - [{ start, end, price, label }] per-date overrides. start/end are
+ *                      'YYYY-MM-DD' for one-off dates or 'MM-DD' to repeat every year;
+ *                      end is exclusive, like availability ranges
+ *   weeklyDiscount   - percent off the nightly total for stays of 7+ nights
+ *   monthlyDiscount  - percent off the nightly total for stays of 28+ nights
+ *   includedGuests   - guests covered by the nightly rate
+ *   extraGuestFee    - per guest, per night charge above includedGuests
+ * The cleaning fee comes from `property.cleaningFee`.
+ */
+
+const SERVICE_FEE_RATE = 0.14;
+const WEEKLY_STAY_NIGHTS = 7;
+const MONTHLY_STAY_NIGHTS = 28;
+
+// Date.getDay() values for Friday and Saturday nights
+const DEFAULT_WEEKEND_NIGHTS = [5, 6];
+
+class PricingEngine {
+    constructor(options = {}) {
+        this.serviceFeeRate = options.serviceFeeRate != null ? options.serviceFeeRate : SERVICE_FEE_RATE;
+        this.currency = 'KES';
+    }
+
+    /**
+     * Build an itemized quote
+     * @param {object} property - Normalized listing from the property store
+     * @param {object} stay - { checkIn, checkOut, guests }; dates are YYYY-MM-DD
+     * @returns {object} - Quote with per-night rates, line items and total. When the
+     *                     dates are missing or invalid, a one-night preview is returned
+     *                     with `valid: false`.
+     */
+    quote(property, stay = {}) {
+        const valid = AvailabilityManager.isValidRange(stay.checkIn, stay.checkOut);
+        const checkIn = valid || /^\d{4}-\d{2}-\d{2}$/.test(stay.checkIn || '') ? stay.checkIn : AvailabilityManager.today();
+        const checkOut = valid ? stay.checkOut : AvailabilityManager.addDays(checkIn, 1);
+        const guests = Math.max(1, parseInt(stay.guests, 10) || 1);
+        const pricing = property.pricing || {};
+        const baseRate = Number(property.price) || 0;
+
+        // Nightly rates with the rule that set each one
+        const nightlyRates = [];
+        for (let night = checkIn; night < checkOut; night = AvailabilityManager.addDays(night, 1)) {
+            nightlyRates.push(this.getNightlyRate(property, night));
+        }
+        const nights = nightlyRates.length;
+
+        const lineItems = [{
+            id: 'nights',
+            label: nights === 1 ? 'night' : 'nights',
+            unitAmount: baseRate,
+            quantity: nights,
+            amount: baseRate * nights
+        }];
+
+        // Weekend and seasonal adjustments relative to the base rate, one line per rule
+        const adjustments = {};
+        nightlyRates.filter(night => night.rate !== baseRate).forEach(night => {
+            const entry = adjustments[night.label] || { nights: 0, amount: 0, type: night.type };
+            entry.nights += 1;
+            entry.amount += night.rate - baseRate;
+            adjustments[night.label] = entry;
+        });
+        Object.entries(adjustments).forEach(([label, entry]) => {
+            lineItems.push({
+                id: entry.type,
+                label: `${label} (${entry.nights} ${entry.nights === 1 ? 'night' : 'nights'})`,
+                amount: entry.amount
+            });
+        });
+
+        const accommodation = nightlyRates.reduce((sum, night) => sum + night.rate, 0);
+
+        // Length-of-stay discount
+        let discount = null;
+        const monthlyDiscount = Number(pricing.monthlyDiscount) || 0;
+        const weeklyDiscount = Number(pricing.weeklyDiscount) || 0;
+        if (nights >= MONTHLY_STAY_NIGHTS && monthlyDiscount > 0) {
+            discount = { label: 'Monthly stay discount', percent: monthlyDiscount };
+        } else if (nights >= WEEKLY_STAY_NIGHTS && weeklyDiscount > 0) {
+            discount = { label: 'Weekly stay discount', percent: weeklyDiscount };
+        }
+        if (discount) {
+            discount.amount = Math.round(accommodation * discount.percent / 100);
+            lineItems.push({ id: 'discount', label: `${discount.label} (${discount.percent}%)`, amount: -discount.amount });
+        }
+
+        // Extra guests
+        let extraGuests = null;
+        const includedGuests = parseInt(pricing.includedGuests, 10) || 0;
+        const extraGuestFee = Number(pricing.extraGuestFee) || 0;
+        if (includedGuests && extraGuestFee > 0 && guests > includedGuests) {
+            const count = guests - includedGuests;
+            extraGuests = { count, feePerNight: extraGuestFee, amount: count * extraGuestFee * nights };
+            lineItems.push({
+                id: 'extra-guests',
+                label: `Extra guests (${count} × ${nights} ${nights === 1 ? 'night' : 'nights'})`,
+                amount: extraGuests.amount
+            });
+        }
+
+        const cleaningFee = Number(property.cleaningFee) || 0;
+        if (cleaningFee > 0) {
+            lineItems.push({ id: 'cleaning', label: 'Cleaning fee', amount: cleaningFee });
+        }
+
+        const subtotal = accommodation - (discount ? discount.amount : 0) + (extraGuests ? extraGuests.amount : 0) + cleaningFee;
+        const serviceFee = Math.round(subtotal * this.serviceFeeRate);
+        lineItems.push({ id: 'service', label: 'Service fee', amount: serviceFee });
+
+        return {
+            propertyId: property.id,
+            currency: this.currency,
+            valid,
+            checkIn,
+            checkOut,
+            guests,
+            nights,
+            baseRate,
+            nightlyRates,
+            accommodation,
+            discount,
+            extraGuests,
+            cleaningFee,
+            serviceFee: { rate: this.serviceFeeRate, amount: serviceFee },
+            subtotal,
+            total: subtotal + serviceFee,
+            lineItems,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Nightly rate for one night, applying seasonal overrides before weekend pricing
+     * @param {object} property - Listing
+     * @param {string} night - Night (YYYY-MM-DD)
+     * @returns {object} - { date, rate, type, label }
+     */
+    getNightlyRate(property, night) {
+        const pricing = property.pricing || {};
+        const baseRate = Number(property.price) || 0;
+
+        const season = (pricing.seasonalRates || []).find(rate => this.isInSeason(night, rate));
+        if (season && Number(season.price) > 0) {
+            return { date: night, rate: Number(season.price), type: 'seasonal', label: season.label || 'Seasonal rate' };
+        }
+
+        const weekendNights = pricing.weekendNights || DEFAULT_WEEKEND_NIGHTS;
+        const [year, month, day] = night.split('-').map(Number);
+        const weekday = new Date(year, month - 1, day).getDay();
+        if (Number(pricing.weekendPrice) > 0 && weekendNights.includes(weekday)) {
+            return { date: night, rate: Number(pricing.weekendPrice), type: 'weekend', label: 'Weekend rate' };
+        }
+
+        return { date: night, rate: baseRate, type: 'base', label: 'Nightly rate' };
+    }
+
+    /**
+     * @param {string} night - Night (YYYY-MM-DD)
+     * @param {object} rate - Seasonal rate with 'YYYY-MM-DD' or yearly 'MM-DD' start/end
+     * @returns {boolean}
+     */
+    isInSeason(night, rate) {
+        if (!rate || !rate.start || !rate.end) return false;
+
+        if (rate.start.length === 10) {
+            return night >= rate.start && night < rate.end;
+        }
+
+        // Yearly range; may wrap around the new year (e.g. 12-20 to 01-03)
+        const monthDay = night.slice(5);
+        return rate.start <= rate.end
+            ? monthDay >= rate.start && monthDay < rate.end
+            : monthDay >= rate.start || monthDay < rate.end;
+    }
+}
+
+// Global pricing engine instance
+window.pricingEngine = new PricingEngine();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngine;
+}
@@ -0,0 +1,812 @@
+/**
+ * ChakaBNB Property Store
+ * Shared listing data layer for the homepage, search results, property detail and listing pages
+ */
+
+// Map centre used by list-property.html and for seed listing coordinates
+const CHAKA_TOWN_CENTER = { lat: -0.3031, lng: 36.0800 };
+
+// Feather icon and display label for each amenity key used by list-property.html
+const AMENITY_DETAILS = {
+    'wifi': { icon: 'wifi', label: 'Free WiFi' },
+    'parking': { icon: 'truck', label: 'Free Parking' },
+    'kitchen': { icon: 'coffee', label: 'Kitchen' },
+    'tv': { icon: 'tv', label: 'TV' },
+    'ac': { icon: 'wind', label: 'Air Conditioning' },
+    'heating': { icon: 'thermometer', label: 'Heating' },
+    'washer': { icon: 'refresh-cw', label: 'Washing Machine' },
+    'dryer': { icon: 'sun', label: 'Dryer' },
+    'safe': { icon: 'lock', label: 'Safe' },
+    'balcony': { icon: 'maximize', label: 'Balcony' },
+    'terrace': { icon: 'home', label: 'Terrace' },
+    'garden': { icon: 'feather', label: 'Garden' },
+    'pool': { icon: 'droplet', label: 'Swimming Pool' },
+    'breakfast': { icon: 'coffee', label: 'Breakfast Included' },
+    'security': { icon: 'shield', label: '24/7 Security' },
+    'bbq': { icon: 'zap', label: 'BBQ Area' },
+    'fireplace': { icon: 'sunset', label: 'Fireplace' },
+    'smoke-alarm': { icon: 'bell', label: 'Smoke Alarm' },
+    'co-alarm': { icon: 'alert-triangle', label: 'CO Alarm' },
+    'first-aid': { icon: 'plus-square', label: 'First Aid Kit' },
+    'security-cameras': { icon: 'video', label: 'Security Cameras' },
+    'locks': { icon: 'key', label: 'Secure Locks' },
+    'wheelchair-accessible': { icon: 'user-check', label: 'Wheelchair Accessible' },
+    'ground-floor': { icon: 'layers', label: 'Ground Floor' },
+    'wide-doorways': { icon: 'maximize-2', label: 'Wide Doorways' }
+};
+
+const NEARBY_ATTRACTIONS = {
+    'solio-reserve': 'Solio Game Reserve',
+    'baden-powell': 'Baden-Powell Museum',
+    'mount-kenya': 'Mount Kenya',
+    'nyeri-town': 'Nyeri Town',
+    'shopping': 'Shopping Centers',
+    'restaurants': 'Restaurants'
+};
+
+// Refund rules per cancellation policy. A rule applies when the guest cancels at least
+// `daysBefore` days before check-in; the first matching rule wins and later cancellations
+// get no refund. Strict listings also refund in full within `freeCancellationHours` of
+// booking, as long as check-in is at least `freeCancellationMinDays` away.
+const CANCELLATION_POLICIES = {
+    'flexible': {
+        label: 'Flexible',
+        summary: ['Full refund up to 1 day before check-in', 'No refund for cancellations after that'],
+        rules: [{ daysBefore: 1, refundPercent: 100 }]
+    },
+    'moderate': {
+        label: 'Moderate',
+        summary: ['Full refund up to 5 days before check-in', 'After that, 50% refund until check-in'],
+        rules: [{ daysBefore: 5, refundPercent: 100 }, { daysBefore: 0, refundPercent: 50 }]
+    },
+    'strict': {
+        label: 'Strict',
+        summary: ['Free cancellation for 48 hours after booking, if check-in is at least 14 days away', 'After that, cancel at least 7 days before check-in for a 50% refund'],
+        freeCancellationHours: 48,
+        freeCancellationMinDays: 14,
+        rules: [{ daysBefore: 7, refundPercent: 50 }]
+    }
+};
+
+const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+// Listing lifecycle: hosts submit listings for review, a moderator puts them live,
+// and hosts can pause live listings or withdraw pending ones back to draft
+const LISTING_STATUSES = {
+    'draft': 'Draft',
+    'pending': 'Pending review',
+    'live': 'Live',
+    'paused': 'Paused'
+};
+
+const LISTING_STATUS_TRANSITIONS = {
+    'draft': ['pending'],
+    'pending': ['live', 'draft'],
+    'live': ['paused'],
+    'paused': ['live']
+};
+
+const SEED_PROPERTIES = [
+    {
+        id: 1,
+        title: "Luxury Cottage with Mountain View",
+        type: "cottage",
+        description: "Nestled in the scenic hills of Chaka Town, this luxury cottage offers breathtaking views of Mount Kenya. The space features a fully equipped kitchen, cozy living area with fireplace, and two comfortable bedrooms. Enjoy your morning coffee on the private terrace while taking in the fresh mountain air.\n\nLocated just 15 minutes from Solio Game Reserve, this is the perfect base for wildlife enthusiasts and those looking to explore the natural beauty of Nyeri County.",
+        price: 5500,
+        cleaningFee: 1500,
+        pricing: {
+            weekendPrice: 6500,
+            seasonalRates: [{ start: "12-20", end: "01-03", price: 7500, label: "Festive season" }],
+            weeklyDiscount: 10,
+            monthlyDiscount: 20,
+            includedGuests: 2,
+            extraGuestFee: 500
+        },
+        cancellationPolicy: "strict",
+        bedrooms: 2,
+        bathrooms: 1,
+        guests: 4,
+        amenities: ["wifi", "parking", "kitchen", "tv", "ac", "terrace", "safe"],
+        image: "http://static.photos/indoor/640x360/5",
+        images: [
+            "http://static.photos/indoor/1200x630/5",
+            "http://static.photos/indoor/640x360/8",
+            "http://static.photos/indoor/640x360/9",
+            "http://static.photos/outdoor/640x360/10",
+            "http://static.photos/indoor/640x360/11",
+            "http://static.photos/outdoor/640x360/15"
+        ],
+        badge: "Popular",
+        featured: true,
+        dateAdded: "2023-11-20",
+        highlights: ["Entire home", "Enhanced clean", "Great location", "Self check-in"],
+        sleepingArrangements: ["1 queen bed", "2 single beds"],
+        location: { area: "Chaka Hills", latitude: -0.2986, longitude: 36.0862, nearbyAttractions: ["solio-reserve", "baden-powell", "nyeri-town"] },
+        host: { name: "James", avatar: "http://static.photos/people/200x200/1", joined: "2018", bio: "Hi, I'm James! I've lived in Chaka Town for over 10 years and love sharing the beauty of this area with visitors. I'm happy to provide recommendations for local restaurants, activities, and hidden gems." }
+    },
+    {
+        id: 2,
+        title: "Modern Apartment in Town Center",
+        type: "apartment",
+        description: "A bright one-bedroom apartment a short walk from Chaka Town's shops and restaurants, with fast WiFi and a quiet workspace.",
+        price: 3800,
+        cancellationPolicy: "flexible",
+        instantBook: true,
+        bedrooms: 1,
+        bathrooms: 1,
+        guests: 2,
+        amenities: ["wifi", "tv", "ac"],
+        image: "http://static.photos/workspace/640x360/6",
+        images: ["http://static.photos/workspace/1200x630/6", "http://static.photos/indoor/640x360/26", "http://static.photos/indoor/640x360/27"],
+        badge: "Deal",
+        featured: true,
+        dateAdded: "2023-12-05",
+        highlights: ["Entire apartment", "Walk to town", "Dedicated workspace"],
+        location: { area: "Town Centre", latitude: -0.3035, longitude: 36.0795, nearbyAttractions: ["shopping", "restaurants"] },
+        host: { name: "Wanjiku", avatar: "http://static.photos/people/200x200/4", joined: "2020" }
+    },
+    {
+        id: 3,
+        title: "Cozy Lodge Near Game Reserve",
+        type: "lodge",
+        description: "A timber lodge on the edge of Solio Game Reserve with a private pool and wide verandas for evening game viewing.",
+        price: 7200,
+        cleaningFee: 2000,
+        pricing: { weeklyDiscount: 10 },
+        bedrooms: 3,
+        bathrooms: 2,
+        guests: 6,
+        amenities: ["wifi", "parking", "pool"],
+        image: "http://static.photos/indoor/640x360/7",
+        images: ["http://static.photos/outdoor/1200x630/7", "http://static.photos/indoor/640x360/7", "http://static.photos/outdoor/640x360/28"],
+        badge: "New",
+        featured: true,
+        highlights: ["Entire lodge", "Near Solio Reserve", "Private pool"],
+        location: { area: "Solio", latitude: -0.2612, longitude: 36.0458, nearbyAttractions: ["solio-reserve", "mount-kenya"] },
+        host: { name: "Peter", avatar: "http://static.photos/people/200x200/5", joined: "2019" }
+    },
+    {
+        id: 4,
+        title: "Cozy Studio Apartment",
+        type: "apartment",
+        description: "A compact studio with a kitchenette, ideal for solo travellers and couples passing through Chaka Town.",
+        price: 2200,
+        bedrooms: 1,
+        bathrooms: 1,
+        guests: 2,
+        amenities: ["wifi", "tv", "kitchen"],
+        image: "http://static.photos/indoor/640x360/8",
+        images: ["http://static.photos/indoor/1200x630/8", "http://static.photos/indoor/640x360/29"],
+        badge: "New",
+        featured: true,
+        highlights: ["Entire studio", "Self check-in"],
+        location: { area: "Town Centre", latitude: -0.3052, longitude: 36.0821, nearbyAttractions: ["shopping", "restaurants"] },
+        host: { name: "Wanjiku", avatar: "http://static.photos/people/200x200/4", joined: "2020" }
+    },
+    {
+        id: 5,
+        title: "Luxury Mountain Villa",
+        type: "house",
+        description: "A four-bedroom villa with panoramic Mount Kenya views, a heated pool and a chef's kitchen for large groups.",
+        price: 8500,
+        cleaningFee: 3000,
+        pricing: { weekendPrice: 9500, weeklyDiscount: 8, includedGuests: 6, extraGuestFee: 800 },
+        bedrooms: 4,
+        bathrooms: 3,
+        guests: 8,
+        amenities: ["wifi", "parking", "pool", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/9",
+        images: ["http://static.photos/outdoor/1200x630/9", "http://static.photos/indoor/640x360/30", "http://static.photos/outdoor/640x360/31", "http://static.photos/indoor/640x360/32"],
+        badge: "Premium",
+        featured: true,
+        highlights: ["Entire villa", "Mountain views", "Great for groups"],
+        location: { area: "Chaka Hills", latitude: -0.2921, longitude: 36.0954, nearbyAttractions: ["mount-kenya", "solio-reserve"] },
+        host: { name: "Grace", avatar: "http://static.photos/people/200x200/6", joined: "2017" }
+    },
+    {
+        id: 6,
+        title: "Executive Business Suite",
+        type: "apartment",
+        description: "A quiet two-bedroom suite with air conditioning and a work desk, close to the Nyeri road for business travellers.",
+        price: 4200,
+        instantBook: true,
+        bedrooms: 2,
+        bathrooms: 2,
+        guests: 4,
+        amenities: ["wifi", "tv", "ac", "kitchen"],
+        image: "http://static.photos/indoor/640x360/10",
+        images: ["http://static.photos/indoor/1200x630/10", "http://static.photos/workspace/640x360/33"],
+        badge: "Business",
+        featured: true,
+        highlights: ["Entire suite", "Dedicated workspace", "Self check-in"],
+        location: { area: "Town Centre", latitude: -0.3018, longitude: 36.0778, nearbyAttractions: ["nyeri-town", "restaurants"] },
+        host: { name: "Kamau", avatar: "http://static.photos/people/200x200/7", joined: "2021" }
+    },
+    {
+        id: 7,
+        title: "Riverside Cabin Retreat",
+        type: "cottage",
+        description: "A wooden cabin beside the river with a fireplace and outdoor seating, a peaceful retreat from town.",
+        price: 3800,
+        bedrooms: 2,
+        bathrooms: 1,
+        guests: 4,
+        amenities: ["wifi", "parking", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/11",
+        images: ["http://static.photos/outdoor/1200x630/11", "http://static.photos/indoor/640x360/34"],
+        badge: "Nature",
+        featured: true,
+        highlights: ["Entire cabin", "Riverside", "Fireplace"],
+        location: { area: "Kiganjo", latitude: -0.3194, longitude: 36.0687, nearbyAttractions: ["baden-powell", "nyeri-town"] },
+        host: { name: "Achieng", avatar: "http://static.photos/people/200x200/8", joined: "2019" }
+    },
+    {
+        id: 8,
+        title: "Urban Loft with City Views",
+        type: "apartment",
+        price: 4500,
+        bedrooms: 2,
+        bathrooms: 2,
+        guests: 4,
+        amenities: ["wifi", "tv", "ac", "kitchen"],
+        image: "http://static.photos/indoor/640x360/12",
+        badge: "Trending",
+        location: { area: "Town Centre", latitude: -0.3041, longitude: 36.0809 },
+        host: { name: "Kamau", avatar: "http://static.photos/people/200x200/7", joined: "2021" }
+    },
+    {
+        id: 9,
+        title: "Garden Villa with Pool",
+        type: "house",
+        price: 6800,
+        bedrooms: 3,
+        bathrooms: 2,
+        guests: 6,
+        amenities: ["wifi", "parking", "pool", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/13",
+        badge: "Luxury",
+        location: { area: "Chaka Hills", latitude: -0.2958, longitude: 36.0901 },
+        host: { name: "Grace", avatar: "http://static.photos/people/200x200/6", joined: "2017" }
+    },
+    {
+        id: 10,
+        title: "Cozy Studio Downtown",
+        type: "apartment",
+        price: 2800,
+        instantBook: true,
+        bedrooms: 1,
+        bathrooms: 1,
+        guests: 2,
+        amenities: ["wifi", "tv"],
+        image: "http://static.photos/indoor/640x360/14",
+        badge: "Budget",
+        location: { area: "Town Centre", latitude: -0.3060, longitude: 36.0787 },
+        host: { name: "Wanjiku", avatar: "http://static.photos/people/200x200/4", joined: "2020" }
+    },
+    {
+        id: 11,
+        title: "Mountain Lodge Experience",
+        type: "lodge",
+        price: 9200,
+        bedrooms: 4,
+        bathrooms: 3,
+        guests: 8,
+        amenities: ["wifi", "parking", "pool", "kitchen", "ac"],
+        image: "http://static.photos/outdoor/640x360/15",
+        badge: "Premium",
+        location: { area: "Naro Moru", latitude: -0.2743, longitude: 36.1180 },
+        host: { name: "Peter", avatar: "http://static.photos/people/200x200/5", joined: "2019" }
+    },
+    {
+        id: 12,
+        title: "Beachside Bungalow",
+        type: "cottage",
+        price: 5200,
+        bedrooms: 2,
+        bathrooms: 1,
+        guests: 4,
+        amenities: ["wifi", "parking", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/16",
+        badge: "Beach",
+        location: { area: "Kiganjo", latitude: -0.3227, longitude: 36.0652 },
+        host: { name: "Achieng", avatar: "http://static.photos/people/200x200/8", joined: "2019" }
+    },
+    {
+        id: 13,
+        title: "Modern Family Home",
+        type: "house",
+        price: 7500,
+        bedrooms: 3,
+        bathrooms: 2,
+        guests: 6,
+        amenities: ["wifi", "parking", "kitchen", "ac"],
+        image: "http://static.photos/indoor/640x360/17",
+        badge: "Family",
+        location: { area: "Town Centre", latitude: -0.3076, longitude: 36.0842 },
+        host: { name: "Grace", avatar: "http://static.photos/people/200x200/6", joined: "2017" }
+    },
+    {
+        id: 14,
+        title: "Executive Penthouse",
+        type: "apartment",
+        price: 12000,
+        bedrooms: 2,
+        bathrooms: 2,
+        guests: 4,
+        amenities: ["wifi", "tv", "ac", "kitchen", "pool"],
+        image: "http://static.photos/indoor/640x360/18",
+        badge: "Executive",
+        location: { area: "Town Centre", latitude: -0.3026, longitude: 36.0815 },
+        host: { name: "Kamau", avatar: "http://static.photos/people/200x200/7", joined: "2021" }
+    },
+    {
+        id: 15,
+        title: "Rustic Farmhouse",
+        type: "house",
+        price: 4800,
+        bedrooms: 3,
+        bathrooms: 2,
+        guests: 6,
+        amenities: ["wifi", "parking", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/19",
+        badge: "Rustic",
+        location: { area: "Mweiga", latitude: -0.3312, longitude: 36.0436 },
+        host: { name: "Peter", avatar: "http://static.photos/people/200x200/5", joined: "2019" }
+    },
+    {
+        id: 16,
+        title: "Minimalist Studio",
+        type: "apartment",
+        price: 3200,
+        instantBook: true,
+        bedrooms: 1,
+        bathrooms: 1,
+        guests: 2,
+        amenities: ["wifi", "tv"],
+        image: "http://static.photos/indoor/640x360/20",
+        badge: "Minimal",
+        location: { area: "Town Centre", latitude: -0.3047, longitude: 36.0772 },
+        host: { name: "Wanjiku", avatar: "http://static.photos/people/200x200/4", joined: "2020" }
+    },
+    {
+        id: 17,
+        title: "Safari Tent Experience",
+        type: "lodge",
+        price: 8500,
+        bedrooms: 2,
+        bathrooms: 1,
+        guests: 4,
+        amenities: ["wifi", "parking", "kitchen"],
+        image: "http://static.photos/outdoor/640x360/21",
+        badge: "Safari",
+        location: { area: "Solio", latitude: -0.2579, longitude: 36.0512, nearbyAttractions: ["solio-reserve"] },
+        host: { name: "Peter", avatar: "http://static.photos/people/200x200/5", joined: "2019" }
+    },
+    {
+        id: 18,
+        title: "Historic Townhouse",
+        type: "house",
+        price: 6200,
+        bedrooms: 3,
+        bathrooms: 2,
+        guests: 6,
+        amenities: ["wifi", "parking", "kitchen", "ac"],
+        image: "http://static.photos/indoor/640x360/22",
+        badge: "Historic",
+        dateAdded: "2023-11-15",
+        location: { area: "Town Centre", latitude: -0.3012, longitude: 36.0831, nearbyAttractions: ["baden-powell"] },
+        host: { name: "James", avatar: "http://static.photos/people/200x200/1", joined: "2018" }
+    },
+    {
+        id: 19,
+        title: "Luxury Sky Villa",
+        type: "apartment",
+        price: 15000,
+        bedrooms: 3,
+        bathrooms: 3,
+        guests: 6,
+        amenities: ["wifi", "tv", "ac", "kitchen", "pool"],
+        image: "http://static.photos/indoor/640x360/23",
+        badge: "Luxury",
+        dateAdded: "2023-12-01",
+        location: { area: "Chaka Hills", latitude: -0.2973, longitude: 36.0928 },
+        host: { name: "Grace", avatar: "http://static.photos/people/200x200/6", joined: "2017" }
+    },
+    {
+        id: 20,
+        title: "Budget Backpacker Hostel",
+        type: "apartment",
+        price: 1200,
+        bedrooms: 1,
+        bathrooms: 1,
+        guests: 2,
+        amenities: ["wifi"],
+        image: "http://static.photos/indoor/640x360/24",
+        badge: "Budget",
+        dateAdded: "2023-10-20",
+        location: { area: "Town Centre", latitude: -0.3068, longitude: 36.0763 },
+        host: { name: "Kamau", avatar: "http://static.photos/people/200x200/7", joined: "2021" }
+    }
+];
+
+/**
+ * localStorage backend. Seed listings are merged with listings saved on this
+ * device; a saved listing replaces the seed listing with the same id.
+ */
+class LocalStoragePropertyBackend {
+    constructor(seed = [], storageKey = 'chakabnb_properties') {
+        this.seed = seed;
+        this.storageKey = storageKey;
+    }
+
+    readSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    async list() {
+        const saved = this.readSaved();
+        const savedIds = new Set(saved.map(property => String(property.id)));
+        return [...this.seed.filter(property => !savedIds.has(String(property.id))), ...saved];
+    }
+
+    async get(id) {
+        const all = await this.list();
+        return all.find(property => String(property.id) === String(id)) || null;
+    }
+
+    async save(property) {
+        const saved = this.readSaved();
+        const index = saved.findIndex(existing => String(existing.id) === String(property.id));
+        if (index >= 0) {
+            saved[index] = property;
+        } else {
+            saved.push(property);
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        return property;
+    }
+}
+
+/**
+ * REST backend for when listings move to a server.
+ * Expects GET /properties, GET /properties/:id and PUT /properties/:id.
+ */
+class RestPropertyBackend {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(options.headers || {})
+            }
+        });
+
+        if (response.status === 404) return null;
+
+        if (!response.ok) {
+            const error = new Error(`Property request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    list() {
+        return this.request('/properties');
+    }
+
+    get(id) {
+        return this.request(`/properties/${encodeURIComponent(id)}`);
+    }
+
+    save(property) {
+        return this.request(`/properties/${encodeURIComponent(property.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(property)
+        });
+    }
+}
+
+class PropertyStore {
+    /**
+     * @param {object} backend - Object implementing list(), get(id) and save(property), each returning a Promise
+     */
+    constructor(backend = new LocalStoragePropertyBackend(SEED_PROPERTIES)) {
+        this.backend = backend;
+    }
+
+    /**
+     * Swap the persistence backend (e.g. to RestPropertyBackend)
+     * @param {object} backend - Backend implementing list(), get(id) and save(property)
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Query listings
+     * @param {object} criteria - Optional filters: status, featured, types, minPrice, maxPrice,
+     *                            guests, bedrooms, amenities, instantBook, location, ownerEmail, limit
+     * @returns {Promise<Array>} - Matching listings in backend order
+     */
+    async query(criteria = {}) {
+        const status = criteria.status === undefined ? 'live' : criteria.status;
+        const types = criteria.types || (criteria.type ? [criteria.type] : []);
+        const amenities = criteria.amenities || [];
+        const location = (criteria.location || '').trim().toLowerCase();
+
+        const all = (await this.backend.list() || []).map(property => this.normalize(property));
+
+        const results = all.filter(property => {
+            if (status && property.status !== status) return false;
+            if (criteria.featured && !property.featured) return false;
+            if (types.length && !types.includes(property.type)) return false;
+            if (criteria.minPrice != null && property.price < criteria.minPrice) return false;
+            if (criteria.maxPrice != null && property.price > criteria.maxPrice) return false;
+            if (criteria.guests && property.guests < criteria.guests) return false;
+            if (criteria.bedrooms && property.bedrooms < criteria.bedrooms) return false;
+            if (amenities.length && !amenities.every(amenity => property.amenities.includes(amenity))) return false;
+            if (criteria.instantBook && !property.instantBook) return false;
+            if (criteria.ownerEmail && property.ownerEmail !== criteria.ownerEmail) return false;
+            if (location && !this.matchesLocation(property, location)) return false;
+            return true;
+        });
+
+        return criteria.limit ? results.slice(0, criteria.limit) : results;
+    }
+
+    /**
+     * Get a single listing
+     * @param {string|number} id - Listing id
+     * @returns {Promise<object|null>} - Listing, or null if unknown
+     */
+    async getById(id) {
+        if (id === null || id === undefined || id === '') return null;
+        const property = await this.backend.get(id);
+        return property ? this.normalize(property) : null;
+    }
+
+    /**
+     * Create or update a listing
+     * @param {object} property - Listing data; a new id is assigned when missing
+     * @returns {Promise<object>} - The saved listing
+     */
+    async upsert(property) {
+        const now = new Date().toISOString();
+        const existing = property.id != null ? await this.backend.get(property.id) : null;
+
+        const listing = this.normalize({
+            ...(existing || {}),
+            ...property,
+            id: property.id != null ? property.id : Date.now(),
+            dateAdded: (existing && existing.dateAdded) || property.dateAdded || now.slice(0, 10),
+            updatedAt: now
+        });
+
+        await this.backend.save(listing);
+        return listing;
+    }
+
+    /**
+     * Move a listing to a new status
+     * @param {string|number} id - Listing id
+     * @param {string} status - Key of LISTING_STATUSES
+     * @returns {Promise<object>} - The saved listing; rejects on unknown listings or disallowed changes
+     */
+    async setStatus(id, status) {
+        const listing = await this.getById(id);
+        if (!listing) {
+            throw new Error(`Unknown listing: ${id}`);
+        }
+        if (!(LISTING_STATUS_TRANSITIONS[listing.status] || []).includes(status)) {
+            throw new Error(`A ${LISTING_STATUSES[listing.status] || listing.status} listing can't be changed to ${LISTING_STATUSES[status] || status}`);
+        }
+
+        return this.upsert({ id: listing.id, status });
+    }
+
+    /**
+     * Fill in defaults so every page can rely on the same listing shape
+     * @param {object} property - Raw listing
+     * @returns {object} - Normalized listing
+     */
+    normalize(property) {
+        const images = Array.isArray(property.images) && property.images.length
+            ? property.images
+            : [property.image || 'http://static.photos/indoor/640x360/1'];
+        const location = property.location || {};
+
+        return {
+            ...property,
+            status: property.status || 'live',
+            description: property.description || '',
+            price: Number(property.price) || 0,
+            cleaningFee: Number(property.cleaningFee) || 0,
+            pricing: property.pricing || {},
+            cancellationPolicy: CANCELLATION_POLICIES[property.cancellationPolicy] ? property.cancellationPolicy : DEFAULT_CANCELLATION_POLICY,
+            instantBook: Boolean(property.instantBook),
+            rating: Number(property.rating) || 0,
+            reviews: Number(property.reviews) || 0,
+            bedrooms: parseInt(property.bedrooms, 10) || 1,
+            bathrooms: parseInt(property.bathrooms, 10) || 1,
+            guests: parseInt(property.guests, 10) || 1,
+            amenities: Array.isArray(property.amenities) ? property.amenities : [],
+            highlights: Array.isArray(property.highlights) ? property.highlights.filter(Boolean) : [],
+            sleepingArrangements: Array.isArray(property.sleepingArrangements) ? property.sleepingArrangements : [],
+            image: property.image || images[0],
+            images,
+            location: {
+                address: location.address || '',
+                area: location.area || '',
+                city: location.city || 'Chaka Town',
+                county: location.county || 'Nyeri',
+                country: location.country || 'Kenya',
+                postalCode: location.postalCode || '',
+                latitude: parseFloat(location.latitude) || CHAKA_TOWN_CENTER.lat,
+                longitude: parseFloat(location.longitude) || CHAKA_TOWN_CENTER.lng,
+                nearbyAttractions: Array.isArray(location.nearbyAttractions) ? location.nearbyAttractions : []
+            },
+            host: {
+                name: 'ChakaBNB Host',
+                avatar: 'http://static.photos/people/200x200/1',
+                ...(property.host || {})
+            }
+        };
+    }
+
+    /**
+     * Check a lower-cased search term against a listing's location fields
+     * @param {object} property - Normalized listing
+     * @param {string} term - Lower-cased location search term
+     * @returns {boolean}
+     */
+    matchesLocation(property, term) {
+        const { address, area, city, county } = property.location;
+        const haystack = [property.title, address, area, city, county].join(' ').toLowerCase();
+        return term.split(/[\s,]+/).filter(Boolean).some(word => haystack.includes(word));
+    }
+
+    /**
+     * Icon and label for an amenity key
+     * @param {string} amenity - Amenity key (e.g. 'wifi')
+     * @returns {object} - { icon, label }
+     */
+    describeAmenity(amenity) {
+        return AMENITY_DETAILS[amenity] || { icon: 'check', label: amenity };
+    }
+
+    /**
+     * Display name for a nearby attraction key
+     * @param {string} attraction - Attraction key (e.g. 'solio-reserve')
+     * @returns {string}
+     */
+    describeAttraction(attraction) {
+        return NEARBY_ATTRACTIONS[attraction] || attraction;
+    }
+
+    /**
+     * @param {string} status - Listing status key
+     * @returns {string} - Display label, e.g. "Pending review"
+     */
+    describeStatus(status) {
+        return LISTING_STATUSES[status] || status;
+    }
+
+    /**
+     * @param {string} policy - Cancellation policy key
+     * @returns {object} - { key, label, summary, rules, ... } (the default policy for unknown keys)
+     */
+    describeCancellationPolicy(policy) {
+        const key = CANCELLATION_POLICIES[policy] ? policy : DEFAULT_CANCELLATION_POLICY;
+        return { key, ...CANCELLATION_POLICIES[key] };
+    }
+
+    /**
+     * Build a listing from list-property.html's collectFormData() output
+     * @param {object} formData - Multi-step form data
+     * @returns {object} - Listing ready for upsert()
+     */
+    static fromListingForm(formData) {
+        const basicInfo = formData.basicInfo || {};
+        const location = formData.location || {};
+        const type = basicInfo.propertyType || 'apartment';
+
+        return {
+            title: basicInfo.title,
+            type,
+            description: basicInfo.description,
+            price: parseFloat(basicInfo.pricePerNight) || 0,
+            cleaningFee: parseFloat(basicInfo.cleaningFee) || 0,
+            pricing: {
+                weekendPrice: parseFloat(basicInfo.weekendPrice) || 0,
+                weeklyDiscount: parseFloat(basicInfo.weeklyDiscount) || 0,
+                monthlyDiscount: parseFloat(basicInfo.monthlyDiscount) || 0,
+                includedGuests: parseInt(basicInfo.includedGuests, 10) || 0,
+                extraGuestFee: parseFloat(basicInfo.extraGuestFee) || 0
+            },
+            cancellationPolicy: basicInfo.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+            instantBook: Boolean(basicInfo.instantBook),
+            guests: basicInfo.guests,
+            bedrooms: basicInfo.bedrooms,
+            bathrooms: basicInfo.bathrooms,
+            amenities: formData.amenities || [],
+            highlights: Object.values(formData.highlights || {}).map(h => (h || '').trim()).filter(Boolean),
+            image: `http://static.photos/${type === 'apartment' ? 'indoor' : 'outdoor'}/640x360/1`,
+            badge: 'New',
+            location: { ...location },
+            host: {
+                name: basicInfo.hostName,
+                phone: basicInfo.hostPhone
+            }
+        };
+    }
+
+    /**
+     * Turn a stored listing back into list-property.html's form data, for editing
+     * @param {object} listing - Normalized listing
+     * @returns {object} - Same shape as collectFormData()
+     */
+    static toListingForm(listing) {
+        const pricing = listing.pricing || {};
+        const location = listing.location || {};
+        const host = listing.host || {};
+        const highlights = {};
+        [0, 1, 2, 3].forEach(index => {
+            highlights[`highlight${index + 1}`] = listing.highlights[index] || '';
+        });
+
+        return {
+            currentStep: 1,
+            basicInfo: {
+                propertyType: listing.type,
+                title: listing.title || '',
+                description: listing.description,
+                guests: listing.guests,
+                bedrooms: listing.bedrooms,
+                bathrooms: listing.bathrooms,
+                pricePerNight: listing.price || '',
+                cleaningFee: listing.cleaningFee || '',
+                weekendPrice: pricing.weekendPrice || '',
+                extraGuestFee: pricing.extraGuestFee || '',
+                includedGuests: pricing.includedGuests || '',
+                weeklyDiscount: pricing.weeklyDiscount || '',
+                monthlyDiscount: pricing.monthlyDiscount || '',
+                cancellationPolicy: listing.cancellationPolicy,
+                instantBook: listing.instantBook,
+                hostName: host.name || '',
+                hostPhone: host.phone || ''
+            },
+            location: {
+                address: location.address,
+                city: location.city,
+                area: location.area,
+                county: location.county,
+                country: location.country,
+                postalCode: location.postalCode,
+                latitude: location.latitude,
+                longitude: location.longitude,
+                nearbyAttractions: location.nearbyAttractions || []
+            },
+            amenities: listing.amenities,
+            highlights
+        };
+    }
+}
+
+// Global property store instance
+window.propertyStore = new PropertyStore();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PropertyStore, LocalStoragePropertyBackend, RestPropertyBackend };
+}
@@ -0,0 +1,309 @@
+/**
+ * ChakaBNB Rate Limiter
+ * Per-action limits on failed attempts, with exponential backoff and temporary lockout
+ *
+ * Only failures are counted: call recordFailure() when an attempt fails and reset() when one
+ * succeeds. Counts live in a swappable store: IndexedDbRateLimitStore (default; survives
+ * reloads and isn't wiped along with localStorage), MemoryRateLimitStore (this page only, and
+ * the fallback without IndexedDB) or RestRateLimitStore, which keeps them on the server.
+ * Anything kept in the browser can still be cleared by its owner, so the server should
+ * enforce the same limits on its own endpoints.
+ */
+
+// Per action: failures allowed within windowMs before a lockout of lockoutMs. Each failure
+// before that makes the next attempt wait backoffMs, doubling up to maxBackoffMs.
+const RATE_LIMITS = {
+    login: { maxFailures: 5, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000, backoffMs: 1000, maxBackoffMs: 30 * 1000 },
+    register: { maxFailures: 5, windowMs: 30 * 60 * 1000, lockoutMs: 30 * 60 * 1000, backoffMs: 2000, maxBackoffMs: 60 * 1000 },
+    booking: { maxFailures: 10, windowMs: 10 * 60 * 1000, lockoutMs: 10 * 60 * 1000, backoffMs: 500, maxBackoffMs: 15 * 1000 },
+    // Reset emails count when sent, since the page never says whether the account exists;
+    // wrong reset codes count as well
+    passwordReset: { maxFailures: 3, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000, backoffMs: 5000, maxBackoffMs: 60 * 1000 },
+    // Verification emails count when sent
+    emailVerification: { maxFailures: 3, windowMs: 15 * 60 * 1000, lockoutMs: 15 * 60 * 1000, backoffMs: 5000, maxBackoffMs: 60 * 1000 }
+};
+
+// Key used for actions limited per browser rather than per account (e.g. registering)
+const RATE_LIMIT_DEVICE_KEY = 'device';
+
+/**
+ * Keeps records for the life of the page
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return this.records.get(id) || null;
+    }
+
+    async set(id, record) {
+        this.records.set(id, record);
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+}
+
+/**
+ * Keeps records in an IndexedDB object store. If the database can't be opened (e.g. some
+ * private browsing modes) it keeps them in memory instead.
+ */
+class IndexedDbRateLimitStore {
+    constructor(databaseName = 'chakabnb_rate_limits', storeName = 'rate_limits') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+        this.fallback = new MemoryRateLimitStore();
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase|null>} - Null when IndexedDB isn't usable
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise(resolve => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Rate limits are kept in memory; IndexedDB could not be opened:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} operation - Given the object store, returns an IDBRequest
+     * @param {function} fallback - Same operation on the memory store
+     * @returns {Promise<*>} - The request's result
+     */
+    async run(mode, operation, fallback) {
+        const database = await this.open();
+        if (!database) return fallback(this.fallback);
+
+        return new Promise((resolve, reject) => {
+            const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(id) {
+        return (await this.run('readonly', store => store.get(id), memory => memory.get(id))) || null;
+    }
+
+    async set(id, record) {
+        await this.run('readwrite', store => store.put(record, id), memory => memory.set(id, record));
+    }
+
+    async delete(id) {
+        await this.run('readwrite', store => store.delete(id), memory => memory.delete(id));
+    }
+}
+
+/**
+ * Keeps records on the server. Expects GET, PUT and DELETE /rate-limits/:id.
+ */
+class RestRateLimitStore {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(method, id, body) {
+        const response = await fetch(`${this.baseUrl}/rate-limits/${encodeURIComponent(id)}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            const error = new Error(`Rate limit request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    get(id) {
+        return this.request('GET', id);
+    }
+
+    async set(id, record) {
+        await this.request('PUT', id, record);
+    }
+
+    async delete(id) {
+        await this.request('DELETE', id);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {object} store - Rate limit store (get/set/delete by id)
+     */
+    constructor(store = RateLimiter.createDefaultStore()) {
+        this.store = store;
+    }
+
+    /**
+     * Swap the store, e.g. rateLimiter.setStore(new RestRateLimitStore())
+     * @param {object} store - Rate limit store
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * @param {string} action - Key of RATE_LIMITS
+     * @param {string} key - Who is limited, e.g. the email address
+     * @returns {Promise<object>} - { allowed, reason ('lockout', 'backoff' or null), retryAt,
+     *     retryAfterMs, remaining, message }
+     */
+    async check(action, key = RATE_LIMIT_DEVICE_KEY) {
+        const limit = RateLimiter.getLimit(action);
+        const record = await this.store.get(RateLimiter.recordId(action, key));
+        return RateLimiter.evaluate(limit, RateLimiter.prune(limit, record), Date.now());
+    }
+
+    /**
+     * Count a failed attempt
+     * @param {string} action - Key of RATE_LIMITS
+     * @param {string} key - Who is limited
+     * @returns {Promise<object>} - Status for the next attempt, as from check()
+     */
+    async recordFailure(action, key = RATE_LIMIT_DEVICE_KEY) {
+        const limit = RateLimiter.getLimit(action);
+        const id = RateLimiter.recordId(action, key);
+        const now = Date.now();
+        const record = RateLimiter.prune(limit, await this.store.get(id));
+
+        const failures = [...record.failures, now];
+        const lockedUntil = failures.length >= limit.maxFailures ? now + limit.lockoutMs : record.lockedUntil;
+        const updated = { failures, lockedUntil };
+
+        await this.store.set(id, updated);
+        return RateLimiter.evaluate(limit, updated, now);
+    }
+
+    /**
+     * Forget the failures after a successful attempt
+     * @param {string} action - Key of RATE_LIMITS
+     * @param {string} key - Who is limited
+     */
+    async reset(action, key = RATE_LIMIT_DEVICE_KEY) {
+        RateLimiter.getLimit(action);
+        await this.store.delete(RateLimiter.recordId(action, key));
+    }
+
+    /**
+     * Drop failures outside the window and lockouts that have ended
+     * @param {object} limit - Entry of RATE_LIMITS
+     * @param {object|null} record - Stored { failures, lockedUntil }
+     * @returns {object}
+     */
+    static prune(limit, record) {
+        const now = Date.now();
+        if (!record) return { failures: [], lockedUntil: null };
+
+        // A lockout that has run its course starts the count again
+        if (record.lockedUntil && record.lockedUntil <= now) {
+            return { failures: [], lockedUntil: null };
+        }
+
+        return {
+            failures: (record.failures || []).filter(timestamp => now - timestamp < limit.windowMs),
+            lockedUntil: record.lockedUntil || null
+        };
+    }
+
+    /**
+     * @param {object} limit - Entry of RATE_LIMITS
+     * @param {object} record - Pruned record
+     * @param {number} now - Current time
+     * @returns {object} - Status, as from check()
+     */
+    static evaluate(limit, record, now) {
+        const remaining = Math.max(0, limit.maxFailures - record.failures.length);
+
+        if (record.lockedUntil && record.lockedUntil > now) {
+            return RateLimiter.blocked('lockout', record.lockedUntil, now, remaining);
+        }
+
+        if (record.failures.length) {
+            const backoff = Math.min(limit.backoffMs * 2 ** (record.failures.length - 1), limit.maxBackoffMs);
+            const retryAt = Math.max(...record.failures) + backoff;
+            if (retryAt > now) {
+                return RateLimiter.blocked('backoff', retryAt, now, remaining);
+            }
+        }
+
+        return { allowed: true, reason: null, retryAt: null, retryAfterMs: 0, remaining, message: '' };
+    }
+
+    static blocked(reason, retryAt, now, remaining) {
+        return {
+            allowed: false,
+            reason,
+            retryAt,
+            retryAfterMs: retryAt - now,
+            remaining,
+            message: RateLimiter.describeWait(reason, retryAt - now)
+        };
+    }
+
+    /**
+     * @param {string} reason - 'lockout' or 'backoff'
+     * @param {number} ms - Time left
+     * @returns {string} - Message for the visitor; pages with a countdown call this every second
+     */
+    static describeWait(reason, ms) {
+        const wait = RateLimiter.formatWait(ms);
+        return reason === 'lockout'
+            ? `Too many failed attempts. Try again in ${wait}.`
+            : `Please wait ${wait} before trying again.`;
+    }
+
+    /**
+     * @param {number} ms - Time left
+     * @returns {string} - e.g. '45s' or '14:05'
+     */
+    static formatWait(ms) {
+        const seconds = Math.max(1, Math.ceil(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    static getLimit(action) {
+        if (!RATE_LIMITS[action]) {
+            throw new Error(`Unknown rate limit action: ${action}`);
+        }
+        return RATE_LIMITS[action];
+    }
+
+    static recordId(action, key) {
+        return `${action}:${String(key).trim().toLowerCase()}`;
+    }
+
+    static createDefaultStore() {
+        return typeof indexedDB !== 'undefined' ? new IndexedDbRateLimitStore() : new MemoryRateLimitStore();
+    }
+}
+
+// Global rate limiter instance
+window.rateLimiter = new RateLimiter();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateLimiter, MemoryRateLimitStore, IndexedDbRateLimitStore, RestRateLimitStore };
+}
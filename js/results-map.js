@@ -0,0 +1,233 @@
+/**
+ * ChakaBNB Results Map
+ * Leaflet map of search results with price markers and simple clustering
+ */
+
+// Markers closer than this on screen are grouped into one cluster
+const CLUSTER_RADIUS_PX = 48;
+
+class ResultsMap {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Element the map is drawn in (must be visible)
+     * @param {function} options.onMarkerHover - Called with (propertyIds, isHovering) when a marker is hovered
+     * @param {function} options.onViewportChange - Called when the visitor pans or zooms the map
+     */
+    constructor({ container, onMarkerHover, onViewportChange }) {
+        this.onMarkerHover = onMarkerHover || (() => {});
+        this.onViewportChange = onViewportChange || (() => {});
+        this.properties = [];
+        this.markers = new Map();
+        this.activeIds = new Set();
+        this.movingProgrammatically = false;
+
+        this.map = L.map(container, { scrollWheelZoom: false })
+            .setView([CHAKA_TOWN_CENTER.lat, CHAKA_TOWN_CENTER.lng], 13);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors'
+        }).addTo(this.map);
+        this.layer = L.layerGroup().addTo(this.map);
+
+        // Clusters depend on the zoom level
+        this.map.on('zoomend', () => this.renderMarkers());
+        this.map.on('moveend', () => {
+            if (!this.movingProgrammatically) this.onViewportChange(this.getBounds());
+        });
+
+        window.addEventListener('currencychange', () => this.renderMarkers());
+    }
+
+    /**
+     * Show a new set of listings
+     * @param {object[]} properties - Listings with location.latitude/longitude
+     */
+    setProperties(properties) {
+        this.properties = properties.filter(property => {
+            const { latitude, longitude } = property.location || {};
+            return Number.isFinite(latitude) && Number.isFinite(longitude);
+        });
+        this.renderMarkers();
+    }
+
+    /**
+     * Zoom to fit every listing on the map
+     */
+    fitToProperties() {
+        if (!this.properties.length) return;
+        const bounds = L.latLngBounds(this.properties.map(property => [property.location.latitude, property.location.longitude]));
+        this.moveWithoutNotifying(() => this.map.fitBounds(bounds.pad(0.1), { animate: false, maxZoom: 15 }));
+    }
+
+    /**
+     * Zoom to an area
+     * @param {object} bounds - { south, west, north, east }
+     */
+    showBounds({ south, west, north, east }) {
+        this.moveWithoutNotifying(() => this.map.fitBounds([[south, west], [north, east]], { animate: false }));
+    }
+
+    /**
+     * @returns {object} - Visible area as { south, west, north, east }
+     */
+    getBounds() {
+        const bounds = this.map.getBounds();
+        return {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+    }
+
+    /**
+     * Recalculate the map size after its container was hidden or resized
+     */
+    refreshSize() {
+        this.moveWithoutNotifying(() => this.map.invalidateSize({ animate: false }));
+    }
+
+    /**
+     * Emphasize the marker (or cluster) holding a listing
+     * @param {string|number} propertyId - Listing id
+     * @param {boolean} active - Whether to highlight or clear it
+     */
+    highlight(propertyId, active) {
+        const key = String(propertyId);
+        if (active) {
+            this.activeIds.add(key);
+        } else {
+            this.activeIds.delete(key);
+        }
+
+        const marker = this.markers.get(key);
+        if (!marker) return;
+        const isActive = marker.propertyIds.some(id => this.activeIds.has(id));
+        const element = marker.getElement();
+        if (element) element.classList.toggle('is-active', isActive);
+        marker.setZIndexOffset(isActive ? 1000 : 0);
+    }
+
+    /**
+     * Group listings that sit within CLUSTER_RADIUS_PX of each other at the current zoom
+     * @returns {object[]} - [{ latLng, properties }]
+     */
+    buildClusters() {
+        const zoom = this.map.getZoom();
+        const clusters = [];
+
+        this.properties.forEach(property => {
+            const latLng = L.latLng(property.location.latitude, property.location.longitude);
+            const point = this.map.project(latLng, zoom);
+            const cluster = clusters.find(candidate => candidate.point.distanceTo(point) < CLUSTER_RADIUS_PX);
+
+            if (cluster) {
+                cluster.properties.push(property);
+            } else {
+                clusters.push({ point, latLng, properties: [property] });
+            }
+        });
+
+        return clusters;
+    }
+
+    renderMarkers() {
+        this.layer.clearLayers();
+        this.markers.clear();
+
+        this.buildClusters().forEach(cluster => {
+            const marker = cluster.properties.length === 1
+                ? this.createPriceMarker(cluster.properties[0])
+                : this.createClusterMarker(cluster);
+            marker.propertyIds = cluster.properties.map(property => String(property.id));
+
+            marker.on('mouseover', () => this.onMarkerHover(marker.propertyIds, true));
+            marker.on('mouseout', () => this.onMarkerHover(marker.propertyIds, false));
+            marker.addTo(this.layer);
+
+            marker.propertyIds.forEach(id => this.markers.set(id, marker));
+            if (marker.propertyIds.some(id => this.activeIds.has(id))) {
+                marker.getElement()?.classList.add('is-active');
+            }
+        });
+    }
+
+    createPriceMarker(property) {
+        const marker = L.marker([property.location.latitude, property.location.longitude], {
+            icon: L.divIcon({
+                className: 'results-map-marker',
+                html: `<span class="results-map-price">${currencyService.format(property.price)}</span>`,
+                iconSize: null
+            }),
+            title: property.title,
+            keyboard: true
+        });
+        marker.bindPopup(() => this.createPopup([property]));
+        return marker;
+    }
+
+    createClusterMarker(cluster) {
+        const marker = L.marker(cluster.latLng, {
+            icon: L.divIcon({
+                className: 'results-map-marker',
+                html: `<span class="results-map-cluster">${cluster.properties.length}</span>`,
+                iconSize: null
+            }),
+            title: `${cluster.properties.length} properties`,
+            keyboard: true
+        });
+
+        // Zoom in to split the cluster; at full zoom list the listings instead
+        marker.on('click', () => {
+            if (this.map.getZoom() >= this.map.getMaxZoom()) {
+                marker.bindPopup(this.createPopup(cluster.properties)).openPopup();
+                return;
+            }
+            const bounds = L.latLngBounds(cluster.properties.map(property => [property.location.latitude, property.location.longitude]));
+            this.map.fitBounds(bounds.pad(0.2));
+        });
+        return marker;
+    }
+
+    /**
+     * Popup listing one or more properties with links to their detail pages
+     * @param {object[]} properties - Listings
+     * @returns {HTMLElement}
+     */
+    createPopup(properties) {
+        const popup = document.createElement('div');
+        popup.className = 'space-y-2';
+
+        properties.forEach(property => {
+            const link = document.createElement('a');
+            link.href = `property-detail.html?id=${encodeURIComponent(property.id)}`;
+            link.className = 'block text-sm';
+
+            const title = document.createElement('span');
+            title.className = 'block font-semibold text-gray-900';
+            title.textContent = property.title;
+
+            const price = document.createElement('span');
+            price.className = 'block text-[#003B95]';
+            price.textContent = `${currencyService.format(property.price)} / night`;
+
+            link.append(title, price);
+            popup.appendChild(link);
+        });
+
+        return popup;
+    }
+
+    moveWithoutNotifying(move) {
+        this.movingProgrammatically = true;
+        try {
+            move();
+        } finally {
+            this.movingProgrammatically = false;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsMap;
+}
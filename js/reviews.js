@@ -0,0 +1,348 @@
+/**
+ * ChakaBNB Reviews
+ * Guest reviews with per-category ratings, moderation and per-listing aggregates
+ *
+ * Only guests with a completed stay in `chakabnb_bookings` can review, once per booking.
+ * Review status is 'published', 'pending' (held for moderation) or 'rejected'; only
+ * published reviews are shown and counted. Reported reviews stay published until a
+ * moderator publishes or rejects them. Moderators never decide on reviews of their own listings.
+ *
+ * Review text and names are stored as plain text and must be rendered with textContent.
+ */
+
+const REVIEW_CATEGORIES = {
+    cleanliness: 'Cleanliness',
+    location: 'Location',
+    value: 'Value'
+};
+
+const REVIEW_TEXT_MIN_LENGTH = 20;
+const REVIEW_TEXT_MAX_LENGTH = 1000;
+
+// Links, email addresses and phone numbers are held for a moderator to check
+const REVIEW_MODERATION_PATTERNS = [
+    /https?:|www\./i,
+    /[^\s@]+@[^\s@]+\.[^\s@]+/,
+    /(?:\+?254|0)[17]\d{8}/
+];
+
+// Reviews shipped with the seed listings
+const SEED_REVIEWS = [
+    {
+        id: 'seed-1-1', propertyId: 1, authorName: 'Sarah', createdAt: '2025-03-14T09:00:00Z',
+        ratings: { cleanliness: 5, location: 5, value: 4 },
+        text: 'The cottage was even more beautiful than the photos! Waking up to the mountain views was incredible. James was a wonderful host who gave us great tips for exploring the area.'
+    },
+    {
+        id: 'seed-1-2', propertyId: 1, authorName: 'Michael', createdAt: '2025-01-22T09:00:00Z',
+        ratings: { cleanliness: 5, location: 5, value: 5 },
+        text: 'Perfect location for visiting Solio Reserve. The cottage had everything we needed and was spotlessly clean. The terrace was our favorite spot for evening drinks.'
+    },
+    {
+        id: 'seed-2-1', propertyId: 2, authorName: 'Achieng', createdAt: '2025-02-08T09:00:00Z',
+        ratings: { cleanliness: 5, location: 5, value: 4 },
+        text: 'Walking distance to everything in town and the apartment was quiet at night. Fast WiFi made it easy to work during the day.'
+    },
+    {
+        id: 'seed-3-1', propertyId: 3, authorName: 'Daniel', createdAt: '2025-04-02T09:00:00Z',
+        ratings: { cleanliness: 4, location: 5, value: 5 },
+        text: 'We saw rhinos on our first morning drive. The lodge is simple but comfortable and the staff were very welcoming.'
+    },
+    {
+        id: 'seed-3-2', propertyId: 3, authorName: 'Grace', createdAt: '2024-12-28T09:00:00Z',
+        ratings: { cleanliness: 5, location: 5, value: 4 },
+        text: 'A lovely base for the game reserve. Evenings by the fire were the highlight of our family holiday.'
+    },
+    {
+        id: 'seed-4-1', propertyId: 4, authorName: 'Brian', createdAt: '2025-05-11T09:00:00Z',
+        ratings: { cleanliness: 4, location: 5, value: 5 },
+        text: 'Small but well laid out studio right in the centre. Great value for a short work trip.'
+    },
+    {
+        id: 'seed-5-1', propertyId: 5, authorName: 'Wanjiru', createdAt: '2025-01-05T09:00:00Z',
+        ratings: { cleanliness: 5, location: 4, value: 5 },
+        text: 'The villa easily fit our group of eight and the views of Mount Kenya at sunrise were unforgettable.'
+    },
+    {
+        id: 'seed-6-1', propertyId: 6, authorName: 'Peter', createdAt: '2025-03-30T09:00:00Z',
+        ratings: { cleanliness: 5, location: 5, value: 4 },
+        text: 'Very professional setup with a proper desk and reliable internet. Check-in was smooth and the suite was spotless.'
+    },
+    {
+        id: 'seed-7-1', propertyId: 7, authorName: 'Njeri', createdAt: '2025-02-16T09:00:00Z',
+        ratings: { cleanliness: 4, location: 5, value: 5 },
+        text: 'Falling asleep to the sound of the river was so peaceful. The cabin is cosy and the hosts left fresh bread for breakfast.'
+    }
+].map(review => ({ status: 'published', flags: [], ...review }));
+
+class ReviewManager {
+    constructor(storageKey = 'chakabnb_reviews', bookingsKey = 'chakabnb_bookings') {
+        this.storageKey = storageKey;
+        this.bookingsKey = bookingsKey;
+        this.seed = SEED_REVIEWS;
+    }
+
+    readSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    writeSaved(reviews) {
+        localStorage.setItem(this.storageKey, JSON.stringify(reviews));
+    }
+
+    /**
+     * All reviews; saved copies of seed reviews (e.g. after moderation) replace the seed
+     * @returns {object[]}
+     */
+    readReviews() {
+        const saved = this.readSaved();
+        const savedIds = new Set(saved.map(review => String(review.id)));
+        return [...this.seed.filter(review => !savedIds.has(String(review.id))), ...saved];
+    }
+
+    saveReview(review) {
+        const saved = this.readSaved();
+        const index = saved.findIndex(existing => String(existing.id) === String(review.id));
+        if (index >= 0) {
+            saved[index] = review;
+        } else {
+            saved.push(review);
+        }
+        this.writeSaved(saved);
+        return review;
+    }
+
+    readBookings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.bookingsKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Reviews for a listing, newest first
+     * @param {string|number} propertyId - Listing id
+     * @param {object} options - { status } ('published' by default; null for every status)
+     * @returns {object[]}
+     */
+    getReviews(propertyId, { status = 'published' } = {}) {
+        return this.readReviews()
+            .filter(review => String(review.propertyId) === String(propertyId))
+            .filter(review => !status || review.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Averages over a listing's published reviews
+     * @param {string|number} propertyId - Listing id
+     * @returns {object} - { count, average, categories: { cleanliness, location, value } };
+     *                     averages are null when there are no reviews
+     */
+    getSummary(propertyId) {
+        const reviews = this.getReviews(propertyId);
+        const average = values => values.length
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+            : null;
+
+        const categories = {};
+        Object.keys(REVIEW_CATEGORIES).forEach(category => {
+            categories[category] = average(reviews.map(review => review.ratings[category]));
+        });
+
+        return {
+            count: reviews.length,
+            average: average(reviews.map(review => ReviewManager.overallRating(review.ratings))),
+            categories
+        };
+    }
+
+    /**
+     * Copy listings with `rating` and `reviews` set from their published reviews
+     * @param {object[]} properties - Listings from the property store
+     * @returns {object[]}
+     */
+    withRatings(properties) {
+        return properties.map(property => {
+            const summary = this.getSummary(property.id);
+            return { ...property, rating: summary.average || 0, reviews: summary.count };
+        });
+    }
+
+    /**
+     * A guest's bookings for a listing whose stay has finished
+     * @param {string} email - Guest email
+     * @param {string|number} propertyId - Listing id
+     * @returns {object[]}
+     */
+    getCompletedBookings(email, propertyId) {
+        if (!email) return [];
+        const guest = email.trim().toLowerCase();
+
+        return this.readBookings().filter(booking =>
+            String(booking.propertyId) === String(propertyId) &&
+            (booking.email || '').trim().toLowerCase() === guest &&
+            ReviewManager.isCompletedBooking(booking)
+        );
+    }
+
+    /**
+     * Completed bookings the guest hasn't reviewed yet
+     * @param {string} email - Guest email
+     * @param {string|number} propertyId - Listing id
+     * @returns {object[]}
+     */
+    getReviewableBookings(email, propertyId) {
+        const reviewed = new Set(this.readReviews().map(review => String(review.bookingId)));
+        return this.getCompletedBookings(email, propertyId).filter(booking => !reviewed.has(String(booking.id)));
+    }
+
+    /**
+     * Add a review for a completed booking
+     * @param {string} email - Signed-in guest's email
+     * @param {object} input - { propertyId, bookingId, authorName, ratings: { cleanliness, location, value }, text }
+     * @returns {object} - { success, message, review }
+     */
+    submitReview(email, input) {
+        const booking = this.getReviewableBookings(email, input.propertyId)
+            .find(candidate => String(candidate.id) === String(input.bookingId));
+        if (!booking) {
+            return { success: false, message: 'Only guests with a completed stay can review this property, once per booking.' };
+        }
+
+        const ratings = {};
+        for (const category of Object.keys(REVIEW_CATEGORIES)) {
+            const rating = parseInt(input.ratings && input.ratings[category], 10);
+            if (!(rating >= 1 && rating <= 5)) {
+                return { success: false, message: `Please rate ${REVIEW_CATEGORIES[category].toLowerCase()} from 1 to 5 stars.` };
+            }
+            ratings[category] = rating;
+        }
+
+        const rawText = (input.text || '').trim();
+        const text = rawText.replace(CONTROL_CHARACTERS, '');
+        if (rawText.length < REVIEW_TEXT_MIN_LENGTH) {
+            return { success: false, message: `Reviews need at least ${REVIEW_TEXT_MIN_LENGTH} characters.` };
+        }
+        if (rawText.length > REVIEW_TEXT_MAX_LENGTH) {
+            return { success: false, message: `Reviews can be at most ${REVIEW_TEXT_MAX_LENGTH} characters.` };
+        }
+
+        const heldForModeration = REVIEW_MODERATION_PATTERNS.some(pattern => pattern.test(rawText));
+        const review = this.saveReview({
+            id: `review-${Date.now()}`,
+            propertyId: booking.propertyId,
+            bookingId: booking.id,
+            authorName: (input.authorName || booking.firstName || 'Guest').replace(CONTROL_CHARACTERS, '').trim(),
+            authorEmail: email.trim().toLowerCase(),
+            ratings,
+            text,
+            status: heldForModeration ? 'pending' : 'published',
+            flags: [],
+            stayDate: booking.checkOut,
+            createdAt: new Date().toISOString()
+        });
+
+        return {
+            success: true,
+            message: heldForModeration
+                ? 'Thanks! Your review will appear once a moderator has checked it.'
+                : 'Thanks! Your review has been published.',
+            review
+        };
+    }
+
+    /**
+     * Report a review for a moderator to check. It stays published until they decide, so
+     * reports alone can't take reviews down.
+     * @param {string} reviewId - Review id
+     * @param {string} reason - Why it was reported
+     * @param {string|null} reporter - Signed-in reporter's email; each one is counted once
+     * @returns {object|null} - Updated review, or null if unknown
+     */
+    flagReview(reviewId, reason = '', reporter = null) {
+        const review = this.readReviews().find(candidate => String(candidate.id) === String(reviewId));
+        if (!review) return null;
+
+        const email = reporter ? reporter.trim().toLowerCase() : null;
+        if (email && (review.flags || []).some(flag => flag.reporter === email && ReviewManager.isOpenFlag(review, flag))) {
+            return review;
+        }
+
+        return this.saveReview({
+            ...review,
+            flags: [...(review.flags || []), { reason: reason.replace(CONTROL_CHARACTERS, ''), reporter: email, flaggedAt: new Date().toISOString() }]
+        });
+    }
+
+    /**
+     * Reviews waiting for a decision: held ones and reported ones
+     * @param {Array} ownPropertyIds - Listings the moderator hosts; their reviews are left out
+     * @returns {object[]} - Reviews with `openFlags` (reports since the last decision), oldest first
+     */
+    getModerationQueue(ownPropertyIds = []) {
+        const ownIds = new Set(ownPropertyIds.map(String));
+        return this.readReviews()
+            .filter(review => !ownIds.has(String(review.propertyId)))
+            .map(review => ({ ...review, openFlags: (review.flags || []).filter(flag => ReviewManager.isOpenFlag(review, flag)) }))
+            .filter(review => review.status === 'pending' || (review.status === 'published' && review.openFlags.length))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Publish or reject a held or reported review; reports made before the decision are closed
+     * @param {string} reviewId - Review id
+     * @param {string} decision - 'published' or 'rejected'
+     * @param {Array} ownPropertyIds - Listings the moderator hosts, whose reviews they can't decide on
+     * @returns {object|null} - Updated review, or null if unknown or on one of those listings
+     */
+    moderateReview(reviewId, decision, ownPropertyIds = []) {
+        if (!['published', 'rejected'].includes(decision)) {
+            throw new Error(`Unknown moderation decision: ${decision}`);
+        }
+        const review = this.readReviews().find(candidate => String(candidate.id) === String(reviewId));
+        if (!review || ownPropertyIds.map(String).includes(String(review.propertyId))) return null;
+
+        return this.saveReview({ ...review, status: decision, moderatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * @param {object} ratings - { cleanliness, location, value }
+     * @returns {number} - Mean of the category ratings
+     */
+    static overallRating(ratings) {
+        const values = Object.keys(REVIEW_CATEGORIES).map(category => Number(ratings[category]) || 0);
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * @returns {boolean} - True if the report came in after the review was last moderated
+     */
+    static isOpenFlag(review, flag) {
+        return !review.moderatedAt || flag.flaggedAt > review.moderatedAt;
+    }
+
+    /**
+     * A stay is complete once it is marked completed, or once the check-out date of a
+     * confirmed stay has passed (the booking lifecycle's timers complete it on their next run)
+     * @param {object} booking - Booking from chakabnb_bookings
+     * @returns {boolean}
+     */
+    static isCompletedBooking(booking) {
+        if (booking.status === 'completed') return true;
+        if (!['confirmed', 'checked_in'].includes(booking.status)) return false;
+        return Boolean(booking.checkOut) && booking.checkOut <= AvailabilityManager.today();
+    }
+}
+
+// Global review manager instance
+window.reviewManager = new ReviewManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewManager;
+}
@@ -0,0 +1,178 @@
+/**
+ * ChakaBNB Route Guard
+ * Declarative page and link access rules, idle sign-out and sign-out across tabs
+ *
+ * A page states what it needs on its script tag, e.g.
+ *     <script src="js/route-guard.js" data-requires="auth host"></script>
+ * and links or buttons can do the same with data-requires="auth". Visitors who aren't
+ * signed in are sent to login.html?redirect=<where they were going>. Sessions end after 30
+ * minutes without activity, or at their maximum age if the user chose "Remember me" (see
+ * AuthService.getExpiryReason); either way the page notices within IDLE_CHECK_INTERVAL_MS.
+ */
+
+// 'auth' needs a signed-in user; 'host' and 'admin' also need that role (see AuthService.grantRole)
+const ROUTE_REQUIREMENTS = ['auth', 'host', 'admin'];
+
+// Signed-in users without the host role are sent here to list their first property
+const HOST_ONBOARDING_PAGE = 'list-property.html';
+// Signed-in users without the admin role are sent back to the home page
+const ADMIN_FALLBACK_PAGE = 'index.html';
+
+// How often an open page checks whether its session has ended
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ['click', 'keydown', 'scroll', 'touchstart'];
+
+class RouteGuard {
+    /**
+     * @param {AuthService} auth - Auth service the rules are checked against
+     */
+    constructor(auth = window.authService) {
+        this.auth = auth;
+        this.pageRequirements = [];
+        this.signedIn = false;
+    }
+
+    /**
+     * Protect the current page and start watching the session
+     * @param {string} requirements - Space-separated requirements declared by the page
+     */
+    init(requirements = '') {
+        this.pageRequirements = RouteGuard.parseRequirements(requirements);
+        this.signedIn = Boolean(this.auth.getCurrentUser());
+
+        if (!this.protectPage()) return;
+
+        this.watchLinks();
+        this.watchSession();
+    }
+
+    /**
+     * @param {string[]} requirements - Parsed requirements
+     * @param {string} target - Page to come back to after signing in
+     * @returns {object} - { allowed, redirectTo }
+     */
+    check(requirements, target = RouteGuard.currentPage()) {
+        if (!requirements.length) return { allowed: true, redirectTo: null };
+
+        if (!this.auth.getCurrentUser()) {
+            return { allowed: false, redirectTo: RouteGuard.loginUrl(target, this.auth.expiredReason) };
+        }
+        if (requirements.includes('host') && !this.auth.hasRole('host')) {
+            return { allowed: false, redirectTo: HOST_ONBOARDING_PAGE };
+        }
+        if (requirements.includes('admin') && !this.auth.hasRole('admin')) {
+            return { allowed: false, redirectTo: ADMIN_FALLBACK_PAGE };
+        }
+        return { allowed: true, redirectTo: null };
+    }
+
+    /**
+     * Leave the page straight away if the visitor doesn't meet its requirements
+     * @returns {boolean} - True if the visitor can stay
+     */
+    protectPage() {
+        const result = this.check(this.pageRequirements);
+        if (result.allowed) return true;
+
+        // Keep protected content from flashing while the browser navigates away
+        document.documentElement.style.visibility = 'hidden';
+        window.location.replace(result.redirectTo);
+        return false;
+    }
+
+    /**
+     * Check [data-requires] links and buttons before their own click handlers run
+     */
+    watchLinks() {
+        document.addEventListener('click', event => {
+            const element = event.target.closest && event.target.closest('[data-requires]');
+            if (!element) return;
+
+            const href = element.getAttribute('href');
+            const target = href && href !== '#' ? href : RouteGuard.currentPage();
+            const result = this.check(RouteGuard.parseRequirements(element.dataset.requires), target);
+            if (result.allowed) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            window.location.href = result.redirectTo;
+        }, true);
+    }
+
+    /**
+     * Keep the session alive while the visitor is active, end it when idle or past its
+     * maximum age ("Remember me" sessions only end then), and follow sign-ins and sign-outs
+     * made in other tabs
+     */
+    watchSession() {
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => this.auth.touch(), { passive: true, capture: true });
+        });
+
+        setInterval(() => this.refresh(), IDLE_CHECK_INTERVAL_MS);
+
+        window.addEventListener('storage', event => {
+            // A null key means localStorage was cleared
+            if (event.key === this.auth.sessionKey || event.key === null) {
+                this.refresh('signed-out');
+            }
+        });
+    }
+
+    /**
+     * React to the session changing underneath the page
+     * @param {string} reason - Why the session ended, passed on to login.html
+     */
+    refresh(reason) {
+        const signedIn = Boolean(this.auth.getCurrentUser());
+        if (signedIn === this.signedIn) return;
+        this.signedIn = signedIn;
+
+        if (!signedIn && this.pageRequirements.length) {
+            window.location.replace(RouteGuard.loginUrl(RouteGuard.currentPage(), this.auth.expiredReason || reason));
+            return;
+        }
+        this.auth.updateNavigation();
+    }
+
+    /**
+     * @param {string} value - Space-separated requirements, e.g. 'auth host'
+     * @returns {string[]}
+     */
+    static parseRequirements(value) {
+        const requirements = (value || '').split(/\s+/).filter(Boolean);
+        requirements.forEach(requirement => {
+            if (!ROUTE_REQUIREMENTS.includes(requirement)) {
+                throw new Error(`Unknown route requirement: ${requirement}`);
+            }
+        });
+        return requirements;
+    }
+
+    /**
+     * @param {string} target - Page to return to after signing in
+     * @param {string} reason - Optional 'expired', 'idle' or 'signed-out' notice for login.html
+     * @returns {string}
+     */
+    static loginUrl(target, reason) {
+        const params = new URLSearchParams({ redirect: target });
+        if (reason) params.set('reason', reason);
+        return `login.html?${params.toString()}`;
+    }
+
+    /**
+     * @returns {string} - Current page and query, e.g. 'trips.html?tab=past'
+     */
+    static currentPage() {
+        return (window.location.pathname.split('/').pop() || 'index.html') + window.location.search;
+    }
+}
+
+// Global route guard instance, protecting the page that loaded this script
+window.routeGuard = new RouteGuard();
+window.routeGuard.init(document.currentScript ? document.currentScript.dataset.requires : '');
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteGuard;
+}
@@ -0,0 +1,127 @@
+/**
+ * ChakaBNB Safe DOM
+ * Tagged templates that escape interpolated values before they reach the DOM
+ *
+ *     const { html } = window.safeDom;
+ *     safeDom.render(element, html`<h3 class="font-bold">${property.title}</h3>`);
+ *
+ * Every interpolated value is escaped unless it is itself an html`` result (or an array of
+ * them), so templates nest. Attribute values must be quoted, and URLs taken from data should
+ * go through safeDom.url() so a 'javascript:' link can't slip into href or src.
+ */
+
+/**
+ * Markup produced by SafeDom.html() or marked safe with SafeDom.raw()
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+class SafeDom {
+    constructor() {
+        // Bound so it can be destructured and used as a tag: const { html } = window.safeDom
+        this.html = this.html.bind(this);
+    }
+
+    /**
+     * Template tag that escapes every interpolation
+     * @param {string[]} strings - Literal parts of the template
+     * @param {...*} values - Interpolated values
+     * @returns {SafeHtml}
+     */
+    html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, index) => {
+            return markup + string + (index < values.length ? this.escape(values[index]) : '');
+        }, ''));
+    }
+
+    /**
+     * Mark markup as already safe, e.g. SecurityManager.sanitize(..., { mode: 'markup' }).value
+     * @param {string} markup - Trusted markup
+     * @returns {SafeHtml}
+     */
+    raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    /**
+     * @param {*} value - Interpolated value
+     * @returns {string} - Escaped text; null, undefined and false render as nothing
+     */
+    escape(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(item => this.escape(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return window.SecurityManager.escapeHtml(value);
+    }
+
+    /**
+     * @param {string} value - URL from data, for an href or src attribute
+     * @param {string} fallback - Used when the URL is missing or unsafe
+     * @returns {string}
+     */
+    url(value, fallback = '#') {
+        return window.SecurityManager.getSafeLinkHref(value) || fallback;
+    }
+
+    /**
+     * Replace an element's content with a template
+     * @param {HTMLElement} element - Element to fill
+     * @param {SafeHtml|SafeHtml[]} template - Result of html``, or a list of them
+     * @returns {HTMLElement} - The element
+     */
+    render(element, template) {
+        element.innerHTML = window.trustedTypesManager.createHTML(this.assertSafe(template));
+        return element;
+    }
+
+    /**
+     * @param {SafeHtml} template - Result of html`` with a single root element
+     * @returns {HTMLElement}
+     */
+    createElement(template) {
+        const container = document.createElement('template');
+        container.innerHTML = window.trustedTypesManager.createHTML(this.assertSafe(template).trim());
+        return container.content.firstElementChild;
+    }
+
+    /**
+     * Delegated click handling for elements marked data-action="name", in place of inline onclick
+     * @param {object} actions - Handlers by action name, called with (element, event)
+     * @param {Node} root - Element or document to listen on
+     */
+    bindActions(actions, root = document) {
+        root.addEventListener('click', event => {
+            const element = event.target.closest && event.target.closest('[data-action]');
+            if (!element || !Object.prototype.hasOwnProperty.call(actions, element.dataset.action)) return;
+            actions[element.dataset.action](element, event);
+        });
+    }
+
+    /**
+     * Refuse plain strings, which may contain unescaped data
+     * @param {SafeHtml|SafeHtml[]} template - Value about to be written as HTML
+     * @returns {string}
+     */
+    assertSafe(template) {
+        if (Array.isArray(template)) return template.map(item => this.assertSafe(item)).join('');
+        if (!(template instanceof SafeHtml)) {
+            throw new TypeError('SafeDom only renders html`` templates; build markup with safeDom.html');
+        }
+        return template.value;
+    }
+}
+
+// Global safe DOM instance
+window.safeDom = new SafeDom();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeDom, SafeHtml };
+}
@@ -3,68 +3,228 @@
  * Comprehensive security functions for input validation, sanitization, and protection
  */
 
+// Tags kept by the limited-markup mode used for listing descriptions
+const MARKUP_ALLOWED_TAGS = ['b', 'i', 'ul', 'li', 'a'];
+
+// Tags removed together with their content; any other tag is unwrapped and its text kept
+const MARKUP_DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'link', 'meta', 'title', 'textarea', 'select'];
+
+// Schemes a link may use; relative links are allowed as well
+const MARKUP_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Template mode (markup the pages build for their own sinks): elements that can run code or
+// change where the page loads from, removed with their content
+const TEMPLATE_DROPPED_TAGS = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal', 'base', 'meta', 'link', 'set', 'animate'];
+
+// Template mode: attributes holding URLs, and the schemes they may use (src may also hold
+// data:image and blob: URLs)
+const TEMPLATE_URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background', 'data'];
+const TEMPLATE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Form tokens stop working after this long; handleCsrfError() gives the form a new one
+const CSRF_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+
+// sessionStorage keys: tokens issued in this tab, and this tab's id while nobody is signed in
+const CSRF_STORAGE_KEY = 'chakabnb_csrf_tokens';
+const CSRF_ANONYMOUS_SESSION_KEY = 'chakabnb_csrf_session';
+
+// Null bytes and control characters other than tab, newline and carriage return
+const CONTROL_CHARACTERS = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
+
 class SecurityManager {
     constructor() {
-        this.xssPatterns = [
-            /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-            /<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi,
-            /javascript:/gi,
-            /on\w+\s*=/gi,
-            /<object\b[^<]*(?:(?!<\/object>)<[^<]*)*<\/object>/gi,
-            /<embed\b[^<]*(?:(?!<\/embed>)<[^<]*)*<\/embed>/gi,
-            /<link\b[^<]*(?:(?!<\/link>)<[^<]*)*<\/link>/gi,
-            /<meta\b[^<]*(?:(?!<\/meta>)<[^<]*)*<\/meta>/gi
-        ];
-        
-        this.suspiciousPatterns = [
-            /eval\s*\(/gi,
-            /expression\s*\(/gi,
-            /vbscript:/gi,
-            /data:text\/html/gi,
-            /data:application\/javascript/gi
-        ];
+        // Absolute URLs that ?redirect= may point to, e.g. 'https://help.chakabnb.co.ke/'
+        this.redirectAllowlist = [];
     }
 
     /**
-     * Sanitize user input to prevent XSS attacks
+     * Sanitize user input against an allowlist
+     *
+     * 'text' escapes everything, so the value can be shown as-is. 'markup' keeps b, i, ul, li and
+     * links with an http(s), mailto or relative href, unwraps other tags to their text and drops
+     * scripts, styles and embeds along with their content. 'template' is for the pages' own
+     * markup (the Trusted Types policies use it): everything is kept except scripts, frames,
+     * embeds, event handler attributes and URLs with other schemes, such as javascript:.
+     *
      * @param {string} input - User input to sanitize
-     * @param {boolean} allowHtml - Whether to allow safe HTML tags
-     * @returns {string} - Sanitized input
+     * @param {object} options - { mode: 'text' | 'markup' | 'template' }
+     * @returns {object} - { value, stripped } where stripped lists { type, name } for each removed
+     *     control character, element, attribute, link or comment
      */
-    sanitizeInput(input, allowHtml = false) {
-        if (typeof input !== 'string') return '';
-        
-        // Remove null bytes and control characters
-        let sanitized = input.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-        
-        // Check for XSS patterns
-        for (const pattern of this.xssPatterns) {
-            if (pattern.test(sanitized)) {
-                console.warn('XSS attempt detected and blocked:', sanitized);
+    sanitize(input, { mode = 'text' } = {}) {
+        if (typeof input !== 'string') return { value: '', stripped: [] };
+
+        const stripped = [];
+        const cleaned = input.replace(CONTROL_CHARACTERS, character => {
+            stripped.push({ type: 'control', name: `U+${character.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}` });
+            return '';
+        });
+
+        if (mode === 'text') {
+            return { value: this.escapeHtml(cleaned), stripped };
+        }
+        if (mode === 'template') {
+            // A <template> parses table rows, options and the like as they are, whatever sink
+            // the markup is for
+            const template = window.trustedTypesManager.parseInert(`<!DOCTYPE html><body><template>${cleaned}</template>`).querySelector('template');
+            this.cleanTemplate(template.content, stripped);
+            return { value: template.innerHTML, stripped };
+        }
+        if (mode !== 'markup') {
+            throw new Error(`Unknown sanitize mode: ${mode}`);
+        }
+
+        const body = window.trustedTypesManager.parseInert(`<!DOCTYPE html><body>${cleaned}`).body;
+        return { value: this.serializeMarkup(body, stripped), stripped };
+    }
+
+    /**
+     * Remove what could run code from parsed template markup, in place
+     * @param {Node} parent - Node whose children are cleaned
+     * @param {object[]} stripped - Report to add removed items to
+     */
+    cleanTemplate(parent, stripped) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.localName;
+            if (TEMPLATE_DROPPED_TAGS.includes(tag)) {
+                stripped.push({ type: 'element', name: tag });
+                node.remove();
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const unsafeUrl = TEMPLATE_URL_ATTRIBUTES.includes(name) && !this.isSafeTemplateUrl(name, attribute.value);
+                if (name.startsWith('on') || name === 'srcdoc' || unsafeUrl) {
+                    stripped.push(unsafeUrl ? { type: 'link', name: attribute.value } : { type: 'attribute', name });
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            this.cleanTemplate(tag === 'template' ? node.content : node, stripped);
+        });
+    }
+
+    /**
+     * @param {string} name - Attribute name
+     * @param {string} value - URL from page markup
+     * @returns {boolean} - True if the URL is relative or uses a scheme template markup may use
+     */
+    isSafeTemplateUrl(name, value) {
+        // Browsers ignore whitespace and control characters inside a scheme ('java\tscript:')
+        const compact = value.replace(/[\x00-\x20]/g, '');
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return true;
+
+        const protocol = `${scheme[1].toLowerCase()}:`;
+        if (TEMPLATE_URL_PROTOCOLS.includes(protocol)) return true;
+        return name === 'src' && (protocol === 'blob:' || /^data:image\//i.test(compact));
+    }
+
+    /**
+     * Rebuild allowed markup from parsed nodes, recording everything left out
+     * @param {Node} parent - Node whose children are serialized
+     * @param {object[]} stripped - Report to add removed items to
+     * @returns {string} - Safe HTML
+     */
+    serializeMarkup(parent, stripped) {
+        return Array.from(parent.childNodes).map(node => {
+            if (node.nodeType === Node.TEXT_NODE) return this.escapeHtml(node.textContent);
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                stripped.push({ type: 'comment', name: node.nodeName });
                 return '';
             }
-        }
-        
-        // Check for suspicious patterns
-        for (const pattern of this.suspiciousPatterns) {
-            if (pattern.test(sanitized)) {
-                console.warn('Suspicious pattern detected and blocked:', sanitized);
+
+            const tag = node.localName;
+            if (MARKUP_DROPPED_TAGS.includes(tag)) {
+                stripped.push({ type: 'element', name: tag });
                 return '';
             }
-        }
-        
-        if (!allowHtml) {
-            // Escape HTML entities
-            sanitized = sanitized
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#x27;')
-                .replace(/\//g, '&#x2F;');
-        }
-        
-        return sanitized.trim();
+
+            const content = this.serializeMarkup(node, stripped);
+            if (!MARKUP_ALLOWED_TAGS.includes(tag)) {
+                stripped.push({ type: 'element', name: tag });
+                return content;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!(tag === 'a' && attribute.name === 'href')) {
+                    stripped.push({ type: 'attribute', name: attribute.name });
+                }
+            });
+            if (tag !== 'a') return `<${tag}>${content}</${tag}>`;
+
+            const href = this.getSafeLinkHref(node.getAttribute('href'));
+            if (!href) {
+                stripped.push({ type: 'link', name: node.getAttribute('href') || '' });
+                return content;
+            }
+            return `<a href="${this.escapeHtml(href)}" rel="nofollow noopener noreferrer">${content}</a>`;
+        }).join('');
+    }
+
+    /**
+     * @param {string} href - Link target from user markup
+     * @returns {string|null} - The trimmed href if it is relative or uses an allowed scheme
+     */
+    getSafeLinkHref(href) {
+        if (typeof href !== 'string') return null;
+        const trimmed = href.trim();
+        if (!trimmed || /[\x00-\x1F\x7F\\]/.test(trimmed)) return null;
+
+        // Scheme-relative links ('//evil.com') leave the site
+        if (trimmed.startsWith('//')) return null;
+
+        // Anything with a scheme must use an allowed one; 'java\tscript:' was caught above
+        const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !MARKUP_LINK_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`)) return null;
+
+        return trimmed;
+    }
+
+    /**
+     * Escape text for use in HTML content and quoted attributes
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#x27;')
+            .replace(/\//g, '&#x2F;');
+    }
+
+    /**
+     * Summarise a sanitize() report for the person who wrote the input
+     * @param {object[]} stripped - Report from sanitize()
+     * @returns {string} - e.g. '<script> element, onclick attribute, link to "javascript:alert(1)"'
+     */
+    describeStripped(stripped) {
+        const labels = stripped.map(item => {
+            switch (item.type) {
+                case 'element': return `<${item.name}> element`;
+                case 'attribute': return `${item.name} attribute`;
+                case 'link': return `link to "${item.name}"`;
+                case 'comment': return 'HTML comment';
+                default: return 'control characters';
+            }
+        });
+        return [...new Set(labels)].join(', ');
+    }
+
+    /**
+     * Escape user input as plain text
+     * @param {string} input - User input to sanitize
+     * @param {boolean} allowHtml - Keep the limited markup allowed in descriptions
+     * @returns {string} - Sanitized input; use sanitize() to find out what was removed
+     */
+    sanitizeInput(input, allowHtml = false) {
+        return this.sanitize(input, { mode: allowHtml ? 'markup' : 'text' }).value.trim();
     }
 
     /**
@@ -73,7 +233,7 @@ class SecurityManager {
      * @returns {object} - Validation result with isValid and message
      */
     validateEmail(email) {
-        const sanitizedEmail = this.sanitizeInput(email);
+        const sanitizedEmail = typeof email === 'string' ? email.trim() : '';
         
         if (!sanitizedEmail) {
             return { isValid: false, message: 'Email is required' };
@@ -106,7 +266,8 @@ class SecurityManager {
      * @returns {object} - Validation result with strength, score, and requirements
      */
     validatePassword(password) {
-        const sanitizedPassword = this.sanitizeInput(password);
+        // Checked exactly as typed: escaping or trimming would change the password
+        const sanitizedPassword = typeof password === 'string' ? password : '';
         
         if (!sanitizedPassword) {
             return { 
@@ -173,7 +334,7 @@ class SecurityManager {
      * @returns {object} - Validation result
      */
     validatePhone(phone) {
-        const sanitizedPhone = this.sanitizeInput(phone);
+        const sanitizedPhone = typeof phone === 'string' ? phone.trim() : '';
         
         if (!sanitizedPhone) {
             return { isValid: false, message: 'Phone number is required' };
@@ -207,7 +368,7 @@ class SecurityManager {
      * @returns {object} - Validation result
      */
     validateName(name) {
-        const sanitizedName = this.sanitizeInput(name);
+        const sanitizedName = typeof name === 'string' ? name.trim() : '';
         
         if (!sanitizedName) {
             return { isValid: false, message: 'Name is required' };
@@ -249,63 +410,138 @@ class SecurityManager {
      */
     validateCSRFToken(token, storedToken) {
         if (!token || !storedToken) return false;
-        return token === storedToken;
+        return this.constantTimeEqual(token, storedToken);
     }
 
     /**
-     * Rate limiting check
-     * @param {string} key - Rate limit key (e.g., user ID, IP)
-     * @param {number} maxAttempts - Maximum attempts allowed
-     * @param {number} windowMs - Time window in milliseconds
-     * @returns {object} - Rate limit status
+     * Compare two strings in time that depends only on their length
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {boolean}
      */
-    checkRateLimit(key, maxAttempts = 5, windowMs = 15 * 60 * 1000) { // 15 minutes
-        const now = Date.now();
-        const rateLimitKey = `rate_limit_${key}`;
+    constantTimeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Give a form a fresh CSRF token in its hidden csrf_token field (added if missing).
+     * The token is tied to the form's id and the current session, and expires.
+     * @param {HTMLFormElement} form - Form with an id
+     * @returns {string} - The token
+     */
+    protectForm(form) {
+        let field = form.querySelector('input[name="csrf_token"]');
+        if (!field) {
+            field = document.createElement('input');
+            field.type = 'hidden';
+            field.name = 'csrf_token';
+            form.appendChild(field);
+        }
         
+        field.value = this.generateCSRFToken();
+        const tokens = this.readFormTokens();
+        tokens[form.id] = {
+            token: field.value,
+            sessionId: this.getCsrfSessionId(),
+            expiresAt: Date.now() + CSRF_TOKEN_TTL_MS
+        };
+        sessionStorage.setItem(CSRF_STORAGE_KEY, JSON.stringify(tokens));
+        return field.value;
+    }
+
+    /**
+     * Check a form's CSRF token before acting on a submission
+     * @param {HTMLFormElement} form - Form previously passed to protectForm()
+     * @returns {object} - { valid, reason } where reason is 'missing', 'expired', 'session' or 'mismatch'
+     */
+    verifyForm(form) {
+        const field = form.querySelector('input[name="csrf_token"]');
+        const issued = this.readFormTokens()[form.id];
+        
+        if (!field || !field.value || !issued) return { valid: false, reason: 'missing' };
+        if (!this.validateCSRFToken(field.value, issued.token)) return { valid: false, reason: 'mismatch' };
+        if (Date.now() > issued.expiresAt) return { valid: false, reason: 'expired' };
+        if (!this.constantTimeEqual(issued.sessionId, this.getCsrfSessionId())) return { valid: false, reason: 'session' };
+        return { valid: true, reason: null };
+    }
+
+    readFormTokens() {
         try {
-            const stored = localStorage.getItem(rateLimitKey);
-            let attempts = stored ? JSON.parse(stored) : [];
-            
-            // Remove old attempts outside the time window
-            attempts = attempts.filter(timestamp => now - timestamp < windowMs);
-            
-            if (attempts.length >= maxAttempts) {
-                const oldestAttempt = Math.min(...attempts);
-                const resetTime = oldestAttempt + windowMs;
-                const timeLeft = Math.ceil((resetTime - now) / 1000 / 60); // minutes
-                
-                return {
-                    allowed: false,
-                    remaining: 0,
-                    resetTime: resetTime,
-                    message: `Too many attempts. Try again in ${timeLeft} minutes.`
-                };
-            }
-            
-            // Add current attempt
-            attempts.push(now);
-            localStorage.setItem(rateLimitKey, JSON.stringify(attempts));
-            
-            return {
-                allowed: true,
-                remaining: maxAttempts - attempts.length,
-                resetTime: null,
-                message: `${maxAttempts - attempts.length} attempts remaining`
-            };
-        } catch (error) {
-            console.error('Rate limit check failed:', error);
-            return { allowed: true, remaining: maxAttempts, resetTime: null, message: 'Rate limit check failed' };
+            return JSON.parse(sessionStorage.getItem(CSRF_STORAGE_KEY) || '{}');
+        } catch (e) {
+            return {};
         }
     }
 
     /**
-     * Clear rate limit for a key
-     * @param {string} key - Rate limit key to clear
+     * @returns {string} - Id of the signed-in session, or of this tab while signed out, so
+     *     signing in or out invalidates tokens issued before
      */
-    clearRateLimit(key) {
-        const rateLimitKey = `rate_limit_${key}`;
-        localStorage.removeItem(rateLimitKey);
+    getCsrfSessionId() {
+        const session = window.authService ? window.authService.readSession() : null;
+        if (session && session.id) return session.id;
+        
+        let anonymousId = sessionStorage.getItem(CSRF_ANONYMOUS_SESSION_KEY);
+        if (!anonymousId) {
+            anonymousId = this.generateCSRFToken();
+            sessionStorage.setItem(CSRF_ANONYMOUS_SESSION_KEY, anonymousId);
+        }
+        return anonymousId;
+    }
+
+    /**
+     * Set the absolute URLs redirects may point to besides this site's own pages
+     * @param {string[]} entries - URL prefixes; a URL matches when its origin is the same and its
+     *                             path starts with the entry's path
+     */
+    setRedirectAllowlist(entries) {
+        this.redirectAllowlist = entries.map(entry => new URL(entry));
+    }
+
+    /**
+     * Check a redirect target taken from a query string (e.g. login.html?redirect=)
+     * @param {string} target - Requested redirect
+     * @param {string} fallback - Returned when the target isn't safe
+     * @returns {string} - The target if it is a same-origin relative path or on the allowlist,
+     *                     otherwise the fallback
+     */
+    getSafeRedirect(target, fallback = 'index.html') {
+        if (typeof target !== 'string') return fallback;
+        const value = target.trim();
+        
+        // Control characters and backslashes are ignored or rewritten by browsers when parsing URLs,
+        // so '/\evil.com' or 'java\tscript:' can turn into something other than what was checked
+        if (!value || /[\x00-\x1F\x7F\\]/.test(value)) {
+            return this.rejectRedirect(target, fallback);
+        }
+        
+        let url;
+        try {
+            url = new URL(value, window.location.href);
+        } catch (error) {
+            return this.rejectRedirect(target, fallback);
+        }
+        
+        // Relative paths: no scheme and not protocol-relative ('//host/...')
+        const isRelative = !/^[a-z][a-z0-9+.-]*:/i.test(value) && !value.startsWith('//');
+        if (isRelative && url.origin === window.location.origin) {
+            return value;
+        }
+        
+        const allowed = ['https:', 'http:'].includes(url.protocol) && this.redirectAllowlist.some(entry =>
+            entry.origin === url.origin && url.pathname.startsWith(entry.pathname)
+        );
+        return allowed ? url.href : this.rejectRedirect(target, fallback);
+    }
+
+    rejectRedirect(target, fallback) {
+        console.warn('Unsafe redirect blocked:', target);
+        return fallback;
     }
 }
 
@@ -69,86 +69,67 @@ class SEOOptimizer {
             }
         };
 
-        // Add property listings structured data
-        this.addPropertyListingsStructuredData();
-
-        // Add all structured data to page
+        // Add all structured data to page; listing data is added by each page
+        // once its listings are rendered (see addPropertyListingsStructuredData)
         this.addStructuredDataToPage([organizationData, websiteData]);
     }
 
     /**
-     * Add property listings structured data
+     * Add LodgingBusiness structured data for listings shown on the page,
+     * replacing listing data added earlier. Ratings come from published reviews.
+     * @param {Array} properties - Listings from the property store
      */
-    addPropertyListingsStructuredData() {
-        const propertyCards = document.querySelectorAll('.property-card');
-        
-        propertyCards.forEach((card, index) => {
-            const title = card.querySelector('h3, .property-title')?.textContent;
-            const price = card.querySelector('.property-price')?.textContent;
-            const location = card.querySelector('.property-location')?.textContent;
-            const rating = card.querySelector('.property-rating')?.textContent;
-            const image = card.querySelector('img')?.src;
-            const link = card.querySelector('a')?.href;
-
-            if (title && price && location) {
-                const propertyData = {
-                    "@context": "https://schema.org",
-                    "@type": "LodgingBusiness",
-                    "name": title,
-                    "description": `Beautiful vacation rental in ${location}`,
-                    "url": link || window.location.href,
-                    "image": image || `${window.location.origin}/logo.png`,
-                    "address": {
-                        "@type": "PostalAddress",
-                        "addressLocality": location,
-                        "addressRegion": "Nyeri County",
-                        "addressCountry": "KE"
-                    },
-                    "priceRange": this.extractPriceRange(price),
-                    "aggregateRating": rating ? {
-                        "@type": "AggregateRating",
-                        "ratingValue": this.extractRating(rating),
-                        "reviewCount": "1"
-                    } : undefined
-                };
-
-                this.structuredData.push(propertyData);
-            }
+    addPropertyListingsStructuredData(properties = []) {
+        document.querySelectorAll('script[data-structured-data="listing"]').forEach(script => script.remove());
+
+        this.structuredData = properties.map(property => {
+            const location = property.location || {};
+            const locality = [location.area, location.city].filter(Boolean).join(', ') || 'Chaka Town';
+            const summary = window.reviewManager ? window.reviewManager.getSummary(property.id) : null;
+
+            return {
+                "@context": "https://schema.org",
+                "@type": "LodgingBusiness",
+                "name": property.title,
+                "description": property.description || `Vacation rental in ${locality}`,
+                "url": `${window.location.origin}/property-detail.html?id=${encodeURIComponent(property.id)}`,
+                "image": property.image || `${window.location.origin}/logo.png`,
+                "address": {
+                    "@type": "PostalAddress",
+                    "addressLocality": locality,
+                    "addressRegion": `${location.county || 'Nyeri'} County`,
+                    "addressCountry": "KE"
+                },
+                "geo": location.latitude != null ? {
+                    "@type": "GeoCoordinates",
+                    "latitude": location.latitude,
+                    "longitude": location.longitude
+                } : undefined,
+                "priceRange": `KSh ${Number(property.price) || 0} per night`,
+                "aggregateRating": summary && summary.count ? {
+                    "@type": "AggregateRating",
+                    "ratingValue": summary.average.toFixed(1),
+                    "bestRating": "5",
+                    "worstRating": "1",
+                    "reviewCount": String(summary.count)
+                } : undefined
+            };
         });
-    }
 
-    /**
-     * Extract price range from price text
-     * @param {string} priceText - Price text
-     * @returns {string} - Price range
-     */
-    extractPriceRange(priceText) {
-        const price = priceText.replace(/[^\d]/g, '');
-        if (price) {
-            return `KSh ${price}`;
-        }
-        return "KSh 1000-10000";
-    }
-
-    /**
-     * Extract rating from rating text
-     * @param {string} ratingText - Rating text
-     * @returns {string} - Rating value
-     */
-    extractRating(ratingText) {
-        const rating = ratingText.match(/(\d+\.?\d*)/);
-        return rating ? rating[1] : "4.5";
+        this.addStructuredDataToPage(this.structuredData, 'listing');
     }
 
     /**
      * Add structured data to page
      * @param {Array} dataArray - Array of structured data objects
+     * @param {string} kind - Optional label so the scripts can be replaced later
      */
-    addStructuredDataToPage(dataArray) {
+    addStructuredDataToPage(dataArray, kind = null) {
         dataArray.forEach(data => {
             const script = document.createElement('script');
             script.type = 'application/ld+json';
-            script.textContent = JSON.stringify(data);
+            if (kind) script.dataset.structuredData = kind;
+            script.textContent = window.trustedTypesManager.createScript(JSON.stringify(data));
             document.head.appendChild(script);
         });
     }
@@ -0,0 +1,155 @@
+/**
+ * ChakaBNB Trusted Types
+ * Policies for the pages' Content Security Policy, which sets require-trusted-types-for 'script'
+ *
+ * 'chakabnb' is for safeDom templates and JSON-LD structured data. 'default' covers string
+ * sinks that haven't moved onto safeDom yet, including third-party libraries (Leaflet,
+ * feather). Both run HTML through SecurityManager.sanitize() in template mode, which removes
+ * scripts, frames, event handlers and javascript: URLs; anything removed is logged through
+ * errorHandler.logError(). Browsers without Trusted Types get the sanitized string back.
+ * Markup reaching a sink before security.js has loaded is escaped, so it shows as text.
+ *
+ * Load this before every other script so the policies exist before the first sink is used.
+ */
+
+// Script URLs the default policy accepts besides same-origin ones
+const TRUSTED_SCRIPT_ORIGINS = ['https://cdn.tailwindcss.com', 'https://unpkg.com'];
+
+class TrustedTypesManager {
+    /**
+     * @param {TrustedTypePolicyFactory} factory - window.trustedTypes, if the browser has it
+     */
+    constructor(factory = window.trustedTypes) {
+        this.factory = factory || null;
+        this.reportedRemovals = new Set();
+        this.policy = null;
+        // True while the sanitizer parses markup into an inert document
+        this.parsing = false;
+
+        if (this.factory) {
+            this.policy = this.factory.createPolicy('chakabnb', {
+                createHTML: markup => this.sanitizeHTML(markup, 'safeDom'),
+                createScript: json => TrustedTypesManager.assertJson(json)
+            });
+            this.createDefaultPolicy();
+        }
+    }
+
+    /**
+     * @param {string} markup - HTML for a sink
+     * @returns {TrustedHTML|string} - The sanitized HTML
+     */
+    createHTML(markup) {
+        return this.policy ? this.policy.createHTML(markup) : this.sanitizeHTML(markup, 'safeDom');
+    }
+
+    /**
+     * Parse markup into a document that never runs scripts or loads resources. Only the
+     * sanitizer uses this; what it returns must not be inserted into the page as-is.
+     * @param {string} markup - HTML document source
+     * @returns {Document}
+     */
+    parseInert(markup) {
+        this.parsing = true;
+        try {
+            return new DOMParser().parseFromString(this.policy ? this.policy.createHTML(markup) : markup, 'text/html');
+        } finally {
+            this.parsing = false;
+        }
+    }
+
+    /**
+     * @param {string} markup - HTML for a sink
+     * @param {string} sink - Where it is going, for the log
+     * @returns {string} - Sanitized HTML; escaped text before security.js has loaded
+     */
+    sanitizeHTML(markup, sink) {
+        // The sanitizer's own inert parse comes back through the policy
+        if (this.parsing) return markup;
+        // Nothing can be sanitized yet, so the markup is shown as text rather than refused
+        if (!window.SecurityManager) return TrustedTypesManager.escapeHTML(markup);
+
+        const { value, stripped } = window.SecurityManager.sanitize(String(markup), { mode: 'template' });
+        if (stripped.length) this.reportRemoval(sink, window.SecurityManager.describeStripped(stripped));
+        return value;
+    }
+
+    /**
+     * @param {string} json - Structured data for an application/ld+json script
+     * @returns {TrustedScript|string}
+     */
+    createScript(json) {
+        return this.policy ? this.policy.createScript(json) : TrustedTypesManager.assertJson(json);
+    }
+
+    /**
+     * Policy the browser applies to plain strings reaching a sink
+     */
+    createDefaultPolicy() {
+        this.factory.createPolicy('default', {
+            createHTML: (markup, type, sink) => this.sanitizeHTML(markup, sink),
+            // Returning null blocks the value and reports a CSP violation
+            createScriptURL: url => (this.isTrustedScriptUrl(url) ? url : null),
+            createScript: () => null
+        });
+    }
+
+    /**
+     * Log markup the sanitizer had to change, once per sink and kind of removal
+     * @param {string} sink - e.g. 'Element innerHTML'
+     * @param {string} removed - SecurityManager.describeStripped() summary
+     */
+    reportRemoval(sink, removed) {
+        const key = `${sink} ${removed}`;
+        if (this.reportedRemovals.has(key) || !window.errorHandler) return;
+        this.reportedRemovals.add(key);
+
+        window.errorHandler.logError({
+            type: window.errorHandler.errorTypes.SECURITY,
+            message: `Trusted Types removed ${removed} from markup given to ${sink}`
+        });
+    }
+
+    /**
+     * @param {string} url - Script URL about to be loaded
+     * @returns {boolean}
+     */
+    isTrustedScriptUrl(url) {
+        try {
+            const { origin } = new URL(url, window.location.href);
+            return origin === window.location.origin || TRUSTED_SCRIPT_ORIGINS.includes(origin);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} markup - HTML to show as text
+     * @returns {string}
+     */
+    static escapeHTML(markup) {
+        return String(markup)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#x27;');
+    }
+
+    /**
+     * @param {string} json - Script body that must be data, not code
+     * @returns {string}
+     */
+    static assertJson(json) {
+        JSON.parse(json);
+        return json;
+    }
+}
+
+// Global Trusted Types instance
+window.trustedTypesManager = new TrustedTypesManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrustedTypesManager;
+}
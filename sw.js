@@ -11,14 +11,54 @@ const urlsToCache = [
     '/property-detail.html',
     '/login.html',
     '/register.html',
+    '/forgot-password.html',
+    '/reset-password.html',
+    '/verify-email.html',
     '/list-property.html',
+    '/trips.html',
+    '/booking-confirmation.html',
+    '/host-dashboard.html',
+    '/moderation.html',
     '/logo.png',
+    '/js/trusted-types.js',
     '/js/security.js',
+    '/js/rate-limiter.js',
+    '/js/outbox.js',
+    '/js/auth.js',
+    '/js/route-guard.js',
+    '/js/safe-dom.js',
     '/js/error-handler.js',
+    '/js/property-store.js',
+    '/js/availability.js',
+    '/js/reviews.js',
+    '/js/pricing.js',
+    '/js/bookings.js',
+    '/js/booking-lifecycle.js',
+    '/js/booking-documents.js',
+    '/js/ical-sync.js',
+    '/js/payments.js',
+    '/js/mpesa.js',
+    '/js/currency.js',
+    '/js/results-map.js',
+    '/js/date-range-picker.js',
     '/js/accessibility.js',
     '/js/seo-optimizer.js',
+    '/js/pages/index.js',
+    '/js/pages/search-results.js',
+    '/js/pages/property-detail.js',
+    '/js/pages/login.js',
+    '/js/pages/register.js',
+    '/js/pages/forgot-password.js',
+    '/js/pages/reset-password.js',
+    '/js/pages/verify-email.js',
+    '/js/pages/list-property.js',
+    '/js/pages/trips.js',
+    '/js/pages/booking-confirmation.js',
+    '/js/pages/host-dashboard.js',
+    '/js/pages/moderation.js',
+    '/data/exchange-rates.json',
     'https://cdn.tailwindcss.com',
-    'https://cdn.jsdelivr.net/npm/feather-icons/dist/feather.min.js',
+    'https://unpkg.com/feather-icons@4.29.2/dist/feather.min.js',
     'https://unpkg.com/aos@2.3.1/dist/aos.js',
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
     'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap'
@@ -37,6 +77,11 @@ self.addEventListener('install', event => {
 
 // Fetch event
 self.addEventListener('fetch', event => {
+    // API answers (payment status, imported calendars) must always be fresh
+    if (new URL(event.request.url).pathname.startsWith('/api/')) {
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {